@@ -1,368 +1,136 @@
 // Background script for Chrome Mnemonic - Cross-Session Search Notifications
 // This script runs in the background and handles search detection messages
 
+importScripts(
+  'utils/url-utils.js',
+  'utils/text-utils.js',
+  'utils/page-toasts.js',
+  'utils/vector-search.js',
+  'utils/topic-clustering.js',
+  'services/history-index.js',
+  'services/incremental-clusterer.js',
+  'services/page-capture-settings.js',
+  'services/omnibox-search.js',
+  'services/ai-providers.js',
+  'services/search-pattern-registry.js',
+  'services/search-similarity.js',
+  'services/search-detector.js',
+  'services/search-outcomes.js'
+);
+
+// Providers for embedding searches with the model routed to Embeddings in Settings;
+// remote models are only used once allowed there (AIProviderRegistry.remoteEmbeddings)
+const embeddingProviders = new AIProviderRegistry();
+embeddingProviders.register(new GeminiProvider());
+embeddingProviders.register(new OpenAICompatibleProvider());
+embeddingProviders.load();
+
+const searchEmbeddings = {
+  canEmbed: () => !!embeddingProviders.routeFor('Embeddings'),
+  get embeddingModel() {
+    const provider = embeddingProviders.routeFor('Embeddings');
+    return provider ? provider.embeddingModelId : 'default';
+  },
+  embedTexts: (texts, options) => embeddingProviders.routeFor('Embeddings').embed(texts, options)
+};
+
+// Every detected search goes through this one stream (services/search-detector.js)
+const searchDetector = new SearchDetector({ similarity: new SearchSimilarity(searchEmbeddings) });
+
+// Result pages each search led to (services/search-outcomes.js)
+const searchOutcomes = new SearchOutcomeTracker(searchDetector);
+
 // Listen for messages from content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'AI_SEARCH_DETECTED' || message.type === 'UNIVERSAL_SEARCH_DETECTED') {
-    handleUniversalSearchDetection(message.data, sender.tab);
+    searchDetector.report({ ...message.data, source: (message.data && message.data.source) || 'form' }, { tabId: sender.tab && sender.tab.id })
+      .catch(error => console.warn('Background: Error handling search detection:', error));
+  } else if (message.type === 'PAGE_CONTENT_CAPTURED') {
+    storeCapturedPage(message.data, sender.tab);
+  } else if (message.type === 'PAGE_TOAST_ACTION') {
+    handleToastAction(message).catch(error => console.warn('Background: Toast action failed:', error));
   }
 });
 
-// Handle universal search detection
-async function handleUniversalSearchDetection(searchData, tab) {
-  try {
-    console.log('Background: Universal search detected:', searchData);
-    
-    // Store the search
-    await storeUniversalSearch(searchData);
-    
-    // Check for similar searches
-    const similarSearches = await findSimilarSearches(searchData.query);
-    
-    if (similarSearches.length > 0) {
-      // Show notification
-      await showSearchNotification(searchData, similarSearches, tab);
-    }
-  } catch (error) {
-    console.warn('Background: Error handling universal search detection:', error);
+// Buttons in in-page notifications (utils/page-toasts.js) that need the extension
+async function handleToastAction(message) {
+  if (message.action === 'mute-page' && message.data && message.data.url) {
+    const stored = await chrome.storage.local.get('revisitMutedPages');
+    const muted = new Set(stored.revisitMutedPages || []);
+    muted.add(message.data.url);
+    await chrome.storage.local.set({ revisitMutedPages: Array.from(muted) });
   }
 }
 
-// Store universal search
-async function storeUniversalSearch(searchData) {
+// Store page content captured by the content script (opt-in, per-domain rules, size budget)
+async function storeCapturedPage(page, tab) {
   try {
-    const stored = await chrome.storage.local.get('universalSearches');
-    const searches = stored.universalSearches || [];
-    
-    searches.push({
-      ...searchData,
-      id: Date.now() + Math.random(),
-      storedAt: Date.now()
-    });
-    
-    // Keep only last 1000 searches
-    if (searches.length > 1000) {
-      searches.splice(0, searches.length - 1000);
-    }
-    
-    await chrome.storage.local.set({ universalSearches: searches });
-  } catch (error) {
-    console.warn('Background: Failed to store universal search:', error);
-  }
-}
+    if (!page || !page.url || (tab && tab.incognito)) return;
 
-// Find similar searches
-async function findSimilarSearches(query) {
-  try {
-    const stored = await chrome.storage.local.get('universalSearches');
-    const searches = stored.universalSearches || [];
-    
-    const similarSearches = [];
-    const queryWords = query.toLowerCase().split(/\s+/);
-    
-    for (const search of searches) {
-      if (search.query === query) continue; // Skip exact same query
-      
-      const searchWords = search.query.toLowerCase().split(/\s+/);
-      const commonWords = queryWords.filter(word => 
-        searchWords.some(searchWord => 
-          searchWord.includes(word) || word.includes(searchWord)
-        )
-      );
-      
-      // Calculate similarity score
-      const similarity = commonWords.length / Math.max(queryWords.length, searchWords.length);
-      
-      if (similarity > 0.3) { // 30% similarity threshold
-        similarSearches.push({
-          ...search,
-          similarity: similarity
-        });
-      }
+    // Re-check the rules here; the content script may be running with stale settings
+    const settings = await PageCaptureSettings.load();
+    if (!PageCaptureSettings.isAllowed(page.url, settings)) return;
+
+    const maxBytes = settings.storageBudgetMB * 1024 * 1024;
+    const record = await historyIndex.putContent(page, maxBytes);
+    if (record) {
+      console.log(`📄 Captured ${record.wordCount} words from ${page.url.substring(0, 60)}`);
     }
-    
-    // Sort by similarity and recency
-    return similarSearches
-      .sort((a, b) => b.similarity - a.similarity || b.timestamp - a.timestamp)
-      .slice(0, 5); // Top 5 similar searches
   } catch (error) {
-    console.warn('Background: Failed to find similar searches:', error);
-    return [];
+    console.warn('Background: Failed to store captured page:', error);
   }
 }
 
-// Show search notification
-async function showSearchNotification(currentSearch, similarSearches, tab) {
+// Search detection: engine URLs on page loads and client-side URL changes; the content script
+// reports search boxes and chat inputs through runtime messages
+(function setupSearchDetection() {
   try {
-    const notificationId = `search-notification-${Date.now()}`;
-    
-    // Create notification HTML
-    const notificationHtml = createSearchNotificationHTML(currentSearch, similarSearches, notificationId);
-    
-    // Inject notification into the current tab (skip restricted pages)
-    try {
-      // Check if we can inject into this tab
-      const tabInfo = await chrome.tabs.get(tab.id);
-      if (!tabInfo.url || 
-          tabInfo.url.startsWith('chrome://') || 
-          tabInfo.url.startsWith('chrome-extension://') ||
-          tabInfo.url.startsWith('edge://') ||
-          tabInfo.url.startsWith('about:') ||
-          tabInfo.url.includes('extensions.gallery') ||
-          tabInfo.url.includes('chrome.google.com/webstore')) {
-        console.log(`⏭️ Skipping search notification for restricted page: ${tabInfo.url}`);
-        return;
-      }
-    } catch (tabError) {
-      console.warn('Could not check tab URL for search notification, skipping:', tabError);
-      return;
-    }
-    
-    try {
-      await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        func: (html, id) => {
-        // Create notification element
-        const notification = document.createElement('div');
-        notification.id = id;
-        notification.innerHTML = html;
-        notification.style.cssText = `
-          position: fixed;
-          bottom: 20px;
-          right: 20px;
-          width: 350px;
-          max-height: 400px;
-          background: white;
-          border: 1px solid #e1e5e9;
-          border-radius: 12px;
-          box-shadow: 0 8px 32px rgba(0,0,0,0.12);
-          z-index: 10000;
-          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-          font-size: 14px;
-          line-height: 1.4;
-          overflow: hidden;
-          transform: translateX(100%);
-          transition: transform 0.3s ease-out;
-        `;
-        
-        // Add to page
-        document.body.appendChild(notification);
-        
-        // Animate in
-        setTimeout(() => {
-          notification.style.transform = 'translateX(0)';
-        }, 100);
-        
-        // Auto-remove after 10 seconds
-        setTimeout(() => {
-          notification.style.transform = 'translateX(100%)';
-          setTimeout(() => {
-            notification.remove();
-          }, 300);
-        }, 10000);
-        
-        // Add click handlers
-        const viewMoreBtn = document.getElementById(`view-more-${id}`);
-        const expandedContent = document.getElementById(`expanded-content-${id}`);
-        
-        if (viewMoreBtn && expandedContent) {
-          viewMoreBtn.addEventListener('click', () => {
-            if (expandedContent.style.display === 'none') {
-              expandedContent.style.display = 'block';
-              viewMoreBtn.textContent = 'Show Less';
-            } else {
-              expandedContent.style.display = 'none';
-              viewMoreBtn.textContent = `View More (${similarSearches.length} similar searches)`;
-            }
-          });
-        }
-      },
-      args: [notificationHtml, notificationId]
-    });
-    } catch (err) {
-      // Silently skip errors for pages that can't be scripted
-      const errMsg = err.message || '';
-      if (errMsg.includes('Cannot access') || errMsg.includes('extensions gallery') || errMsg.includes('cannot be scripted')) {
-        console.log(`⏭️ Skipping search notification for restricted page: ${errMsg}`);
-      } else {
-        console.warn('Background: Error showing search notification:', err);
+    const onNavigation = (source) => async (details) => {
+      if (details.frameId !== 0) return; // Only main frame
+      try {
+        const search = await searchDetector.detectFromUrl(details.url, source);
+        if (search) await searchDetector.report(search, { tabId: details.tabId });
+      } catch (err) {
+        console.warn('Background: Search detection failed:', err);
       }
-    }
-  } catch (error) {
-    console.warn('Background: Failed to show search notification:', error);
-  }
-}
-
-// Create notification HTML
-function createSearchNotificationHTML(currentSearch, similarSearches, notificationId) {
-  const mostRecent = similarSearches[0];
-  const timeAgo = getTimeAgo(mostRecent.timestamp);
-  
-  return `
-    <div style="padding: 16px;">
-      <div style="display: flex; align-items: center; margin-bottom: 12px;">
-        <div style="
-          width: 32px; 
-          height: 32px; 
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-          border-radius: 50%;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          margin-right: 12px;
-        ">
-          <span style="color: white; font-size: 16px;">🧠</span>
-        </div>
-        <div>
-          <div style="font-weight: 600; color: #2c3e50; margin-bottom: 2px;">
-            Similar Search Found!
-          </div>
-          <div style="font-size: 12px; color: #6c757d;">
-            You searched for this on ${mostRecent.website}
-          </div>
-        </div>
-        <button onclick="this.closest('[id=\\'${notificationId}\\']').remove()" style="
-          background: none; 
-          border: none; 
-          font-size: 18px; 
-          color: #6c757d; 
-          cursor: pointer;
-          margin-left: auto;
-          padding: 4px;
-        ">×</button>
-      </div>
-      
-      <div style="margin-bottom: 12px;">
-        <div style="font-weight: 500; color: #2c3e50; margin-bottom: 4px;">
-          "${mostRecent.query}"
-        </div>
-        <div style="font-size: 12px; color: #6c757d;">
-          ${timeAgo} • ${mostRecent.website}
-        </div>
-      </div>
-      
-      <div style="margin-bottom: 12px;">
-        <button id="view-more-${notificationId}" style="
-          background: #667eea;
-          color: white;
-          border: none;
-          padding: 8px 16px;
-          border-radius: 6px;
-          font-size: 12px;
-          font-weight: 500;
-          cursor: pointer;
-          width: 100%;
-        ">
-          View More (${similarSearches.length} similar searches)
-        </button>
-      </div>
-      
-      <div id="expanded-content-${notificationId}" style="display: none; max-height: 200px; overflow-y: auto;">
-        ${similarSearches.map(search => `
-          <div style="
-            padding: 8px; 
-            margin: 4px 0; 
-            background: #f8f9fa; 
-            border-radius: 6px;
-            border-left: 3px solid #667eea;
-          ">
-            <div style="font-weight: 500; color: #2c3e50; margin-bottom: 2px;">
-              "${search.query}"
-            </div>
-            <div style="font-size: 11px; color: #6c757d;">
-              ${getTimeAgo(search.timestamp)} • ${search.website}
-            </div>
-          </div>
-        `).join('')}
-      </div>
-    </div>
-  `;
-}
-
+    };
+    chrome.webNavigation.onCommitted.addListener(onNavigation('navigation'));
+    chrome.webNavigation.onHistoryStateUpdated.addListener(onNavigation('spa'));
 
-// Get time ago string
-function getTimeAgo(timestamp) {
-  const now = Date.now();
-  const diff = now - timestamp;
-  const minutes = Math.floor(diff / (1000 * 60));
-  const hours = Math.floor(diff / (1000 * 60 * 60));
-  const days = Math.floor(diff / (1000 * 60 * 60 * 24));
-  
-  if (days > 0) return `${days} day${days > 1 ? 's' : ''} ago`;
-  if (hours > 0) return `${hours} hour${hours > 1 ? 's' : ''} ago`;
-  if (minutes > 0) return `${minutes} minute${minutes > 1 ? 's' : ''} ago`;
-  return 'Just now';
-}
+    // Follow tabs from a search to the results opened from it
+    const trackOutcome = (handler) => (...args) => handler(...args)
+      .catch(err => console.warn('Background: Search outcome tracking failed:', err));
+    chrome.webNavigation.onCommitted.addListener(trackOutcome(details => searchOutcomes.onCommitted(details)));
+    chrome.webNavigation.onCreatedNavigationTarget.addListener(trackOutcome(details => searchOutcomes.onCreatedNavigationTarget(details)));
+    chrome.tabs.onUpdated.addListener(trackOutcome(async (tabId, changeInfo) => {
+      if (changeInfo.title) await searchOutcomes.onTitleChanged(tabId, changeInfo.title);
+    }));
+    chrome.tabs.onRemoved.addListener(trackOutcome(tabId => searchOutcomes.onTabRemoved(tabId)));
 
-// Inject notification into page
-function injectNotificationIntoPage(html, notificationId) {
-  // Create notification element
-  const notification = document.createElement('div');
-  notification.id = notificationId;
-  notification.innerHTML = html;
-  notification.style.cssText = `
-    position: fixed;
-    bottom: 20px;
-    right: 20px;
-    width: 350px;
-    max-height: 400px;
-    background: white;
-    border: 1px solid #e1e5e9;
-    border-radius: 12px;
-    box-shadow: 0 8px 32px rgba(0,0,0,0.12);
-    z-index: 10000;
-    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-    font-size: 14px;
-    line-height: 1.4;
-    overflow: hidden;
-    transform: translateX(100%);
-    transition: transform 0.3s ease-out;
-  `;
-  
-  // Add to page
-  document.body.appendChild(notification);
-  
-  // Animate in
-  setTimeout(() => {
-    notification.style.transform = 'translateX(0)';
-  }, 100);
-  
-  // Auto-remove after 10 seconds
-  setTimeout(() => {
-    removeNotification(notificationId);
-  }, 10000);
-  
-  // Add click handlers
-  attachNotificationHandlers(notificationId);
-}
+    // Patterns and AI providers are edited from the popup
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local') return;
+      if (changes.searchPatterns) searchDetector.setPatterns(null);
+      if (changes[AIProviderRegistry.STORAGE_KEY] || changes.geminiApiKey || changes.useGemini) embeddingProviders.load();
+    });
 
-// Attach notification handlers
-function attachNotificationHandlers(notificationId) {
-  const viewMoreBtn = document.getElementById(`view-more-${notificationId}`);
-  const expandedContent = document.getElementById(`expanded-content-${notificationId}`);
-  
-  if (viewMoreBtn && expandedContent) {
-    viewMoreBtn.addEventListener('click', () => {
-      if (expandedContent.style.display === 'none') {
-        expandedContent.style.display = 'block';
-        viewMoreBtn.textContent = 'Show Less';
-      } else {
-        expandedContent.style.display = 'none';
-        viewMoreBtn.textContent = `View More (${similarSearches.length} similar searches)`;
+    searchDetector.onSearch(async (search, context) => {
+      await searchOutcomes.startSearch(search, context.tabId);
+      const similarSearches = await searchDetector.findSimilar(search.query);
+      if (similarSearches.length > 0 && context.tabId !== undefined && context.tabId >= 0) {
+        await showSearchNotification(search, similarSearches, context.tabId, SearchOutcomeTracker.lastOutcome(similarSearches));
       }
     });
-  }
-}
 
-// Remove notification
-function removeNotification(notificationId) {
-  const notification = document.getElementById(notificationId);
-  if (notification) {
-    notification.style.transform = 'translateX(100%)';
-    setTimeout(() => {
-      notification.remove();
-    }, 300);
+    console.log('🔎 Search detection listeners registered');
+  } catch (err) {
+    console.error('Failed to setup search detection:', err);
   }
+})();
+
+// Show search notification, with where an earlier search ended up when known
+async function showSearchNotification(currentSearch, similarSearches, tabId, lastOutcome = null) {
+  await PageToasts.showInTab(tabId, SearchDetector.notificationToast(currentSearch, similarSearches, { lastOutcome }));
 }
 
 // Handle extension icon click to open as side panel
@@ -384,6 +152,264 @@ chrome.action.onClicked.addListener(async (tab) => {
 // Initialize background script
 console.log('Chrome Mnemonic background script loaded');
 
+// Persistent history index, filled incrementally from chrome.history events
+const historyIndex = new HistoryIndex();
+
+(function setupHistoryIndex() {
+  try {
+    const BACKFILL_DAYS = 90; // Chrome's own retention window
+
+    // Seed the index once; later visits arrive through onVisited
+    async function ensureBackfilled() {
+      try {
+        const lastBackfill = await historyIndex.getMeta('lastBackfill');
+        if (!lastBackfill) {
+          await historyIndex.backfillFromChrome({ days: BACKFILL_DAYS });
+        }
+      } catch (err) {
+        console.warn('Background: History index backfill failed:', err);
+      }
+    }
+
+    chrome.runtime.onInstalled.addListener(() => { ensureBackfilled(); });
+    chrome.runtime.onStartup.addListener(() => { ensureBackfilled(); });
+
+    chrome.history.onVisited.addListener(async (item) => {
+      try {
+        await historyIndex.upsertVisits([item]);
+      } catch (err) {
+        console.warn('Background: Failed to index visit:', err);
+      }
+    });
+
+    chrome.history.onVisitRemoved.addListener(async (removed) => {
+      try {
+        if (removed.allHistory) {
+          await historyIndex.clear();
+          // Cleared history must not be re-imported from the old backfill marker
+          await historyIndex.setMeta('lastBackfill', Date.now());
+        } else {
+          await historyIndex.removeUrls(removed.urls || []);
+        }
+      } catch (err) {
+        console.warn('Background: Failed to remove visits from index:', err);
+      }
+    });
+
+    console.log('📇 History index listeners registered');
+  } catch (err) {
+    console.error('Failed to setup history index:', err);
+  }
+})();
+
+// Omnibox keyword "mn": search history and past searches from the address bar
+(function setupOmnibox() {
+  try {
+    const omniboxSearch = new OmniboxSearch(historyIndex);
+
+    chrome.omnibox.setDefaultSuggestion({
+      description: 'Search your memory for <match>%s</match> <dim>(site:, before:, after:, session:)</dim>'
+    });
+
+    chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
+      try {
+        suggest(await omniboxSearch.suggest(text));
+      } catch (err) {
+        console.warn('Background: Omnibox suggestions failed:', err);
+        suggest([]);
+      }
+    });
+
+    chrome.omnibox.onInputEntered.addListener(async (text, disposition) => {
+      try {
+        let url = /^https?:\/\//i.test(text) ? text : null;
+        if (!url) {
+          // Free text: open the full results in the extension page
+          url = chrome.runtime.getURL(`popup.html?q=${encodeURIComponent(text)}`);
+        }
+        if (disposition === 'currentTab') {
+          await chrome.tabs.update({ url });
+        } else {
+          await chrome.tabs.create({ url, active: disposition === 'newForegroundTab' });
+        }
+      } catch (err) {
+        console.warn('Background: Failed to open omnibox selection:', err);
+      }
+    });
+
+    console.log('✅ Omnibox keyword registered');
+  } catch (err) {
+    console.error('Failed to setup omnibox:', err);
+  }
+})();
+
+// Context menus for selected text; the side panel shows the results
+(function setupContextMenus() {
+  try {
+    const ROOT_ID = 'mnemonic-root';
+    const MENU_ITEMS = [
+      { action: 'find-sources', title: 'Find pages I read about this' },
+      { action: 'rewrite', title: 'Rewrite with Rewriter API' },
+      { action: 'proofread', title: 'Proofread' },
+      { action: 'cite', title: 'Cite from my history' }
+    ];
+
+    chrome.runtime.onInstalled.addListener(() => {
+      chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({ id: ROOT_ID, title: 'Chrome Mnemonic', contexts: ['selection'] });
+        MENU_ITEMS.forEach(item => {
+          chrome.contextMenus.create({
+            id: `mnemonic-${item.action}`,
+            parentId: ROOT_ID,
+            title: item.title,
+            contexts: ['selection']
+          });
+        });
+      });
+    });
+
+    chrome.contextMenus.onClicked.addListener((info, tab) => {
+      const item = MENU_ITEMS.find(entry => `mnemonic-${entry.action}` === info.menuItemId);
+      if (!item || !info.selectionText) return;
+
+      // Open the panel before any await: sidePanel.open() needs the click's user gesture
+      if (chrome.sidePanel && tab) {
+        chrome.sidePanel.open({ tabId: tab.id }).catch(err => {
+          console.warn('Background: Could not open side panel for context action:', err);
+        });
+      }
+
+      // The panel picks this up once initialized (features/context-actions.js)
+      chrome.storage.local.set({
+        pendingContextAction: {
+          action: item.action,
+          text: info.selectionText.substring(0, 5000),
+          pageUrl: info.pageUrl || (tab && tab.url) || '',
+          pageTitle: (tab && tab.title) || '',
+          createdAt: Date.now()
+        }
+      });
+    });
+
+    console.log('✅ Context menu listeners registered');
+  } catch (err) {
+    console.error('Failed to setup context menus:', err);
+  }
+})();
+
+// Reminders set from the chat in agent mode (services/conversation-tools.js)
+(function setupReminders() {
+  try {
+    const REMINDERS_KEY = 'reminders';
+    const ALARM_PREFIX = 'reminder:';
+    // 1x1 PNG; basic notifications need an icon and the extension ships none
+    const ICON = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+    chrome.alarms.onAlarm.addListener(async (alarm) => {
+      if (!alarm.name.startsWith(ALARM_PREFIX)) return;
+      try {
+        const id = alarm.name.slice(ALARM_PREFIX.length);
+        const stored = await chrome.storage.local.get(REMINDERS_KEY);
+        const reminders = stored[REMINDERS_KEY] || [];
+        const reminder = reminders.find(entry => entry.id === id);
+        if (!reminder) return;
+
+        chrome.notifications.create(`${ALARM_PREFIX}${id}`, {
+          type: 'basic',
+          iconUrl: ICON,
+          title: '⏰ Chrome Mnemonic reminder',
+          message: reminder.text,
+          contextMessage: reminder.url || '',
+          priority: 2
+        });
+        // The URL stays available for the notification click
+        await chrome.storage.local.set({
+          [REMINDERS_KEY]: reminders.map(entry => (entry.id === id ? { ...entry, shown: true } : entry))
+        });
+      } catch (err) {
+        console.warn('Background: Failed to show reminder:', err);
+      }
+    });
+
+    chrome.notifications.onClicked.addListener(async (notificationId) => {
+      if (!notificationId.startsWith(ALARM_PREFIX)) return;
+      try {
+        const id = notificationId.slice(ALARM_PREFIX.length);
+        const stored = await chrome.storage.local.get(REMINDERS_KEY);
+        const reminders = stored[REMINDERS_KEY] || [];
+        const reminder = reminders.find(entry => entry.id === id);
+        if (reminder && reminder.url) chrome.tabs.create({ url: reminder.url });
+        chrome.notifications.clear(notificationId);
+        await chrome.storage.local.set({ [REMINDERS_KEY]: reminders.filter(entry => entry.id !== id) });
+      } catch (err) {
+        console.warn('Background: Failed to open reminder:', err);
+      }
+    });
+
+    chrome.notifications.onClosed.addListener(async (notificationId) => {
+      if (!notificationId.startsWith(ALARM_PREFIX)) return;
+      try {
+        const id = notificationId.slice(ALARM_PREFIX.length);
+        const stored = await chrome.storage.local.get(REMINDERS_KEY);
+        await chrome.storage.local.set({ [REMINDERS_KEY]: (stored[REMINDERS_KEY] || []).filter(entry => entry.id !== id) });
+      } catch (err) {
+        console.warn('Background: Failed to remove dismissed reminder:', err);
+      }
+    });
+
+    console.log('⏰ Reminder listeners registered');
+  } catch (err) {
+    console.error('Failed to setup reminders:', err);
+  }
+})();
+
+// Topic clusters updated as pages are visited, so the Clusters tab opens without recomputing them
+(function setupIncrementalClusters() {
+  try {
+    const ALARM = 'clusters:rebalance';
+    const REBALANCE_MINUTES = 6 * 60;
+    const REBALANCE_PAGES = 400; // re-clustering cost grows with the cube of this
+    const clusterer = new IncrementalClusterer();
+
+    async function scheduleRebalance() {
+      try {
+        if (!(await chrome.alarms.get(ALARM))) {
+          // First run a minute after install or startup, once the history index has been backfilled
+          await chrome.alarms.create(ALARM, { delayInMinutes: 1, periodInMinutes: REBALANCE_MINUTES });
+        }
+      } catch (err) {
+        console.warn('Background: Failed to schedule cluster re-balancing:', err);
+      }
+    }
+
+    chrome.runtime.onInstalled.addListener(() => { scheduleRebalance(); });
+    chrome.runtime.onStartup.addListener(() => { scheduleRebalance(); });
+
+    chrome.alarms.onAlarm.addListener(async (alarm) => {
+      if (alarm.name !== ALARM) return;
+      try {
+        const clusters = await clusterer.rebalance(await historyIndex.getRecent(REBALANCE_PAGES));
+        console.log(`🧩 Re-balanced ${clusters.length} topic clusters`);
+      } catch (err) {
+        console.warn('Background: Failed to re-balance clusters:', err);
+      }
+    });
+
+    chrome.history.onVisited.addListener((item) => {
+      clusterer.addVisit(item).catch(err => console.warn('Background: Failed to cluster visit:', err));
+    });
+
+    chrome.history.onVisitRemoved.addListener((removed) => {
+      clusterer.removeUrls(removed.urls || [], removed.allHistory)
+        .catch(err => console.warn('Background: Failed to remove visits from clusters:', err));
+    });
+
+    console.log('🧩 Incremental clustering listeners registered');
+  } catch (err) {
+    console.error('Failed to setup incremental clustering:', err);
+  }
+})();
+
 // Revisit Notifications (tabs-only). Runs entirely in background.
 (function setupRevisitNotifications() {
   try {
@@ -450,6 +476,8 @@ console.log('Chrome Mnemonic background script loaded');
 
         // Search by domain to catch all pages on the site
         const normalizedUrl = normalizeUrl(url);
+        const { revisitMutedPages } = await chrome.storage.local.get('revisitMutedPages');
+        if ((revisitMutedPages || []).includes(normalizedUrl)) return;
         const historyItems = await chrome.history.search({ 
           text: domain, 
           maxResults: 100, 
@@ -467,7 +495,6 @@ console.log('Chrome Mnemonic background script loaded');
         } catch {}
 
         const visitCount = allVisits.length;
-        const last = visitCount > 0 ? new Date(Math.max(...allVisits.map(v => v.visitTime || 0))).toLocaleString() : 'recently';
         const recentList = allVisits
           .sort((a,b) => (b.visitTime||0) - (a.visitTime||0))
           .slice(0,5)
@@ -476,94 +503,20 @@ console.log('Chrome Mnemonic background script loaded');
         console.log(`📊 URL: ${url.substring(0, 50)}... | Page visits: ${visitCount}`);
 
         if (visitCount >= 1) {
-          
-          const tabId = details.tabId;
-          const popupUrl = chrome.runtime.getURL('popup.html');
-          
           console.log(`🔔 Showing notification for ${url.substring(0, 50)}... (${visitCount} visits)`);
-          
-          try {
-            // Check if we can inject into this tab (skip restricted pages)
-            try {
-              const tabs = await chrome.tabs.get(tabId);
-              if (!tabs.url || 
-                  tabs.url.startsWith('chrome://') || 
-                  tabs.url.startsWith('chrome-extension://') ||
-                  tabs.url.startsWith('edge://') ||
-                  tabs.url.startsWith('about:') ||
-                  tabs.url.includes('extensions.gallery') ||
-                  tabs.url.includes('chrome.google.com/webstore')) {
-                console.log(`⏭️ Skipping restricted page: ${tabs.url.substring(0, 50)}`);
-                return;
-              }
-            } catch (tabError) {
-              console.warn('Could not check tab URL, skipping injection:', tabError);
-              return;
-            }
-            
-            await chrome.scripting.executeScript({
-              target: { tabId },
-              func: (visits, lastSeen, dom, listTimes, pageUrl) => {
-                try {
-                  const id = 'mnemonic-revisit-toast';
-                  const existing = document.getElementById(id);
-                  if (existing) existing.remove();
-                  
-                  const el = document.createElement('div');
-                  el.id = id;
-                  el.style.cssText = `position:fixed;bottom:16px;right:16px;background:#111;color:#fff;padding:12px;border-radius:12px;box-shadow:0 8px 24px rgba(0,0,0,.25);font:13px/1.4 -apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;z-index:2147483647;display:block;max-width:460px;`;
-                  const plural = visits === 1 ? 'time' : 'times';
-                  const listHtml = (listTimes||[]).map(t => `<li style="margin:2px 0;">${t}</li>`).join('') || '<li>recently</li>';
-                  el.innerHTML = `
-                    <div style="display:flex;align-items:center;gap:8px;margin-bottom:8px;">
-                      <span>🔔</span>
-                      <strong>You visited this page ${visits} ${plural}.</strong>
-                    </div>
-                    <div style="font-size:12px;color:#e5e7eb;margin-bottom:6px;word-break:break-all;">${pageUrl}</div>
-                    <div style="max-height:160px;overflow:auto;background:#1f2937;padding:8px;border-radius:8px;margin-bottom:8px;">
-                      <div style="margin-bottom:6px;color:#9ca3af;">Latest visits</div>
-                      <ul style="padding-left:18px;margin:0;">${listHtml}</ul>
-                    </div>
-                    <div style="display:flex;gap:8px;justify-content:flex-end;">
-                      <button id="mnemonic-revisit-mute" style="background:#6b7280;color:#fff;border:none;border-radius:8px;padding:6px 12px;cursor:pointer;font-size:12px;">Mute this page</button>
-                      <button id="mnemonic-revisit-close" style="background:#374151;color:#fff;border:none;border-radius:8px;padding:6px 12px;cursor:pointer;font-size:12px;">Close</button>
-                    </div>`;
-                  
-                  document.body.appendChild(el);
-                  
-                  const close = () => { try { el.remove(); } catch {} };
-                  
-                  document.getElementById('mnemonic-revisit-mute')?.addEventListener('click', () => {
-                    close();
-                    window.postMessage({ type: 'MNEMONIC_MUTE_PAGE', url: document.location.href }, '*');
-                  });
-                  document.getElementById('mnemonic-revisit-close')?.addEventListener('click', close);
-                } catch (e) { console.error('Toast injection error:', e); }
-              },
-              args: [visitCount, last, domain, recentList, normalizedUrl]
-            });
-            await setThrottle(domain);
-            
-            // Listen for mute requests
-            const onMessage = async (msg, sender) => {
-              if (msg?.type === 'MNEMONIC_MUTE_PAGE' && msg.url) {
-                const stored = await chrome.storage.local.get('revisitMutedPages');
-                const set = new Set(stored.revisitMutedPages || []);
-                set.add(msg.url);
-                await chrome.storage.local.set({ revisitMutedPages: Array.from(set) });
-                chrome.runtime.onMessage.removeListener(onMessage);
-              }
-            };
-            chrome.runtime.onMessage.addListener(onMessage);
-          } catch (err) {
-            // Silently skip errors for pages that can't be scripted (like extensions gallery)
-            const errMsg = err.message || '';
-            if (errMsg.includes('Cannot access') || errMsg.includes('extensions gallery') || errMsg.includes('cannot be scripted')) {
-              console.log(`⏭️ Skipping injection for restricted page: ${errMsg}`);
-            } else {
-              console.error('Failed to inject toast:', err);
-            }
-          }
+          const shown = await PageToasts.showInTab(details.tabId, {
+            key: 'revisit',
+            icon: '🔔',
+            title: `You visited this page ${visitCount} ${visitCount === 1 ? 'time' : 'times'}.`,
+            subtitle: normalizedUrl,
+            sections: [{ label: 'Latest visits', items: recentList.length > 0 ? recentList : ['recently'] }],
+            actions: [
+              { id: 'mute-page', label: 'Mute this page', message: { url: normalizedUrl } },
+              { id: 'close', label: 'Close', primary: true }
+            ],
+            timeout: 0
+          });
+          if (shown) await setThrottle(domain);
         }
       } catch (err) {
         console.error('Revisit notification error:', err);
@@ -1,5 +1,6 @@
 // Content script for Chrome Mnemonic - Universal Search Detection
-// This script runs in the extension context and can access chrome.runtime
+// This script runs in the extension context and can access chrome.runtime.
+// Engine URLs and client-side URL changes are detected in the background (services/search-detector.js).
 
 // Listen for messages from injected scripts
 window.addEventListener('message', (event) => {
@@ -12,91 +13,86 @@ window.addEventListener('message', (event) => {
   }
 });
 
-// Monitor for search form submissions on any website
-function monitorSearchInputs() {
-  const searchInputs = document.querySelectorAll('input[type="search"], input[name*="search"], input[placeholder*="search"], input[placeholder*="Search"], textarea[placeholder*="search"], textarea[placeholder*="Search"]');
-
-  searchInputs.forEach(input => {
-    // Monitor for form submissions
-    input.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' && !e.shiftKey) {
-        const query = input.value.trim();
-        if (query.length > 3) {
-          // Send search data to background script
-          chrome.runtime.sendMessage({
-            type: 'UNIVERSAL_SEARCH_DETECTED',
-            data: {
-              query: query,
-              website: URLUtils.getDomain(window.location.href),
-              domain: URLUtils.getDomain(window.location.href),
-              timestamp: Date.now(),
-              url: window.location.href
-            }
-          });
-        }
+// Report a search typed into this page; the background normalizes and deduplicates it
+function reportSearch(query) {
+  const text = (query || '').trim();
+  if (text.length < SearchDetector.MIN_QUERY_LENGTH) return;
+  chrome.runtime.sendMessage({
+    type: 'UNIVERSAL_SEARCH_DETECTED',
+    data: {
+      query: text,
+      website: URLUtils.getDomain(window.location.href),
+      domain: URLUtils.getDomain(window.location.href),
+      timestamp: Date.now(),
+      url: window.location.href,
+      source: 'form'
+    }
+  });
+}
+
+const watchedInputs = new WeakSet();
+
+// Watch one search box or chat input for Enter and form submission
+function watchSearchInput(input) {
+  if (watchedInputs.has(input)) return;
+  watchedInputs.add(input);
+  const valueOf = () => (input.isContentEditable ? input.innerText : input.value);
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey && !e.isComposing) reportSearch(valueOf());
+  });
+
+  const form = input.closest('form');
+  if (form) {
+    form.addEventListener('submit', () => reportSearch(valueOf()));
+  }
+}
+
+// Search boxes everywhere, plus prompt boxes on AI chat sites and the inputs named by the
+// selectors of patterns for this site (from the user's search pattern registry)
+let inputSelector = SearchDetector.INPUT_SELECTOR;
+
+async function loadInputSelector() {
+  const patterns = await SearchPatternRegistry.load();
+  const host = URLUtils.getDomain(window.location.href);
+  const selectors = [SearchDetector.INPUT_SELECTOR];
+  if (SearchDetector.isChatSite(window.location.href, patterns)) selectors.push(SearchDetector.CHAT_INPUT_SELECTOR);
+  patterns
+    .filter(pattern => pattern.enabled !== false && pattern.selector &&
+      (host === pattern.domain || host.endsWith(`.${pattern.domain}`)))
+    .forEach(pattern => {
+      try {
+        document.querySelector(pattern.selector); // skip selectors the page cannot parse
+        selectors.push(pattern.selector);
+      } catch {
+        console.warn('Chrome Mnemonic: invalid search selector:', pattern.selector);
       }
     });
+  inputSelector = selectors.join(', ');
+}
 
-    // Monitor for button clicks (submit buttons)
-    const form = input.closest('form');
-    if (form) {
-      form.addEventListener('submit', () => {
-        const query = input.value.trim();
-        if (query.length > 3) {
-          chrome.runtime.sendMessage({
-            type: 'UNIVERSAL_SEARCH_DETECTED',
-            data: {
-              query: query,
-              website: URLUtils.getDomain(window.location.href),
-              domain: URLUtils.getDomain(window.location.href),
-              timestamp: Date.now(),
-              url: window.location.href
-            }
-          });
-        }
-      });
-    }
-  });
+function monitorSearchInputs(root = document) {
+  if (root.matches && root.matches(inputSelector)) watchSearchInput(root);
+  if (root.querySelectorAll) root.querySelectorAll(inputSelector).forEach(watchSearchInput);
+}
+
+// Start monitoring when the page loads and the patterns are known
+async function startSearchMonitoring() {
+  await loadInputSelector();
+  monitorSearchInputs();
 }
 
-// Start monitoring when the page loads
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', monitorSearchInputs);
+  document.addEventListener('DOMContentLoaded', () => startSearchMonitoring());
 } else {
-  monitorSearchInputs();
+  startSearchMonitoring();
 }
 
 // Monitor for dynamically added search inputs
 const observer = new MutationObserver((mutations) => {
   mutations.forEach((mutation) => {
     mutation.addedNodes.forEach((node) => {
-      if (node.nodeType === Node.ELEMENT_NODE) {
-        const searchInputs = node.querySelectorAll ? 
-          node.querySelectorAll('input[type="search"], input[name*="search"], input[placeholder*="search"], input[placeholder*="Search"], textarea[placeholder*="search"], textarea[placeholder*="Search"]') : [];
-        
-        if (searchInputs.length > 0) {
-          searchInputs.forEach(input => {
-            // Add event listeners to new search inputs
-            input.addEventListener('keydown', (e) => {
-              if (e.key === 'Enter' && !e.shiftKey) {
-                const query = input.value.trim();
-                if (query.length > 3) {
-                  chrome.runtime.sendMessage({
-                    type: 'UNIVERSAL_SEARCH_DETECTED',
-                    data: {
-                      query: query,
-                      website: URLUtils.getDomain(window.location.href),
-                      domain: URLUtils.getDomain(window.location.href),
-                      timestamp: Date.now(),
-                      url: window.location.href
-                    }
-                  });
-                }
-              }
-            });
-          });
-        }
-      }
+      if (node.nodeType === Node.ELEMENT_NODE) monitorSearchInputs(node);
     });
   });
 });
@@ -107,4 +103,31 @@ observer.observe(document.body, {
   subtree: true
 });
 
+// Opt-in full-text capture: extract readable content and hand it to the background for indexing
+async function capturePageContent() {
+  try {
+    if (window.top !== window) return; // Main frame only
+
+    const settings = await PageCaptureSettings.load();
+    if (!PageCaptureSettings.isAllowed(window.location.href, settings)) return;
+
+    const page = PageExtractor.extract(document, { maxChars: settings.maxPageChars });
+    if (page.text.length < 200 && !page.description) return; // Nothing worth indexing
+
+    chrome.runtime.sendMessage({
+      type: 'PAGE_CONTENT_CAPTURED',
+      data: {
+        ...page,
+        url: window.location.href,
+        capturedAt: Date.now()
+      }
+    });
+  } catch (error) {
+    console.warn('Chrome Mnemonic: page capture failed:', error);
+  }
+}
+
+// Give client-rendered pages a moment to fill in their content
+setTimeout(capturePageContent, 1500);
+
 console.log('Chrome Mnemonic content script loaded');
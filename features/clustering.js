@@ -1,36 +1,103 @@
 // Clustering Feature - Handles AI-powered clustering and analysis
 class ClusteringFeature {
-  constructor(aiService, historyService) {
+  // Reply shape requested from the model for topic clusters
+  static CLUSTER_SCHEMA = {
+    type: 'array',
+    minItems: 1,
+    maxItems: 8,
+    items: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        intent: { type: 'string', enum: ['research', 'entertainment', 'work', 'learning', 'shopping', 'news', 'social'] },
+        topics: { type: 'array', items: { type: 'string' } },
+        items: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 1 } },
+        confidence: { type: 'number', minimum: 0, maximum: 1 }
+      },
+      required: ['name', 'description', 'intent', 'topics', 'items', 'confidence']
+    }
+  };
+
+  static BATCH_SIZE = 30; // pages per prompt
+  static MAX_BATCHES = 5; // prompts per run; older pages are clustered on later opens
+  static MAX_CLUSTERS = 12; // clusters shown
+  static LOCAL_MAX_ITEMS = 400; // pages clustered locally; the cost grows with the cube of this
+  static THREAD_WINDOW_DAYS = 30; // sessions searched for knowledge threads
+  static MAX_THREADS = 8; // threads on the timeline
+
+  constructor(aiService, historyService, clusterStore = null, incrementalClusterer = null, topicExtractor = null) {
     this.aiService = aiService;
     this.historyService = historyService;
+    this.clusterStore = clusterStore;
+    this.incrementalClusterer = incrementalClusterer;
+    this.topicExtractor = topicExtractor;
   }
 
-  // AI-Powered Clustering: Enhanced AI clustering using Summarizer API
+  // AI-Powered Clustering: schema-constrained Prompt API clustering over batches of history.
+  // Assignments are persisted, so a page keeps its cluster and only new pages go to the model.
   async computeAIClustersEnhanced() {
-    if (!this.aiService.aiAvailable || typeof Summarizer === 'undefined') {
+    if (!this.aiService.aiAvailable || typeof this.aiService.promptStructured !== 'function') {
       return this.computeBasicClusters();
     }
 
     try {
-      const MAX_ITEMS = 30; // Limit for AI processing
-      const recentItems = this.historyService.historyData.slice(0, MAX_ITEMS);
-      
-      if (recentItems.length === 0) {
+      const historyItems = this.historyService.historyData || [];
+      if (historyItems.length === 0) {
         return [];
       }
 
-      // Create comprehensive content for AI analysis
-      const contentForAI = recentItems.map((item, idx) => {
-        const host = (() => { try { return new URL(item.url).hostname.replace('www.',''); } catch { return ''; } })();
-        return `${idx + 1}. ${item.title} (${host})`;
-      }).join('\n');
+      const store = this.clusterStore || new ClusterStore();
+      await store.load();
+
+      const { BATCH_SIZE, MAX_BATCHES } = ClusteringFeature;
+      const pending = store.unassigned(historyItems).slice(0, BATCH_SIZE * MAX_BATCHES);
+      for (let start = 0; start < pending.length; start += BATCH_SIZE) {
+        try {
+          await this.clusterBatch(pending.slice(start, start + BATCH_SIZE), store);
+        } catch (error) {
+          // Keep what earlier batches found; the rest is retried on the next open
+          console.warn('AI clustering batch failed:', error.type || '', error.message);
+          break;
+        }
+      }
+      if (pending.length > 0) {
+        await store.save();
+      }
+
+      const clusters = store.clustersFor(historyItems).slice(0, ClusteringFeature.MAX_CLUSTERS);
+      if (clusters.length === 0) {
+        return this.computeBasicClusters();
+      }
+      console.log(`Showing ${clusters.length} AI-powered clusters (${pending.length} pages newly clustered)`);
+      return clusters;
+    } catch (error) {
+      console.warn('Enhanced AI clustering failed:', error.type || '', error.message);
+      return this.computeBasicClusters();
+    }
+  }
+
+  // Cluster one batch of pages, offering the stored clusters so the model reuses their names
+  async clusterBatch(items, store) {
+    // Create comprehensive content for AI analysis (with captured page descriptions when available)
+    await this.historyService.attachPageContent(items, 300);
+    const contentForAI = items.map((item, idx) => {
+      const host = (() => { try { return new URL(item.url).hostname.replace('www.',''); } catch { return ''; } })();
+      const about = item.description ? ` - ${item.description.substring(0, 150)}` : '';
+      return `${idx + 1}. ${item.title} (${host})${about}`;
+    }).join('\n');
 
-      const prompt = `Analyze this browsing history and create intelligent topic-based clusters.
+    const known = store.recentClusters();
+    const knownSection = known.length > 0
+      ? `\nExisting clusters (reuse the exact name when pages belong to one of them):\n${known.map(cluster => `- ${cluster.name}: ${cluster.topics.join(', ')}`).join('\n')}\n`
+      : '';
+
+    const prompt = `Analyze this browsing history and create intelligent topic-based clusters.
 
 Browsing History:
 ${contentForAI}
-
-Create 3-6 meaningful clusters based on:
+${knownSection}
+Create 1-6 meaningful clusters based on:
 1. **Topic similarity** - group related subjects together
 2. **Learning intent** - research vs entertainment vs work
 3. **Content type** - articles, videos, documentation, social media
@@ -42,55 +109,123 @@ For each cluster, provide:
 - **description**: What this cluster represents (1-2 sentences)
 - **intent**: Primary user intent (research, entertainment, work, learning, shopping, news, social)
 - **topics**: Array of main topics (2-4 topics)
-- **items**: Array of item indices (0-based) that belong to this cluster
+- **items**: Array of item numbers from the list above that belong to this cluster
 - **confidence**: How confident you are in this clustering (0-1)
 
-Return a JSON array of clusters. Focus on meaningful groupings that help the user understand their browsing patterns.`;
+Focus on meaningful groupings that help the user understand their browsing patterns.`;
 
-      const response = await this.aiService.withAISession('Summarizer', {
-        expectedInputs: [{ type: 'text' }]
-      }, async (summarizer) => {
-        return await summarizer.summarize(prompt, {
-          outputLanguage: 'en'
-        });
-      });
+    const clusters = await this.aiService.promptStructured(prompt, ClusteringFeature.CLUSTER_SCHEMA, {
+      priority: 'normal',
+      description: 'Cluster history'
+    });
 
-      try {
-        const clusters = JSON.parse(response);
-        if (!Array.isArray(clusters)) {
-          throw new Error('Invalid cluster format');
-        }
+    // Map item numbers (the list above is numbered from 1) to pages and merge with stored clusters
+    clusters.forEach(cluster => {
+      const pages = [...new Set(cluster.items)].map(number => items[number - 1]).filter(Boolean);
+      if (pages.length === 0) return;
+      const stored = store.merge(cluster);
+      pages.forEach(page => store.assign(page.url, stored.id));
+    });
+    // Pages the model left out are not sent again
+    items.forEach(item => store.assign(item.url, ClusterStore.UNCLUSTERED));
+  }
 
-        // Map cluster data to actual history items
-        const mappedClusters = clusters.map(cluster => ({
-          name: cluster.name || 'Unnamed Cluster',
-          description: cluster.description || 'No description available',
-          intent: cluster.intent || 'unknown',
-          topics: cluster.topics || [],
-          confidence: cluster.confidence || 0.5,
-          items: (cluster.items || []).map(idx => recentItems[idx]).filter(Boolean),
-          itemCount: (cluster.items || []).length
-        })).filter(cluster => cluster.items.length > 0);
-
-        console.log(`Created ${mappedClusters.length} AI-powered clusters`);
-        return mappedClusters;
-      } catch (parseError) {
-        console.warn('Failed to parse AI clusters:', parseError);
-        return this.computeBasicClusters();
-      }
+  // Basic clustering fallback: local topic clusters, then the remaining pages grouped by domain
+  async computeBasicClusters() {
+    const historyData = this.historyService.historyData || [];
+    const topicClusters = await this.computeTopicClusters(historyData);
+
+    const clustered = new Set(topicClusters.flatMap(cluster => cluster.items.map(item => item.url)));
+    const domainClusters = this.computeDomainClusters(historyData.filter(item => !clustered.has(item.url)));
+    return [...topicClusters, ...domainClusters].slice(0, 8);
+  }
+
+  // Topic clusters without a language model: the ones the background keeps up to date, or
+  // computed now when it has not clustered yet
+  async computeTopicClusters(items) {
+    try {
+      const incremental = await this.computeIncrementalClusters(items);
+      return incremental.length > 0 ? incremental : await this.computeLocalClusters(items);
     } catch (error) {
-      console.warn('Enhanced AI clustering failed:', error);
-      return this.computeBasicClusters();
+      console.warn('Local topic clustering failed:', error);
+      return [];
+    }
+  }
+
+  // Clusters maintained by the background service worker as pages are visited (services/incremental-clusterer.js)
+  async computeIncrementalClusters(items) {
+    if (!this.incrementalClusterer) {
+      return [];
     }
+    await this.incrementalClusterer.reload();
+    return this.incrementalClusterer.clustersFor(items || [])
+      .filter(cluster => cluster.labels.length > 0)
+      .map(cluster => ({
+        ...this.toTopicCluster(cluster.labels, cluster.items, cluster.cohesion ?? 0.5),
+        id: cluster.id,
+        newCount: cluster.newCount
+      }));
+  }
+
+  // Topic clusters without a language model: TF-IDF vectors clustered in the history worker,
+  // named by their top c-TF-IDF terms, so one cluster can span several sites
+  async computeLocalClusters(items) {
+    const pages = (items || []).slice(0, ClusteringFeature.LOCAL_MAX_ITEMS);
+    if (pages.length === 0 || typeof this.historyService.clusterTopics !== 'function') {
+      return [];
+    }
+    if (typeof this.historyService.attachPageContent === 'function') {
+      await this.historyService.attachPageContent(pages, 300);
+    }
+
+    const { clusters } = await this.historyService.clusterTopics(pages);
+    return clusters
+      .filter(cluster => cluster.terms.length > 0)
+      .map(cluster => this.toTopicCluster(cluster.terms, cluster.items, cluster.cohesion));
+  }
+
+  // Display shape of a locally computed topic cluster
+  toTopicCluster(terms, items, cohesion) {
+    const domains = [...new Set(items.map(item => {
+      try { return new URL(item.url).hostname.replace('www.', ''); } catch { return ''; }
+    }).filter(Boolean))];
+    return {
+      name: terms.map(term => term.charAt(0).toUpperCase() + term.slice(1)).join(' · '),
+      description: `${items.length} pages about ${terms.join(', ')} from ${domains.length} ${domains.length === 1 ? 'site' : 'sites'}`,
+      intent: this.guessIntentFromDomain(domains[0] || ''),
+      topics: terms,
+      confidence: Math.max(0, Math.min(cohesion, 1)),
+      items,
+      itemCount: items.length,
+      type: 'topic'
+    };
   }
 
-  // Basic clustering fallback
-  computeBasicClusters() {
-    const historyData = this.historyService.historyData;
+  // Count pages the background clustered since yesterday, for clusters that do not carry the count
+  async markNewPages(clusters) {
+    if (!this.incrementalClusterer || clusters.length === 0) return;
+    try {
+      await this.incrementalClusterer.reload();
+      clusters.forEach(cluster => {
+        if (cluster.newCount === undefined) cluster.newCount = this.incrementalClusterer.countNew(cluster.items);
+      });
+    } catch (error) {
+      console.warn('Failed to count new pages in clusters:', error);
+    }
+  }
+
+  // "+N new" badge for pages added to a cluster since yesterday
+  renderNewBadge(cluster) {
+    if (!cluster.newCount) return '';
+    return `<span class="cluster-new-badge" title="Pages added since yesterday">+${cluster.newCount} new</span>`;
+  }
+
+  // Group pages by domain
+  computeDomainClusters(items) {
     const domainGroups = {};
     
     // Group by domain
-    historyData.forEach(item => {
+    items.forEach(item => {
       try {
         const domain = new URL(item.url).hostname.replace('www.', '');
         if (!domainGroups[domain]) {
@@ -114,8 +249,7 @@ Return a JSON array of clusters. Focus on meaningful groupings that help the use
         items: items,
         itemCount: items.length
       }))
-      .sort((a, b) => b.itemCount - a.itemCount)
-      .slice(0, 8);
+      .sort((a, b) => b.itemCount - a.itemCount);
   }
 
   // Guess intent from domain
@@ -137,35 +271,25 @@ Return a JSON array of clusters. Focus on meaningful groupings that help the use
     }
   }
 
-  // Compute learning intent clusters
+  // Keyphrases of a piece of text, best first
+  extractKeywords(text, limit = 5) {
+    const extractor = this.topicExtractor || (this.topicExtractor = new TopicExtractor(this.aiService));
+    return extractor.extract({ title: text || '' }, { limit }).map(entry => entry.phrase);
+  }
+
+  // Compute learning intent clusters: pages sorted into intents by whole-word matches in the title
+  // or URL, each tagged with the keyphrases its pages share (labels refined by the model when available)
   async computeLearningIntentClusters() {
-    const historyData = this.historyService.historyData;
-    const learningClusters = {
-      'tutorials': [],
-      'documentation': [],
-      'coding': [],
-      'research': [],
-      'tools': []
-    };
+    const historyData = this.historyService.historyData || [];
+    const extractor = this.topicExtractor || (this.topicExtractor = new TopicExtractor(this.aiService));
+    const learningClusters = Object.fromEntries(Object.keys(TopicExtractor.INTENTS).map(type => [type, []]));
 
     historyData.forEach(item => {
-      const title = item.title.toLowerCase();
-      const url = item.url.toLowerCase();
-      
-      if (title.includes('tutorial') || title.includes('guide') || title.includes('how to')) {
-        learningClusters.tutorials.push(item);
-      } else if (title.includes('docs') || title.includes('documentation') || title.includes('api')) {
-        learningClusters.documentation.push(item);
-      } else if (title.includes('code') || title.includes('programming') || title.includes('github')) {
-        learningClusters.coding.push(item);
-      } else if (title.includes('research') || title.includes('study') || title.includes('analysis')) {
-        learningClusters.research.push(item);
-      } else if (title.includes('tool') || title.includes('app') || title.includes('software')) {
-        learningClusters.tools.push(item);
-      }
+      const type = extractor.classify(item);
+      if (type) learningClusters[type].push(item);
     });
 
-    return Object.entries(learningClusters)
+    const clusters = Object.entries(learningClusters)
       .filter(([, items]) => items.length > 0)
       .map(([type, items]) => ({
         name: `${type.charAt(0).toUpperCase() + type.slice(1)} (${items.length})`,
@@ -177,76 +301,90 @@ Return a JSON array of clusters. Focus on meaningful groupings that help the use
         itemCount: items.length
       }))
       .sort((a, b) => b.itemCount - a.itemCount);
+
+    for (const cluster of clusters) {
+      const phrases = extractor.extractTopics(cluster.items, { limit: 6 }).map(topic => topic.phrase);
+      if (phrases.length === 0) continue;
+      const labels = await extractor.refineLabels(phrases, { limit: 3 });
+      cluster.topics = labels.map(entry => entry.label);
+    }
+    return clusters;
   }
 
-  // Analyze knowledge threads across sessions
+  // Knowledge threads: topics that recur across sessions, found by term and title similarity between sessions
   async analyzeKnowledgeThreads(sessionGroups) {
-    if (!sessionGroups || !Array.isArray(sessionGroups)) {
+    if (!sessionGroups || !Array.isArray(sessionGroups) || typeof this.historyService.buildKnowledgeThreads !== 'function') {
       return [];
     }
 
-    const knowledgeThreads = [];
-    
-    sessionGroups.forEach(session => {
-      if (session && session.items && Array.isArray(session.items)) {
-        const topics = this.extractTopicsFromSession(session.items);
-        if (topics.length > 0) {
-          knowledgeThreads.push({
-            sessionId: session.id || Date.now(),
-            topics: topics,
-            itemCount: session.items.length,
-            duration: session.duration || 0,
-            startTime: session.startTime || Date.now()
-          });
-        }
-      }
-    });
-
-    return knowledgeThreads;
+    const sessions = sessionGroups.filter(session => session && Array.isArray(session.items) && session.items.length > 0);
+    const threads = await this.historyService.buildKnowledgeThreads(sessions);
+    return threads.map(thread => ({
+      name: thread.terms.map(term => term.charAt(0).toUpperCase() + term.slice(1)).join(' · '),
+      topics: thread.terms,
+      sessions: thread.sessions.map(session => ({
+        startTime: session.startTime,
+        endTime: session.endTime,
+        itemCount: session.items.length
+      })),
+      items: thread.pages,
+      itemCount: thread.pages.length,
+      startTime: thread.startTime,
+      endTime: thread.endTime,
+      duration: thread.activeMs,
+      days: thread.days
+    }));
   }
 
-  // Extract topics from session items
-  extractTopicsFromSession(items) {
-    const topicCounts = {};
-    
-    items.forEach(item => {
-      const title = item.title.toLowerCase();
-      const url = item.url.toLowerCase();
-      
-      // Simple topic extraction based on keywords
-      const topics = this.extractTopicsFromText(title + ' ' + url);
-      topics.forEach(topic => {
-        topicCounts[topic] = (topicCounts[topic] || 0) + 1;
-      });
-    });
-
-    return Object.entries(topicCounts)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, 5)
-      .map(([topic]) => topic);
+  // Knowledge threads over the last THREAD_WINDOW_DAYS, for the timeline
+  async computeKnowledgeThreads() {
+    try {
+      const since = Date.now() - ClusteringFeature.THREAD_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+      const sessions = await this.historyService.getBrowsingSessions(30, { startTime: since });
+      return await this.analyzeKnowledgeThreads(sessions);
+    } catch (error) {
+      console.warn('Failed to find knowledge threads:', error);
+      return [];
+    }
   }
 
-  // Extract topics from text
-  extractTopicsFromText(text) {
-    const topics = [];
-    const lowerText = text.toLowerCase();
-    
-    // Programming topics
-    if (lowerText.includes('javascript') || lowerText.includes('js')) topics.push('javascript');
-    if (lowerText.includes('python')) topics.push('python');
-    if (lowerText.includes('react')) topics.push('react');
-    if (lowerText.includes('node')) topics.push('nodejs');
-    if (lowerText.includes('css')) topics.push('css');
-    if (lowerText.includes('html')) topics.push('html');
-    
-    // General topics
-    if (lowerText.includes('design')) topics.push('design');
-    if (lowerText.includes('business')) topics.push('business');
-    if (lowerText.includes('marketing')) topics.push('marketing');
-    if (lowerText.includes('data')) topics.push('data');
-    if (lowerText.includes('ai') || lowerText.includes('artificial intelligence')) topics.push('ai');
-    
-    return topics;
+  // Timeline of knowledge threads: one row per thread with a mark per session, and the pages read
+  renderKnowledgeThreads(threads) {
+    if (!threads || threads.length === 0) return '';
+    const escape = TextUtils.escapeHtml;
+    const shown = threads.slice(0, ClusteringFeature.MAX_THREADS);
+    const start = Math.min(...shown.map(thread => thread.startTime));
+    const end = Math.max(...shown.map(thread => thread.endTime));
+    const span = Math.max(end - start, 1);
+    const day = (time) => new Date(time).toLocaleDateString();
+    const minutes = (ms) => {
+      const total = Math.round(ms / 60000);
+      return total >= 60 ? `${Math.floor(total / 60)}h ${total % 60}m` : `${total}m`;
+    };
+
+    return `
+      <div class="clusters-section knowledge-threads">
+        <h3>🧵 Knowledge Threads</h3>
+        <div class="thread-axis"><span>${day(start)}</span><span>${day(end)}</span></div>
+        ${shown.map(thread => `
+          <div class="thread-row">
+            <div class="thread-row-header">
+              <span class="thread-name">${escape(thread.name)}</span>
+              <span class="thread-span">${thread.sessions.length} sessions · ${thread.days} ${thread.days === 1 ? 'day' : 'days'} · ${minutes(thread.duration)} · ${day(thread.startTime)} – ${day(thread.endTime)}</span>
+            </div>
+            <div class="thread-track">
+              ${thread.sessions.map(session => `<span class="thread-segment" style="left:${((session.startTime - start) / span * 100).toFixed(2)}%;width:${Math.max((session.endTime - session.startTime) / span * 100, 0.8).toFixed(2)}%" title="${escape(`${new Date(session.startTime).toLocaleString()} · ${session.itemCount} pages`)}"></span>`).join('')}
+            </div>
+            <details class="thread-pages">
+              <summary>What you read (${thread.itemCount} pages)</summary>
+              <ul>
+                ${thread.items.slice(0, 15).map(item => `<li><a href="${escape(item.url)}" target="_blank" rel="noopener">${escape(item.title || item.url)}</a></li>`).join('')}
+              </ul>
+            </details>
+          </div>
+        `).join('')}
+      </div>
+    `;
   }
 
   // Display enhanced clusters
@@ -279,7 +417,8 @@ Return a JSON array of clusters. Focus on meaningful groupings that help the use
 
       const clusters = await this.computeAIClustersEnhanced();
       const learningClusters = await this.computeLearningIntentClusters();
-      const knowledgeThreads = await this.analyzeKnowledgeThreads([]);
+      await this.markNewPages([...clusters, ...learningClusters]);
+      const knowledgeThreads = await this.computeKnowledgeThreads();
 
       let clustersHtml = '';
 
@@ -298,12 +437,14 @@ Return a JSON array of clusters. Focus on meaningful groupings that help the use
                 <div class="cluster-card" data-cluster-id="${clusterIndex}" data-cluster-type="ai">
                   <div class="cluster-header">
                     <h4 class="cluster-title">${cluster.name}</h4>
+                    ${this.renderNewBadge(cluster)}
                     <span class="cluster-confidence">${Math.round(cluster.confidence * 100)}%</span>
                   </div>
                   <p class="cluster-description">${cluster.description}</p>
                   <div class="cluster-meta">
                     <span class="cluster-intent">${cluster.intent}</span>
                     <span class="cluster-count">${cluster.itemCount} items</span>
+                    ${this.renderReopenButton()}
                     <span class="quality-badge" title="${quality.label} - Score: ${quality.score}" style="font-size: 11px; margin-left: 8px;">
                       ${quality.stars}
                     </span>
@@ -328,15 +469,17 @@ Return a JSON array of clusters. Focus on meaningful groupings that help the use
                 <div class="cluster-card learning-cluster" data-cluster-id="${clusterIndex}" data-cluster-type="learning">
                   <div class="cluster-header">
                     <h4 class="cluster-title">${cluster.name}</h4>
+                    ${this.renderNewBadge(cluster)}
                     <span class="cluster-confidence">${Math.round(cluster.confidence * 100)}%</span>
                   </div>
                   <p class="cluster-description">${cluster.description}</p>
                   <div class="cluster-meta">
                     <span class="cluster-intent">${cluster.intent}</span>
                     <span class="cluster-count">${cluster.itemCount} items</span>
+                    ${this.renderReopenButton()}
                   </div>
                   <div class="cluster-topics">
-                    ${cluster.topics ? cluster.topics.map(topic => `<span class="topic-tag">${topic}</span>`).join('') : ''}
+                    ${cluster.topics ? cluster.topics.map(topic => `<span class="topic-tag">${TextUtils.escapeHtml(topic)}</span>`).join('') : ''}
                   </div>
                 </div>
               `).join('')}
@@ -345,6 +488,8 @@ Return a JSON array of clusters. Focus on meaningful groupings that help the use
         `;
       }
 
+      clustersHtml += this.renderKnowledgeThreads(knowledgeThreads);
+
       if (clustersHtml === '') {
         clustersHtml = '<div class="empty-note">No clusters found. Try visiting more websites to build browsing patterns.</div>';
       }
@@ -364,28 +509,94 @@ Return a JSON array of clusters. Focus on meaningful groupings that help the use
     }
   }
 
+  // "Reopen as tab group", "Export report" and "Chat" buttons for a cluster card (each only when its feature is available)
+  renderReopenButton() {
+    const exportButton = window.chromeMnemonic?.reportExportFeature
+      ? '<button class="cluster-export" title="Export report" style="border:none;background:none;cursor:pointer;padding:0 4px;">📤</button>'
+      : '';
+    const chatButton = window.chromeMnemonic?.conversationThreadStore
+      ? '<button class="cluster-chat" title="Chat about this cluster" style="border:none;background:none;cursor:pointer;padding:0 4px;">💬</button>'
+      : '';
+    if (!window.chromeMnemonic?.tabGroupService) return exportButton + chatButton;
+    return '<button class="cluster-reopen" title="Reopen as tab group" style="border:none;background:none;cursor:pointer;padding:0 4px;">🗂️</button>' + exportButton + chatButton;
+  }
+
   // Attach click handlers to cluster cards
   attachClusterClickHandlers(aiClusters, learningClusters) {
     const clusterCards = document.querySelectorAll('.cluster-card');
 
     clusterCards.forEach(card => {
-      card.addEventListener('click', (e) => {
-        // Prevent triggering when clicking on links
-        if (e.target.tagName === 'A' || e.target.closest('a')) {
-          return;
-        }
-
+      const findCluster = () => {
         const clusterId = parseInt(card.dataset.clusterId);
         const clusterType = card.dataset.clusterType;
 
-        let cluster;
         if (clusterType === 'ai') {
-          cluster = aiClusters[clusterId];
+          return aiClusters[clusterId];
         } else if (clusterType === 'learning') {
-          cluster = learningClusters[clusterId];
+          return learningClusters[clusterId];
         } else if (clusterType === 'basic') {
-          cluster = this.basicClusters[clusterId];
+          return this.basicClusters[clusterId];
         }
+        return undefined;
+      };
+
+      const reopenBtn = card.querySelector('.cluster-reopen');
+      if (reopenBtn) {
+        reopenBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          const cluster = findCluster();
+          const tabGroupService = window.chromeMnemonic?.tabGroupService;
+          if (cluster && cluster.items && tabGroupService) {
+            tabGroupService.reopenWithConfirmation(cluster.name, cluster.items);
+          }
+        });
+      }
+
+      const exportBtn = card.querySelector('.cluster-export');
+      if (exportBtn) {
+        exportBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          const cluster = findCluster();
+          const container = card.closest('#enhancedClusters');
+          const exporter = window.chromeMnemonic?.reportExportFeature;
+          if (!cluster || !cluster.items || !container || !exporter) return;
+
+          // Restore the rendered clusters on Back instead of recomputing them
+          const previousHtml = container.innerHTML;
+          exporter.displayExportPanel(container, {
+            title: cluster.name,
+            summary: cluster.description,
+            items: cluster.items
+          }, () => {
+            container.innerHTML = previousHtml;
+            this.attachClusterClickHandlers(aiClusters, learningClusters);
+          });
+        });
+      }
+
+      const chatBtn = card.querySelector('.cluster-chat');
+      if (chatBtn) {
+        chatBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          const cluster = findCluster();
+          if (!cluster || !cluster.items) return;
+          // Clusters have no stored ID; the name identifies the thread across popup opens
+          window.chromeMnemonic?.conversationFeature?.openLinkedThread({
+            type: 'cluster',
+            id: cluster.id || `c_${TextUtils.hash(cluster.name || '')}`,
+            title: cluster.name,
+            pages: cluster.items
+          });
+        });
+      }
+
+      card.addEventListener('click', (e) => {
+        // Prevent triggering when clicking on links
+        if (e.target.tagName === 'A' || e.target.closest('a')) {
+          return;
+        }
+
+        const cluster = findCluster();
 
         if (cluster && cluster.items) {
           const chromeMnemonic = window.chromeMnemonic;
@@ -413,14 +624,12 @@ Return a JSON array of clusters. Focus on meaningful groupings that help the use
         return;
       }
 
-      // Use basic AI service for clustering
+      // Topic clusters computed locally; the basic AI service's domain and keyword groups when there are none
+      const topicClusters = await this.computeTopicClusters(history);
       const basicAIService = window.chromeMnemonic.basicAIService;
-      if (!basicAIService) {
-        container.innerHTML = '<div class="ai-status">⚠️ Basic AI service not available</div>';
-        return;
-      }
-
-      const clusters = await basicAIService.clusterHistory(history);
+      const basicClusters = basicAIService ? await basicAIService.clusterHistory(history) : [];
+      const clusters = topicClusters.length > 0 ? topicClusters : basicClusters;
+      await this.markNewPages([...clusters, ...basicClusters]);
       
       let clustersHtml = '';
 
@@ -436,14 +645,17 @@ Return a JSON array of clusters. Focus on meaningful groupings that help the use
                 <div class="cluster-card" data-cluster-id="${clusterIndex}" data-cluster-type="basic">
                   <div class="cluster-header">
                     <h4 class="cluster-title">${cluster.name}</h4>
+                    ${this.renderNewBadge(cluster)}
                     <span class="cluster-confidence">${Math.round(cluster.confidence * 100)}%</span>
                   </div>
                   <p class="cluster-description">${cluster.description}</p>
                   <div class="cluster-meta">
                     <span class="cluster-intent">${cluster.type}</span>
                     <span class="cluster-count">${cluster.itemCount} items</span>
+                    ${this.renderReopenButton()}
                   </div>
                   <div class="cluster-topics">
+                    ${(cluster.topics || []).map(topic => `<span class="topic-tag">${topic}</span>`).join('')}
                     ${cluster.domain ? `<span class="topic-tag">${cluster.domain}</span>` : ''}
                     ${cluster.keyword ? `<span class="topic-tag">${cluster.keyword}</span>` : ''}
                   </div>
@@ -457,7 +669,7 @@ Return a JSON array of clusters. Focus on meaningful groupings that help the use
       }
 
       // Add learning clusters (basic version)
-      const learningClusters = clusters.filter(c => c.type === 'domain' && c.itemCount >= 3);
+      const learningClusters = basicClusters.filter(c => c.type === 'domain' && c.itemCount >= 3);
       if (learningClusters.length > 0) {
         clustersHtml += `
           <div class="clusters-section">
@@ -467,12 +679,14 @@ Return a JSON array of clusters. Focus on meaningful groupings that help the use
                 <div class="cluster-card learning-cluster" data-cluster-id="${clusterIndex}" data-cluster-type="basic">
                   <div class="cluster-header">
                     <h4 class="cluster-title">${cluster.name}</h4>
+                    ${this.renderNewBadge(cluster)}
                     <span class="cluster-confidence">${Math.round(cluster.confidence * 100)}%</span>
                   </div>
                   <p class="cluster-description">${cluster.description}</p>
                   <div class="cluster-meta">
                     <span class="cluster-intent">${cluster.type}</span>
                     <span class="cluster-count">${cluster.itemCount} items</span>
+                    ${this.renderReopenButton()}
                   </div>
                   <div class="cluster-topics">
                     <span class="topic-tag">${cluster.domain}</span>
@@ -484,6 +698,8 @@ Return a JSON array of clusters. Focus on meaningful groupings that help the use
         `;
       }
 
+      clustersHtml += this.renderKnowledgeThreads(await this.computeKnowledgeThreads());
+
       container.innerHTML = clustersHtml;
 
       // Add click handlers for cluster cards
@@ -0,0 +1,253 @@
+// Context Actions Feature - Results for the right-click menus on selected text
+// background.js stores the clicked action in chrome.storage and opens the side panel,
+// which picks it up here once the panel has initialized.
+class ContextActionsFeature {
+  constructor(aiService, historyService, semanticSearchService) {
+    this.aiService = aiService;
+    this.historyService = historyService;
+    this.semanticSearchService = semanticSearchService;
+    this.maxActionAgeMs = 5 * 60 * 1000; // ignore stale clicks from an earlier browser session
+    this.maxQueryLength = 500;
+    this.storageListener = null;
+  }
+
+  static get STORAGE_KEY() {
+    return 'pendingContextAction';
+  }
+
+  static get ACTION_LABELS() {
+    return {
+      'find-sources': '🔎 Pages you read about this',
+      'rewrite': '✍️ Rewrite',
+      'proofread': '📝 Proofread',
+      'cite': '📚 Cite from your history'
+    };
+  }
+
+  // Run any pending action now and whenever a new one is stored
+  async watchPendingActions() {
+    await this.consumePendingAction();
+    if (this.storageListener) return;
+
+    this.storageListener = (changes, areaName) => {
+      if (areaName === 'local' && changes[ContextActionsFeature.STORAGE_KEY]?.newValue) {
+        this.consumePendingAction();
+      }
+    };
+    chrome.storage.onChanged.addListener(this.storageListener);
+  }
+
+  // Take the pending action out of storage and run it
+  async consumePendingAction() {
+    try {
+      const key = ContextActionsFeature.STORAGE_KEY;
+      const stored = await chrome.storage.local.get(key);
+      const request = stored[key];
+      if (!request) return null;
+
+      await chrome.storage.local.remove(key);
+      if (!request.text || Date.now() - (request.createdAt || 0) > this.maxActionAgeMs) return null;
+
+      return await this.runAction(request);
+    } catch (error) {
+      console.warn('Failed to run context menu action:', error);
+      return null;
+    }
+  }
+
+  // Run an action and show its result
+  async runAction(request) {
+    const content = document.getElementById('content');
+    const label = ContextActionsFeature.ACTION_LABELS[request.action] || 'Chrome Mnemonic';
+    if (content) {
+      if (window.chromeMnemonic) window.chromeMnemonic.hideAllContentAreas();
+      content.innerHTML = `
+        <div class="ai-status">${label}</div>
+        <div class="loading">Working on your selection...</div>
+      `;
+    }
+
+    let result;
+    switch (request.action) {
+      case 'find-sources':
+        result = await this.findSources(request.text);
+        break;
+      case 'rewrite':
+        result = await this.rewrite(request.text);
+        break;
+      case 'proofread':
+        result = await this.proofread(request.text);
+        break;
+      case 'cite':
+        result = await this.cite(request.text);
+        break;
+      default:
+        console.warn('Unknown context action:', request.action);
+        return null;
+    }
+
+    result = { ...result, action: request.action, label, text: request.text, pageUrl: request.pageUrl };
+    this.displayResult(result);
+    return result;
+  }
+
+  // History pages related to the selection, best match first
+  async searchHistory(text, limit) {
+    const query = text.substring(0, this.maxQueryLength);
+    if (!Array.isArray(this.historyService.historyData) || this.historyService.historyData.length === 0) {
+      await this.historyService.getHistory();
+    }
+    try {
+      const results = await this.semanticSearchService.search(query, { limit });
+      if (results.length > 0) return results;
+    } catch (error) {
+      console.warn('Semantic search failed for context action:', error);
+    }
+    const items = await this.historyService.searchHistory(query, limit);
+    return items.map(item => ({ item, explanation: 'Title or URL contains your selection' }));
+  }
+
+  // "Find pages I read about this"
+  async findSources(text) {
+    const results = await this.searchHistory(text, 10);
+    let summary = '';
+    if (results.length > 0) {
+      const titles = results.slice(0, 5).map(r => r.item.title).join('; ');
+      const overview = `You previously read ${results.length} pages related to this selection, including: ${titles}`;
+      // Returns the input unchanged when the Rewriter API is unavailable
+      summary = await this.aiService.refineSummary(overview, 'general');
+    }
+    return { results, summary };
+  }
+
+  // "Rewrite with Rewriter API"
+  async rewrite(text) {
+    const output = await this.aiService.refineSummary(text, 'general');
+    const changed = output && output !== text;
+    const quality = changed ? await this.aiService.analyzeContentQuality(output, 'general') : null;
+    return {
+      output: changed ? output : text,
+      quality,
+      note: changed ? '' : 'The Rewriter API is not available, so the text was left unchanged.'
+    };
+  }
+
+  // "Proofread"
+  async proofread(text) {
+    const quality = await this.aiService.analyzeContentQuality(text, 'general');
+    const feedback = quality.feedback;
+    // Proofreader returns { correctedInput, corrections }; older builds return plain text
+    if (feedback && typeof feedback === 'object') {
+      const corrections = Array.isArray(feedback.corrections) ? feedback.corrections.length : 0;
+      return {
+        output: feedback.correctedInput || text,
+        quality,
+        note: corrections === 0 ? 'No corrections needed.' : `${corrections} correction${corrections === 1 ? '' : 's'} applied.`
+      };
+    }
+    const available = typeof feedback === 'string' && feedback !== 'Proofreader API not available' && feedback !== 'Analysis failed';
+    return {
+      output: available ? feedback : text,
+      quality,
+      note: available ? '' : 'The Proofreader API is not available, so the text was left unchanged.'
+    };
+  }
+
+  // "Cite from my history"
+  async cite(text) {
+    const results = await this.searchHistory(text, 5);
+    const citations = results.map((result, index) => ContextActionsFeature.formatCitation(result.item, index + 1));
+    return { results, citations };
+  }
+
+  /**
+   * Format a history item as a numbered web citation
+   * @param {Object} item - History item with title, url and lastVisitTime
+   * @param {number} number - Citation number
+   * @returns {string} - e.g. "[1] Title. example.com. Accessed 1 January 2024. https://..."
+   */
+  static formatCitation(item, number) {
+    const site = (() => { try { return new URL(item.url).hostname.replace(/^www\./, ''); } catch { return ''; } })();
+    const accessed = item.lastVisitTime
+      ? new Date(item.lastVisitTime).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })
+      : '';
+    const parts = [`[${number}] ${item.title || 'Untitled'}.`];
+    if (site) parts.push(`${site}.`);
+    if (accessed) parts.push(`Accessed ${accessed}.`);
+    parts.push(item.url);
+    return parts.join(' ');
+  }
+
+  // Render the result in the main content area
+  displayResult(result) {
+    const content = document.getElementById('content');
+    if (!content) return;
+
+    const escape = TextUtils.escapeHtml;
+    const selection = result.text.length > 300 ? result.text.substring(0, 300) + '…' : result.text;
+    let body = '';
+
+    if (result.action === 'find-sources' || result.action === 'cite') {
+      const cards = (result.results || []).map(({ item, explanation }, index) => `
+        <a class="session-card" href="${escape(item.url)}" target="_blank" rel="noopener noreferrer">
+          <div class="session-title">${result.action === 'cite' ? `[${index + 1}] ` : ''}${escape(item.title || 'Untitled')}</div>
+          <div class="session-summary">${escape(item.url)}</div>
+          ${explanation ? `<div class="session-meta">💡 ${escape(explanation)}</div>` : ''}
+        </a>`).join('');
+      const summary = result.summary ? `<div class="session-card"><div class="session-title">AI Summary</div><div class="session-summary">${escape(result.summary)}</div></div>` : '';
+      const citations = result.citations && result.citations.length > 0 ? `
+        <div class="session-card">
+          <div class="session-title">Citations</div>
+          <pre id="contextActionOutput" style="white-space:pre-wrap;font-size:12px;margin:8px 0 0 0;">${escape(result.citations.join('\n'))}</pre>
+        </div>` : '';
+      body = `${summary}${citations}<div class="sessions-container">${cards || '<div class="empty-note">No pages in your history match this selection.</div>'}</div>`;
+    } else {
+      const score = result.quality && typeof result.quality.score === 'number' && !result.note
+        ? `<div class="session-meta">Quality score: ${Math.round(result.quality.score * 100)}%</div>` : '';
+      body = `
+        <div class="session-card">
+          <div class="session-title">Result</div>
+          <div id="contextActionOutput" class="session-summary" style="white-space:pre-wrap;">${escape(result.output)}</div>
+          ${result.note ? `<div class="session-meta">${escape(result.note)}</div>` : ''}
+          ${score}
+        </div>`;
+    }
+
+    content.innerHTML = `
+      <div class="ai-status">${result.label}</div>
+      <div style="display:flex;gap:8px;margin:8px 0 12px 0;">
+        <button id="contextActionCopyBtn" class="action-btn">📋 Copy</button>
+        <button id="contextActionCloseBtn" class="action-btn">✖️ Close</button>
+      </div>
+      <div class="session-card">
+        <div class="session-title">Selected text</div>
+        <div class="session-summary">${escape(selection)}</div>
+      </div>
+      ${body}
+    `;
+
+    const copyBtn = document.getElementById('contextActionCopyBtn');
+    const output = document.getElementById('contextActionOutput');
+    if (copyBtn) {
+      copyBtn.style.display = output ? '' : 'none';
+      copyBtn.addEventListener('click', async () => {
+        try {
+          await navigator.clipboard.writeText(output.textContent);
+          copyBtn.textContent = '✅ Copied';
+        } catch (error) {
+          console.warn('Copy failed:', error);
+        }
+      });
+    }
+    document.getElementById('contextActionCloseBtn')?.addEventListener('click', () => {
+      if (window.chromeMnemonic) window.chromeMnemonic.switchTab('summary');
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ContextActionsFeature;
+} else {
+  window.ContextActionsFeature = ContextActionsFeature;
+}
@@ -1,17 +1,69 @@
 // Conversation Feature - Handles AI chat interface and conversations
 class ConversationFeature {
-  constructor(aiService, historyService) {
+  constructor(aiService, historyService, retriever = null, memory = null, threadStore = null, tools = null) {
     this.aiService = aiService;
     this.historyService = historyService;
-    this.conversationHistory = [];
+    this.retriever = retriever; // ConversationRetriever; without it only recent history is used
+    this.memory = memory; // ConversationMemory; without it every message is answered on its own
+    this.threadStore = threadStore; // ConversationThreadStore; without it there is a single conversation
+    this.tools = tools; // ConversationTools for agent mode
+    this.agentMode = false;
+    this.maxAgentSteps = 6; // rounds of tool calls per message
+    this.activeThread = null;
+    this.threadPanelOpen = false;
+    this.conversationHistory = []; // messages of the active thread
     this.isTyping = false;
+    this.activeController = null; // AbortController of the reply being generated
+  }
+
+  /**
+   * Read a streaming reply, reporting the text so far after each chunk
+   * @param {ReadableStream|AsyncIterable} stream - Chunks from promptStreaming()
+   * @param {Function} onText - Called with the accumulated text
+   * @returns {Promise<string>} - Full reply
+   */
+  static async readStream(stream, onText) {
+    const iterable = stream[Symbol.asyncIterator] ? stream : (async function* () {
+      const reader = stream.getReader();
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) return;
+          yield value;
+        }
+      } finally {
+        reader.releaseLock();
+      }
+    })();
+
+    let text = '';
+    for await (const chunk of iterable) {
+      const piece = String(chunk ?? '');
+      // Older Chrome builds yield the whole reply so far rather than the new part
+      text = text && piece.startsWith(text) ? piece : text + piece;
+      if (onText) onText(text);
+    }
+    return text;
+  }
+
+  // Prompt a session, streaming when it supports promptStreaming()
+  static async promptWithStreaming(model, input, promptOptions, onText) {
+    if (onText && typeof model.promptStreaming === 'function') {
+      return ConversationFeature.readStream(model.promptStreaming(input, promptOptions), onText);
+    }
+    return model.prompt(input, promptOptions);
   }
 
   // Initialize conversation system
   async initializeConversationSystem() {
     try {
-      const stored = await chrome.storage.local.get('conversationHistory');
-      this.conversationHistory = stored.conversationHistory || [];
+      if (this.threadStore) {
+        await this.showThread(await this.threadStore.getActive());
+      } else {
+        const stored = await chrome.storage.local.get('conversationHistory');
+        this.conversationHistory = stored.conversationHistory || [];
+        if (this.memory) await this.memory.load();
+      }
       console.log('Conversation system initialized');
       return true;
     } catch (error) {
@@ -39,7 +91,7 @@ class ConversationFeature {
       });
 
       // Store conversation history
-      await chrome.storage.local.set({ conversationHistory: this.conversationHistory });
+      await this.saveConversation();
       
       return response;
     } catch (error) {
@@ -48,40 +100,224 @@ class ConversationFeature {
     }
   }
 
-  // Generate conversation response
-  async generateConversationResponse(userMessage) {
-    if (!this.aiService.aiAvailable || typeof LanguageModel === 'undefined') {
+  // Make a thread the one the chat reads and writes
+  async showThread(thread) {
+    this.activeThread = thread;
+    this.conversationHistory = thread.messages;
+    if (this.memory) await this.memory.use(ConversationMemory.storageKeyFor(thread.id));
+  }
+
+  // Persist the active thread (or the single conversation without a thread store)
+  async saveConversation() {
+    if (this.threadStore && this.activeThread) {
+      this.activeThread.messages = this.conversationHistory;
+      await this.threadStore.touch(this.activeThread.id);
+      return;
+    }
+    await chrome.storage.local.set({ conversationHistory: this.conversationHistory });
+  }
+
+  // Prompt section describing the session or cluster a thread is tied to
+  static linkPrompt(link) {
+    if (!link || !Array.isArray(link.pages) || link.pages.length === 0) return '';
+    const kind = link.type === 'cluster' ? 'topic cluster' : 'research session';
+    return `\n\nThis chat is about the ${kind} "${link.title}", which includes these pages:
+${link.pages.slice(0, 15).map(page => `- ${page.title} (${page.url})`).join('\n')}`;
+  }
+
+  // Pages from the whole index that may answer the message, as a numbered context block
+  async retrieveSources(userMessage, signal = null) {
+    if (!this.retriever) return { context: '', sources: [] };
+    try {
+      return await this.retriever.retrieve(userMessage, { signal });
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      console.warn('History retrieval failed, answering from recent history:', error);
+      return { context: '', sources: [] };
+    }
+  }
+
+  // Prompt section with retrieved pages and how to cite them
+  static sourcesPrompt(context) {
+    if (!context) return '';
+    return `Pages from the user's history that may answer the message (numbered sources):
+${context}
+
+When you use a source, cite it with its number in square brackets, like [1] or [2][3]. Only cite the numbers listed above; if none of them answer the question, say so.
+
+`;
+  }
+
+  // Conversation entries before the message being answered
+  priorTurns(userMessage) {
+    const history = this.conversationHistory.filter(entry => entry.message);
+    const last = history[history.length - 1];
+    return last && last.type === 'user' && last.message === userMessage ? history.slice(0, -1) : history;
+  }
+
+  // Generate conversation response; options.onText receives streamed text, options.onSources the
+  // numbered pages the answer may cite, options.signal stops it
+  async generateConversationResponse(userMessage, options = {}) {
+    if (!this.aiService.aiAvailable) {
       return this.generateFallbackConversationResponse(userMessage);
     }
 
+    const { signal = null } = options;
+    let streamed = '';
+    const onText = options.onText ? (text) => { streamed = text; options.onText(text); } : null;
+
     try {
-      const recentHistory = this.historyService.getRecentItems(20);
-      const historyContext = recentHistory.map(item => 
-        `${item.title} - ${new URL(item.url).hostname}`
-      ).join('\n');
+      const grounding = await this.retrieveSources(userMessage, signal);
+      if (options.onSources) options.onSources(grounding.sources);
+
+      const recentHistory = this.historyService.getRecentItems(grounding.sources.length > 0 ? 8 : 20);
+      await this.historyService.attachPageContent(recentHistory, 300);
+      const historyContext = recentHistory.map(item => {
+        const about = item.description || item.content;
+        return `${item.title} - ${new URL(item.url).hostname}${about ? `\n  ${about.substring(0, 200)}` : ''}`;
+      }).join('\n');
+
+      const promptOptions = signal ? { outputLanguage: 'en', signal } : { outputLanguage: 'en' };
+      if (this.memory) {
+        // Persona and browsing context go in the system prompt; earlier turns come from memory
+        const system = `You are Chrome Mnemonic, an AI assistant that helps users understand their browsing patterns and history. Answer follow-up questions using the earlier conversation. Be friendly and insightful.
+
+User's recent browsing history:
+${historyContext}${ConversationFeature.linkPrompt(this.activeThread?.link)}`;
+        const input = `${ConversationFeature.sourcesPrompt(grounding.context)}${userMessage}`;
+        return await this.memory.run(system, this.priorTurns(userMessage), input, async (model) => {
+          return await ConversationFeature.promptWithStreaming(model, input, promptOptions, onText);
+        }, { signal });
+      }
 
       const prompt = `You are Chrome Mnemonic, an AI assistant that helps users understand their browsing patterns and history. 
 
 User's recent browsing history:
-${historyContext}
+${historyContext}${ConversationFeature.linkPrompt(this.activeThread?.link)}
 
-User message: "${userMessage}"
+${ConversationFeature.sourcesPrompt(grounding.context)}User message: "${userMessage}"
 
 Provide a helpful, conversational response about their browsing patterns, suggest related content, or answer questions about their web activity. Be friendly and insightful.`;
 
       return await this.aiService.withAISession('LanguageModel', {
         expectedInputs: [{ type: 'text' }]
       }, async (model) => {
-        return await model.prompt(prompt, {
-          outputLanguage: 'en'
-        });
-      });
+        return await ConversationFeature.promptWithStreaming(model, prompt, promptOptions, onText);
+      }, { timeout: 120000, retries: 1, description: 'Conversation reply', signal });
     } catch (error) {
+      if (signal && signal.aborted) return streamed;
       console.warn('AI conversation failed:', error);
       return this.generateFallbackConversationResponse(userMessage);
     }
   }
 
+  /**
+   * Agent mode: the model calls tools (history search, sessions, tabs, reminders) until it can answer
+   * Gemini and OpenAI-compatible sessions use native function calling; Chrome AI gets the tools
+   * described in the prompt and replies with JSON tool calls. Actions wait for the user's confirmation.
+   * @param {string} userMessage - User message
+   * @param {Object} options - { signal, onStep(call), confirm(call) => Promise<boolean> }
+   * @returns {Promise<string>} - Final answer
+   */
+  async generateAgentResponse(userMessage, options = {}) {
+    if (!this.tools || !this.aiService.aiAvailable || typeof this.aiService.openSession !== 'function') {
+      return this.generateConversationResponse(userMessage, options);
+    }
+
+    const { signal = null, onStep = null } = options;
+    const confirm = options.confirm || ((call) => this.confirmToolCall(call, signal));
+    const tools = this.tools.definitions();
+    const now = new Date();
+    const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    const system = `You are Chrome Mnemonic, an assistant that acts on the user's browsing history. Today is ${now.toDateString()} (${today}), local time ${now.toTimeString().substring(0, 5)}. Use the tools to carry out what the user asks instead of describing it; find pages before opening them. Actions run only after the user confirms; if one is declined, don't retry it. Keep the final answer short.${ConversationFeature.linkPrompt(this.activeThread?.link)}`;
+    const initialPrompts = this.memory
+      ? this.memory.initialPrompts(system, this.priorTurns(userMessage))
+      : [{ role: 'system', content: system }];
+    const promptOptions = signal ? { outputLanguage: 'en', signal } : { outputLanguage: 'en' };
+
+    // A long-lived session outside the request queue, so tools and confirmations don't hold it up
+    let session = null;
+    try {
+      session = await this.aiService.openSession('LanguageModel', { expectedInputs: [{ type: 'text' }], initialPrompts }, { timeout: 120000 });
+      const native = session.supportsTools === true;
+      const send = async (input) => (native
+        ? session.promptWithTools(input, tools, promptOptions)
+        : ConversationTools.parseReply(await session.prompt(input, promptOptions)));
+
+      let reply = await send(native ? userMessage : `${ConversationTools.protocolPrompt(tools)}\n\nUser message: ${userMessage}`);
+      for (let step = 0; reply.calls.length > 0; step++) {
+        if (step >= this.maxAgentSteps) {
+          return reply.text || 'I stopped after too many steps. Try asking for one thing at a time.';
+        }
+        const results = [];
+        for (const call of reply.calls) {
+          if (onStep) onStep(call);
+          results.push({ ...call, result: await this.tools.execute(call, { confirm, signal }) });
+        }
+        reply = await send(native ? { toolResults: results } : ConversationTools.resultsPrompt(results));
+      }
+      return reply.text;
+    } catch (error) {
+      if (signal && signal.aborted) return '';
+      console.warn('Agent reply failed:', error);
+      return this.generateFallbackConversationResponse(userMessage);
+    } finally {
+      if (session) {
+        await this.aiService.closeSession(session).catch(error => console.warn('Failed to close agent session:', error));
+      }
+    }
+  }
+
+  // Inline Allow/Cancel prompt for an action; resolves false when cancelled or the reply is stopped
+  confirmToolCall(call, signal = null) {
+    const messagesContainer = document.getElementById('conversationMessages');
+    if (!messagesContainer) return Promise.resolve(false);
+    const escape = TextUtils.escapeHtml;
+    const urls = call.args.urls || (call.args.url ? [call.args.url] : []);
+
+    const card = document.createElement('div');
+    card.className = 'message assistant-message tool-confirm';
+    card.innerHTML = `
+      <div class="message-content">
+        <p>🛠️ ${escape(call.description)}?</p>
+        ${urls.length > 0 ? `<ul class="tool-confirm-urls">${urls.slice(0, 10).map(url => `<li>${escape(url)}</li>`).join('')}${urls.length > 10 ? `<li>…and ${urls.length - 10} more</li>` : ''}</ul>` : ''}
+        <div class="tool-confirm-actions">
+          <button class="tool-confirm-run">✅ Allow</button>
+          <button class="tool-confirm-cancel">✖ Cancel</button>
+        </div>
+      </div>
+    `;
+    messagesContainer.appendChild(card);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    this.hideTypingIndicator();
+
+    return new Promise(resolve => {
+      let done = false;
+      const finish = (approved) => {
+        if (done) return;
+        done = true;
+        if (signal) signal.removeEventListener('abort', onAbort);
+        card.querySelector('.tool-confirm-actions').innerHTML = `<span class="message-time">${approved ? '✅ Allowed' : '✖ Cancelled'}</span>`;
+        if (approved) this.showTypingIndicator();
+        resolve(approved);
+      };
+      const onAbort = () => finish(false);
+      if (signal) signal.addEventListener('abort', onAbort);
+      card.querySelector('.tool-confirm-run').addEventListener('click', () => finish(true));
+      card.querySelector('.tool-confirm-cancel').addEventListener('click', () => finish(false));
+    });
+  }
+
+  // Show which tool the agent is running in the typing indicator
+  showAgentStep(call) {
+    const tool = this.tools && this.tools.get(call.name);
+    const indicator = document.getElementById('typingIndicator');
+    if (!indicator) return;
+    indicator.style.display = 'block';
+    const label = indicator.querySelector('span');
+    if (label) label.textContent = `🛠️ ${tool ? tool.label : call.name}…`;
+  }
+
   // Generate fallback conversation response
   async generateFallbackConversationResponse(userMessage) {
     const message = userMessage.toLowerCase();
@@ -108,10 +344,9 @@ Provide a helpful, conversational response about their browsing patterns, sugges
   }
 
   // Generate learning patterns response
-  generateLearningPatternsResponse() {
-    const learningSites = this.historyService.getHistoryByDomain('github').length + 
-                         this.historyService.getHistoryByDomain('stackoverflow').length +
-                         this.historyService.getHistoryByDomain('docs').length;
+  async generateLearningPatternsResponse() {
+    const visits = await Promise.all(['github', 'stackoverflow', 'docs'].map(domain => this.historyService.getHistoryByDomain(domain)));
+    const learningSites = visits.reduce((total, items) => total + items.length, 0);
     
     if (learningSites > 0) {
       return `I can see you've been actively learning! You've visited ${learningSites} educational/technical sites recently. This suggests you're in a learning phase, possibly working on a project or skill development. What specific topic are you exploring?`;
@@ -188,6 +423,8 @@ While I can't provide AI-powered insights right now, I can help you understand y
           </div>
         </div>
 
+        ${this.threadStore ? `<div id="conversationThreads">${this.renderThreadBar()}</div>` : ''}
+
         <div class="conversation-messages" id="conversationMessages">
           ${this.renderConversationHistory()}
         </div>
@@ -196,8 +433,10 @@ While I can't provide AI-powered insights right now, I can help you understand y
           <div class="input-group">
             <input type="text" id="conversationInput" placeholder="Ask me about your browsing patterns..." />
             <button id="captureScreenshotBtn" class="screenshot-btn" title="Capture current tab screenshot">📸</button>
-            <button id="deleteChatsBtn" title="Delete all chats" class="btn-secondary" style="background:#ef4444; color:#fff;">🗑️</button>
+            ${this.tools ? `<button id="agentModeBtn" class="agent-btn${this.agentMode ? ' active' : ''}" title="Agent mode: let the assistant search history, open tabs and set reminders">🛠️</button>` : ''}
+            <button id="deleteChatsBtn" title="${this.threadStore ? 'Clear this chat' : 'Delete all chats'}" class="btn-secondary" style="background:#ef4444; color:#fff;">🗑️</button>
             <button id="sendMessageBtn">Send</button>
+            <button id="stopResponseBtn" class="stop-btn" title="Stop generating" style="display: none;">⏹️ Stop</button>
           </div>
           <div id="screenshotPreview" class="screenshot-preview" style="display: none;">
             <img id="screenshotImage" />
@@ -223,6 +462,204 @@ While I can't provide AI-powered insights right now, I can help you understand y
 
     conversationContainer.innerHTML = conversationHtml;
     this.attachConversationEventListeners();
+
+    if (this.threadStore) {
+      this.attachThreadEventListeners();
+      if (!this.activeThread) {
+        this.threadStore.getActive()
+          .then(thread => this.showThread(thread))
+          .then(() => this.refreshConversationView())
+          .catch(error => console.warn('Failed to load conversation threads:', error));
+      }
+    }
+  }
+
+  // Current thread name plus thread actions, and the (hidden) thread list
+  renderThreadBar() {
+    const escape = TextUtils.escapeHtml;
+    const thread = this.activeThread;
+    const name = thread ? ConversationThreadStore.getDisplayName(thread) : 'New chat';
+    const link = thread && thread.link
+      ? ` <span class="thread-link">🔗 ${escape(thread.link.title || (thread.link.type === 'cluster' ? 'Cluster' : 'Session'))}</span>`
+      : '';
+
+    return `
+      <div class="thread-bar">
+        <button id="threadListBtn" class="thread-current" title="All chats">📚 ${escape(name)}${link}</button>
+        <button id="newThreadBtn" title="New chat">➕</button>
+        <button id="exportThreadBtn" title="Export chat as Markdown">📝</button>
+      </div>
+      <div id="threadPanel" class="thread-panel" style="display: ${this.threadPanelOpen ? 'block' : 'none'};">
+        <input type="text" id="threadSearchInput" placeholder="Search chats..." />
+        <div id="threadList" class="thread-list"></div>
+      </div>
+    `;
+  }
+
+  // Thread list entries, with the matching text when searching
+  renderThreadList(results) {
+    const escape = TextUtils.escapeHtml;
+    if (results.length === 0) {
+      return '<div class="thread-item-meta">No chats found.</div>';
+    }
+    return results.map(({ thread, snippet }) => `
+      <div class="thread-item${this.activeThread && thread.id === this.activeThread.id ? ' active' : ''}" data-thread-id="${escape(thread.id)}">
+        <div class="thread-item-main">
+          <span class="thread-item-name">${escape(ConversationThreadStore.getDisplayName(thread))}</span>
+          ${thread.link ? `<span class="thread-link">🔗 ${escape(thread.link.title || thread.link.type)}</span>` : ''}
+          <div class="thread-item-meta">${thread.messages.length} messages · ${new Date(thread.updatedAt).toLocaleDateString()}</div>
+          ${snippet ? `<div class="thread-snippet">${escape(snippet)}</div>` : ''}
+        </div>
+        <button class="thread-action" data-action="rename" title="Rename">✏️</button>
+        <button class="thread-action" data-action="delete" title="Delete">🗑️</button>
+      </div>
+    `).join('');
+  }
+
+  // Re-render the thread bar (name changes after the first question)
+  refreshThreadBar() {
+    const threads = document.getElementById('conversationThreads');
+    if (threads) {
+      threads.innerHTML = this.renderThreadBar();
+      this.attachThreadEventListeners();
+    }
+  }
+
+  // Re-render the thread bar and messages after switching threads
+  refreshConversationView() {
+    this.refreshThreadBar();
+    const messagesContainer = document.getElementById('conversationMessages');
+    if (messagesContainer) {
+      messagesContainer.innerHTML = this.renderConversationHistory();
+      messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
+  }
+
+  async updateThreadList() {
+    const list = document.getElementById('threadList');
+    const search = document.getElementById('threadSearchInput');
+    if (!list) return;
+    list.innerHTML = this.renderThreadList(await this.threadStore.search(search ? search.value : ''));
+  }
+
+  // Thread bar and thread list event listeners
+  attachThreadEventListeners() {
+    const panel = document.getElementById('threadPanel');
+    const list = document.getElementById('threadList');
+    const search = document.getElementById('threadSearchInput');
+
+    document.getElementById('threadListBtn')?.addEventListener('click', async () => {
+      this.threadPanelOpen = !this.threadPanelOpen;
+      if (panel) panel.style.display = this.threadPanelOpen ? 'block' : 'none';
+      if (this.threadPanelOpen) await this.updateThreadList();
+    });
+    document.getElementById('newThreadBtn')?.addEventListener('click', () => this.newThread());
+    document.getElementById('exportThreadBtn')?.addEventListener('click', () => this.exportThread());
+    search?.addEventListener('input', () => this.updateThreadList());
+
+    list?.addEventListener('click', async (e) => {
+      const item = e.target.closest('.thread-item');
+      if (!item) return;
+      const id = item.dataset.threadId;
+      const action = e.target.closest('.thread-action')?.dataset.action;
+      if (action === 'rename') {
+        this.startRename(item, id);
+      } else if (action === 'delete') {
+        await this.deleteThread(id);
+      } else if (!e.target.closest('input')) {
+        await this.switchThread(id);
+      }
+    });
+
+    if (this.threadPanelOpen) this.updateThreadList();
+  }
+
+  // Edit a thread name in place; Enter or leaving the field saves, Escape cancels
+  startRename(item, id) {
+    const nameEl = item.querySelector('.thread-item-name');
+    if (!nameEl) return;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = this.threadStore.threads.find(thread => thread.id === id)?.name || '';
+    input.placeholder = nameEl.textContent;
+    nameEl.replaceWith(input);
+    input.focus();
+
+    let done = false;
+    const finish = async (save) => {
+      if (done) return;
+      done = true;
+      if (save) await this.threadStore.rename(id, input.value);
+      this.refreshConversationView();
+    };
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') finish(true);
+      if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+  }
+
+  // Threads can't change while a reply is being written into the current one
+  async switchThread(id) {
+    if (this.isTyping) return;
+    const thread = await this.threadStore.setActive(id);
+    if (!thread) return;
+    await this.showThread(thread);
+    this.threadPanelOpen = false;
+    this.refreshConversationView();
+  }
+
+  async newThread(link = null) {
+    if (this.isTyping) return;
+    await this.showThread(await this.threadStore.create('', link));
+    this.threadPanelOpen = false;
+    this.refreshConversationView();
+    document.getElementById('conversationInput')?.focus();
+  }
+
+  async deleteThread(id) {
+    if (this.isTyping) return;
+    const thread = await this.threadStore.get(id);
+    if (!thread) return;
+    if (thread.messages.length > 0 && !confirm(`Delete the chat "${ConversationThreadStore.getDisplayName(thread)}"?`)) return;
+
+    if (this.memory) await this.memory.discard(ConversationMemory.storageKeyFor(id));
+    await this.threadStore.remove(id);
+    if (this.activeThread && this.activeThread.id === id) {
+      await this.showThread(await this.threadStore.getActive());
+    }
+    this.refreshConversationView();
+  }
+
+  // Download the active thread as Markdown
+  exportThread() {
+    const exporter = window.chromeMnemonic?.reportGenerator;
+    if (!this.activeThread || !exporter) return;
+    exporter.download(ConversationThreadStore.toMarkdown(this.activeThread),
+      ReportGenerator.filename(ConversationThreadStore.getDisplayName(this.activeThread), 'md'), 'text/markdown');
+  }
+
+  /**
+   * Open the chat thread for a research session or cluster, creating it on first use
+   * @param {Object} link - { type: 'session'|'cluster', id, title, pages: [{ title, url }] }
+   */
+  async openLinkedThread(link) {
+    if (!this.threadStore || this.isTyping) return;
+    const pages = (link.pages || []).slice(0, 30).map(page => ({ title: page.title || 'Untitled', url: page.url }));
+    await this.showThread(await this.threadStore.openForLink({ ...link, pages }));
+    this.threadPanelOpen = false;
+
+    const conversationContainer = document.getElementById('conversationInterface');
+    if (conversationContainer) {
+      conversationContainer.style.display = 'block';
+      if (document.getElementById('conversationThreads')) {
+        this.refreshConversationView();
+      } else {
+        this.displayConversationInterface();
+      }
+      conversationContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+    document.getElementById('conversationInput')?.focus();
   }
 
   // Render conversation history
@@ -243,7 +680,7 @@ While I can't provide AI-powered insights right now, I can help you understand y
     return this.conversationHistory.map(msg => `
       <div class="message ${msg.type}-message">
         <div class="message-content">
-          <p>${msg.message}</p>
+          ${ConversationFeature.messageBodyHtml(msg.message, msg.sources)}
           <span class="message-time">${new Date(msg.timestamp).toLocaleTimeString()}</span>
         </div>
       </div>
@@ -254,7 +691,8 @@ While I can't provide AI-powered insights right now, I can help you understand y
   async clearConversationHistory() {
     try {
       this.conversationHistory = [];
-      await chrome.storage.local.set({ conversationHistory: this.conversationHistory });
+      await this.saveConversation();
+      if (this.memory) await this.memory.reset();
       const messagesContainer = document.getElementById('conversationMessages');
       if (messagesContainer) {
         messagesContainer.innerHTML = this.renderConversationHistory();
@@ -268,6 +706,7 @@ While I can't provide AI-powered insights right now, I can help you understand y
   attachConversationEventListeners() {
     const input = document.getElementById('conversationInput');
     const sendBtn = document.getElementById('sendMessageBtn');
+    const stopBtn = document.getElementById('stopResponseBtn');
     const captureBtn = document.getElementById('captureScreenshotBtn');
     const deleteBtn = document.getElementById('deleteChatsBtn');
     const removeScreenshotBtn = document.getElementById('removeScreenshotBtn');
@@ -278,6 +717,23 @@ While I can't provide AI-powered insights right now, I can help you understand y
       sendBtn.addEventListener('click', () => this.sendConversationMessage());
     }
 
+    // Stop the reply being generated
+    if (stopBtn) {
+      stopBtn.addEventListener('click', () => this.stopResponse());
+    }
+
+    // Toggle agent mode (tool calls with confirmation)
+    const agentBtn = document.getElementById('agentModeBtn');
+    if (agentBtn) {
+      agentBtn.addEventListener('click', () => {
+        this.agentMode = !this.agentMode;
+        agentBtn.classList.toggle('active', this.agentMode);
+        if (input) {
+          input.placeholder = this.agentMode ? 'Ask me to find, reopen or remind you of pages...' : 'Ask me about your browsing patterns...';
+        }
+      });
+    }
+
     // Capture screenshot
     if (captureBtn) {
       captureBtn.addEventListener('click', () => this.captureCurrentTab());
@@ -332,7 +788,7 @@ While I can't provide AI-powered insights right now, I can help you understand y
     if (!input) return;
 
     const message = input.value.trim();
-    if (!message) return;
+    if (!message || this.isTyping) return;
 
     // Clear input
     input.value = '';
@@ -348,39 +804,110 @@ While I can't provide AI-powered insights right now, I can help you understand y
       this.removeScreenshot();
     }
 
-    // Show typing indicator
+    // Show typing indicator until the first tokens arrive
     this.showTypingIndicator();
+    const controller = new AbortController();
+    this.setGenerating(controller);
+
+    // Render the reply as it streams in; citations link up once it is complete
+    let reply = null;
+    let sources = [];
+    const onText = (text) => {
+      if (!reply) {
+        this.hideTypingIndicator();
+        reply = this.addMessageToConversation('assistant', '');
+      }
+      this.updateConversationMessage(reply, text);
+    };
 
     try {
       // Generate response with multimodal support
-      const response = screenshot
-        ? await this.generateMultimodalResponse(message, screenshot)
-        : await this.generateConversationResponse(message);
-
-      // Store in history
-      this.conversationHistory.push({
-        type: 'assistant',
-        message: response,
-        timestamp: Date.now()
-      });
+      const options = { onText, onSources: (found) => { sources = found; }, signal: controller.signal };
+      let response;
+      if (screenshot) {
+        response = await this.generateMultimodalResponse(message, screenshot, options);
+      } else if (this.agentMode && this.tools) {
+        response = await this.generateAgentResponse(message, { signal: controller.signal, onStep: (call) => this.showAgentStep(call) });
+      } else {
+        response = await this.generateConversationResponse(message, options);
+      }
 
-      await chrome.storage.local.set({ conversationHistory: this.conversationHistory });
+      if (controller.signal.aborted) {
+        response = response ? `${response} ⏹️` : '⏹️ Stopped.';
+      }
 
       // Hide typing indicator
       this.hideTypingIndicator();
 
-      // Add assistant response
-      this.addMessageToConversation('assistant', response);
+      // Add assistant response (already in history when it was streamed)
+      if (reply) {
+        this.updateConversationMessage(reply, response, sources);
+      } else {
+        this.addMessageToConversation('assistant', response, null, sources);
+      }
+
+      await this.saveConversation();
+      if (this.threadStore) this.refreshThreadBar();
 
     } catch (error) {
       console.warn('Conversation error:', error);
       this.hideTypingIndicator();
       this.addMessageToConversation('assistant', 'I apologize, but I encountered an error. Please try again.');
+    } finally {
+      this.setGenerating(null);
+    }
+  }
+
+  // Abort the reply being generated, keeping what has streamed so far
+  stopResponse() {
+    if (this.activeController) {
+      this.activeController.abort();
     }
   }
 
-  // Add message to conversation display
-  addMessageToConversation(type, message, screenshot = null) {
+  // Swap Send for Stop while a reply is being generated
+  setGenerating(controller) {
+    this.activeController = controller;
+    this.isTyping = !!controller;
+    const sendBtn = document.getElementById('sendMessageBtn');
+    const stopBtn = document.getElementById('stopResponseBtn');
+    if (sendBtn) sendBtn.style.display = controller ? 'none' : '';
+    if (stopBtn) stopBtn.style.display = controller ? '' : 'none';
+    // Agent steps replace the indicator text while they run
+    const indicatorLabel = document.querySelector('#typingIndicator span');
+    if (indicatorLabel) indicatorLabel.textContent = 'Chrome Mnemonic is typing...';
+  }
+
+  /**
+   * Message HTML with numbered citations linked to their pages
+   * @param {string} message - Message text ([n] marks a citation)
+   * @param {Object[]} sources - [{ index, title, url }] the answer was grounded in
+   * @returns {string} - Paragraph plus a source list when there are sources
+   */
+  static messageBodyHtml(message, sources) {
+    if (!Array.isArray(sources) || sources.length === 0) return `<p>${message}</p>`;
+    const escape = TextUtils.escapeHtml;
+    const byIndex = new Map(sources.map(source => [source.index, source]));
+    const cited = new Set();
+    const text = escape(message).replace(/\[(\d+)\]/g, (match, number) => {
+      const source = byIndex.get(Number(number));
+      if (!source) return match;
+      cited.add(source.index);
+      return `<a class="citation" href="${escape(source.url)}" target="_blank" rel="noopener" title="${escape(source.title)}">[${source.index}]</a>`;
+    });
+    const listed = cited.size > 0 ? sources.filter(source => cited.has(source.index)) : sources;
+
+    return `<p class="cited-answer">${text}</p>
+      <div class="message-sources">
+        <div class="message-sources-title">${cited.size > 0 ? 'Sources' : 'Related pages'}</div>
+        <ol>
+          ${listed.map(source => `<li value="${source.index}"><a href="${escape(source.url)}" target="_blank" rel="noopener">${escape(source.title)}</a> <span class="source-domain">${escape(source.domain || '')}</span></li>`).join('')}
+        </ol>
+      </div>`;
+  }
+
+  // Add message to conversation display; returns { element, entry } for streamed updates
+  addMessageToConversation(type, message, screenshot = null, sources = null) {
     const messagesContainer = document.getElementById('conversationMessages');
     if (!messagesContainer) return;
 
@@ -397,6 +924,9 @@ While I can't provide AI-powered insights right now, I can help you understand y
         tabUrl: screenshot.tabUrl
       };
     }
+    if (Array.isArray(sources) && sources.length > 0) {
+      historyEntry.sources = ConversationFeature.storedSources(sources);
+    }
 
     this.conversationHistory.push(historyEntry);
 
@@ -417,7 +947,7 @@ While I can't provide AI-powered insights right now, I can help you understand y
 
     messageElement.innerHTML = `
       <div class="message-content">
-        <p>${message}</p>
+        ${ConversationFeature.messageBodyHtml(message, historyEntry.sources)}
         ${screenshotHtml}
         <span class="message-time">${new Date().toLocaleTimeString()}</span>
       </div>
@@ -425,6 +955,29 @@ While I can't provide AI-powered insights right now, I can help you understand y
 
     messagesContainer.appendChild(messageElement);
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    return { element: messageElement, entry: historyEntry };
+  }
+
+  // Only what is needed to show citations again from storage
+  static storedSources(sources) {
+    return sources.map(({ index, title, url, domain }) => ({ index, title, url, domain }));
+  }
+
+  // Replace the text of a displayed message as more of it streams in; sources turn [n] into links
+  updateConversationMessage(reply, text, sources = null) {
+    if (!reply) return;
+    reply.entry.message = text;
+    const paragraph = reply.element.querySelector('.message-content p');
+    if (Array.isArray(sources) && sources.length > 0) {
+      reply.entry.sources = ConversationFeature.storedSources(sources);
+      const wrapper = document.createElement('div');
+      wrapper.innerHTML = ConversationFeature.messageBodyHtml(text, reply.entry.sources);
+      if (paragraph) paragraph.replaceWith(...wrapper.childNodes);
+    } else if (paragraph) {
+      paragraph.textContent = text;
+    }
+    const messagesContainer = document.getElementById('conversationMessages');
+    if (messagesContainer) messagesContainer.scrollTop = messagesContainer.scrollHeight;
   }
 
   // Show typing indicator
@@ -498,11 +1051,17 @@ While I can't provide AI-powered insights right now, I can help you understand y
   }
 
   // Enhanced conversation response with multimodal support
-  async generateMultimodalResponse(userMessage, screenshot) {
-    if (!this.aiService.aiAvailable || typeof LanguageModel === 'undefined') {
+  async generateMultimodalResponse(userMessage, screenshot, options = {}) {
+    if (!this.aiService.aiAvailable) {
       return this.generateFallbackMultimodalResponse(userMessage, screenshot);
     }
 
+    const { signal = null } = options;
+    let streamed = '';
+    const onText = options.onText ? (text) => { streamed = text; options.onText(text); } : null;
+    const promptOptions = (extra) => (signal ? { ...extra, outputLanguage: 'en', signal } : { ...extra, outputLanguage: 'en' });
+    const queueOptions = { timeout: 120000, retries: 1, description: 'Conversation reply', signal };
+
     try {
       const recentHistory = this.historyService.getRecentItems(20);
       const historyContext = recentHistory.map(item =>
@@ -544,22 +1103,18 @@ Provide a helpful, conversational response.`;
             { type: 'image', mimeType: 'image/png' }
           ]
         }, async (model) => {
-          return await model.prompt(prompt, {
-            images: [blob],
-            outputLanguage: 'en'
-          });
-        });
+          return await ConversationFeature.promptWithStreaming(model, prompt, promptOptions({ images: [blob] }), onText);
+        }, queueOptions);
       } else {
         // Text-only response
         return await this.aiService.withAISession('LanguageModel', {
           expectedInputs: [{ type: 'text' }]
         }, async (model) => {
-          return await model.prompt(prompt, {
-            outputLanguage: 'en'
-          });
-        });
+          return await ConversationFeature.promptWithStreaming(model, prompt, promptOptions({}), onText);
+        }, queueOptions);
       }
     } catch (error) {
+      if (signal && signal.aborted) return streamed;
       console.warn('Multimodal AI conversation failed:', error);
       return this.generateFallbackMultimodalResponse(userMessage, screenshot);
     }
@@ -1,10 +1,28 @@
 // Proactive Assistant Feature - surfaces contextual content suggestions
 
 class ProactiveAssistantFeature {
-  constructor(aiService, historyService, cacheManager = new CacheManager()) {
+  // Reply shape requested from the model for suggestions
+  static SUGGESTIONS_SCHEMA = {
+    type: 'array',
+    minItems: 1,
+    maxItems: 5,
+    items: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', minLength: 1 },
+        reason: { type: 'string' },
+        action: { type: 'string', description: 'A URL to open, or "sessions"' },
+        priority: { type: 'integer', minimum: 1, maximum: 3 }
+      },
+      required: ['title', 'reason', 'action', 'priority']
+    }
+  };
+
+  constructor(aiService, historyService, cacheManager = new CacheManager(), topicExtractor = null) {
     this.aiService = aiService;
     this.historyService = historyService;
     this.cache = cacheManager;
+    this.topicExtractor = topicExtractor || new TopicExtractor(aiService);
   }
 
   async getSuggestions() {
@@ -19,9 +37,11 @@ class ProactiveAssistantFeature {
         const topDomains = this.historyService.getTopDomains(5).map(d => d.domain);
         const timeNow = new Date();
         const hour = timeNow.getHours();
+        const topics = this.topicExtractor.extractTopics(recent, { limit: 5 });
 
         const context = {
           recentTitles: recent.map(i => i.title).slice(0, 10),
+          recentTopics: topics.map(topic => topic.phrase),
           recentDomains: recent.map(i => { try { return new URL(i.url).hostname.replace('www.',''); } catch { return 'unknown'; } }),
           topDomains,
           hour,
@@ -29,35 +49,35 @@ class ProactiveAssistantFeature {
         };
 
         // If AI available, ask for actionable suggestions
-        if (this.aiService.aiAvailable && typeof Writer !== 'undefined') {
+        if (this.aiService.aiAvailable && typeof this.aiService.promptStructured === 'function') {
           const prompt = `Given the user's recent browsing context below, propose 5 actionable, helpful suggestions.
-Each suggestion should include: title, reason, action (url or type), and priority (1-3).
+Each suggestion should include: title, reason, action (a URL to open, or "sessions"), and priority (1-3).
 
 Context:
 Recent titles: ${context.recentTitles.join('; ')}
+Recurring topics: ${context.recentTopics.join(', ') || 'none'}
 Recent domains: ${context.recentDomains.slice(0,10).join(', ')}
 Top domains: ${context.topDomains.join(', ')}
-Local time hour: ${context.hour}
-
-Return JSON array of {title, reason, action, priority}.`;
+Local time hour: ${context.hour}`;
 
           try {
-            const response = await this.aiService.withAISession('Writer', { expectedInputs: [{ type: 'text' }] }, async (writer) => {
-              return await writer.write(prompt, { outputLanguage: 'en' });
-            }, { timeout: 30000, retries: 1, priority: 'low', description: 'Proactive suggestions' });
-            const parsed = JSON.parse(response);
-            if (Array.isArray(parsed)) return parsed.slice(0, 5);
+            const parsed = await this.aiService.promptStructured(prompt, ProactiveAssistantFeature.SUGGESTIONS_SCHEMA, {
+              priority: 'low',
+              description: 'Proactive suggestions'
+            });
+            return parsed.slice(0, 5);
           } catch (e) {
-            // fall through to heuristic
+            console.warn('AI suggestions unavailable, using heuristics:', e.type || e.message);
           }
         }
 
-        // Heuristic fallback suggestions
+        // Heuristic fallback suggestions (same shape as SUGGESTIONS_SCHEMA)
         const fallback = [];
-        if (topDomains.includes('github.com')) fallback.push({ title: 'Review today’s GitHub activity', reason: 'You visited GitHub recently', action: { type: 'open', url: 'https://github.com/pulls' }, priority: 2 });
-        if (topDomains.includes('youtube.com')) fallback.push({ title: 'Continue your last watched topic', reason: 'You were on YouTube', action: { type: 'open', url: 'https://www.youtube.com/feed/history' }, priority: 3 });
-        if (topDomains.includes('stackoverflow.com')) fallback.push({ title: 'Save helpful StackOverflow answers', reason: 'Capture useful solutions for later', action: { type: 'open', url: 'https://stackoverflow.com/users/saves' }, priority: 2 });
-        fallback.push({ title: 'Revisit last session', reason: 'Pick up where you left off', action: { type: 'open', url: recent[0]?.url || 'about:blank' }, priority: 1 });
+        if (topDomains.includes('github.com')) fallback.push({ title: 'Review today’s GitHub activity', reason: 'You visited GitHub recently', action: 'https://github.com/pulls', priority: 2 });
+        if (topDomains.includes('youtube.com')) fallback.push({ title: 'Continue your last watched topic', reason: 'You were on YouTube', action: 'https://www.youtube.com/feed/history', priority: 3 });
+        if (topics.length > 0) fallback.push({ title: `Continue with ${TopicExtractor.titleCase(topics[0].phrase)}`, reason: `${topics[0].count} of your recent pages are about it`, action: topics[0].urls[0] || recent[0]?.url || 'sessions', priority: 2 });
+        if (topDomains.includes('stackoverflow.com')) fallback.push({ title: 'Save helpful StackOverflow answers', reason: 'Capture useful solutions for later', action: 'https://stackoverflow.com/users/saves', priority: 2 });
+        fallback.push({ title: 'Revisit last session', reason: 'Pick up where you left off', action: recent[0]?.url || 'sessions', priority: 1 });
 
         return fallback.slice(0, 5);
       });
@@ -69,6 +89,21 @@ Return JSON array of {title, reason, action, priority}.`;
     }
   }
 
+  // Run a shown suggestion's action: open its web URL in a new tab, or switch to Sessions
+  openSuggestion(index, switchTab) {
+    const suggestion = (this.lastSuggestions || [])[index];
+    const action = suggestion && suggestion.action;
+    if (typeof action === 'string' && /^https?:\/\//i.test(action)) {
+      window.open(action, '_blank');
+      return true;
+    }
+    if (action === 'sessions') {
+      switchTab('sessions');
+      return true;
+    }
+    return false;
+  }
+
   async displaySuggestions(containerId = 'suggestions-panel') {
     try {
       const container = document.getElementById(containerId);
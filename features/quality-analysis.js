@@ -1,8 +1,9 @@
 // Quality Analysis Feature - Handles content quality scoring and analysis
 class QualityAnalysisFeature {
-  constructor(aiService, historyService) {
+  constructor(aiService, historyService, topicExtractor = null) {
     this.aiService = aiService;
     this.historyService = historyService;
+    this.topicExtractor = topicExtractor || new TopicExtractor(aiService);
     this.proofreaderToken = null;
   }
 
@@ -97,6 +98,7 @@ class QualityAnalysisFeature {
             url: item.url,
             title: item.title,
             quality: quality,
+            topics: this.topicExtractor.extract(item, { limit: 3 }).map(topic => topic.phrase),
             timestamp: item.lastVisitTime
           });
         } catch (error) {
@@ -109,6 +111,7 @@ class QualityAnalysisFeature {
         browsingQualityAnalysis: {
           scores: qualityScores,
           averageScore: this.calculateAverageScore(qualityScores),
+          topics: this.topicExtractor.extractTopics(sampleItems, { limit: 5 }).map(topic => topic.phrase),
           analyzedAt: Date.now()
         }
       });
@@ -178,6 +181,11 @@ class QualityAnalysisFeature {
                 <span class="stat-label">Last Updated</span>
                 <span class="stat-value">${new Date(qualityAnalysis.analyzedAt).toLocaleDateString()}</span>
               </div>
+              ${(qualityAnalysis.topics || []).length > 0 ? `
+              <div class="stat-item">
+                <span class="stat-label">Main Topics</span>
+                <span class="stat-value">${qualityAnalysis.topics.map(topic => TextUtils.escapeHtml(topic)).join(', ')}</span>
+              </div>` : ''}
             </div>
           </div>
 
@@ -463,14 +471,13 @@ class QualityAnalysisFeature {
     const punctuation = (content.match(/[.!?]/g) || []).length;
     if (punctuation > 0) score += 0.05;
 
-    // Keywords indicating quality content
+    // Words indicating quality content, matched as whole words ("learn" but not "unlearnable")
     const qualityKeywords = ['learn', 'guide', 'tutorial', 'documentation', 'article', 'research', 'study'];
-    const lowerContent = content.toLowerCase();
-    if (qualityKeywords.some(kw => lowerContent.includes(kw))) score += 0.1;
+    if (this.topicExtractor.matches(content, qualityKeywords)) score += 0.1;
 
     // Low-quality indicators
     const lowQualityIndicators = ['error', '404', 'not found', 'access denied'];
-    if (lowQualityIndicators.some(ind => lowerContent.includes(ind))) score -= 0.3;
+    if (this.topicExtractor.matches(content, lowQualityIndicators)) score -= 0.3;
 
     // Normalize score
     score = Math.max(0, Math.min(1, score));
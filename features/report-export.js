@@ -0,0 +1,109 @@
+// Report Export Feature - Export panel for session and cluster reports
+class ReportExportFeature {
+  constructor(reportGenerator) {
+    this.reportGenerator = reportGenerator;
+    this.selectedTemplateId = 'standard';
+  }
+
+  /**
+   * Render the export panel in place of the current view
+   * @param {HTMLElement} container - Element to render into
+   * @param {Object} source - { title, notes, pages } or { title, items }
+   * @param {Function} onBack - Restores the previous view
+   */
+  async displayExportPanel(container, source, onBack) {
+    const escape = TextUtils.escapeHtml;
+    const templates = await this.reportGenerator.loadTemplates();
+    if (!templates.some(template => template.id === this.selectedTemplateId)) {
+      this.selectedTemplateId = templates[0].id;
+    }
+
+    container.innerHTML = `
+      <div class="ai-status">📤 Export: ${escape(source.title)}</div>
+      <div style="display:flex;gap:8px;margin:8px 0 12px 0;flex-wrap:wrap;">
+        <button id="reportBackBtn" class="action-btn">⬅️ Back</button>
+      </div>
+      <div class="session-card" style="cursor:default;">
+        <label style="display:block;font-size:13px;color:#495057;">Template
+          <select id="reportTemplateSelect" class="api-key-input" style="margin-top:4px;font-family:inherit;">
+            ${templates.map(template => `<option value="${escape(template.id)}" ${template.id === this.selectedTemplateId ? 'selected' : ''}>${escape(template.name)}</option>`).join('')}
+          </select>
+        </label>
+        <label style="display:flex;align-items:center;gap:6px;font-size:13px;color:#495057;margin-top:8px;">
+          <input type="checkbox" id="reportAiSummaries" checked> AI summaries for pages with captured text
+        </label>
+        <div class="settings-actions">
+          <button id="reportMarkdownBtn" class="btn-primary">⬇️ Markdown</button>
+          <button id="reportHtmlBtn" class="btn-secondary">⬇️ HTML</button>
+          <button id="reportPdfBtn" class="btn-secondary">🖨️ PDF</button>
+          <button id="reportCopyBtn" class="btn-secondary">📋 Copy Markdown</button>
+        </div>
+      </div>
+      <div id="reportPreview" class="session-card" style="cursor:default;display:none;">
+        <div class="session-title">Preview</div>
+        <pre id="reportPreviewText" style="white-space:pre-wrap;font-size:12px;margin:8px 0 0 0;max-height:320px;overflow:auto;"></pre>
+      </div>
+    `;
+
+    let cached = null;
+    const getReport = async () => {
+      const aiSummaries = container.querySelector('#reportAiSummaries').checked;
+      if (!cached || cached.aiSummaries !== aiSummaries) {
+        cached = { aiSummaries, report: await this.reportGenerator.buildReport(source, { aiSummaries }) };
+      }
+      return cached.report;
+    };
+
+    const run = async (button, format) => {
+      const label = button.textContent;
+      button.disabled = true;
+      button.textContent = '⏳ Building...';
+      try {
+        const report = await getReport();
+        const template = await this.reportGenerator.getTemplate(this.selectedTemplateId);
+        const markdown = this.reportGenerator.toMarkdown(report, template);
+        container.querySelector('#reportPreview').style.display = '';
+        container.querySelector('#reportPreviewText').textContent = markdown;
+
+        if (format === 'markdown') {
+          this.reportGenerator.download(markdown, ReportGenerator.filename(report.title, 'md'), 'text/markdown');
+        } else if (format === 'copy') {
+          await navigator.clipboard.writeText(markdown);
+          button.textContent = '✅ Copied';
+          return;
+        } else {
+          const html = this.reportGenerator.toHtml(report, template);
+          if (format === 'html') {
+            this.reportGenerator.download(html, ReportGenerator.filename(report.title, 'html'), 'text/html');
+          } else {
+            this.reportGenerator.printToPdf(html);
+          }
+        }
+        button.textContent = label;
+      } catch (error) {
+        console.warn('Failed to export report:', error);
+        alert('Failed to export report: ' + error.message);
+        button.textContent = label;
+      } finally {
+        button.disabled = false;
+      }
+    };
+
+    container.querySelector('#reportBackBtn')?.addEventListener('click', () => onBack && onBack());
+    container.querySelector('#reportTemplateSelect')?.addEventListener('change', (e) => {
+      this.selectedTemplateId = e.target.value;
+    });
+    [['#reportMarkdownBtn', 'markdown'], ['#reportHtmlBtn', 'html'], ['#reportPdfBtn', 'pdf'], ['#reportCopyBtn', 'copy']]
+      .forEach(([selector, format]) => {
+        const button = container.querySelector(selector);
+        button?.addEventListener('click', () => run(button, format));
+      });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReportExportFeature;
+} else {
+  window.ReportExportFeature = ReportExportFeature;
+}
@@ -0,0 +1,299 @@
+// Research Sessions Feature - Persisted sessions with names, notes, pinning, merge and split
+class ResearchSessionsFeature {
+  constructor(aiService, historyService, sessionStore, qualityAnalysisFeature = null, tabGroupService = null) {
+    this.aiService = aiService;
+    this.historyService = historyService;
+    this.sessionStore = sessionStore;
+    this.qualityAnalysisFeature = qualityAnalysisFeature;
+    this.tabGroupService = tabGroupService;
+    this.showArchived = false;
+    this.maxVisible = 20;
+    this.maxAiTitlesPerView = 5; // AI titles are generated lazily for the sessions on screen
+  }
+
+  // Build time-gap sessions and fold them into the persisted sessions
+  async syncSessions() {
+    if (!Array.isArray(this.historyService.historyData) || this.historyService.historyData.length === 0) {
+      await this.historyService.getHistory();
+    }
+    const built = await this.historyService.getBrowsingSessions();
+    await this.sessionStore.reconcile(built);
+    return this.sessionStore.list({ includeArchived: this.showArchived });
+  }
+
+  // Render the session list into the sessions tab
+  async displaySessions(container) {
+    container.innerHTML = '<div class="loading">Loading sessions...</div>';
+    const sessions = await this.syncSessions();
+    const tabSettings = this.tabGroupService ? await this.tabGroupService.loadSettings() : null;
+    const visible = sessions.slice(0, this.maxVisible);
+
+    const cardsHtml = visible.length > 0
+      ? visible.map(session => this.renderSessionCard(session)).join('')
+      : '<div class="empty-note">No browsing sessions found. Visit some websites to build session data.</div>';
+
+    container.innerHTML = `
+      <div class="ai-status">📊 Research Sessions</div>
+      <div style="display:flex;gap:8px;margin:8px 0 12px 0;align-items:center;flex-wrap:wrap;">
+        <button id="mergeSessionsBtn" class="action-btn" disabled>🔗 Merge selected</button>
+        <label style="font-size:13px;color:#64748b;display:flex;align-items:center;gap:4px;">
+          <input type="checkbox" id="showArchivedSessions" ${this.showArchived ? 'checked' : ''}> Show archived
+        </label>
+        ${tabSettings ? `<label style="font-size:13px;color:#64748b;display:flex;align-items:center;gap:4px;" title="When reopening a session as a tab group">
+          <input type="checkbox" id="skipOpenTabs" ${tabSettings.skipOpenTabs ? 'checked' : ''}> Skip already-open tabs
+        </label>` : ''}
+      </div>
+      <div class="sessions-container">${cardsHtml}</div>
+    `;
+
+    this.attachListEventListeners(container);
+    this.fillAiTitles(visible, container);
+  }
+
+  // Card markup for one session
+  renderSessionCard(session) {
+    const escape = TextUtils.escapeHtml;
+    const duration = Math.round((session.endTime - session.startTime) / (1000 * 60));
+    let quality = { label: 'Good', score: 0.5, stars: '⭐' };
+    if (this.qualityAnalysisFeature && typeof this.qualityAnalysisFeature.getSimpleQualityScore === 'function') {
+      try {
+        quality = this.qualityAnalysisFeature.getSimpleQualityScore(session.pages.map(page => page.title).join(' '));
+      } catch (e) {
+        console.warn('Failed to get quality score:', e);
+      }
+    }
+
+    return `
+      <div class="session-card" data-session-id="${escape(session.id)}" style="${session.archived ? 'opacity:0.6;' : ''}">
+        <div class="session-title">
+          <span style="display:flex;align-items:center;gap:6px;min-width:0;">
+            <input type="checkbox" class="session-select" data-session-id="${escape(session.id)}" title="Select to merge">
+            ${session.pinned ? '<span title="Pinned">📌</span>' : ''}
+            <span class="session-name" style="overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">${escape(SessionStore.getDisplayTitle(session))}</span>
+          </span>
+          <span style="display:flex;align-items:center;gap:4px;flex-shrink:0;">
+            ${this.tabGroupService ? '<button class="session-action" data-action="reopen" title="Reopen as tab group" style="border:none;background:none;cursor:pointer;">🗂️</button>' : ''}
+            <button class="session-action" data-action="pin" title="${session.pinned ? 'Unpin' : 'Pin'}" style="border:none;background:none;cursor:pointer;">${session.pinned ? '📍' : '📌'}</button>
+            <button class="session-action" data-action="archive" title="${session.archived ? 'Unarchive' : 'Archive'}" style="border:none;background:none;cursor:pointer;">${session.archived ? '📤' : '🗄️'}</button>
+            <span class="quality-badge" title="${quality.label} - Score: ${quality.score}">${quality.stars}</span>
+          </span>
+        </div>
+        <div class="session-summary">${session.pages.length} pages • ${duration} minutes</div>
+        ${session.notes ? `<div class="session-summary">📝 ${escape(session.notes.length > 120 ? session.notes.substring(0, 120) + '…' : session.notes)}</div>` : ''}
+        <div class="session-meta">${new Date(session.startTime).toLocaleString()}</div>
+      </div>
+    `;
+  }
+
+  // Wire list-level controls and card clicks
+  attachListEventListeners(container) {
+    const mergeBtn = container.querySelector('#mergeSessionsBtn');
+    const selected = () => [...container.querySelectorAll('.session-select:checked')].map(box => box.dataset.sessionId);
+
+    container.querySelectorAll('.session-select').forEach(box => {
+      box.addEventListener('click', (e) => e.stopPropagation());
+      box.addEventListener('change', () => {
+        if (mergeBtn) mergeBtn.disabled = selected().length < 2;
+      });
+    });
+
+    mergeBtn?.addEventListener('click', async () => {
+      try {
+        await this.sessionStore.merge(selected());
+        await this.displaySessions(container);
+      } catch (error) {
+        console.warn('Failed to merge sessions:', error);
+        alert('Failed to merge sessions: ' + error.message);
+      }
+    });
+
+    container.querySelector('#showArchivedSessions')?.addEventListener('change', async (e) => {
+      this.showArchived = e.target.checked;
+      await this.displaySessions(container);
+    });
+
+    container.querySelector('#skipOpenTabs')?.addEventListener('change', async (e) => {
+      await this.tabGroupService.saveSettings({ skipOpenTabs: e.target.checked });
+    });
+
+    container.querySelectorAll('.session-card[data-session-id]').forEach(card => {
+      const id = card.dataset.sessionId;
+      card.querySelectorAll('.session-action').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+          e.stopPropagation();
+          const session = await this.sessionStore.get(id);
+          if (!session) return;
+          if (btn.dataset.action === 'reopen') {
+            await this.reopenAsTabGroup(session);
+            return;
+          }
+          const changes = btn.dataset.action === 'pin' ? { pinned: !session.pinned } : { archived: !session.archived };
+          await this.sessionStore.update(id, changes);
+          await this.displaySessions(container);
+        });
+      });
+      card.addEventListener('click', (e) => {
+        if (e.target.tagName === 'A' || e.target.closest('a')) return;
+        this.displaySessionEditor(container, id);
+      });
+    });
+  }
+
+  // Open the session's pages in a tab group named after it
+  async reopenAsTabGroup(session) {
+    if (!this.tabGroupService) return null;
+    return this.tabGroupService.reopenWithConfirmation(SessionStore.getDisplayTitle(session), session.pages);
+  }
+
+  // Generate and cache AI titles for visible sessions, updating cards as they arrive
+  async fillAiTitles(sessions, container) {
+    if (!this.aiService || !this.aiService.aiAvailable) return;
+    const pending = sessions.filter(session => SessionStore.needsAiTitle(session)).slice(0, this.maxAiTitlesPerView);
+
+    for (const session of pending) {
+      const title = await this.generateAiTitle(session);
+      if (!title) continue;
+      await this.sessionStore.setAiTitle(session.id, title);
+      if (!session.name) {
+        const card = [...container.querySelectorAll('.session-card[data-session-id]')]
+          .find(el => el.dataset.sessionId === session.id);
+        const nameEl = card && card.querySelector('.session-name');
+        if (nameEl) nameEl.textContent = title;
+      }
+    }
+  }
+
+  // Ask the language model for a short session title
+  async generateAiTitle(session) {
+    const pageList = session.pages.slice(0, 15).map(page => {
+      const host = (() => { try { return new URL(page.url).hostname.replace('www.', ''); } catch { return ''; } })();
+      return `- ${page.title} (${host})`;
+    }).join('\n');
+
+    const prompt = `Give a short title (3-6 words) describing what the user was researching in this browsing session. Reply with the title only.
+
+Pages:
+${pageList}`;
+
+    try {
+      const response = await this.aiService.withAISession('LanguageModel', {
+        expectedInputs: [{ type: 'text' }]
+      }, async (model) => {
+        return await model.prompt(prompt, {
+          outputLanguage: 'en'
+        });
+      });
+      return ResearchSessionsFeature.cleanTitle(response);
+    } catch (error) {
+      console.warn('AI session title failed:', error);
+      return '';
+    }
+  }
+
+  // First line of a model reply without quotes or markdown, capped in length
+  static cleanTitle(response) {
+    if (!response || typeof response !== 'string') return '';
+    const line = response.split('\n').map(l => l.trim()).find(Boolean) || '';
+    const strip = text => text.replace(/^[#*"'`\s]+|[#*"'`.\s]+$/g, '');
+    return strip(strip(line).replace(/^title:\s*/i, '')).substring(0, 80);
+  }
+
+  // Edit name/notes and split a session
+  async displaySessionEditor(container, id) {
+    const session = await this.sessionStore.get(id);
+    if (!session) return;
+    const escape = TextUtils.escapeHtml;
+
+    const pagesHtml = session.pages.map((page, index) => `
+      ${index > 0 ? `<li style="list-style:none;margin:2px 0;"><button class="action-btn session-split" data-index="${index}" style="font-size:11px;padding:2px 8px;">✂️ Split here</button></li>` : ''}
+      <li style="margin:4px 0;">
+        <a href="${escape(page.url)}" target="_blank" rel="noopener noreferrer">${escape(page.title || page.url)}</a>
+        <span class="session-meta" style="margin-left:6px;">${new Date(page.visitTime).toLocaleTimeString()}</span>
+      </li>`).join('');
+
+    container.innerHTML = `
+      <div class="ai-status">✏️ ${escape(SessionStore.getDisplayTitle(session))}</div>
+      <div style="display:flex;gap:8px;margin:8px 0 12px 0;flex-wrap:wrap;">
+        <button id="sessionBackBtn" class="action-btn">⬅️ Back</button>
+        <button id="sessionOpenPagesBtn" class="action-btn">📄 Pages</button>
+        ${this.tabGroupService ? '<button id="sessionReopenBtn" class="action-btn">🗂️ Reopen as tab group</button>' : ''}
+        <button id="sessionExportBtn" class="action-btn">📤 Export report</button>
+        ${window.chromeMnemonic?.conversationFeature ? '<button id="sessionChatBtn" class="action-btn">💬 Chat about this</button>' : ''}
+        <button id="sessionDeleteBtn" class="action-btn">🗑️ Forget session</button>
+      </div>
+      <div class="session-card" style="cursor:default;">
+        <label style="display:block;font-size:13px;color:#495057;">Name
+          <input type="text" id="sessionNameInput" class="api-key-input" style="margin-top:4px;font-family:inherit;"
+                 value="${escape(session.name)}" placeholder="${escape(session.aiTitle || SessionStore.fallbackTitle(session))}">
+        </label>
+        <label style="display:block;font-size:13px;color:#495057;margin-top:8px;">Notes
+          <textarea id="sessionNotesInput" class="api-key-input" rows="4" style="margin-top:4px;font-family:inherit;">${escape(session.notes)}</textarea>
+        </label>
+        <div class="settings-actions">
+          <button id="sessionSaveBtn" class="btn-primary">Save</button>
+        </div>
+      </div>
+      <div class="session-card" style="cursor:default;">
+        <div class="session-title">Pages in order visited</div>
+        <ol style="padding-left:18px;margin:0;font-size:13px;">${pagesHtml}</ol>
+      </div>
+    `;
+
+    container.querySelector('#sessionBackBtn')?.addEventListener('click', () => this.displaySessions(container));
+    container.querySelector('#sessionOpenPagesBtn')?.addEventListener('click', () => {
+      if (window.chromeMnemonic) {
+        window.chromeMnemonic.showDetailsModal(SessionStore.getDisplayTitle(session),
+          `${session.pages.length} pages • ${new Date(session.startTime).toLocaleString()}`,
+          session.pages.map(page => ({ url: page.url, title: page.title, lastVisitTime: page.visitTime })));
+      }
+    });
+    container.querySelector('#sessionReopenBtn')?.addEventListener('click', () => this.reopenAsTabGroup(session));
+    container.querySelector('#sessionExportBtn')?.addEventListener('click', () => {
+      const exporter = window.chromeMnemonic?.reportExportFeature;
+      if (!exporter) return;
+      exporter.displayExportPanel(container, {
+        title: SessionStore.getDisplayTitle(session),
+        notes: session.notes,
+        pages: session.pages
+      }, () => this.displaySessionEditor(container, id));
+    });
+    container.querySelector('#sessionChatBtn')?.addEventListener('click', () => {
+      window.chromeMnemonic?.conversationFeature?.openLinkedThread({
+        type: 'session',
+        id: session.id,
+        title: SessionStore.getDisplayTitle(session),
+        pages: session.pages
+      });
+    });
+    container.querySelector('#sessionSaveBtn')?.addEventListener('click', async () => {
+      await this.sessionStore.update(id, {
+        name: container.querySelector('#sessionNameInput').value.trim(),
+        notes: container.querySelector('#sessionNotesInput').value.trim()
+      });
+      await this.displaySessions(container);
+    });
+    container.querySelector('#sessionDeleteBtn')?.addEventListener('click', async () => {
+      if (!confirm('Forget this session? Your browsing history is not affected.')) return;
+      await this.sessionStore.remove(id);
+      await this.displaySessions(container);
+    });
+    container.querySelectorAll('.session-split').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        try {
+          const [first] = await this.sessionStore.split(id, Number(btn.dataset.index));
+          await this.displaySessionEditor(container, first.id);
+        } catch (error) {
+          console.warn('Failed to split session:', error);
+          alert('Failed to split session: ' + error.message);
+        }
+      });
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ResearchSessionsFeature;
+} else {
+  window.ResearchSessionsFeature = ResearchSessionsFeature;
+}
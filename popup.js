@@ -20,6 +20,7 @@ class ChromeMnemonic {
 
     this.historyService = new HistoryService();
     this.searchService = new SearchService(this.aiService, this.historyService);
+    this.semanticSearchService = new SemanticSearchService(this.aiService, this.historyService);
     
     // Initialize responsive design
     this.initializeResponsiveDesign();
@@ -28,11 +29,24 @@ class ChromeMnemonic {
     this.tabDebounceTimer = null;
     
     // Initialize features
-    this.clusteringFeature = new ClusteringFeature(this.aiService, this.historyService);
-    this.conversationFeature = new ConversationFeature(this.aiService, this.historyService);
-    this.qualityAnalysisFeature = new QualityAnalysisFeature(this.aiService, this.historyService);
-    this.proactiveAssistantFeature = new ProactiveAssistantFeature(this.aiService, this.historyService, this.cacheManager);
+    this.clusterStore = new ClusterStore();
+    this.incrementalClusterer = new IncrementalClusterer();
+    this.topicExtractor = new TopicExtractor(this.aiService);
+    this.clusteringFeature = new ClusteringFeature(this.aiService, this.historyService, this.clusterStore, this.incrementalClusterer, this.topicExtractor);
+    this.sessionStore = new SessionStore();
+    this.tabGroupService = new TabGroupService();
+    this.conversationRetriever = new ConversationRetriever(this.historyService, this.semanticSearchService);
+    this.conversationMemory = new ConversationMemory(this.aiService);
+    this.conversationThreadStore = new ConversationThreadStore();
+    this.conversationTools = new ConversationTools(this.aiService, this.historyService, this.conversationRetriever, this.sessionStore, this.tabGroupService);
+    this.conversationFeature = new ConversationFeature(this.aiService, this.historyService, this.conversationRetriever, this.conversationMemory, this.conversationThreadStore, this.conversationTools);
+    this.qualityAnalysisFeature = new QualityAnalysisFeature(this.aiService, this.historyService, this.topicExtractor);
+    this.proactiveAssistantFeature = new ProactiveAssistantFeature(this.aiService, this.historyService, this.cacheManager, this.topicExtractor);
     this.multimodalAnalyzer = new MultimodalAnalyzer(this.aiService, this.historyService, this.cacheManager);
+    this.contextActionsFeature = new ContextActionsFeature(this.aiService, this.historyService, this.semanticSearchService);
+    this.reportGenerator = new ReportGenerator(this.aiService, this.historyService);
+    this.reportExportFeature = new ReportExportFeature(this.reportGenerator);
+    this.researchSessionsFeature = new ResearchSessionsFeature(this.aiService, this.historyService, this.sessionStore, this.qualityAnalysisFeature, this.tabGroupService);
     
     // Make loading manager globally accessible
     window.loadingManager = this.loadingManager;
@@ -466,6 +480,17 @@ class ChromeMnemonic {
       
       progress.complete();
       console.log('Chrome Mnemonic initialized successfully');
+
+      // Show results for right-click actions (the side panel opens before it has initialized)
+      this.contextActionsFeature.watchPendingActions();
+
+      // Run a search passed from the omnibox ("mn <query>" + Enter opens popup.html?q=...)
+      const omniboxQuery = new URLSearchParams(window.location.search).get('q');
+      if (omniboxQuery) {
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput) searchInput.value = omniboxQuery;
+        this.handleSearch(omniboxQuery);
+      }
     } catch (error) {
       console.error('Chrome Mnemonic initialization error:', error);
       this.showError(`Failed to initialize Chrome Mnemonic: ${error.message}`);
@@ -655,7 +680,7 @@ class ChromeMnemonic {
       } else if (this.hybridAIService) {
         try {
           const config = this.hybridAIService.getConfiguration();
-          providerStatus = config.activeProvider === 'Gemini' ? '🌐 Cloud (Gemini)' : '💻 On-device (Chrome AI)';
+          providerStatus = this.getProviderStatusLabel(config.activeProvider);
         } catch (e) {
           console.warn('Failed to get hybrid AI config:', e);
           // Use default status
@@ -943,9 +968,20 @@ class ChromeMnemonic {
             <div><strong>Active Provider:</strong> ${config.activeProvider}</div>
             <div><strong>Chrome AI:</strong> ${availability.chrome ? '✅ Available' : '❌ Unavailable'}</div>
             <div><strong>Gemini API:</strong> ${availability.gemini ? '✅ Available' : '❌ Unavailable'}</div>
+            ${this.aiMode !== 'no-ai' ? `<div><strong>OpenAI-compatible:</strong> ${availability.openai ? '✅ Configured' : '❌ Not configured'}</div>` : ''}
           </div>
         </div>
 
+        ${this.aiMode !== 'no-ai' ? this.renderProviderRoutingSection() : ''}
+
+        ${await this.renderPageCaptureSection()}
+
+        ${await this.renderSearchPatternsSection()}
+
+        ${await this.renderSearchAlertsSection()}
+
+        ${await this.renderReportTemplatesSection()}
+
         ${await this.renderAIImpactSection()}
       `;
 
@@ -1091,6 +1127,212 @@ class ChromeMnemonic {
       this.showAIModeModal();
     });
 
+    // Save page capture settings
+    document.getElementById('save-page-capture')?.addEventListener('click', async () => {
+      try {
+        await PageCaptureSettings.save({
+          enabled: document.getElementById('page-capture-enabled')?.checked,
+          mode: document.getElementById('page-capture-mode')?.value,
+          allowDomains: document.getElementById('page-capture-allow')?.value,
+          denyDomains: document.getElementById('page-capture-deny')?.value,
+          maxPageChars: document.getElementById('page-capture-max-chars')?.value,
+          storageBudgetMB: document.getElementById('page-capture-budget')?.value
+        });
+        alert('Page capture settings saved.');
+        await this.displaySettingsTab();
+      } catch (error) {
+        console.warn('Failed to save page capture settings:', error);
+        alert('Failed to save page capture settings: ' + error.message);
+      }
+    });
+
+    // AI providers: presets fill the endpoint fields
+    document.getElementById('openai-preset')?.addEventListener('change', (e) => {
+      const preset = OpenAICompatibleProvider.PRESETS[e.target.value];
+      if (!preset) return;
+      document.getElementById('openai-base-url').value = preset.baseUrl;
+      document.getElementById('openai-model').value = preset.model;
+    });
+
+    const readOpenAISettings = () => ({
+      baseUrl: document.getElementById('openai-base-url')?.value.trim() || '',
+      model: document.getElementById('openai-model')?.value.trim() || '',
+      embeddingModel: document.getElementById('openai-embedding-model')?.value.trim() || '',
+      apiKey: document.getElementById('openai-api-key')?.value.trim() || ''
+    });
+
+    document.getElementById('save-provider-settings')?.addEventListener('click', async () => {
+      try {
+        const routes = {};
+        document.querySelectorAll('.provider-route').forEach(select => {
+          routes[select.dataset.route] = select.value;
+        });
+        await this.hybridAIService.saveProviderSettings({
+          routes,
+          providers: { openai: readOpenAISettings() },
+          remoteEmbeddings: !!document.getElementById('remote-embeddings')?.checked
+        });
+        alert('AI provider settings saved.');
+        await this.displaySettingsTab();
+      } catch (error) {
+        console.warn('Failed to save AI provider settings:', error);
+        alert('Failed to save AI provider settings: ' + error.message);
+      }
+    });
+
+    document.getElementById('test-openai-connection')?.addEventListener('click', async () => {
+      const provider = new OpenAICompatibleProvider().configure(readOpenAISettings());
+      if (!provider.isConfigured()) {
+        alert('Enter a base URL and chat model first');
+        return;
+      }
+      const result = await provider.validate();
+      alert(result.valid ? '✅ ' + result.message : '❌ Connection failed: ' + result.message);
+    });
+
+    // Report templates: load the selected template into the editor
+    const templateSelect = document.getElementById('report-template-select');
+    const fillTemplateEditor = async () => {
+      const template = await this.reportGenerator.getTemplate(templateSelect.value);
+      document.getElementById('report-template-name').value = template.builtIn ? `${template.name} (copy)` : template.name;
+      document.getElementById('report-template-markdown').value = template.markdown;
+      document.getElementById('report-template-html').value = template.html;
+      document.getElementById('delete-report-template').disabled = !!template.builtIn;
+    };
+    templateSelect?.addEventListener('change', fillTemplateEditor);
+    if (templateSelect) fillTemplateEditor();
+
+    document.getElementById('save-report-template')?.addEventListener('click', async () => {
+      try {
+        const template = await this.reportGenerator.getTemplate(templateSelect.value);
+        await this.reportGenerator.saveTemplate({
+          id: template.builtIn ? undefined : template.id,
+          name: document.getElementById('report-template-name')?.value,
+          markdown: document.getElementById('report-template-markdown')?.value,
+          html: document.getElementById('report-template-html')?.value
+        });
+        alert('Report template saved.');
+        await this.displaySettingsTab();
+      } catch (error) {
+        console.warn('Failed to save report template:', error);
+        alert('Failed to save report template: ' + error.message);
+      }
+    });
+
+    document.getElementById('delete-report-template')?.addEventListener('click', async () => {
+      if (!confirm('Delete this report template?')) return;
+      await this.reportGenerator.removeTemplate(templateSelect.value);
+      await this.displaySettingsTab();
+    });
+
+    // Search patterns: load the selected pattern into the editor and preview it against the test URL
+    const patternSelect = document.getElementById('search-pattern-select');
+    const patternFields = ['name', 'domain', 'urlPattern', 'queryParam', 'selector', 'type'];
+    const patternInput = field => document.getElementById(`search-pattern-${field}`);
+    const readPattern = () => {
+      const pattern = { id: patternSelect.value || undefined, enabled: patternInput('enabled').checked };
+      patternFields.forEach(field => { pattern[field] = patternInput(field).value; });
+      return pattern;
+    };
+    const previewPattern = () => {
+      const preview = document.getElementById('search-pattern-preview');
+      const url = patternInput('test-url').value.trim();
+      if (!preview) return;
+      if (!url) {
+        preview.textContent = 'Enter a URL to see what this pattern detects.';
+        return;
+      }
+      const result = SearchPatternRegistry.test(readPattern(), url);
+      if (result.error) preview.textContent = `⚠️ ${result.error}`;
+      else if (!result.domainMatches) preview.textContent = '❌ The URL is not on this domain.';
+      else if (!result.urlMatches) preview.textContent = '❌ The URL does not match the URL pattern.';
+      else if (result.query) preview.textContent = `✅ Detected search: "${result.query}"`;
+      else preview.textContent = patternInput('selector').value.trim()
+        ? '✅ Matches. The query is read from the search box on the page.'
+        : `⚠️ Matches, but the URL has no "${patternInput('queryParam').value.trim()}" parameter.`;
+    };
+    const fillPatternEditor = async () => {
+      const pattern = (await SearchPatternRegistry.load()).find(entry => entry.id === patternSelect.value) ||
+        { name: '', domain: '', urlPattern: '', queryParam: 'q', selector: '', type: 'search', enabled: true };
+      patternFields.forEach(field => { patternInput(field).value = pattern[field] || ''; });
+      patternInput('enabled').checked = pattern.enabled !== false;
+      const deleteButton = document.getElementById('delete-search-pattern');
+      deleteButton.textContent = pattern.builtIn ? 'Reset to Default' : 'Delete Pattern';
+      deleteButton.disabled = !patternSelect.value || (pattern.builtIn && !pattern.modified);
+      previewPattern();
+    };
+    patternSelect?.addEventListener('change', fillPatternEditor);
+    if (patternSelect) fillPatternEditor();
+    [...patternFields, 'test-url'].forEach(field => patternInput(field)?.addEventListener('input', previewPattern));
+
+    document.getElementById('save-search-pattern')?.addEventListener('click', async () => {
+      try {
+        await SearchPatternRegistry.save(readPattern());
+        await this.searchService.initializeSearchPatterns();
+        alert('Search pattern saved.');
+        await this.displaySettingsTab();
+      } catch (error) {
+        console.warn('Failed to save search pattern:', error);
+        alert('Failed to save search pattern: ' + error.message);
+      }
+    });
+
+    document.getElementById('delete-search-pattern')?.addEventListener('click', async () => {
+      const builtIn = SearchPatternRegistry.BUILT_IN.some(pattern => pattern.id === patternSelect.value);
+      if (!confirm(builtIn ? 'Reset this pattern to its default?' : 'Delete this search pattern?')) return;
+      await SearchPatternRegistry.remove(patternSelect.value);
+      await this.searchService.initializeSearchPatterns();
+      await this.displaySettingsTab();
+    });
+
+    document.getElementById('export-search-patterns')?.addEventListener('click', () => this.exportSearchPatterns());
+
+    const importInput = document.getElementById('import-search-patterns-file');
+    document.getElementById('import-search-patterns')?.addEventListener('click', () => importInput?.click());
+    importInput?.addEventListener('change', async () => {
+      const file = importInput.files && importInput.files[0];
+      if (!file) return;
+      try {
+        const { imported, skipped } = await SearchPatternRegistry.importPack(await file.text());
+        await this.searchService.initializeSearchPatterns();
+        alert(`Imported ${imported} search pattern${imported === 1 ? '' : 's'}${skipped ? `, skipped ${skipped} invalid` : ''}.`);
+        await this.displaySettingsTab();
+      } catch (error) {
+        console.warn('Failed to import search patterns:', error);
+        alert('Failed to import search patterns: ' + error.message);
+      }
+    });
+
+    // Similar search alerts: how close an earlier search must be to be shown
+    const thresholdInput = document.getElementById('search-similarity-threshold');
+    thresholdInput?.addEventListener('input', () => {
+      document.getElementById('search-similarity-threshold-value').textContent = `${Math.round(thresholdInput.value * 100)}%`;
+    });
+
+    document.getElementById('save-search-alerts')?.addEventListener('click', async () => {
+      try {
+        await SearchSimilarity.saveSettings({ threshold: thresholdInput?.value });
+        await PageToasts.saveSettings({ theme: document.getElementById('page-toast-theme')?.value });
+        alert('Similar search settings saved.');
+        await this.displaySettingsTab();
+      } catch (error) {
+        console.warn('Failed to save similar search settings:', error);
+        alert('Failed to save similar search settings: ' + error.message);
+      }
+    });
+
+    // Delete captured page content
+    document.getElementById('clear-page-capture')?.addEventListener('click', async () => {
+      if (!confirm('Delete all captured page text? Your history itself is not affected.')) return;
+      try {
+        await this.historyService.historyIndex?.clearContent();
+        await this.displaySettingsTab();
+      } catch (error) {
+        console.warn('Failed to clear captured content:', error);
+        alert('Failed to clear captured content: ' + error.message);
+      }
+    });
+
     // Export AI Impact Report
     document.getElementById('exportAIImpact')?.addEventListener('click', () => {
       this.exportAIImpactReport();
@@ -1106,6 +1348,13 @@ class ChromeMnemonic {
     });
   }
 
+  // Status label for the provider handling prompts
+  getProviderStatusLabel(activeProvider) {
+    if (activeProvider === 'Gemini') return '🌐 Cloud (Gemini)';
+    if (activeProvider === 'Chrome AI') return '💻 On-device (Chrome AI)';
+    return `🔌 ${activeProvider}`;
+  }
+
   // Export AI Impact Report
   exportAIImpactReport() {
     try {
@@ -1124,6 +1373,24 @@ class ChromeMnemonic {
     }
   }
 
+  // Export search patterns as a pack other users can import
+  async exportSearchPatterns() {
+    try {
+      const patterns = await SearchPatternRegistry.load();
+      const pack = SearchPatternRegistry.exportPack(patterns, 'Chrome Mnemonic search patterns');
+      const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `chrome-mnemonic-search-patterns-${Date.now()}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.warn('Failed to export search patterns:', error);
+      alert('Failed to export search patterns. Please try again.');
+    }
+  }
+
   // Display main content (legacy method - clears everything)
   async displayContent() {
     const content = document.getElementById('content');
@@ -1143,7 +1410,7 @@ class ChromeMnemonic {
     }
     
     const config = this.hybridAIService.getConfiguration();
-    const providerStatus = config.activeProvider === 'Gemini' ? '🌐 Cloud (Gemini)' : '💻 On-device (Chrome AI)';
+    const providerStatus = this.getProviderStatusLabel(config.activeProvider);
     
     const aiStatus = this.aiService.aiAvailable ? 
       `<div class="ai-status">✅ Agent: ${providerStatus} • Status: ${this.aiService.aiAvailabilityNote} • Quality Analysis: Enabled • Content Quality Scoring: Enabled • Multilingual Support: Enabled • Intent Classification: Enabled • Temporal Analysis: Enabled • Semantic Embeddings: Enabled • Pattern Analysis: Enabled${memoryStatus}</div>` : 
@@ -1391,14 +1658,9 @@ class ChromeMnemonic {
     // Try to find the suggestion data from the proactive assistant
     if (this.proactiveAssistantFeature && this.proactiveAssistantFeature.lastSuggestions) {
       const idx = parseInt(suggestionId.replace('suggestion-', ''));
-      const suggestion = this.proactiveAssistantFeature.lastSuggestions[idx];
-      
-      if (suggestion && suggestion.action) {
-        if (typeof suggestion.action === 'string' && suggestion.action.startsWith('http')) {
-          window.open(suggestion.action, '_blank');
-        } else if (suggestion.action === 'sessions' || suggestionId === 'last-session') {
-          this.switchTab('sessions');
-        }
+      const opened = this.proactiveAssistantFeature.openSuggestion(idx, (tab) => this.switchTab(tab));
+      if (!opened && suggestionId === 'last-session') {
+        this.switchTab('sessions');
       }
     } else if (suggestionId === 'last-session') {
       // Fallback for last session
@@ -1569,67 +1831,10 @@ class ChromeMnemonic {
     }
 
     sessionsContent.style.display = 'block';
-    sessionsContent.innerHTML = '<div class="loading">Loading sessions...</div>';
 
     try {
-      // Ensure history is loaded
-      if (!Array.isArray(this.historyService.historyData) || this.historyService.historyData.length === 0) {
-        const loadedHistory = await this.historyService.getHistory();
-        // IMPORTANT: Update historyData after loading
-        if (Array.isArray(loadedHistory) && loadedHistory.length > 0) {
-          this.historyService.historyData = loadedHistory;
-        }
-      }
-
-      const sessions = await this.historyService.getBrowsingSessions();
-
-      let sessionsHtml = '';
-
-      if (!sessions || !Array.isArray(sessions) || sessions.length === 0) {
-        sessionsHtml = '<div class="empty-note">No browsing sessions found. Visit some websites to build session data.</div>';
-      } else {
-        sessions.slice(0, 10).forEach((session, index) => {
-          const duration = Math.round(session.duration / (1000 * 60)); // minutes
-
-          // Get quality score for session (only if quality analysis feature exists)
-          let quality = { label: 'Good', score: 0.5, stars: '⭐' };
-          if (this.qualityAnalysisFeature && typeof this.qualityAnalysisFeature.getSimpleQualityScore === 'function') {
-            try {
-              const sessionContent = session.items?.map(item => item.title).join(' ') || '';
-              quality = this.qualityAnalysisFeature.getSimpleQualityScore(sessionContent);
-            } catch (e) {
-              console.warn('Failed to get quality score:', e);
-            }
-          }
-
-          sessionsHtml += `
-            <div class="session-card" data-session-id="${index}">
-              <div class="session-title">
-                Session ${index + 1}
-                <span class="quality-badge" title="${quality.label} - Score: ${quality.score}">
-                  ${quality.stars}
-                </span>
-              </div>
-              <div class="session-summary">${session.count} pages • ${duration} minutes</div>
-              <div class="session-meta">${new Date(session.startTime).toLocaleString()}</div>
-            </div>
-          `;
-        });
-      }
-
-      if (sessionsContent) {
-        sessionsContent.innerHTML = `
-          <div class="ai-status">📊 Smart Sessions Analysis</div>
-          <div class="sessions-container">
-            ${sessionsHtml}
-          </div>
-        `;
-
-        // Add click handlers for session cards
-        setTimeout(() => {
-          this.attachSessionClickHandlers(sessions);
-        }, 100);
-      }
+      // Persisted sessions: stable IDs, names, notes, pin/archive, merge/split
+      await this.researchSessionsFeature.displaySessions(sessionsContent);
     } catch (error) {
       console.warn('Failed to display smart sessions:', error);
       if (sessionsContent) {
@@ -1650,32 +1855,6 @@ class ChromeMnemonic {
     }
   }
 
-  // Attach click handlers to session cards
-  attachSessionClickHandlers(sessions) {
-    const sessionCards = document.querySelectorAll('.session-card[data-session-id]');
-
-    sessionCards.forEach(card => {
-      card.addEventListener('click', (e) => {
-        // Prevent triggering when clicking on links
-        if (e.target.tagName === 'A' || e.target.closest('a')) {
-          return;
-        }
-
-        const sessionId = parseInt(card.dataset.sessionId);
-        const session = sessions[sessionId];
-
-        if (session && session.items) {
-          const duration = Math.round(session.duration / (1000 * 60)); // minutes
-          this.showDetailsModal(
-            `Session ${sessionId + 1}`,
-            `${session.count} pages • ${duration} minutes • ${new Date(session.startTime).toLocaleString()}`,
-            session.items
-          );
-        }
-      });
-    });
-  }
-
   // Display recent history
   async displayRecentHistory() {
     // Hide other content areas
@@ -1904,9 +2083,19 @@ class ChromeMnemonic {
         await this.historyService.getHistory();
       }
 
-      // Fast local search using HistoryService
-      const matches = this.historyService.searchHistory(query).slice(0, 20);
-      const resultsHtml = matches.map(item => {
+      // Rank by meaning (embeddings when available, BM25 otherwise); fall back to substring search
+      let results = [];
+      try {
+        results = await this.semanticSearchService.search(query, { limit: 20 });
+      } catch (error) {
+        console.warn('Semantic search failed, using substring search:', error);
+      }
+      if (results.length === 0) {
+        const indexed = await this.historyService.searchHistory(query, 20);
+        results = indexed.map(item => ({ item, explanation: 'Title or URL contains your search' }));
+      }
+      const matches = results.map(result => result.item);
+      const resultsHtml = results.map(({ item, explanation }) => {
         const domain = (() => { try { return new URL(item.url).hostname; } catch { return 'unknown'; } })();
         const icon = URLUtils.getURLIcon(item.url);
         return `
@@ -1916,6 +2105,7 @@ class ChromeMnemonic {
               <div class="session-title">${item.title || 'Untitled'}</div>
               <div class="session-summary">${domain}</div>
               <div class="session-meta">${new Date(item.lastVisitTime).toLocaleString()}</div>
+              <div class="session-meta" title="Why this matched">💡 ${explanation}</div>
             </div>
           </a>`;
       }).join('');
@@ -2389,6 +2579,242 @@ class ChromeMnemonic {
     `;
   }
 
+  // Render page capture settings section
+  async renderPageCaptureSection() {
+    const settings = await PageCaptureSettings.load();
+    let usage = { count: 0, bytes: 0 };
+    try {
+      if (this.historyService.historyIndex) {
+        usage = await this.historyService.historyIndex.getContentUsage();
+      }
+    } catch {}
+    const usedMB = (usage.bytes / (1024 * 1024)).toFixed(1);
+
+    return `
+      <div class="settings-section">
+        <div class="settings-title">📄 Page Capture</div>
+        <div class="settings-description">
+          Save the readable text of pages you visit so search, clustering and conversations can use page content, not just titles. Text is stored only on this device.
+        </div>
+        <label style="display: flex; align-items: center; gap: 8px; font-size: 14px; margin-bottom: 12px;">
+          <input type="checkbox" id="page-capture-enabled" ${settings.enabled ? 'checked' : ''}>
+          Capture page text
+        </label>
+        <label style="display: block; font-size: 13px; color: #495057;">Capture on
+          <select id="page-capture-mode" class="api-key-input" style="margin-top: 4px; font-family: inherit;">
+            <option value="allowlist" ${settings.mode === 'allowlist' ? 'selected' : ''}>Only the allowed sites below</option>
+            <option value="all" ${settings.mode === 'all' ? 'selected' : ''}>All sites except the blocked sites below</option>
+          </select>
+        </label>
+        <label style="display: block; font-size: 13px; color: #495057; margin-top: 8px;">Allowed sites (one per line)
+          <textarea id="page-capture-allow" class="api-key-input" rows="3" style="margin-top: 4px;" placeholder="developer.mozilla.org">${settings.allowDomains.join('\n')}</textarea>
+        </label>
+        <label style="display: block; font-size: 13px; color: #495057; margin-top: 8px;">Never capture (one per line, always wins)
+          <textarea id="page-capture-deny" class="api-key-input" rows="3" style="margin-top: 4px;">${settings.denyDomains.join('\n')}</textarea>
+        </label>
+        <div style="display: flex; gap: 8px; margin-top: 8px;">
+          <label style="flex: 1; font-size: 13px; color: #495057;">Max characters per page
+            <input type="number" id="page-capture-max-chars" class="api-key-input" min="1000" max="200000" step="1000" value="${settings.maxPageChars}" style="margin-top: 4px;">
+          </label>
+          <label style="flex: 1; font-size: 13px; color: #495057;">Storage budget (MB)
+            <input type="number" id="page-capture-budget" class="api-key-input" min="1" max="1000" value="${settings.storageBudgetMB}" style="margin-top: 4px;">
+          </label>
+        </div>
+        <div style="font-size: 12px; color: #6c757d; margin-top: 8px;">
+          ${usage.count} pages captured · ${usedMB} MB of ${settings.storageBudgetMB} MB used. Oldest pages are removed first when the budget is full.
+        </div>
+        <div class="settings-actions">
+          <button id="save-page-capture" class="btn-primary">Save Capture Settings</button>
+          <button id="clear-page-capture" class="btn-secondary" style="background: #ef4444;">Delete Captured Text</button>
+        </div>
+      </div>
+    `;
+  }
+
+  // Render AI provider routing section
+  renderProviderRoutingSection() {
+    const escape = TextUtils.escapeHtml;
+    const registry = this.hybridAIService.registry;
+    if (!registry) return '';
+    const openai = registry.get('openai').settings;
+    const presets = OpenAICompatibleProvider.PRESETS;
+    const choices = [['auto', 'Auto (provider selected above)'], ...registry.list().map(provider => [provider.id, provider.name])];
+
+    return `
+      <div class="settings-section">
+        <div class="settings-title">🔀 AI Providers</div>
+        <div class="settings-description">
+          Connect any OpenAI-compatible server (OpenAI, or a local Ollama / llama.cpp server) and choose which provider handles each task. Chrome AI is used as the fallback when the chosen provider fails. Local servers must allow requests from this extension (for Ollama, set OLLAMA_ORIGINS=chrome-extension://*).
+        </div>
+        <label style="display: block; font-size: 13px; color: #495057;">Preset
+          <select id="openai-preset" class="api-key-input" style="margin-top: 4px; font-family: inherit;">
+            <option value="">Custom</option>
+            ${Object.entries(presets).map(([id, preset]) => `<option value="${id}" ${preset.baseUrl === openai.baseUrl ? 'selected' : ''}>${escape(preset.label)}</option>`).join('')}
+          </select>
+        </label>
+        <label style="display: block; font-size: 13px; color: #495057; margin-top: 8px;">Base URL
+          <input type="text" id="openai-base-url" class="api-key-input" style="margin-top: 4px;" placeholder="${presets.ollama.baseUrl}" value="${escape(openai.baseUrl)}">
+        </label>
+        <div style="display: flex; gap: 8px; margin-top: 8px;">
+          <label style="flex: 1; font-size: 13px; color: #495057;">Chat model
+            <input type="text" id="openai-model" class="api-key-input" style="margin-top: 4px;" placeholder="${presets.ollama.model}" value="${escape(openai.model)}">
+          </label>
+          <label style="flex: 1; font-size: 13px; color: #495057;">Embedding model (optional)
+            <input type="text" id="openai-embedding-model" class="api-key-input" style="margin-top: 4px;" placeholder="nomic-embed-text" value="${escape(openai.embeddingModel)}">
+          </label>
+        </div>
+        <label style="display: block; font-size: 13px; color: #495057; margin-top: 8px;">API key (leave empty for local servers)
+          <input type="password" id="openai-api-key" class="api-key-input" style="margin-top: 4px;" value="${escape(openai.apiKey)}">
+        </label>
+        <label style="display: flex; align-items: center; gap: 8px; font-size: 13px; color: #495057; margin-top: 8px;">
+          <input type="checkbox" id="remote-embeddings" ${registry.remoteEmbeddings ? 'checked' : ''}>
+          Allow remote embedding models (Gemini, OpenAI)
+        </label>
+        <div style="font-size: 12px; color: #6c757d; margin-top: 4px;">
+          Search by meaning needs an embedding model. A local server (Ollama, llama.cpp on localhost) keeps everything on this computer. A remote model only runs when allowed here, and then receives the titles and captured text of the pages you search, and your searches. Without an embedding model, search matches words and word forms only, so "rust lifetimes" finds pages that mention lifetimes but not a page that only talks about the borrow checker.
+        </div>
+        <div style="font-size: 13px; color: #495057; margin-top: 12px; font-weight: 600;">Use for each task</div>
+        ${AIProviderRegistry.ROUTES.map(route => `
+          <label style="display: flex; align-items: center; justify-content: space-between; gap: 8px; font-size: 13px; color: #495057; margin-top: 6px;">
+            ${route.label}
+            <select class="api-key-input provider-route" data-route="${route.key}" style="width: 55%; font-family: inherit;">
+              ${choices.map(([id, label]) => `<option value="${id}" ${(registry.routes[route.key] || 'auto') === id ? 'selected' : ''}>${escape(label)}</option>`).join('')}
+            </select>
+          </label>`).join('')}
+        <div class="settings-actions">
+          <button id="save-provider-settings" class="btn-primary">Save Providers</button>
+          <button id="test-openai-connection" class="btn-secondary">Test OpenAI-compatible</button>
+        </div>
+      </div>
+    `;
+  }
+
+  // Render search pattern editor section
+  async renderSearchPatternsSection() {
+    const escape = TextUtils.escapeHtml;
+    const patterns = await SearchPatternRegistry.load();
+
+    return `
+      <div class="settings-section">
+        <div class="settings-title">🔎 Search Patterns</div>
+        <div class="settings-description">
+          Sites where your searches are detected. A pattern matches pages on its domain whose URL matches the URL pattern (a regular expression), and reads the search from the query parameter, or from the input matched by the DOM selector for sites that keep searches out of the URL.
+        </div>
+        <label style="display: block; font-size: 13px; color: #495057;">Pattern
+          <select id="search-pattern-select" class="api-key-input" style="margin-top: 4px; font-family: inherit;">
+            ${patterns.map(pattern => `<option value="${escape(pattern.id)}">${escape(pattern.name)} (${escape(pattern.domain)})${pattern.enabled === false ? ' – off' : ''}${pattern.builtIn ? '' : ' – custom'}</option>`).join('')}
+            <option value="">+ New pattern</option>
+          </select>
+        </label>
+        <label style="display: flex; align-items: center; gap: 8px; font-size: 14px; margin-top: 8px;">
+          <input type="checkbox" id="search-pattern-enabled">
+          Detect searches with this pattern
+        </label>
+        <div style="display: flex; gap: 8px; margin-top: 8px;">
+          <label style="flex: 1; font-size: 13px; color: #495057;">Name
+            <input type="text" id="search-pattern-name" class="api-key-input" style="margin-top: 4px; font-family: inherit;">
+          </label>
+          <label style="flex: 1; font-size: 13px; color: #495057;">Domain
+            <input type="text" id="search-pattern-domain" class="api-key-input" style="margin-top: 4px;" placeholder="example.com">
+          </label>
+        </div>
+        <label style="display: block; font-size: 13px; color: #495057; margin-top: 8px;">URL pattern (regular expression; empty matches the whole domain)
+          <input type="text" id="search-pattern-urlPattern" class="api-key-input" style="margin-top: 4px; font-family: monospace;" placeholder="example\.com/search">
+        </label>
+        <div style="display: flex; gap: 8px; margin-top: 8px;">
+          <label style="flex: 1; font-size: 13px; color: #495057;">Query parameter
+            <input type="text" id="search-pattern-queryParam" class="api-key-input" style="margin-top: 4px; font-family: monospace;" placeholder="q">
+          </label>
+          <label style="flex: 1; font-size: 13px; color: #495057;">DOM selector (optional)
+            <input type="text" id="search-pattern-selector" class="api-key-input" style="margin-top: 4px; font-family: monospace;" placeholder="#search-box">
+          </label>
+          <label style="flex: 1; font-size: 13px; color: #495057;">Type
+            <select id="search-pattern-type" class="api-key-input" style="margin-top: 4px; font-family: inherit;">
+              <option value="search">Search engine</option>
+              <option value="ai">AI chat</option>
+            </select>
+          </label>
+        </div>
+        <label style="display: block; font-size: 13px; color: #495057; margin-top: 8px;">Test against this URL
+          <input type="text" id="search-pattern-test-url" class="api-key-input" style="margin-top: 4px;" placeholder="https://example.com/search?q=rust+lifetimes">
+        </label>
+        <div id="search-pattern-preview" style="font-size: 12px; color: #6c757d; margin-top: 8px;"></div>
+        <div class="settings-actions">
+          <button id="save-search-pattern" class="btn-primary">Save Pattern</button>
+          <button id="delete-search-pattern" class="btn-secondary" style="background: #ef4444;">Delete Pattern</button>
+        </div>
+        <div class="settings-actions">
+          <button id="export-search-patterns" class="btn-secondary">Export Patterns</button>
+          <button id="import-search-patterns" class="btn-secondary">Import Patterns</button>
+          <input type="file" id="import-search-patterns-file" accept="application/json,.json" style="display: none;">
+        </div>
+      </div>
+    `;
+  }
+
+  // Render similar search alert settings section
+  async renderSearchAlertsSection() {
+    const { threshold } = await SearchSimilarity.loadSettings();
+    const { theme } = await PageToasts.loadSettings();
+    const themeLabels = { auto: 'Match the page', light: 'Light', dark: 'Dark' };
+
+    return `
+      <div class="settings-section">
+        <div class="settings-title">🔔 Similar Search Alerts</div>
+        <div class="settings-description">
+          When you search for something close to an earlier search, a notification shows the earlier one and why it matched. Searches are compared by their words, word forms and common synonyms, and by meaning when an embedding model is set under AI Providers. Recent searches rank first.
+        </div>
+        <label style="display: block; font-size: 13px; color: #495057;">Minimum similarity: <strong id="search-similarity-threshold-value">${Math.round(threshold * 100)}%</strong>
+          <input type="range" id="search-similarity-threshold" min="0.1" max="0.9" step="0.05" value="${threshold}" style="width: 100%; margin-top: 4px;">
+        </label>
+        <div style="font-size: 12px; color: #6c757d; margin-top: 4px;">
+          Lower shows more, looser matches; higher shows only close ones. Default ${Math.round(SearchSimilarity.DEFAULT_THRESHOLD * 100)}%.
+        </div>
+        <label style="display: block; font-size: 13px; color: #495057; margin-top: 12px;">Notification theme
+          <select id="page-toast-theme" style="width: 100%; margin-top: 4px;">
+            ${PageToasts.THEMES.map(option => `<option value="${option}" ${option === theme ? 'selected' : ''}>${themeLabels[option]}</option>`).join('')}
+          </select>
+        </label>
+        <div class="settings-actions">
+          <button id="save-search-alerts" class="btn-primary">Save Alert Settings</button>
+        </div>
+      </div>
+    `;
+  }
+
+  // Render report template editor section
+  async renderReportTemplatesSection() {
+    const escape = TextUtils.escapeHtml;
+    const templates = await this.reportGenerator.loadTemplates();
+
+    return `
+      <div class="settings-section">
+        <div class="settings-title">📑 Report Templates</div>
+        <div class="settings-description">
+          Layouts for exported session and cluster reports. Use {{title}}, {{summary}}, {{notes}}, {{dateRange}}, {{duration}}, {{pageCount}} and {{generatedAt}}; repeat with {{#pages}}…{{/pages}} (index, title, url, domain, summary), {{#timeline}}…{{/timeline}} (date, entries) and {{#quotes}}…{{/quotes}} (text, title, url). {{^field}}…{{/field}} renders when a field is empty. Saving a built-in template creates a copy.
+        </div>
+        <label style="display: block; font-size: 13px; color: #495057;">Template
+          <select id="report-template-select" class="api-key-input" style="margin-top: 4px; font-family: inherit;">
+            ${templates.map(template => `<option value="${escape(template.id)}">${escape(template.name)}${template.builtIn ? ' (built-in)' : ''}</option>`).join('')}
+          </select>
+        </label>
+        <label style="display: block; font-size: 13px; color: #495057; margin-top: 8px;">Name
+          <input type="text" id="report-template-name" class="api-key-input" style="margin-top: 4px; font-family: inherit;">
+        </label>
+        <label style="display: block; font-size: 13px; color: #495057; margin-top: 8px;">Markdown layout
+          <textarea id="report-template-markdown" class="api-key-input" rows="8" style="margin-top: 4px; font-family: monospace; font-size: 12px;"></textarea>
+        </label>
+        <label style="display: block; font-size: 13px; color: #495057; margin-top: 8px;">HTML / PDF layout (body only)
+          <textarea id="report-template-html" class="api-key-input" rows="8" style="margin-top: 4px; font-family: monospace; font-size: 12px;"></textarea>
+        </label>
+        <div class="settings-actions">
+          <button id="save-report-template" class="btn-primary">Save Template</button>
+          <button id="delete-report-template" class="btn-secondary" style="background: #ef4444;">Delete Template</button>
+        </div>
+      </div>
+    `;
+  }
+
   // Cleanup
   async cleanup() {
     try {
@@ -0,0 +1,905 @@
+// AI Providers - Pluggable backends behind HybridAIService.withAISession()
+// Every provider hands callbacks a session shaped like Chrome's built-in AI objects
+// (prompt, summarize, write, rewrite, proofread, translate), so features work the
+// same on-device, on Gemini or on any OpenAI-compatible server (OpenAI, Ollama, llama.cpp).
+
+// Base class for providers
+class AIProvider {
+  constructor(id, name) {
+    this.id = id;
+    this.name = name;
+    this.remote = true;
+    this.settings = { ...this.defaultSettings };
+  }
+
+  get defaultSettings() {
+    return {};
+  }
+
+  // Apply stored settings over the defaults
+  configure(settings = {}) {
+    this.settings = { ...this.defaultSettings, ...this.settings, ...settings };
+    return this;
+  }
+
+  isConfigured() {
+    return false;
+  }
+
+  supports(apiType) {
+    return AIProviderRegistry.API_TYPES.includes(apiType);
+  }
+
+  canEmbed() {
+    return false;
+  }
+
+  // Whether text sent for embedding stays on this machine
+  get embedsOnDevice() {
+    return !this.remote;
+  }
+
+  // Cache key for vectors produced by this provider
+  get embeddingModelId() {
+    return '';
+  }
+
+  async embed() {
+    throw new Error(`${this.name} does not provide embeddings`);
+  }
+
+  /**
+   * Generate text from a conversation
+   * @param {Object} request - { system, messages: [{ role, parts }], signal, timeout, maxOutputTokens, responseSchema }
+   * @returns {Promise<string>} - Model output
+   */
+  async complete() {
+    throw new Error(`${this.name} does not implement complete()`);
+  }
+
+  /**
+   * Generate text from a conversation as it is produced
+   * @param {Object} request - Same shape as complete()
+   * @returns {AsyncGenerator<string>} - Text deltas
+   */
+  async *stream(request) {
+    yield await this.complete(request);
+  }
+
+  // Context window in tokens, reported as inputQuota by remote sessions
+  get contextTokens() {
+    return 8192;
+  }
+
+  // Run a callback with a session and release it afterwards
+  async withSession(apiType, config, callback, options = {}) {
+    const session = new RemoteAISession(this, apiType, config, options);
+    try {
+      return await callback(session);
+    } finally {
+      session.destroy();
+    }
+  }
+
+  // Long-lived session for multi-turn use; release it with closeSession()
+  async openSession(apiType, config, options = {}) {
+    return new RemoteAISession(this, apiType, config, options);
+  }
+
+  async closeSession(session) {
+    session.destroy();
+  }
+
+  // POST JSON and parse the JSON reply
+  async postJson(url, body, options = {}) {
+    const response = await this.send(url, body, options);
+    return response.json();
+  }
+
+  // POST JSON and yield each server-sent event's JSON payload
+  async *postStream(url, body, options = {}) {
+    const response = await this.send(url, body, options);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        for (const line of lines) {
+          const data = AIProvider.parseEventLine(line);
+          if (data !== null) yield data;
+        }
+      }
+      const data = AIProvider.parseEventLine(buffer + decoder.decode());
+      if (data !== null) yield data;
+    } finally {
+      reader.cancel().catch(() => {});
+    }
+  }
+
+  // JSON payload of an SSE "data:" line, or null for other lines and the [DONE] marker
+  static parseEventLine(line) {
+    const match = /^data:\s*(.*)$/.exec(String(line).trim());
+    if (!match || !match[1] || match[1] === '[DONE]') return null;
+    return JSON.parse(match[1]);
+  }
+
+  // POST JSON with a timeout and an optional caller AbortSignal
+  async send(url, body, options = {}) {
+    const { headers = {}, signal = null, timeout = 30000 } = options;
+    const timeoutSignal = AbortSignal.timeout(timeout);
+    const combined = signal && typeof AbortSignal.any === 'function' ? AbortSignal.any([signal, timeoutSignal]) : (signal || timeoutSignal);
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: combined
+      });
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      throw new Error(`${this.name} network error: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const detail = errorData.error?.message || (typeof errorData.error === 'string' ? errorData.error : '');
+      throw new Error(`${this.name} error: ${detail || `HTTP ${response.status}: ${response.statusText}`}`);
+    }
+    return response;
+  }
+}
+
+// Session facade for remote providers, mirroring the Chrome built-in AI session methods
+class RemoteAISession {
+  constructor(provider, apiType, config = {}, options = {}) {
+    this.provider = provider;
+    this.apiType = apiType;
+    this.config = config || {};
+    this.signal = options.signal || null;
+    this.timeout = options.timeout || 30000;
+    // LanguageModel sessions keep their turns so follow-up prompts have context
+    this.messages = (this.config.initialPrompts || [])
+      .filter(message => message && message.role !== 'system')
+      .map(message => ({ role: message.role === 'assistant' ? 'assistant' : 'user', parts: [{ type: 'text', text: String(message.content || '') }] }));
+    const systemPrompt = (this.config.initialPrompts || []).find(message => message && message.role === 'system');
+    this.systemPrompt = systemPrompt ? String(systemPrompt.content || '') : '';
+  }
+
+  // Rough token count (about four characters per token)
+  static estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+  }
+
+  // Same quota fields as Chrome LanguageModel sessions, estimated for remote models
+  get inputQuota() {
+    return this.provider.contextTokens;
+  }
+
+  get inputUsage() {
+    const text = this.messages.map(message => message.parts.map(part => part.text || '').join(' ')).join(' ');
+    return RemoteAISession.estimateTokens(`${this.systemPrompt} ${text}`);
+  }
+
+  async measureInputUsage(input) {
+    const parts = await RemoteAISession.toParts(input);
+    return RemoteAISession.estimateTokens(parts.map(part => part.text || '').join(' '));
+  }
+
+  // System instruction for the API type this session stands in for
+  instructions(options = {}) {
+    const config = { ...this.config, ...options };
+    const context = config.sharedContext || config.context ? `\nContext: ${[config.sharedContext, config.context].filter(Boolean).join(' ')}` : '';
+    const language = config.outputLanguage ? ` Reply in the language with code "${config.outputLanguage}".` : '';
+
+    switch (this.apiType) {
+      case 'Summarizer': {
+        const shape = config.type === 'key-points' ? 'as a bulleted list of key points' : (config.type === 'headline' ? 'as a single headline' : 'concisely');
+        const length = config.length ? ` Keep it ${config.length}.` : '';
+        return `Summarize the text the user sends ${shape}.${length} Reply with the summary only.${language}${context}`;
+      }
+      case 'Writer':
+        return `Write the text the user asks for${config.tone ? ` in a ${config.tone} tone` : ''}. Reply with the text only.${language}${context}`;
+      case 'Rewriter':
+        return `Rewrite the text the user sends${config.tone ? ` to be ${config.tone}` : ''}${config.style ? ` in a ${config.style} style` : ''}, keeping its meaning. Reply with the rewritten text only.${language}${context}`;
+      case 'Proofreader':
+        return 'Correct spelling, grammar and punctuation in the text the user sends without changing its meaning or style. Reply with the corrected text only.';
+      case 'Translator': {
+        const source = config.sourceLanguage ? `from "${config.sourceLanguage}" ` : '';
+        return `Translate the text the user sends ${source}to the language with code "${config.targetLanguage || 'en'}". Reply with the translation only.`;
+      }
+      default:
+        return [this.systemPrompt, `You are a helpful assistant.${language}`].filter(Boolean).join('\n');
+    }
+  }
+
+  // Provider request for one user turn on top of the kept turns
+  async buildRequest(input, options = {}) {
+    const parts = await RemoteAISession.toParts(input, options);
+    return {
+      system: this.instructions(options),
+      messages: [...this.messages, { role: 'user', parts }],
+      signal: options.signal || this.signal,
+      timeout: this.timeout,
+      maxOutputTokens: options.maxOutputTokens,
+      responseSchema: options.responseConstraint || null
+    };
+  }
+
+  keepTurn(messages, text) {
+    this.messages = [...messages, { role: 'assistant', parts: [{ type: 'text', text }] }];
+  }
+
+  // Native function calling (Gemini, OpenAI-compatible); other sessions use ConversationTools.protocolPrompt
+  get supportsTools() {
+    return this.apiType === 'LanguageModel' && typeof this.provider.completeWithTools === 'function';
+  }
+
+  /**
+   * Send a user turn, or the results of the model's last tool calls, offering tools to call
+   * @param {string|Object} input - Prompt, or { toolResults: [{ id, name, result }] }
+   * @param {Object[]} tools - [{ name, description, parameters }]
+   * @param {Object} options - Prompt options (signal, outputLanguage)
+   * @returns {Promise<Object>} - { text, calls: [{ id, name, args }] }
+   */
+  async promptWithTools(input, tools, options = {}) {
+    const turn = input && Array.isArray(input.toolResults)
+      ? { role: 'tool', parts: input.toolResults.map(result => ({ type: 'functionResponse', id: result.id, name: result.name, response: result.result })) }
+      : { role: 'user', parts: await RemoteAISession.toParts(input, options) };
+    const request = {
+      system: this.instructions(options),
+      messages: [...this.messages, turn],
+      signal: options.signal || this.signal,
+      timeout: this.timeout,
+      maxOutputTokens: options.maxOutputTokens,
+      tools
+    };
+    const reply = await this.provider.completeWithTools(request);
+    this.messages = [...request.messages, {
+      role: 'assistant',
+      parts: [
+        ...(reply.text ? [{ type: 'text', text: reply.text }] : []),
+        ...reply.calls.map(call => ({ type: 'functionCall', id: call.id, name: call.name, args: call.args }))
+      ]
+    }];
+    return reply;
+  }
+
+  // Send one user turn and return the model's reply
+  async request(input, options = {}, keepTurn = false) {
+    const request = await this.buildRequest(input, options);
+    const text = await this.provider.complete(request);
+    if (keepTurn) this.keepTurn(request.messages, text);
+    return text;
+  }
+
+  async prompt(input, options = {}) {
+    return this.request(input, options, true);
+  }
+
+  // Like the Chrome Prompt API: an async iterable of text deltas
+  async *promptStreaming(input, options = {}) {
+    const request = await this.buildRequest(input, options);
+    let text = '';
+    for await (const chunk of this.provider.stream(request)) {
+      text += chunk;
+      yield chunk;
+    }
+    this.keepTurn(request.messages, text);
+  }
+
+  async summarize(text, options = {}) {
+    return this.request(text, options);
+  }
+
+  async write(task, options = {}) {
+    return this.request(task, options);
+  }
+
+  async rewrite(text, options = {}) {
+    return this.request(text, options);
+  }
+
+  // Same result shape as the Chrome Proofreader: { correctedInput, corrections }
+  async proofread(text, options = {}) {
+    const corrected = (await this.request(text, options)).trim();
+    const changed = corrected && corrected !== String(text).trim();
+    return {
+      correctedInput: corrected || text,
+      corrections: changed ? [{ startIndex: 0, endIndex: String(text).length, correction: corrected }] : []
+    };
+  }
+
+  async translate(text, options = {}) {
+    return this.request(text, options);
+  }
+
+  async detectLanguage(text) {
+    const reply = await this.provider.complete({
+      system: 'Identify the language of the text the user sends. Reply with its two-letter ISO 639-1 code only.',
+      messages: [{ role: 'user', parts: [{ type: 'text', text: String(text).substring(0, 1000) }] }],
+      signal: this.signal,
+      timeout: this.timeout,
+      maxOutputTokens: 5
+    });
+    const code = (reply.match(/[a-z]{2}/i) || ['en'])[0].toLowerCase();
+    return { language: code, confidence: 0.8 };
+  }
+
+  destroy() {
+    this.messages = [];
+  }
+
+  /**
+   * Normalize prompt input to message parts
+   * @param {string|Object[]} input - Text, or Chrome-style parts [{ type, data|value }]
+   * @param {Object} options - May carry images (Blob or data URL)
+   * @returns {Promise<Object[]>} - [{ type: 'text', text }] and [{ type: 'image', mimeType, data }]
+   */
+  static async toParts(input, options = {}) {
+    const parts = [];
+    const items = Array.isArray(input) ? input : [{ type: 'text', value: input }];
+    for (const item of items) {
+      if (item == null) continue;
+      if (typeof item === 'string') {
+        parts.push({ type: 'text', text: item });
+        continue;
+      }
+      const value = item.value !== undefined ? item.value : (item.data !== undefined ? item.data : (item.text !== undefined ? item.text : item.content));
+      if (item.type === 'image') {
+        const image = await RemoteAISession.toImagePart(value);
+        if (image) parts.push(image);
+      } else if (value != null) {
+        parts.push({ type: 'text', text: String(value) });
+      }
+    }
+    for (const imageValue of options.images || []) {
+      const image = await RemoteAISession.toImagePart(imageValue);
+      if (image) parts.push(image);
+    }
+    return parts;
+  }
+
+  // Base64 image part from a data URL or Blob; other image sources are skipped
+  static async toImagePart(value) {
+    if (typeof value === 'string') {
+      const match = /^data:([^;,]+);base64,(.*)$/.exec(value);
+      return match ? { type: 'image', mimeType: match[1], data: match[2] } : null;
+    }
+    if (value && typeof value.arrayBuffer === 'function') {
+      const bytes = new Uint8Array(await value.arrayBuffer());
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      }
+      return { type: 'image', mimeType: value.type || 'image/png', data: btoa(binary) };
+    }
+    return null;
+  }
+}
+
+// Google Gemini through the Generative Language API
+class GeminiProvider extends AIProvider {
+  constructor() {
+    super('gemini', 'Gemini API');
+  }
+
+  get defaultSettings() {
+    return {
+      apiKey: '',
+      model: 'gemini-1.5-flash',
+      apiVersion: 'v1beta',
+      embeddingModel: 'text-embedding-004'
+    };
+  }
+
+  isConfigured() {
+    return !!this.settings.apiKey;
+  }
+
+  canEmbed() {
+    return this.isConfigured();
+  }
+
+  get embeddingModelId() {
+    return this.settings.embeddingModel;
+  }
+
+  // Gemini models accept far more, but every turn is resent on each request
+  get contextTokens() {
+    return 32768;
+  }
+
+  modelUrl(model, method, apiVersion = this.settings.apiVersion) {
+    return `https://generativelanguage.googleapis.com/${apiVersion}/models/${model}:${method}`;
+  }
+
+  // Gemini has no system role on every API version, so instructions lead the first user turn
+  static toContents(system, messages) {
+    return messages.map((message, index) => {
+      const parts = message.parts.map(part => {
+        if (part.type === 'image') return { inline_data: { mime_type: part.mimeType, data: part.data } };
+        if (part.type === 'functionCall') return { functionCall: { name: part.name, args: part.args || {} } };
+        if (part.type === 'functionResponse') return { functionResponse: { name: part.name, response: { result: part.response } } };
+        return { text: part.text };
+      });
+      if (index === 0 && system) parts.unshift({ text: system });
+      return { role: message.role === 'assistant' ? 'model' : 'user', parts };
+    });
+  }
+
+  /**
+   * Convert a JSON schema to the OpenAPI subset accepted by Gemini's responseSchema
+   * @param {Object} schema - JSON schema
+   * @returns {Object} - Gemini schema (unsupported keywords dropped)
+   */
+  static toResponseSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+    const converted = {};
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const type = types.find(t => t && t !== 'null');
+    if (type) converted.type = type.toUpperCase();
+    if (types.includes('null')) converted.nullable = true;
+    ['description', 'enum', 'required', 'minItems', 'maxItems', 'format'].forEach(key => {
+      if (schema[key] !== undefined) converted[key] = schema[key];
+    });
+    if (schema.items) converted.items = GeminiProvider.toResponseSchema(schema.items);
+    if (schema.properties) {
+      converted.properties = {};
+      Object.entries(schema.properties).forEach(([key, value]) => {
+        converted.properties[key] = GeminiProvider.toResponseSchema(value);
+      });
+    }
+    return converted;
+  }
+
+  requestBody({ system, messages, maxOutputTokens = 1024, responseSchema = null, tools = null }) {
+    const generationConfig = {
+      temperature: responseSchema ? 0.2 : 0.7,
+      topK: 40,
+      topP: 0.95,
+      maxOutputTokens: responseSchema ? Math.max(maxOutputTokens, 4096) : maxOutputTokens,
+      candidateCount: 1
+    };
+    // responseSchema needs v1beta; on v1 the schema in the prompt and validation still apply
+    if (responseSchema && this.settings.apiVersion === 'v1beta') {
+      generationConfig.responseMimeType = 'application/json';
+      generationConfig.responseSchema = GeminiProvider.toResponseSchema(responseSchema);
+    }
+    const body = {
+      contents: GeminiProvider.toContents(system, messages),
+      generationConfig,
+      safetySettings: [
+        'HARM_CATEGORY_HARASSMENT',
+        'HARM_CATEGORY_HATE_SPEECH',
+        'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+        'HARM_CATEGORY_DANGEROUS_CONTENT'
+      ].map(category => ({ category, threshold: 'BLOCK_NONE' }))
+    };
+    if (tools && tools.length > 0) {
+      body.tools = [{
+        functionDeclarations: tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          parameters: GeminiProvider.toResponseSchema(tool.parameters)
+        }))
+      }];
+    }
+    return body;
+  }
+
+  static candidateText(result) {
+    return (result.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+  }
+
+  async complete(request) {
+    if (!this.isConfigured()) throw new Error('Gemini API key not configured');
+    const result = await this.postJson(`${this.modelUrl(this.settings.model, 'generateContent')}?key=${this.settings.apiKey}`,
+      this.requestBody(request), { signal: request.signal, timeout: request.timeout });
+    return GeminiProvider.candidateText(result) || 'No response generated';
+  }
+
+  // Function calling: text plus any functionCall parts of the reply
+  async completeWithTools(request) {
+    if (!this.isConfigured()) throw new Error('Gemini API key not configured');
+    const result = await this.postJson(`${this.modelUrl(this.settings.model, 'generateContent')}?key=${this.settings.apiKey}`,
+      this.requestBody(request), { signal: request.signal, timeout: request.timeout });
+    const parts = result.candidates?.[0]?.content?.parts || [];
+    return {
+      text: parts.map(part => part.text || '').join(''),
+      calls: parts.filter(part => part.functionCall)
+        .map((part, index) => ({ id: `call_${index}`, name: part.functionCall.name, args: part.functionCall.args || {} }))
+    };
+  }
+
+  // streamGenerateContent with alt=sse sends one candidate chunk per event
+  async *stream(request) {
+    if (!this.isConfigured()) throw new Error('Gemini API key not configured');
+    const events = this.postStream(`${this.modelUrl(this.settings.model, 'streamGenerateContent')}?alt=sse&key=${this.settings.apiKey}`,
+      this.requestBody(request), { signal: request.signal, timeout: request.timeout });
+    for await (const event of events) {
+      const text = GeminiProvider.candidateText(event);
+      if (text) yield text;
+    }
+  }
+
+  // Check a key, falling back to the v1 API when the model is missing from v1beta
+  async validate(apiKey) {
+    const test = async (apiVersion) => {
+      const candidate = new GeminiProvider().configure({ ...this.settings, apiKey, apiVersion });
+      await candidate.complete({
+        messages: [{ role: 'user', parts: [{ type: 'text', text: 'Test connection' }] }],
+        timeout: 15000,
+        maxOutputTokens: 10
+      });
+    };
+
+    try {
+      await test('v1beta');
+      return { valid: true, message: `API key is valid (using ${this.settings.model} v1beta)`, apiVersion: 'v1beta' };
+    } catch (error) {
+      if (/not found|not supported/i.test(error.message)) {
+        try {
+          await test('v1');
+          this.settings.apiVersion = 'v1';
+          return { valid: true, message: `API key is valid (using ${this.settings.model} v1)`, apiVersion: 'v1' };
+        } catch (fallbackError) {
+          return { valid: false, message: fallbackError.message };
+        }
+      }
+      return { valid: false, message: error.message };
+    }
+  }
+
+  // Embed texts with batchEmbedContents, one vector per text
+  async embed(texts, options = {}) {
+    const { taskType = 'RETRIEVAL_DOCUMENT', signal = null } = options;
+    const model = this.settings.embeddingModel;
+    const vectors = [];
+    const batchSize = 100; // batchEmbedContents request limit
+    for (let start = 0; start < texts.length; start += batchSize) {
+      const batch = texts.slice(start, start + batchSize);
+      const result = await this.postJson(`${this.modelUrl(model, 'batchEmbedContents', 'v1beta')}?key=${this.settings.apiKey}`, {
+        requests: batch.map(text => ({
+          model: `models/${model}`,
+          content: { parts: [{ text: text.substring(0, 8000) }] },
+          taskType
+        }))
+      }, { signal });
+      (result.embeddings || []).forEach(embedding => vectors.push(embedding.values || []));
+    }
+    return vectors;
+  }
+}
+
+// Any server speaking the OpenAI chat completions API (OpenAI, Ollama, llama.cpp, LM Studio, ...)
+class OpenAICompatibleProvider extends AIProvider {
+  constructor() {
+    super('openai', 'OpenAI-compatible');
+  }
+
+  static get PRESETS() {
+    return {
+      openai: { label: 'OpenAI', baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini' },
+      ollama: { label: 'Ollama (local)', baseUrl: 'http://localhost:11434/v1', model: 'llama3.1' },
+      llamacpp: { label: 'llama.cpp server (local)', baseUrl: 'http://localhost:8080/v1', model: 'default' }
+    };
+  }
+
+  get defaultSettings() {
+    return {
+      baseUrl: '',
+      apiKey: '',
+      model: '',
+      embeddingModel: ''
+    };
+  }
+
+  // Local servers usually need no key, so a URL and model are enough
+  isConfigured() {
+    return !!(this.settings.baseUrl && this.settings.model);
+  }
+
+  canEmbed() {
+    return this.isConfigured() && !!this.settings.embeddingModel;
+  }
+
+  get embeddingModelId() {
+    return `openai:${this.settings.baseUrl}:${this.settings.embeddingModel}`;
+  }
+
+  // A server on localhost (Ollama, llama.cpp) keeps page text on this machine
+  get embedsOnDevice() {
+    return OpenAICompatibleProvider.isLocalUrl(this.settings.baseUrl);
+  }
+
+  static isLocalUrl(url) {
+    return /^https?:\/\/(localhost|127(\.\d{1,3}){3}|\[::1\])(:\d+)?(\/|$)/i.test(String(url || '').trim());
+  }
+
+  endpoint(path) {
+    return `${this.settings.baseUrl.replace(/\/+$/, '')}/${path}`;
+  }
+
+  get headers() {
+    return this.settings.apiKey ? { Authorization: `Bearer ${this.settings.apiKey}` } : {};
+  }
+
+  static toMessages(system, messages) {
+    const converted = messages.flatMap(message => {
+      if (message.role === 'tool') {
+        return message.parts.map(part => ({ role: 'tool', tool_call_id: part.id, content: JSON.stringify(part.response) }));
+      }
+      const calls = message.parts.filter(part => part.type === 'functionCall');
+      if (calls.length > 0) {
+        const text = message.parts.filter(part => part.type === 'text').map(part => part.text).join('\n');
+        return {
+          role: 'assistant',
+          content: text || null,
+          tool_calls: calls.map(call => ({ id: call.id, type: 'function', function: { name: call.name, arguments: JSON.stringify(call.args || {}) } }))
+        };
+      }
+      const onlyText = message.parts.every(part => part.type === 'text');
+      return {
+        role: message.role === 'assistant' ? 'assistant' : 'user',
+        content: onlyText
+          ? message.parts.map(part => part.text).join('\n')
+          : message.parts.map(part => (part.type === 'image'
+            ? { type: 'image_url', image_url: { url: `data:${part.mimeType};base64,${part.data}` } }
+            : { type: 'text', text: part.text }))
+      };
+    });
+    return system ? [{ role: 'system', content: system }, ...converted] : converted;
+  }
+
+  requestBody({ system, messages, maxOutputTokens = 1024, responseSchema = null, tools = null }) {
+    const body = {
+      model: this.settings.model,
+      messages: OpenAICompatibleProvider.toMessages(system, messages),
+      temperature: responseSchema ? 0.2 : 0.7,
+      max_tokens: responseSchema ? Math.max(maxOutputTokens, 4096) : maxOutputTokens
+    };
+    if (responseSchema) {
+      body.response_format = { type: 'json_schema', json_schema: { name: 'response', schema: responseSchema } };
+    }
+    if (tools && tools.length > 0) {
+      body.tools = tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+      }));
+    }
+    return body;
+  }
+
+  async complete(request) {
+    if (!this.isConfigured()) throw new Error('OpenAI-compatible endpoint not configured');
+    const result = await this.postJson(this.endpoint('chat/completions'), this.requestBody(request),
+      { headers: this.headers, signal: request.signal, timeout: request.timeout });
+    return result.choices?.[0]?.message?.content || 'No response generated';
+  }
+
+  // Tool calls: text plus any tool_calls of the reply (arguments arrive as a JSON string)
+  async completeWithTools(request) {
+    if (!this.isConfigured()) throw new Error('OpenAI-compatible endpoint not configured');
+    const result = await this.postJson(this.endpoint('chat/completions'), this.requestBody(request),
+      { headers: this.headers, signal: request.signal, timeout: request.timeout });
+    const message = result.choices?.[0]?.message || {};
+    return {
+      text: message.content || '',
+      calls: (message.tool_calls || []).map((call, index) => {
+        let args = {};
+        try {
+          args = JSON.parse(call.function?.arguments || '{}');
+        } catch (error) {
+          console.warn('Unreadable tool call arguments:', call.function?.arguments);
+        }
+        return { id: call.id || `call_${index}`, name: call.function?.name, args };
+      })
+    };
+  }
+
+  async *stream(request) {
+    if (!this.isConfigured()) throw new Error('OpenAI-compatible endpoint not configured');
+    const events = this.postStream(this.endpoint('chat/completions'), { ...this.requestBody(request), stream: true },
+      { headers: this.headers, signal: request.signal, timeout: request.timeout });
+    for await (const event of events) {
+      const text = event.choices?.[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+
+  async validate() {
+    try {
+      await this.complete({
+        messages: [{ role: 'user', parts: [{ type: 'text', text: 'Test connection' }] }],
+        timeout: 15000,
+        maxOutputTokens: 5
+      });
+      return { valid: true, message: `Connected to ${this.settings.model} at ${this.settings.baseUrl}` };
+    } catch (error) {
+      return { valid: false, message: error.message };
+    }
+  }
+
+  async embed(texts, options = {}) {
+    const { signal = null } = options;
+    const vectors = [];
+    const batchSize = 64;
+    for (let start = 0; start < texts.length; start += batchSize) {
+      const batch = texts.slice(start, start + batchSize).map(text => text.substring(0, 8000));
+      const result = await this.postJson(this.endpoint('embeddings'), {
+        model: this.settings.embeddingModel,
+        input: batch
+      }, { headers: this.headers, signal });
+      (result.data || [])
+        .slice()
+        .sort((a, b) => (a.index || 0) - (b.index || 0))
+        .forEach(entry => vectors.push(entry.embedding || []));
+    }
+    return vectors;
+  }
+}
+
+// Chrome's on-device built-in APIs through AIService (queueing, rate limits, metrics)
+class ChromeAIProvider extends AIProvider {
+  constructor(aiService) {
+    super('chrome', 'Chrome built-in AI');
+    this.aiService = aiService;
+    this.remote = false;
+  }
+
+  isConfigured() {
+    return !!(this.aiService && this.aiService.aiAvailable);
+  }
+
+  supports(apiType) {
+    return AIProviderRegistry.API_TYPES.includes(apiType) && typeof globalThis[apiType] !== 'undefined';
+  }
+
+  async withSession(apiType, config, callback, options = {}) {
+    return this.aiService.withAISession(apiType, config, callback, options);
+  }
+
+  async openSession(apiType, config) {
+    return this.aiService.openSession(apiType, config);
+  }
+
+  async closeSession(session) {
+    return this.aiService.closeSession(session);
+  }
+}
+
+// Registered providers plus per-API routing preferences
+class AIProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.routes = {};
+    this.defaultProviderId = 'chrome';
+    this.remoteEmbeddings = false; // opt-in: page text and searches go to a remote embedding model
+  }
+
+  static get STORAGE_KEY() {
+    return 'aiProviderSettings';
+  }
+
+  static get API_TYPES() {
+    return ['LanguageModel', 'Summarizer', 'Writer', 'Rewriter', 'Proofreader', 'Translator'];
+  }
+
+  // Routable capabilities shown in Settings
+  static get ROUTES() {
+    return [
+      { key: 'LanguageModel', label: 'Prompt / chat' },
+      { key: 'Summarizer', label: 'Summarize' },
+      { key: 'Writer', label: 'Write' },
+      { key: 'Rewriter', label: 'Rewrite' },
+      { key: 'Proofreader', label: 'Proofread' },
+      { key: 'Translator', label: 'Translate' },
+      { key: 'Embeddings', label: 'Embeddings (semantic search)' }
+    ];
+  }
+
+  // 'Prompt' is the multimodal name used by older code for LanguageModel
+  static normalizeApiType(apiType) {
+    return apiType === 'Prompt' ? 'LanguageModel' : apiType;
+  }
+
+  register(provider) {
+    this.providers.set(provider.id, provider);
+    return provider;
+  }
+
+  get(id) {
+    return this.providers.get(id) || null;
+  }
+
+  list() {
+    return [...this.providers.values()];
+  }
+
+  // Load provider settings and routes; the Gemini key and on/off switch keep their original storage keys
+  async load() {
+    try {
+      const key = AIProviderRegistry.STORAGE_KEY;
+      const stored = await chrome.storage.local.get([key, 'useGemini', 'geminiApiKey']);
+      const settings = stored[key] || {};
+      const providerSettings = settings.providers || {};
+
+      this.providers.forEach((provider, id) => provider.configure(providerSettings[id] || {}));
+      this.get('gemini')?.configure({ apiKey: stored.geminiApiKey || '' });
+      this.routes = { ...(settings.routes || {}) };
+      this.remoteEmbeddings = settings.remoteEmbeddings === true;
+      this.defaultProviderId = stored.useGemini && stored.geminiApiKey ? 'gemini' : 'chrome';
+    } catch (error) {
+      console.warn('Failed to load AI provider settings:', error);
+    }
+    return this;
+  }
+
+  // Persist routes and provider settings (except the Gemini key, which HybridAIService saves)
+  async save({ routes, providers, remoteEmbeddings } = {}) {
+    const key = AIProviderRegistry.STORAGE_KEY;
+    const stored = await chrome.storage.local.get(key);
+    const current = stored[key] || {};
+    const nextProviders = { ...(current.providers || {}) };
+    Object.entries(providers || {}).forEach(([id, settings]) => {
+      const { apiKey, ...rest } = settings;
+      nextProviders[id] = { ...(nextProviders[id] || {}), ...(id === 'gemini' ? rest : settings) };
+      this.get(id)?.configure(settings);
+    });
+    const nextRoutes = { ...(current.routes || {}), ...(routes || {}) };
+    Object.keys(nextRoutes).forEach(route => {
+      if (!nextRoutes[route] || nextRoutes[route] === 'auto') delete nextRoutes[route];
+    });
+
+    const nextRemoteEmbeddings = remoteEmbeddings === undefined ? current.remoteEmbeddings === true : remoteEmbeddings === true;
+
+    await chrome.storage.local.set({ [key]: { providers: nextProviders, routes: nextRoutes, remoteEmbeddings: nextRemoteEmbeddings } });
+    this.routes = nextRoutes;
+    this.remoteEmbeddings = nextRemoteEmbeddings;
+    return { providers: nextProviders, routes: nextRoutes, remoteEmbeddings: nextRemoteEmbeddings };
+  }
+
+  /**
+   * Providers to try for an API, preferred first; Chrome is the fallback for every route.
+   * Remote embedding providers are only used once remoteEmbeddings is switched on.
+   * @param {string} apiType - API type or 'Embeddings'
+   * @returns {AIProvider[]} - Configured providers that support the API
+   */
+  resolve(apiType) {
+    const type = AIProviderRegistry.normalizeApiType(apiType);
+    const route = this.routes[type];
+    const preferred = route && route !== 'auto' ? route : this.defaultProviderId;
+    const usable = (provider) => provider && provider.isConfigured() &&
+      (type === 'Embeddings'
+        ? provider.canEmbed() && (provider.embedsOnDevice || this.remoteEmbeddings)
+        : provider.supports(type));
+
+    return [...new Set([preferred, 'chrome', this.defaultProviderId])]
+      .map(id => this.get(id))
+      .filter(usable);
+  }
+
+  // First usable provider for an API, or null
+  routeFor(apiType) {
+    return this.resolve(apiType)[0] || null;
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AIProvider, RemoteAISession, GeminiProvider, OpenAICompatibleProvider, ChromeAIProvider, AIProviderRegistry };
+} else if (typeof self !== 'undefined') {
+  self.AIProvider = AIProvider;
+  self.RemoteAISession = RemoteAISession;
+  self.GeminiProvider = GeminiProvider;
+  self.OpenAICompatibleProvider = OpenAICompatibleProvider;
+  self.ChromeAIProvider = ChromeAIProvider;
+  self.AIProviderRegistry = AIProviderRegistry;
+}
@@ -163,7 +163,8 @@ class AIService {
       priority = 'normal',
       timeout = 10000,
       retries = 2,
-      description = `${apiType} operation`
+      description = `${apiType} operation`,
+      signal = null
     } = options;
 
     // Use the advanced request queue
@@ -181,7 +182,7 @@ class AIService {
         // Create session with performance monitoring
         session = await this.performanceMonitor.measureOperation(
           `${apiType}_createSession`,
-          () => this.aiSessionManager.createSession(apiType, config)
+          () => this.aiSessionManager.createSession(apiType, signal ? { ...config, signal } : config)
         );
 
         // Execute callback with performance monitoring
@@ -218,7 +219,74 @@ class AIService {
       timeout,
       retries,
       apiType,
-      description
+      description,
+      signal
+    });
+  }
+
+  // Long-lived session for multi-turn use (kept out of the queue); release it with closeSession()
+  async openSession(apiType, config = {}) {
+    if (!this.rateLimiter.canMakeRequest(apiType)) {
+      await this.rateLimiter.sleep(this.rateLimiter.getWaitTime(apiType));
+    }
+    return await this.aiSessionManager.createSession(apiType, config);
+  }
+
+  async closeSession(session) {
+    await this.aiSessionManager.destroySession(session);
+  }
+
+  // Structured output: prompt the language model for JSON matching a schema
+  async promptStructured(prompt, schema, options = {}) {
+    const { maxAttempts = 3, timeout = 60000, priority = 'normal', description = 'Structured prompt', signal } = options;
+    return await this.withAISession('LanguageModel', {
+      expectedInputs: [{ type: 'text' }]
+    }, async (model) => AIService.runStructuredPrompt(model, prompt, schema, { maxAttempts, signal }), {
+      priority,
+      timeout,
+      retries: 0, // runStructuredPrompt repairs and retries within the session
+      description,
+      signal
+    });
+  }
+
+  /**
+   * Prompt a language model session until its reply parses and validates against the schema
+   * @param {Object} model - Session with prompt(input, options); keeps conversation turns
+   * @param {string} prompt - Task prompt
+   * @param {Object} schema - JSON schema for the reply
+   * @param {Object} options - { maxAttempts, signal }
+   * @returns {Promise<*>} - Validated value
+   * @throws {EnhancedError} - INVALID_OUTPUT after the last failed attempt
+   */
+  static async runStructuredPrompt(model, prompt, schema, options = {}) {
+    const { maxAttempts = 3, signal } = options;
+    let input = `${prompt}\n\nReply with JSON only, matching this JSON schema:\n${JSON.stringify(schema)}`;
+    let errors = [];
+    let raw = '';
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const promptOptions = { responseConstraint: schema, outputLanguage: 'en' };
+      if (signal) promptOptions.signal = signal;
+      raw = await model.prompt(input, promptOptions);
+
+      let value;
+      try {
+        value = JsonSchema.parseLoose(raw);
+        errors = JsonSchema.validate(value, schema);
+      } catch (parseError) {
+        errors = [`Reply is not valid JSON: ${parseError.message}`];
+      }
+      if (errors.length === 0) return value;
+
+      console.warn(`Structured output attempt ${attempt}/${maxAttempts} failed:`, errors.slice(0, 5));
+      input = `Your previous reply did not match the required JSON schema:\n- ${errors.slice(0, 5).join('\n- ')}\n\nReply again with only the corrected JSON.`;
+    }
+
+    throw EnhancedErrorHandler.invalidOutput(`AI reply did not match the expected format after ${maxAttempts} attempts`, {
+      errors: errors.slice(0, 10),
+      raw: String(raw || '').substring(0, 500),
+      attempts: maxAttempts
     });
   }
 
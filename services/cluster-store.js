@@ -0,0 +1,148 @@
+// Cluster Store - Persisted topic clusters and the cluster each page was assigned to
+// AI clustering runs over batches of pages; keeping the assignments means a page stays in
+// the same cluster between popup opens and only pages not seen before go to the model.
+class ClusterStore {
+  // Assignment for pages the model looked at but left out of every cluster
+  static UNCLUSTERED = '';
+
+  constructor() {
+    this.storageKey = 'topicClusters';
+    this.maxAssignments = 5000; // oldest assignments dropped first
+    this.state = null;
+  }
+
+  static emptyState() {
+    return { clusters: [], assignments: {} };
+  }
+
+  // Load stored clusters and assignments (cached after the first call)
+  async load() {
+    if (this.state) return this.state;
+    try {
+      const stored = (await chrome.storage.local.get(this.storageKey))[this.storageKey];
+      this.state = stored && Array.isArray(stored.clusters) && stored.assignments
+        ? stored
+        : ClusterStore.emptyState();
+    } catch (error) {
+      console.warn('Failed to load topic clusters:', error);
+      this.state = ClusterStore.emptyState();
+    }
+    return this.state;
+  }
+
+  // Persist, dropping the oldest assignments past maxAssignments and clusters left without pages
+  async save() {
+    const state = this.state || ClusterStore.emptyState();
+    const urls = Object.keys(state.assignments);
+    if (urls.length > this.maxAssignments) {
+      urls.slice(0, urls.length - this.maxAssignments).forEach(url => delete state.assignments[url]);
+    }
+    const used = new Set(Object.values(state.assignments));
+    state.clusters = state.clusters.filter(cluster => used.has(cluster.id));
+    this.state = state;
+    await chrome.storage.local.set({ [this.storageKey]: state });
+  }
+
+  // ID from the cluster name (the form cluster chat threads link to), suffixed when taken
+  static createId(name, clusters = []) {
+    const base = `c_${TextUtils.hash(String(name || '').trim())}`;
+    let id = base;
+    for (let n = 2; clusters.some(cluster => cluster.id === id); n++) id = `${base}_${n}`;
+    return id;
+  }
+
+  // Terms of a cluster's name and topics
+  static clusterTerms(cluster) {
+    return new Set(TextUtils.terms(`${cluster.name || ''} ${(cluster.topics || []).join(' ')}`));
+  }
+
+  /**
+   * Whether two clusters describe the same topic
+   * @param {Object} a - Cluster with name and topics
+   * @param {Object} b - Cluster with name and topics
+   * @param {number} threshold - Minimum Jaccard overlap of name and topic terms
+   * @returns {boolean} - True for the same name, or mostly the same terms
+   */
+  static isSameCluster(a, b, threshold = 0.5) {
+    const normalize = (name) => String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    if (normalize(a.name) && normalize(a.name) === normalize(b.name)) return true;
+
+    const aTerms = ClusterStore.clusterTerms(a);
+    const bTerms = ClusterStore.clusterTerms(b);
+    if (aTerms.size === 0 || bTerms.size === 0) return false;
+    const shared = [...aTerms].filter(term => bTerms.has(term)).length;
+    return shared / (aTerms.size + bTerms.size - shared) >= threshold;
+  }
+
+  /**
+   * Add a cluster proposed by the model, folding it into a stored cluster on the same topic
+   * @param {Object} cluster - { name, description, intent, topics, confidence }
+   * @returns {Object} - Stored cluster
+   */
+  merge(cluster) {
+    const clusters = this.state.clusters;
+    const existing = clusters.find(stored => ClusterStore.isSameCluster(stored, cluster));
+    if (existing) {
+      existing.topics = [...new Set([...existing.topics, ...(cluster.topics || [])])].slice(0, 6);
+      existing.confidence = (existing.confidence + (cluster.confidence ?? existing.confidence)) / 2;
+      existing.updatedAt = Date.now();
+      return existing;
+    }
+
+    const created = {
+      id: ClusterStore.createId(cluster.name, clusters),
+      name: cluster.name || 'Unnamed Cluster',
+      description: cluster.description || '',
+      intent: cluster.intent || 'research',
+      topics: (cluster.topics || []).slice(0, 6),
+      confidence: cluster.confidence ?? 0.5,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+    clusters.push(created);
+    return created;
+  }
+
+  // Record a page's cluster; the first assignment sticks so clusters stay stable
+  assign(url, clusterId) {
+    if (!url || url in this.state.assignments) return;
+    this.state.assignments[url] = clusterId;
+  }
+
+  // History items not yet looked at by the model
+  unassigned(items) {
+    return (items || []).filter(item => item && item.url && !(item.url in this.state.assignments));
+  }
+
+  // Names of the most recently updated clusters, for the model to reuse
+  recentClusters(limit = 20) {
+    return this.state.clusters.slice().sort((a, b) => b.updatedAt - a.updatedAt).slice(0, limit);
+  }
+
+  /**
+   * Stored clusters filled with the given history items
+   * @param {Object[]} items - History items
+   * @returns {Object[]} - Clusters with items and itemCount, largest first; empty ones left out
+   */
+  clustersFor(items) {
+    const byId = new Map(this.state.clusters.map(cluster => [cluster.id, { ...cluster, items: [] }]));
+    const seen = new Set();
+    (items || []).forEach(item => {
+      if (!item || seen.has(item.url)) return;
+      seen.add(item.url);
+      const cluster = byId.get(this.state.assignments[item.url]);
+      if (cluster) cluster.items.push(item);
+    });
+    return [...byId.values()]
+      .filter(cluster => cluster.items.length > 0)
+      .map(cluster => ({ ...cluster, itemCount: cluster.items.length }))
+      .sort((a, b) => b.itemCount - a.itemCount);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ClusterStore;
+} else {
+  window.ClusterStore = ClusterStore;
+}
@@ -0,0 +1,213 @@
+// Conversation Memory - Multi-turn context for the chat
+// Keeps one long-lived LanguageModel session per conversation when the AI service can open one
+// (Chrome AI keeps turns natively, remote providers resend them), otherwise replays the turns
+// as initialPrompts on every request. Older turns are folded into a running summary before the
+// session's inputQuota fills up.
+class ConversationMemory {
+  constructor(aiService, options = {}) {
+    this.aiService = aiService;
+    this.storageKey = options.storageKey || 'conversationMemory';
+    this.keepTurns = options.keepTurns || 6; // turns kept verbatim after summarising
+    this.compactAt = options.compactAt || 0.75; // share of inputQuota that triggers summarising
+    this.replayBudget = options.replayBudget || 3000; // tokens of replayed history without a session
+    this.summary = '';
+    this.summarizedUntil = 0; // timestamp of the newest history entry folded into the summary
+    this.session = null;
+  }
+
+  // Rough token count (about four characters per token)
+  static estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+  }
+
+  /**
+   * Prompt turns from stored conversation entries
+   * @param {Object[]} history - [{ type: 'user'|'assistant', message, timestamp }]
+   * @param {number} since - Only entries newer than this timestamp
+   * @returns {Object[]} - [{ role, content, timestamp }]
+   */
+  static turnsFrom(history, since = 0) {
+    return (history || [])
+      .filter(entry => (entry.type === 'user' || entry.type === 'assistant') && entry.message && (entry.timestamp || 0) > since)
+      .map(entry => ({ role: entry.type, content: String(entry.message), timestamp: entry.timestamp || 0 }));
+  }
+
+  // Quota fields across Chrome versions (inputQuota/inputUsage, formerly maxTokens/tokensSoFar)
+  static quotaOf(session) {
+    const quota = session.inputQuota ?? session.maxTokens;
+    return Number.isFinite(quota) ? quota : 0;
+  }
+
+  static usageOf(session) {
+    const usage = session.inputUsage ?? session.tokensSoFar;
+    return Number.isFinite(usage) ? usage : 0;
+  }
+
+  static async measure(session, input) {
+    if (typeof session.measureInputUsage === 'function') return session.measureInputUsage(input);
+    if (typeof session.countPromptTokens === 'function') return session.countPromptTokens(input);
+    return ConversationMemory.estimateTokens(input);
+  }
+
+  async load() {
+    try {
+      const stored = await chrome.storage.local.get(this.storageKey);
+      const state = stored[this.storageKey] || {};
+      this.summary = state.summary || '';
+      this.summarizedUntil = state.summarizedUntil || 0;
+    } catch (error) {
+      console.warn('Failed to load conversation memory:', error);
+    }
+  }
+
+  async save() {
+    await chrome.storage.local.set({ [this.storageKey]: { summary: this.summary, summarizedUntil: this.summarizedUntil } });
+  }
+
+  // Forget the summary and the live session (the conversation was cleared)
+  async reset() {
+    this.summary = '';
+    this.summarizedUntil = 0;
+    await this.closeSession();
+    try {
+      await chrome.storage.local.remove(this.storageKey);
+    } catch (error) {
+      console.warn('Failed to clear conversation memory:', error);
+    }
+  }
+
+  // Storage key for one conversation thread's memory
+  static storageKeyFor(threadId) {
+    return `conversationMemory_${threadId}`;
+  }
+
+  // Switch to another conversation's memory; the open session belongs to the previous one
+  async use(storageKey) {
+    if (storageKey === this.storageKey) return;
+    await this.closeSession();
+    this.storageKey = storageKey;
+    this.summary = '';
+    this.summarizedUntil = 0;
+    await this.load();
+  }
+
+  // Delete the stored memory of a conversation that no longer exists
+  async discard(storageKey) {
+    if (storageKey === this.storageKey) {
+      await this.reset();
+      return;
+    }
+    try {
+      await chrome.storage.local.remove(storageKey);
+    } catch (error) {
+      console.warn('Failed to delete conversation memory:', error);
+    }
+  }
+
+  async closeSession() {
+    const session = this.session;
+    this.session = null;
+    if (!session) return;
+    try {
+      await this.aiService.closeSession(session);
+    } catch (error) {
+      console.warn('Failed to close conversation session:', error);
+    }
+  }
+
+  // System prompt plus the summary, then the turns that are not summarised yet
+  initialPrompts(system, history) {
+    const summary = this.summary ? `\n\nSummary of the earlier conversation:\n${this.summary}` : '';
+    const turns = ConversationMemory.turnsFrom(history, this.summarizedUntil)
+      .map(({ role, content }) => ({ role, content }));
+    return [{ role: 'system', content: `${system}${summary}` }, ...turns];
+  }
+
+  // Fold all but the last keepTurns turns into the summary; false when there is nothing to fold
+  async compact(history, signal = null) {
+    const turns = ConversationMemory.turnsFrom(history, this.summarizedUntil);
+    const older = turns.slice(0, Math.max(0, turns.length - this.keepTurns));
+    if (older.length === 0) return false;
+
+    const transcript = older.map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`).join('\n');
+    const prompt = `Update the summary of this conversation between a user and a browsing-history assistant. Keep names, pages, sites, dates and facts the user may refer back to. Reply with the summary only, under 200 words.
+
+${this.summary ? `Current summary:\n${this.summary}\n\n` : ''}New turns:
+${transcript}`;
+
+    this.summary = String(await this.aiService.withAISession('LanguageModel', {
+      expectedInputs: [{ type: 'text' }]
+    }, async (model) => model.prompt(prompt, signal ? { outputLanguage: 'en', signal } : { outputLanguage: 'en' }), {
+      timeout: 60000,
+      retries: 0,
+      description: 'Summarize conversation',
+      signal
+    })).trim();
+    this.summarizedUntil = older[older.length - 1].timestamp;
+    await this.save();
+    await this.closeSession(); // reopened from the summary on the next prompt
+    console.log(`Summarized ${older.length} earlier conversation turns`);
+    return true;
+  }
+
+  // Persistent session with room for the next input, summarising older turns when needed
+  async ensureSession(system, history, input, signal) {
+    const open = async () => {
+      this.session = await this.aiService.openSession('LanguageModel', {
+        expectedInputs: [{ type: 'text' }],
+        initialPrompts: this.initialPrompts(system, history)
+      }, { timeout: 120000 });
+    };
+    if (!this.session) await open();
+
+    const quota = ConversationMemory.quotaOf(this.session);
+    if (!quota) return this.session;
+    const needed = await ConversationMemory.measure(this.session, input);
+    if (ConversationMemory.usageOf(this.session) + needed > quota * this.compactAt && await this.compact(history, signal)) {
+      await open();
+    }
+    return this.session;
+  }
+
+  /**
+   * Run a prompt with the conversation so far as context
+   * @param {string} system - Instructions for the assistant
+   * @param {Object[]} history - Earlier conversation entries, without the current message
+   * @param {string} input - Prompt for this turn
+   * @param {Function} callback - Receives the session and sends the prompt
+   * @param {Object} options - { signal }
+   * @returns {Promise<*>} - Callback result
+   */
+  async run(system, history, input, callback, options = {}) {
+    const { signal = null } = options;
+
+    if (typeof this.aiService.openSession === 'function') {
+      const session = await this.ensureSession(system, history, input, signal);
+      try {
+        return await callback(session);
+      } catch (error) {
+        // A failed session may be unusable; the next turn reopens it from the stored history
+        if (!(signal && signal.aborted)) await this.closeSession();
+        throw error;
+      }
+    }
+
+    // No long-lived sessions: replay the history, summarising first when it is too long
+    let initialPrompts = this.initialPrompts(system, history);
+    const replayTokens = ConversationMemory.estimateTokens(initialPrompts.map(prompt => prompt.content).join('\n') + input);
+    if (replayTokens > this.replayBudget && await this.compact(history, signal)) {
+      initialPrompts = this.initialPrompts(system, history);
+    }
+    return await this.aiService.withAISession('LanguageModel', {
+      expectedInputs: [{ type: 'text' }],
+      initialPrompts
+    }, callback, { timeout: 120000, retries: 1, description: 'Conversation reply', signal });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConversationMemory;
+} else {
+  window.ConversationMemory = ConversationMemory;
+}
@@ -0,0 +1,209 @@
+// Conversation Retriever - Grounds chat answers in the whole history index
+// For each message: gathers candidates from the in-memory snapshot plus an index-wide keyword
+// lookup, ranks them with SemanticSearchService (BM25 + embeddings), fills in page text from
+// captured content or on-demand extraction, and packs numbered sources into a token budget.
+class ConversationRetriever {
+  constructor(historyService, semanticSearchService, options = {}) {
+    this.historyService = historyService;
+    this.semanticSearchService = semanticSearchService;
+    this.topK = options.topK || 6;
+    this.tokenBudget = options.tokenBudget || 1500; // tokens of source text per prompt
+    this.maxIndexMatchesPerTerm = 100;
+    this.maxFetches = 3; // pages extracted on demand per message
+    this.fetchTimeout = 8000;
+    this.maxPageChars = 8000;
+  }
+
+  // Rough token count used for budgeting (about four characters per token)
+  static estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+  }
+
+  // Words worth a substring lookup in the index, longest first
+  static lookupTerms(query, limit = 5) {
+    return [...new Set(TextUtils.terms(query, { stem: false, minLength: 3 }))]
+      .sort((a, b) => b.length - a.length)
+      .slice(0, limit);
+  }
+
+  /**
+   * Pick the passages of a page that best match the query, kept in page order
+   * @param {string} text - Page text
+   * @param {string} query - User message
+   * @param {number} maxChars - Excerpt size
+   * @returns {string} - Excerpt, or the start of the text when nothing matches
+   */
+  static bestPassages(text, query, maxChars) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    if (clean.length <= maxChars) return clean;
+
+    const queryTerms = new Set(TextUtils.terms(query));
+    const chunks = clean.match(/[^.!?]+[.!?]*\s*/g) || [clean];
+    const passages = [];
+    let current = '';
+    chunks.forEach(chunk => {
+      if (current && current.length + chunk.length > 300) {
+        passages.push(current.trim());
+        current = '';
+      }
+      current += chunk;
+    });
+    if (current.trim()) passages.push(current.trim());
+
+    const scored = passages.map((passage, index) => ({
+      index,
+      passage,
+      score: TextUtils.terms(passage).filter(term => queryTerms.has(term)).length
+    }));
+    if (!scored.some(entry => entry.score > 0)) return clean.substring(0, maxChars);
+
+    const picked = [];
+    let used = 0;
+    scored.filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .forEach(entry => {
+        if (used + entry.passage.length > maxChars) return;
+        picked.push(entry);
+        used += entry.passage.length + 5;
+      });
+    if (picked.length === 0) return scored.sort((a, b) => b.score - a.score)[0].passage.substring(0, maxChars);
+    return picked.sort((a, b) => a.index - b.index).map(entry => entry.passage).join(' … ');
+  }
+
+  /**
+   * Number sources and pack them into the token budget
+   * @param {Object[]} sources - [{ title, url, domain, lastVisitTime, text, origin }]
+   * @param {string} query - User message, used to choose passages
+   * @param {number} tokenBudget - Budget for the whole block
+   * @returns {Object} - { context, sources } with only the sources that fit, numbered from 1
+   */
+  static buildContext(sources, query, tokenBudget) {
+    const blocks = [];
+    const used = [];
+    let remaining = tokenBudget;
+
+    sources.forEach((source, i) => {
+      const index = used.length + 1;
+      const date = source.lastVisitTime ? new Date(source.lastVisitTime).toLocaleDateString() : '';
+      const header = `[${index}] ${source.title} (${[source.domain, date].filter(Boolean).join(', ')})\n${source.url}`;
+      const headerTokens = ConversationRetriever.estimateTokens(header);
+      if (headerTokens > remaining) return;
+
+      // Split what is left evenly across the sources still to come
+      const share = Math.floor((remaining - headerTokens) / (sources.length - i));
+      const excerpt = share > 20 ? ConversationRetriever.bestPassages(source.text, query, share * 4) : '';
+      const block = excerpt ? `${header}\n${excerpt}` : header;
+      remaining -= ConversationRetriever.estimateTokens(block);
+      blocks.push(block);
+      used.push({ index, title: source.title, url: source.url, domain: source.domain, origin: source.origin });
+    });
+
+    return { context: blocks.join('\n\n'), sources: used };
+  }
+
+  // Snapshot items plus index-wide title/URL matches, deduplicated by URL
+  async gatherCandidates(query) {
+    const byUrl = new Map();
+    (this.historyService.historyData || []).forEach(item => byUrl.set(item.url, item));
+
+    const historyIndex = this.historyService.historyIndex;
+    if (historyIndex) {
+      for (const term of ConversationRetriever.lookupTerms(query)) {
+        try {
+          const records = await historyIndex.search(term, this.maxIndexMatchesPerTerm);
+          records.forEach(record => {
+            if (!byUrl.has(record.url)) byUrl.set(record.url, this.historyService.fromIndexRecord(record));
+          });
+        } catch (error) {
+          console.warn('Index lookup failed for retrieval:', error);
+          break;
+        }
+      }
+    }
+    return [...byUrl.values()];
+  }
+
+  // Fetch a page and extract its main text; stored when page capture allows the site
+  async extractPage(url, settings, signal) {
+    const match = /^https?:\/\/([^/?#:]+)/i.exec(url || '');
+    if (!match || typeof DOMParser === 'undefined' || typeof PageExtractor === 'undefined') return null;
+    const hostname = match[1].toLowerCase().replace(/^www\./, '');
+    if (settings.denyDomains.some(rule => PageCaptureSettings.matchesRule(hostname, rule))) return null;
+
+    const timeoutSignal = AbortSignal.timeout(this.fetchTimeout);
+    const response = await fetch(url, {
+      credentials: 'omit',
+      signal: signal && typeof AbortSignal.any === 'function' ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+    });
+    if (!response.ok || !/text\/html/i.test(response.headers.get('content-type') || '')) return null;
+
+    const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+    const page = PageExtractor.extract(doc, { maxChars: settings.maxPageChars });
+    if (!page.text) return null;
+
+    if (PageCaptureSettings.isAllowed(url, settings) && this.historyService.historyIndex) {
+      this.historyService.historyIndex.putContent({ ...page, url, capturedAt: Date.now() }, settings.storageBudgetMB * 1024 * 1024)
+        .catch(error => console.warn('Failed to store extracted page:', error));
+    }
+    return page;
+  }
+
+  /**
+   * Find the pages that best answer a message
+   * @param {string} query - User message
+   * @param {Object} options - { topK, tokenBudget, signal }
+   * @returns {Promise<Object>} - { context, sources: [{ index, title, url, domain, origin }] }
+   */
+  async retrieve(query, options = {}) {
+    const { topK = this.topK, tokenBudget = this.tokenBudget, signal = null } = options;
+    const candidates = await this.gatherCandidates(query);
+    if (candidates.length === 0) return { context: '', sources: [] };
+
+    const ranked = await this.semanticSearchService.search(query, { items: candidates, limit: topK });
+    // Copies, so longer excerpts don't stay attached to the shared history snapshot
+    const items = ranked.map(result => ({ ...result.item }));
+    await this.historyService.attachPageContent(items, this.maxPageChars);
+
+    const settings = await PageCaptureSettings.load();
+    let fetches = 0;
+    const sources = [];
+    for (const item of items) {
+      let text = item.content || '';
+      let origin = text ? 'captured' : '';
+      if (!text && fetches < this.maxFetches && !(signal && signal.aborted)) {
+        fetches++;
+        try {
+          const page = await this.extractPage(item.url, settings, signal);
+          if (page) {
+            text = page.text;
+            origin = 'extracted';
+          }
+        } catch (error) {
+          if (signal && signal.aborted) throw error;
+          console.warn(`Could not extract ${item.url}:`, error.message);
+        }
+      }
+      if (!text && (item.summary || item.description)) {
+        text = item.summary || item.description;
+        origin = 'summary';
+      }
+      sources.push({
+        title: item.title || 'Untitled',
+        url: item.url,
+        domain: HistoryIndex.getDomain(item.url),
+        lastVisitTime: item.lastVisitTime,
+        text,
+        origin: origin || 'title'
+      });
+    }
+
+    return ConversationRetriever.buildContext(sources, query, tokenBudget);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConversationRetriever;
+} else {
+  window.ConversationRetriever = ConversationRetriever;
+}
@@ -0,0 +1,229 @@
+// Conversation Thread Store - Named chat threads, optionally tied to a research session or cluster
+// Each thread keeps its own messages so research on different projects stays in separate chats.
+// The single conversationHistory list from earlier versions becomes the first thread.
+class ConversationThreadStore {
+  constructor() {
+    this.storageKey = 'conversationThreads';
+    this.legacyKey = 'conversationHistory';
+    this.maxThreads = 100;
+    this.maxMessages = 400; // per thread, oldest dropped first
+    this.threads = null;
+    this.activeId = null;
+  }
+
+  // ID from the creation time, suffixed when another thread was created in the same millisecond
+  static createId(threads = []) {
+    const base = `t_${Date.now().toString(36)}`;
+    let id = base;
+    for (let n = 2; threads.some(thread => thread.id === id); n++) id = `${base}_${n}`;
+    return id;
+  }
+
+  /**
+   * Create a thread entity
+   * @param {string} name - Thread name ('' shows the first question instead)
+   * @param {Object|null} link - { type: 'session'|'cluster', id, title, pages: [{ title, url }] }
+   * @param {Object[]} messages - Conversation entries
+   * @param {Object[]} threads - Existing threads, to keep the ID unique
+   * @returns {Object} - Thread
+   */
+  static createThread(name = '', link = null, messages = [], threads = []) {
+    return {
+      id: ConversationThreadStore.createId(threads),
+      name,
+      link,
+      messages,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+  }
+
+  // Display name: user name, then the first question, then a placeholder
+  static getDisplayName(thread) {
+    if (thread.name) return thread.name;
+    const first = (thread.messages || []).find(entry => entry.type === 'user' && entry.message);
+    if (!first) return 'New chat';
+    const text = String(first.message).replace(/\s+/g, ' ').trim();
+    return text.length > 40 ? `${text.substring(0, 40)}…` : text;
+  }
+
+  // Load stored threads (cached after the first call), adopting the old single history
+  async load() {
+    if (this.threads) return this.threads;
+    try {
+      const stored = await chrome.storage.local.get([this.storageKey, this.legacyKey]);
+      const state = stored[this.storageKey];
+      if (state && Array.isArray(state.threads)) {
+        this.threads = state.threads;
+        this.activeId = state.activeId || null;
+      } else {
+        const legacy = Array.isArray(stored[this.legacyKey]) ? stored[this.legacyKey] : [];
+        this.threads = legacy.length > 0 ? [ConversationThreadStore.createThread('Conversation', null, legacy)] : [];
+        this.activeId = this.threads[0]?.id || null;
+        if (legacy.length > 0) {
+          await this.save();
+          await chrome.storage.local.remove(this.legacyKey);
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to load conversation threads:', error);
+      this.threads = [];
+    }
+    return this.threads;
+  }
+
+  // Persist threads, trimming long threads and dropping the least recently used past maxThreads
+  async save() {
+    const threads = this.threads || [];
+    threads.forEach(thread => {
+      if (thread.messages.length > this.maxMessages) {
+        thread.messages.splice(0, thread.messages.length - this.maxMessages);
+      }
+    });
+    if (threads.length > this.maxThreads) {
+      this.threads = this.list().slice(0, this.maxThreads);
+    }
+    await chrome.storage.local.set({ [this.storageKey]: { threads: this.threads, activeId: this.activeId } });
+  }
+
+  // Threads, most recently used first
+  list() {
+    return (this.threads || []).slice().sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  async get(id) {
+    await this.load();
+    return this.threads.find(thread => thread.id === id) || null;
+  }
+
+  // Thread the chat shows; the most recent one, or a new one when there are none
+  async getActive() {
+    await this.load();
+    const active = this.threads.find(thread => thread.id === this.activeId) || this.list()[0];
+    if (active) {
+      this.activeId = active.id;
+      return active;
+    }
+    return this.create();
+  }
+
+  async setActive(id) {
+    const thread = await this.get(id);
+    if (!thread) return null;
+    this.activeId = id;
+    await this.save();
+    return thread;
+  }
+
+  // Create a thread and make it the active one
+  async create(name = '', link = null) {
+    await this.load();
+    const thread = ConversationThreadStore.createThread(name, link, [], this.threads);
+    this.threads.push(thread);
+    this.activeId = thread.id;
+    await this.save();
+    return thread;
+  }
+
+  async rename(id, name) {
+    const thread = await this.get(id);
+    if (!thread) return null;
+    thread.name = String(name || '').trim();
+    await this.save();
+    return thread;
+  }
+
+  // Record new messages on a thread
+  async touch(id) {
+    const thread = await this.get(id);
+    if (!thread) return null;
+    thread.updatedAt = Date.now();
+    await this.save();
+    return thread;
+  }
+
+  // Delete a thread; the most recent remaining one becomes active
+  async remove(id) {
+    await this.load();
+    const removed = this.threads.find(thread => thread.id === id) || null;
+    this.threads = this.threads.filter(thread => thread.id !== id);
+    if (this.activeId === id) {
+      this.activeId = this.list()[0]?.id || null;
+    }
+    await this.save();
+    return removed;
+  }
+
+  // Existing thread for a session or cluster, or a new one named after it
+  async openForLink(link) {
+    await this.load();
+    const existing = this.list().find(thread => thread.link && thread.link.type === link.type && thread.link.id === link.id);
+    if (existing) {
+      existing.link = link; // pages may have changed since the thread was created
+      return this.setActive(existing.id);
+    }
+    return this.create(link.title || '', link);
+  }
+
+  /**
+   * Find threads whose name, link or messages contain every word of the query
+   * @param {string} query - Search text
+   * @returns {Promise<Object[]>} - [{ thread, snippet }], most recently used first
+   */
+  async search(query) {
+    await this.load();
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return this.list().map(thread => ({ thread, snippet: '' }));
+
+    return this.list().map(thread => {
+      const texts = [ConversationThreadStore.getDisplayName(thread), thread.link?.title || '', ...thread.messages.map(entry => String(entry.message || ''))];
+      const haystack = texts.join('\n').toLowerCase();
+      if (!words.every(word => haystack.includes(word))) return null;
+
+      const hit = thread.messages.find(entry => String(entry.message || '').toLowerCase().includes(words[0]));
+      return { thread, snippet: hit ? ConversationThreadStore.snippet(hit.message, words[0]) : '' };
+    }).filter(Boolean);
+  }
+
+  // Text around the first occurrence of a word
+  static snippet(text, word, radius = 50) {
+    const clean = String(text || '').replace(/\s+/g, ' ');
+    const at = clean.toLowerCase().indexOf(word);
+    const start = Math.max(0, at - radius);
+    const end = Math.min(clean.length, at + word.length + radius);
+    return `${start > 0 ? '…' : ''}${clean.substring(start, end)}${end < clean.length ? '…' : ''}`;
+  }
+
+  /**
+   * Export a thread as Markdown
+   * @param {Object} thread - Thread
+   * @returns {string} - Markdown with one section per message and cited sources as links
+   */
+  static toMarkdown(thread) {
+    const lines = [`# ${ConversationThreadStore.getDisplayName(thread)}`, ''];
+    if (thread.link) {
+      lines.push(`_Linked to ${thread.link.type === 'cluster' ? 'cluster' : 'research session'}: ${thread.link.title}_`, '');
+    }
+    lines.push(`_Exported ${new Date().toLocaleString()} · ${thread.messages.length} messages_`, '');
+
+    thread.messages.forEach(entry => {
+      const who = entry.type === 'user' ? 'You' : 'Chrome Mnemonic';
+      lines.push(`## ${who} · ${new Date(entry.timestamp).toLocaleString()}`, '');
+      if (entry.screenshot) lines.push(`_Screenshot of [${entry.screenshot.tabTitle}](${entry.screenshot.tabUrl})_`, '');
+      lines.push(String(entry.message || ''), '');
+      if (Array.isArray(entry.sources) && entry.sources.length > 0) {
+        lines.push('Sources:', '');
+        entry.sources.forEach(source => lines.push(`${source.index}. [${source.title}](${source.url})`));
+        lines.push('');
+      }
+    });
+    return lines.join('\n');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConversationThreadStore;
+} else {
+  window.ConversationThreadStore = ConversationThreadStore;
+}
@@ -0,0 +1,326 @@
+// Conversation Tools - Actions the chat model can take in agent mode
+// Each tool has a JSON-schema parameter list (sent as native function declarations to Gemini and
+// OpenAI-compatible servers, or described in the prompt for Chrome AI). Tools that change the
+// browser or schedule something are actions and only run after the user confirms them.
+class ConversationTools {
+  constructor(aiService, historyService, retriever, sessionStore, tabGroupService) {
+    this.aiService = aiService;
+    this.historyService = historyService;
+    this.retriever = retriever; // ConversationRetriever: index-wide candidates, ranking and page extraction
+    this.sessionStore = sessionStore;
+    this.tabGroupService = tabGroupService;
+    this.maxTabs = 20;
+    this.maxSummaryChars = 6000;
+    this.remindersKey = 'reminders';
+    this.tools = this.createTools();
+  }
+
+  static get DAY_MS() {
+    return 24 * 60 * 60 * 1000;
+  }
+
+  // Start of a local day given as YYYY-MM-DD; null when invalid
+  static parseDay(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim());
+    if (!match) return null;
+    const time = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime();
+    return Number.isFinite(time) ? time : null;
+  }
+
+  static isWebUrl(url) {
+    return /^https?:\/\//i.test(String(url || ''));
+  }
+
+  createTools() {
+    const urlList = { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: this.maxTabs };
+    return [
+      {
+        name: 'search_history',
+        label: 'Searching your history',
+        description: 'Find pages in the browsing history by topic, optionally limited to days (YYYY-MM-DD, local time, inclusive).',
+        parameters: {
+          type: 'object',
+          properties: {
+            query: { type: 'string', description: 'Topic or words to look for' },
+            from: { type: 'string', description: 'First day to include, YYYY-MM-DD' },
+            to: { type: 'string', description: 'Last day to include, YYYY-MM-DD' },
+            limit: { type: 'integer', minimum: 1, maximum: 50, description: 'Maximum number of pages (default 10)' }
+          },
+          required: ['query']
+        },
+        run: (args, options) => this.searchHistory(args, options)
+      },
+      {
+        name: 'get_session',
+        label: 'Looking up a research session',
+        description: 'Find a research session (a stretch of related browsing) by name or topic and list its pages.',
+        parameters: {
+          type: 'object',
+          properties: { query: { type: 'string', description: 'Session name or topic' } },
+          required: ['query']
+        },
+        run: (args) => this.getSession(args)
+      },
+      {
+        name: 'summarize_url',
+        label: 'Summarizing a page',
+        description: 'Summarize the content of a web page.',
+        parameters: {
+          type: 'object',
+          properties: { url: { type: 'string', description: 'Page URL' } },
+          required: ['url']
+        },
+        run: (args, options) => this.summarizeUrl(args, options)
+      },
+      {
+        name: 'open_tabs',
+        label: 'Opening tabs',
+        action: true,
+        description: 'Open pages in new tabs.',
+        parameters: {
+          type: 'object',
+          properties: { urls: { ...urlList, description: 'Page URLs' } },
+          required: ['urls']
+        },
+        describe: (args) => `Open ${args.urls.length} tab${args.urls.length === 1 ? '' : 's'}`,
+        run: (args) => this.openTabs(args)
+      },
+      {
+        name: 'create_tab_group',
+        label: 'Creating a tab group',
+        action: true,
+        description: 'Open pages as one named tab group.',
+        parameters: {
+          type: 'object',
+          properties: {
+            title: { type: 'string', description: 'Group name' },
+            urls: { ...urlList, description: 'Page URLs' }
+          },
+          required: ['title', 'urls']
+        },
+        describe: (args) => `Open ${args.urls.length} tab${args.urls.length === 1 ? '' : 's'} in a group named "${args.title}"`,
+        run: (args) => this.createTabGroup(args)
+      },
+      {
+        name: 'set_reminder',
+        label: 'Setting a reminder',
+        action: true,
+        description: 'Show a notification at a later time, optionally linking a page.',
+        parameters: {
+          type: 'object',
+          properties: {
+            text: { type: 'string', description: 'What to remind the user of' },
+            when: { type: 'string', description: 'Local date and time, YYYY-MM-DDTHH:MM' },
+            url: { type: 'string', description: 'Page to open from the notification' }
+          },
+          required: ['text', 'when']
+        },
+        check: (args) => ConversationTools.reminderError(args),
+        describe: (args) => `Remind you "${args.text}" on ${new Date(args.when).toLocaleString()}`,
+        run: (args) => this.setReminder(args)
+      }
+    ];
+  }
+
+  // Name, description and parameters of every tool (the shape providers expect)
+  definitions() {
+    return this.tools.map(({ name, description, parameters }) => ({ name, description, parameters }));
+  }
+
+  get(name) {
+    return this.tools.find(tool => tool.name === name) || null;
+  }
+
+  /**
+   * Run one tool call, asking the user first when it is an action
+   * @param {Object} call - { name, args }
+   * @param {Object} options - { confirm(call) => Promise<boolean>, signal }
+   * @returns {Promise<Object>} - Tool result, or { error } / { declined } for the model to read
+   */
+  async execute(call, options = {}) {
+    const tool = this.get(call.name);
+    if (!tool) return { error: `Unknown tool: ${call.name}` };
+    const args = call.args && typeof call.args === 'object' ? call.args : {};
+    const errors = JsonSchema.validate(args, tool.parameters);
+    if (errors.length > 0) return { error: `Invalid arguments: ${errors.join('; ')}` };
+    // Checks the schema cannot express, before the user is asked to allow the action
+    const invalid = tool.check ? tool.check(args) : null;
+    if (invalid) return { error: invalid };
+
+    if (tool.action) {
+      const approved = options.confirm ? await options.confirm({ ...call, args, description: tool.describe(args) }) : false;
+      if (!approved) return { declined: true, message: 'The user did not allow this action.' };
+    }
+
+    try {
+      return await tool.run(args, options);
+    } catch (error) {
+      if (options.signal && options.signal.aborted) throw error;
+      console.warn(`Tool ${call.name} failed:`, error);
+      return { error: error.message };
+    }
+  }
+
+  async searchHistory(args, options = {}) {
+    const limit = args.limit || 10;
+    const from = ConversationTools.parseDay(args.from);
+    const toDay = ConversationTools.parseDay(args.to);
+    const to = toDay !== null ? toDay + ConversationTools.DAY_MS : null;
+
+    const candidates = this.retriever ? await this.retriever.gatherCandidates(args.query) : (this.historyService.historyData || []);
+    const items = candidates.filter(item => {
+      const time = item.lastVisitTime || 0;
+      return (from === null || time >= from) && (to === null || time < to);
+    });
+
+    const query = String(args.query || '').trim();
+    const ranked = query.length >= 2 && this.retriever
+      ? (await this.retriever.semanticSearchService.search(query, { items, limit })).map(result => result.item)
+      : items.slice().sort((a, b) => (b.lastVisitTime || 0) - (a.lastVisitTime || 0)).slice(0, limit);
+
+    return {
+      count: ranked.length,
+      pages: ranked.map(item => ({
+        title: item.title || 'Untitled',
+        url: item.url,
+        visited: item.lastVisitTime ? new Date(item.lastVisitTime).toLocaleString() : ''
+      }))
+    };
+  }
+
+  async getSession(args) {
+    if (!this.sessionStore) return { error: 'Research sessions are not available' };
+    const words = String(args.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const sessions = await this.sessionStore.list({ includeArchived: true });
+
+    const scored = sessions.map(session => {
+      const text = [SessionStore.getDisplayTitle(session), session.notes, ...session.pages.map(page => page.title)].join(' ').toLowerCase();
+      return { session, score: words.filter(word => text.includes(word)).length };
+    }).filter(entry => entry.score > 0).sort((a, b) => b.score - a.score || b.session.endTime - a.session.endTime);
+    if (scored.length === 0) return { error: `No research session matches "${args.query}"` };
+
+    const { session } = scored[0];
+    return {
+      id: session.id,
+      title: SessionStore.getDisplayTitle(session),
+      start: new Date(session.startTime).toLocaleString(),
+      end: new Date(session.endTime).toLocaleString(),
+      pages: session.pages.slice(0, 30).map(page => ({ title: page.title, url: page.url })),
+      otherMatches: scored.slice(1, 5).map(entry => SessionStore.getDisplayTitle(entry.session))
+    };
+  }
+
+  async summarizeUrl(args, options = {}) {
+    if (!ConversationTools.isWebUrl(args.url)) return { error: 'Only http and https pages can be summarized' };
+    const items = [{ url: args.url }];
+    await this.historyService.attachPageContent(items, this.maxSummaryChars);
+    let text = items[0].content || '';
+    if (!text && this.retriever) {
+      const page = await this.retriever.extractPage(args.url, await PageCaptureSettings.load(), options.signal || null);
+      text = page ? page.text : '';
+    }
+    if (!text) return { error: 'Could not read that page' };
+
+    const summary = await this.aiService.withAISession('Summarizer', {
+      expectedInputs: [{ type: 'text' }]
+    }, async (summarizer) => summarizer.summarize(text.substring(0, this.maxSummaryChars), { outputLanguage: 'en' }), {
+      retries: 0,
+      description: 'Summarize page',
+      signal: options.signal || null
+    });
+    return { url: args.url, summary: String(summary || '').trim() };
+  }
+
+  async openTabs(args) {
+    const urls = args.urls.filter(ConversationTools.isWebUrl).slice(0, this.maxTabs);
+    for (const [index, url] of urls.entries()) {
+      await chrome.tabs.create({ url, active: index === 0 });
+    }
+    return { opened: urls.length, skipped: args.urls.length - urls.length };
+  }
+
+  async createTabGroup(args) {
+    if (!this.tabGroupService) return { error: 'Tab groups are not available' };
+    const pages = args.urls.filter(ConversationTools.isWebUrl).map(url => ({ url }));
+    return this.tabGroupService.openAsGroup(args.title, pages);
+  }
+
+  // Why a reminder cannot be set, or null when it can
+  static reminderError(args) {
+    const when = new Date(args.when).getTime();
+    if (!Number.isFinite(when)) return `Invalid reminder time "${args.when}", expected YYYY-MM-DDTHH:MM`;
+    if (when <= Date.now()) return 'The reminder time must be in the future';
+    if (args.url && !ConversationTools.isWebUrl(args.url)) return 'Reminders can only link http and https pages';
+    return null;
+  }
+
+  // Stored for the background alarm handler, which shows the notification
+  async setReminder(args) {
+    const error = ConversationTools.reminderError(args);
+    if (error) return { error };
+
+    const when = new Date(args.when).getTime();
+    const reminder = { id: `r_${when.toString(36)}_${TextUtils.hash(args.text)}`, text: args.text, url: args.url || '', when };
+    const stored = await chrome.storage.local.get(this.remindersKey);
+    const reminders = (stored[this.remindersKey] || []).filter(entry => entry.id !== reminder.id);
+    await chrome.storage.local.set({ [this.remindersKey]: [...reminders, reminder] });
+    await chrome.alarms.create(`reminder:${reminder.id}`, { when });
+    return { scheduled: new Date(when).toLocaleString() };
+  }
+
+  /**
+   * Tool instructions for models without native function calling
+   * @param {Object[]} tools - Tool definitions
+   * @returns {string} - Prompt describing the tools and the JSON reply format
+   */
+  static protocolPrompt(tools) {
+    const lines = tools.map(tool => {
+      const properties = tool.parameters.properties || {};
+      const required = tool.parameters.required || [];
+      const params = Object.entries(properties)
+        .map(([key, schema]) => `${key}${required.includes(key) ? '' : '?'}: ${schema.type}${schema.description ? ` (${schema.description})` : ''}`)
+        .join(', ');
+      return `- ${tool.name}(${params}): ${tool.description}`;
+    });
+    return `You can use these tools:
+${lines.join('\n')}
+
+To use tools, reply with only this JSON and nothing else:
+{"tool_calls": [{"name": "<tool name>", "arguments": {...}}]}
+You will get the results and can use more tools. When you are done, answer the user in plain text without JSON.`;
+  }
+
+  /**
+   * Read tool calls from a reply in the prompt-based protocol
+   * @param {string} text - Model reply
+   * @returns {Object} - { text, calls: [{ id, name, args }] }; calls is empty for a final answer
+   */
+  static parseReply(text) {
+    const raw = String(text || '');
+    if (!raw.includes('tool_calls')) return { text: raw, calls: [] };
+    try {
+      const parsed = JsonSchema.parseLoose(raw);
+      const calls = (Array.isArray(parsed.tool_calls) ? parsed.tool_calls : [])
+        .filter(call => call && typeof call.name === 'string')
+        .map((call, index) => ({ id: `call_${index}`, name: call.name, args: call.arguments || {} }));
+      return { text: calls.length > 0 ? '' : raw, calls };
+    } catch (error) {
+      return { text: raw, calls: [] };
+    }
+  }
+
+  // Tool results as the next prompt in the prompt-based protocol
+  static resultsPrompt(results) {
+    return `Tool results:
+${results.map(result => `${result.name}: ${JSON.stringify(result.result)}`).join('\n')}
+
+Use more tools or answer the user.`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConversationTools;
+} else {
+  window.ConversationTools = ConversationTools;
+}
@@ -4,7 +4,7 @@ class EnhancedError extends Error {
   constructor(message, type = 'UNKNOWN', metadata = {}) {
     super(message);
     this.name = 'EnhancedError';
-    this.type = type; // e.g., RATE_LIMIT, NETWORK_ERROR, TIMEOUT, VALIDATION, AI_UNAVAILABLE
+    this.type = type; // e.g., RATE_LIMIT, NETWORK_ERROR, TIMEOUT, VALIDATION, AI_UNAVAILABLE, INVALID_OUTPUT, ABORTED
     this.metadata = metadata;
     this.isEnhanced = true;
   }
@@ -17,9 +17,16 @@ class EnhancedErrorHandler {
     TIMEOUT: 'TIMEOUT',
     VALIDATION: 'VALIDATION',
     AI_UNAVAILABLE: 'AI_UNAVAILABLE',
+    INVALID_OUTPUT: 'INVALID_OUTPUT', // model reply did not match the requested JSON schema
+    ABORTED: 'ABORTED', // caller stopped the request through an AbortSignal
     UNKNOWN: 'UNKNOWN'
   });
 
+  // Error for structured output that could not be parsed or validated
+  static invalidOutput(message, metadata = {}) {
+    return new EnhancedError(message, this.Types.INVALID_OUTPUT, metadata);
+  }
+
   static classify(error) {
     if (!error) {
       return new EnhancedError('Unknown error', this.Types.UNKNOWN);
@@ -28,6 +35,9 @@ class EnhancedErrorHandler {
 
     const message = (error && error.message) ? error.message : String(error);
 
+    if (error && error.name === 'AbortError') {
+      return new EnhancedError(message, this.Types.ABORTED);
+    }
     if (/rate limit|too many requests|429/i.test(message)) {
       return new EnhancedError(message, this.Types.RATE_LIMIT);
     }
@@ -0,0 +1,463 @@
+// History Index - Persistent IndexedDB index of browsing history
+// Filled incrementally by the background service worker from chrome.history events,
+// so the popup can answer queries without re-reading Chrome's history on every open.
+class HistoryIndex {
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'chrome-mnemonic-index';
+    this.dbVersion = 3;
+    this.db = null;
+    this.openPromise = null;
+    this.maxRecords = options.maxRecords || 50000;
+    this.maxVisitTimes = 20; // per-URL visit timestamps kept for session building
+  }
+
+  /**
+   * Check whether IndexedDB is usable in the current context
+   * @returns {boolean} - True if IndexedDB is available
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  }
+
+  /**
+   * Check if a URL should be kept in the index
+   * @param {string} url - The URL to check
+   * @returns {boolean} - True if the URL is indexable
+   */
+  static isIndexableURL(url) {
+    if (!url || typeof url !== 'string') return false;
+    return !url.startsWith('chrome://') &&
+      !url.startsWith('chrome-extension://') &&
+      !url.startsWith('edge://') &&
+      !url.startsWith('about:');
+  }
+
+  /**
+   * Extract the hostname used for the domain index
+   * @param {string} url - The URL to process
+   * @returns {string} - Hostname without 'www.' or empty string
+   */
+  static getDomain(url) {
+    const match = /^[a-z][a-z0-9+.-]*:\/\/([^/?#:]+)/i.exec(url || '');
+    return match ? match[1].toLowerCase().replace(/^www\./, '') : '';
+  }
+
+  /**
+   * Convert a chrome.history item into an index record, merging an existing record
+   * @param {Object} item - chrome.history.HistoryItem (or compatible object)
+   * @param {Object|null} existing - Record already stored for the same URL
+   * @returns {Object} - The record to store
+   */
+  static toRecord(item, existing = null, maxVisitTimes = 20) {
+    const lastVisitTime = item.lastVisitTime || Date.now();
+    const visitTimes = existing && Array.isArray(existing.visitTimes) ? existing.visitTimes.slice() : [];
+    if (!visitTimes.includes(lastVisitTime)) visitTimes.push(lastVisitTime);
+    visitTimes.sort((a, b) => b - a);
+
+    return {
+      url: item.url,
+      id: item.id || (existing && existing.id) || null,
+      title: item.title || (existing && existing.title) || 'Untitled',
+      domain: HistoryIndex.getDomain(item.url),
+      lastVisitTime: Math.max(lastVisitTime, existing ? existing.lastVisitTime || 0 : 0),
+      firstVisitTime: existing && existing.firstVisitTime ? Math.min(existing.firstVisitTime, lastVisitTime) : lastVisitTime,
+      visitCount: Math.max(item.visitCount || 1, existing ? existing.visitCount || 0 : 0),
+      typedCount: Math.max(item.typedCount || 0, existing ? existing.typedCount || 0 : 0),
+      visitTimes: visitTimes.slice(0, maxVisitTimes)
+    };
+  }
+
+  // Open (and upgrade) the database
+  open() {
+    if (this.db) return Promise.resolve(this.db);
+    if (this.openPromise) return this.openPromise;
+    if (!HistoryIndex.isSupported()) {
+      return Promise.reject(new Error('IndexedDB not available'));
+    }
+
+    this.openPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          const pages = db.createObjectStore('pages', { keyPath: 'url' });
+          pages.createIndex('lastVisitTime', 'lastVisitTime');
+          pages.createIndex('domain', 'domain');
+          db.createObjectStore('meta', { keyPath: 'key' });
+        }
+        if (event.oldVersion < 2) {
+          // Embedding vectors for semantic search, keyed by URL
+          db.createObjectStore('embeddings', { keyPath: 'url' });
+        }
+        if (event.oldVersion < 3) {
+          // Captured page text (opt-in), keyed by URL
+          const content = db.createObjectStore('content', { keyPath: 'url' });
+          content.createIndex('capturedAt', 'capturedAt');
+        }
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        this.db.onversionchange = () => {
+          try { this.db.close(); } catch {}
+          this.db = null;
+          this.openPromise = null;
+        };
+        resolve(this.db);
+      };
+      request.onerror = () => {
+        this.openPromise = null;
+        reject(request.error || new Error('Failed to open history index'));
+      };
+    });
+    return this.openPromise;
+  }
+
+  // Internal: wrap an IDBRequest in a promise
+  promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Internal: resolve when a transaction finishes
+  transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  // Add or update visits (chrome.history items), then drop the oldest pages past maxRecords
+  async upsertVisits(items) {
+    const valid = (Array.isArray(items) ? items : [items])
+      .filter(item => item && HistoryIndex.isIndexableURL(item.url));
+    if (valid.length === 0) return 0;
+
+    const db = await this.open();
+    const tx = db.transaction(['pages', 'meta'], 'readwrite');
+    const store = tx.objectStore('pages');
+    for (const item of valid) {
+      const existing = await this.promisify(store.get(item.url));
+      store.put(HistoryIndex.toRecord(item, existing || null, this.maxVisitTimes));
+    }
+    await this.bumpRevision(tx.objectStore('meta'));
+    await this.transactionDone(tx);
+    await this.prune();
+    return valid.length;
+  }
+
+  // Remove URLs (mirrors chrome.history.onVisitRemoved)
+  async removeUrls(urls) {
+    if (!Array.isArray(urls) || urls.length === 0) return;
+    const db = await this.open();
+    const tx = db.transaction(['pages', 'embeddings', 'content', 'meta'], 'readwrite');
+    const store = tx.objectStore('pages');
+    const embeddings = tx.objectStore('embeddings');
+    const content = tx.objectStore('content');
+    let freedBytes = 0;
+    for (const url of urls) {
+      store.delete(url);
+      embeddings.delete(url);
+      const captured = await this.promisify(content.get(url));
+      if (captured) {
+        freedBytes += captured.byteSize || 0;
+        content.delete(url);
+      }
+    }
+    if (freedBytes > 0) await this.adjustContentBytes(tx.objectStore('meta'), -freedBytes);
+    await this.bumpRevision(tx.objectStore('meta'));
+    await this.transactionDone(tx);
+  }
+
+  // Internal: count a change to the pages store (inside an open transaction), so readers know to reload
+  async bumpRevision(metaStore) {
+    const entry = await this.promisify(metaStore.get('revision'));
+    metaStore.put({ key: 'revision', value: (entry ? entry.value : 0) + 1 });
+  }
+
+  // Change counter for the pages store; differs from an earlier value whenever pages were added or removed
+  async getRevision() {
+    return (await this.getMeta('revision')) || 0;
+  }
+
+  // Remove everything (history cleared by the user)
+  async clear() {
+    const db = await this.open();
+    const tx = db.transaction(['pages', 'meta', 'embeddings', 'content'], 'readwrite');
+    const metaStore = tx.objectStore('meta');
+    const revision = await this.promisify(metaStore.get('revision'));
+    tx.objectStore('pages').clear();
+    metaStore.clear();
+    // Keep counting, so a snapshot read before the clear never looks current
+    metaStore.put({ key: 'revision', value: (revision ? revision.value : 0) + 1 });
+    tx.objectStore('embeddings').clear();
+    tx.objectStore('content').clear();
+    await this.transactionDone(tx);
+  }
+
+  // Number of indexed pages
+  async count() {
+    const db = await this.open();
+    return await this.promisify(db.transaction('pages').objectStore('pages').count());
+  }
+
+  // Get pages ordered by most recent visit
+  async getRecent(limit = 1000, startTime = 0) {
+    const db = await this.open();
+    const index = db.transaction('pages').objectStore('pages').index('lastVisitTime');
+    const range = startTime > 0 ? IDBKeyRange.lowerBound(startTime) : null;
+    return await this.collect(index.openCursor(range, 'prev'), () => true, limit);
+  }
+
+  // Get pages visited in a time window
+  async getRange(startTime, endTime = Date.now(), limit = 5000) {
+    const db = await this.open();
+    const index = db.transaction('pages').objectStore('pages').index('lastVisitTime');
+    return await this.collect(index.openCursor(IDBKeyRange.bound(startTime, endTime), 'prev'), () => true, limit);
+  }
+
+  // Substring search over title and URL, newest first
+  async search(query, limit = 200) {
+    if (!query || query.trim().length < 2) return [];
+    const term = query.trim().toLowerCase();
+    const db = await this.open();
+    const index = db.transaction('pages').objectStore('pages').index('lastVisitTime');
+    return await this.collect(index.openCursor(null, 'prev'), (record) =>
+      (record.title || '').toLowerCase().includes(term) ||
+      (record.url || '').toLowerCase().includes(term), limit);
+  }
+
+  /**
+   * Pages in a time window whose title or URL shares a term with the query, newest first
+   * @param {string[]} terms - Stemmed query terms (TextUtils.terms)
+   * @param {number} startTime - Earliest visit (inclusive)
+   * @param {number} endTime - Latest visit (inclusive)
+   * @param {number} limit - Max records
+   * @returns {Promise<Object[]>} - Matching records
+   */
+  async searchRange(terms, startTime = 0, endTime = Date.now(), limit = 5000) {
+    const needles = (terms || []).filter(Boolean);
+    if (needles.length === 0) return this.getRange(startTime, endTime, limit);
+    const db = await this.open();
+    const index = db.transaction('pages').objectStore('pages').index('lastVisitTime');
+    return await this.collect(index.openCursor(IDBKeyRange.bound(startTime, endTime), 'prev'), (record) => {
+      const recordTerms = new Set(TextUtils.terms(`${record.title || ''} ${TextUtils.urlToText(record.url)}`));
+      return needles.some(term => recordTerms.has(term));
+    }, limit);
+  }
+
+  // Pages for a domain (exact hostname match, or suffix match such as 'github.com')
+  async getByDomain(domain, limit = 1000) {
+    const target = (domain || '').toLowerCase().replace(/^www\./, '');
+    if (!target) return [];
+    const db = await this.open();
+    const store = db.transaction('pages').objectStore('pages');
+    const exact = await this.promisify(store.index('domain').getAll(target));
+    if (exact.length > 0) {
+      return exact.sort((a, b) => b.lastVisitTime - a.lastVisitTime).slice(0, limit);
+    }
+    return await this.collect(store.index('lastVisitTime').openCursor(null, 'prev'),
+      (record) => (record.domain || '').includes(target), limit);
+  }
+
+  // Internal: walk a cursor collecting matching values
+  collect(cursorRequest, predicate, limit) {
+    return new Promise((resolve, reject) => {
+      const results = [];
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || results.length >= limit) {
+          resolve(results);
+          return;
+        }
+        if (predicate(cursor.value)) results.push(cursor.value);
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+  }
+
+  // Get stored embeddings for URLs as a { url: record } map
+  async getEmbeddings(urls) {
+    const result = {};
+    if (!Array.isArray(urls) || urls.length === 0) return result;
+    const db = await this.open();
+    const store = db.transaction('embeddings').objectStore('embeddings');
+    const records = await Promise.all(urls.map(url => this.promisify(store.get(url))));
+    records.forEach(record => {
+      if (record) result[record.url] = record;
+    });
+    return result;
+  }
+
+  // Store embedding records ({ url, model, textHash, vector })
+  async putEmbeddings(records) {
+    if (!Array.isArray(records) || records.length === 0) return;
+    const db = await this.open();
+    const tx = db.transaction('embeddings', 'readwrite');
+    const store = tx.objectStore('embeddings');
+    records.forEach(record => store.put(record));
+    await this.transactionDone(tx);
+  }
+
+  /**
+   * Approximate stored size of a captured page (UTF-16 string bytes)
+   * @param {Object} page - Captured page fields
+   * @returns {number} - Size in bytes
+   */
+  static estimateSize(page) {
+    const headings = (page.headings || []).map(h => h.text || '').join('');
+    return ((page.title || '').length + (page.description || '').length + headings.length + (page.text || '').length) * 2;
+  }
+
+  // Internal: add delta to the running content size (inside an open transaction)
+  async adjustContentBytes(metaStore, delta) {
+    const entry = await this.promisify(metaStore.get('contentBytes'));
+    const value = Math.max(0, (entry ? entry.value : 0) + delta);
+    metaStore.put({ key: 'contentBytes', value });
+    return value;
+  }
+
+  // Store captured page content, then prune the oldest pages past maxBytes
+  async putContent(page, maxBytes = Infinity) {
+    if (!page || !HistoryIndex.isIndexableURL(page.url)) return null;
+    const record = {
+      url: page.url,
+      title: page.title || '',
+      description: page.description || '',
+      headings: Array.isArray(page.headings) ? page.headings : [],
+      text: page.text || '',
+      lang: page.lang || '',
+      wordCount: page.wordCount || 0,
+      capturedAt: page.capturedAt || Date.now()
+    };
+    record.byteSize = HistoryIndex.estimateSize(record);
+    if (record.byteSize > maxBytes) return null;
+
+    const db = await this.open();
+    const tx = db.transaction(['content', 'meta'], 'readwrite');
+    const store = tx.objectStore('content');
+    const existing = await this.promisify(store.get(record.url));
+    store.put(record);
+    const total = await this.adjustContentBytes(tx.objectStore('meta'), record.byteSize - (existing ? existing.byteSize || 0 : 0));
+    await this.transactionDone(tx);
+
+    if (total > maxBytes) await this.pruneContent(maxBytes);
+    return record;
+  }
+
+  // Get captured content for URLs as a { url: record } map
+  async getContent(urls) {
+    const result = {};
+    if (!Array.isArray(urls) || urls.length === 0) return result;
+    const db = await this.open();
+    const store = db.transaction('content').objectStore('content');
+    const records = await Promise.all(urls.map(url => this.promisify(store.get(url))));
+    records.forEach(record => {
+      if (record) result[record.url] = record;
+    });
+    return result;
+  }
+
+  // Captured content totals for the Settings tab
+  async getContentUsage() {
+    const db = await this.open();
+    const tx = db.transaction(['content', 'meta']);
+    const count = await this.promisify(tx.objectStore('content').count());
+    const entry = await this.promisify(tx.objectStore('meta').get('contentBytes'));
+    return { count, bytes: entry ? entry.value : 0 };
+  }
+
+  // Delete all captured content (keeps pages and embeddings)
+  async clearContent() {
+    const db = await this.open();
+    const tx = db.transaction(['content', 'meta'], 'readwrite');
+    tx.objectStore('content').clear();
+    tx.objectStore('meta').put({ key: 'contentBytes', value: 0 });
+    await this.transactionDone(tx);
+  }
+
+  // Drop the oldest captured pages until the total fits in maxBytes
+  async pruneContent(maxBytes) {
+    const db = await this.open();
+    const tx = db.transaction(['content', 'meta'], 'readwrite');
+    const metaStore = tx.objectStore('meta');
+    const entry = await this.promisify(metaStore.get('contentBytes'));
+    let total = entry ? entry.value : 0;
+    let removed = 0;
+
+    const cursorRequest = tx.objectStore('content').index('capturedAt').openCursor(null, 'next');
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || total <= maxBytes) {
+        metaStore.put({ key: 'contentBytes', value: Math.max(0, total) });
+        return;
+      }
+      total -= cursor.value.byteSize || 0;
+      removed++;
+      cursor.delete();
+      cursor.continue();
+    };
+    await this.transactionDone(tx);
+    return removed;
+  }
+
+  // Read a metadata value
+  async getMeta(key) {
+    const db = await this.open();
+    const entry = await this.promisify(db.transaction('meta').objectStore('meta').get(key));
+    return entry ? entry.value : null;
+  }
+
+  // Write a metadata value
+  async setMeta(key, value) {
+    const db = await this.open();
+    const tx = db.transaction('meta', 'readwrite');
+    tx.objectStore('meta').put({ key, value });
+    await this.transactionDone(tx);
+  }
+
+  // Seed the index from chrome.history (first run, or after the index was cleared)
+  async backfillFromChrome(options = {}) {
+    const { days = 90, maxResults = 10000 } = options;
+    const items = await chrome.history.search({
+      text: '',
+      maxResults,
+      startTime: Date.now() - (days * 24 * 60 * 60 * 1000)
+    });
+    const added = await this.upsertVisits(items || []);
+    await this.setMeta('lastBackfill', Date.now());
+    console.log(`📇 History index backfilled with ${added} pages`);
+    return added;
+  }
+
+  // Drop the oldest pages when the index grows past maxRecords
+  async prune(maxRecords = this.maxRecords) {
+    const total = await this.count();
+    if (total <= maxRecords) return 0;
+
+    const db = await this.open();
+    const tx = db.transaction(['pages', 'meta'], 'readwrite');
+    const cursorRequest = tx.objectStore('pages').index('lastVisitTime').openCursor(null, 'next');
+    let toRemove = total - maxRecords;
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || toRemove <= 0) return;
+      cursor.delete();
+      toRemove--;
+      cursor.continue();
+    };
+    await this.bumpRevision(tx.objectStore('meta'));
+    await this.transactionDone(tx);
+    return total - maxRecords;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HistoryIndex;
+} else if (typeof self !== 'undefined') {
+  self.HistoryIndex = HistoryIndex;
+}
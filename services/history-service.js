@@ -5,15 +5,26 @@ class HistoryService {
     this.historyCache = new Map();
     this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
     this.cacheManager = new CacheManager();
+    // Persistent index kept up to date by the background service worker
+    this.historyIndex = (typeof HistoryIndex !== 'undefined' && HistoryIndex.isSupported()) ? new HistoryIndex() : null;
+    this.indexSnapshotLimit = 5000; // items loaded into memory from the index
+    this.indexSnapshot = null; // { revision, items } last read from the index
     this.worker = null;
     // Allow more time for heavy computations on large histories
     this.workerTimeoutMs = 15000;
   }
 
-  // Load browsing history from Chrome API with chunking
-  async loadHistory() {
+  // Load browsing history from the persistent index, or the Chrome API with chunking
+  async loadHistory(forceRefresh = false) {
     try {
       console.log('Loading browsing history...');
+
+      const indexed = await this.loadFromIndex(forceRefresh);
+      if (indexed) {
+        this.historyData = indexed;
+        console.log(`Loaded ${this.historyData.length} history items from index`);
+        return this.historyData;
+      }
       
       // Get history from Chrome API - optimized for speed
       const maxResults = 1000; // Reduced for faster initial load
@@ -53,6 +64,13 @@ class HistoryService {
         .filter(item => item !== null) // Remove null items
         .sort((a, b) => b.lastVisitTime - a.lastVisitTime);
 
+      // Seed the index so the next open doesn't need chrome.history (non-blocking)
+      if (this.historyIndex) {
+        this.historyIndex.upsertVisits(allHistory).catch(err => {
+          console.warn('Failed to seed history index:', err);
+        });
+      }
+
       console.log(`Loaded ${this.historyData.length} history items`);
       return this.historyData;
     } catch (error) {
@@ -62,13 +80,54 @@ class HistoryService {
     }
   }
 
+  // Load the most recent items from the persistent index, re-read only when the index changed
+  // (or forceRefresh); null when the index is unavailable or empty
+  async loadFromIndex(forceRefresh = false) {
+    if (!this.historyIndex) return null;
+    try {
+      const revision = await this.historyIndex.getRevision();
+      if (!forceRefresh && this.indexSnapshot && this.indexSnapshot.revision === revision) {
+        return this.indexSnapshot.items;
+      }
+      const records = await this.historyIndex.getRecent(this.indexSnapshotLimit);
+      if (!Array.isArray(records) || records.length === 0) {
+        this.indexSnapshot = null;
+        return null;
+      }
+      this.indexSnapshot = { revision, items: records.map(record => this.fromIndexRecord(record)) };
+      return this.indexSnapshot.items;
+    } catch (error) {
+      console.warn('History index unavailable, falling back to Chrome API:', error);
+      return null;
+    }
+  }
+
+  // Map an index record to the history item shape used across features
+  fromIndexRecord(record) {
+    return {
+      id: record.id,
+      url: record.url,
+      title: record.title || 'Untitled',
+      lastVisitTime: record.lastVisitTime,
+      visitCount: record.visitCount || 1,
+      typedCount: record.typedCount || 0
+    };
+  }
+
   // Get cached history or load fresh
   async getHistory(forceRefresh = false) {
     try {
+      // The persistent index is always current; skip the short-lived storage cache
+      const indexed = await this.loadFromIndex(forceRefresh);
+      if (indexed) {
+        this.historyData = indexed;
+        return this.historyData;
+      }
+
       if (forceRefresh) {
         // Force refresh - bypass cache
         console.log('Force refreshing history data');
-        const data = await this.loadHistory();
+        const data = await this.loadHistory(true);
         // IMPORTANT: Always update this.historyData
         this.historyData = Array.isArray(data) ? data : [];
         await this.cacheManager.setCachedData('browsing_history', this.historyData, 5);
@@ -138,21 +197,56 @@ class HistoryService {
     return this.historyData.slice(0, limit);
   }
 
-  // Search history by query
-  searchHistory(query) {
+  // Search history by query over the whole persistent index (in-memory history without one)
+  async searchHistory(query, limit = 200) {
     if (!query || query.trim().length < 2) {
       return [];
     }
+    if (this.historyIndex) {
+      try {
+        const records = await this.historyIndex.search(query, limit);
+        return records.map(record => this.fromIndexRecord(record));
+      } catch (error) {
+        console.warn('Indexed search failed, using in-memory history:', error);
+      }
+    }
 
     const searchTerm = query.toLowerCase();
     return this.historyData.filter(item => 
       item.title.toLowerCase().includes(searchTerm) ||
       item.url.toLowerCase().includes(searchTerm)
-    );
+    ).slice(0, limit);
+  }
+
+  // Attach captured page content (description, headings, text excerpt) to history items in place
+  async attachPageContent(items, maxChars = 2000) {
+    if (!this.historyIndex || !Array.isArray(items) || items.length === 0) return items;
+    try {
+      const content = await this.historyIndex.getContent(items.map(item => item.url));
+      items.forEach(item => {
+        const page = content[item.url];
+        if (!page) return;
+        item.description = page.description;
+        item.headings = page.headings.map(h => h.text);
+        item.content = page.text.substring(0, maxChars);
+      });
+    } catch (error) {
+      console.warn('Captured page content unavailable:', error);
+    }
+    return items;
   }
 
-  // Get history by domain
-  getHistoryByDomain(domain) {
+  // Get history by domain from the whole persistent index (in-memory history without one)
+  async getHistoryByDomain(domain, limit = 1000) {
+    if (this.historyIndex) {
+      try {
+        const records = await this.historyIndex.getByDomain(domain, limit);
+        return records.map(record => this.fromIndexRecord(record));
+      } catch (error) {
+        console.warn('Indexed domain lookup failed, using in-memory history:', error);
+      }
+    }
+
     return this.historyData.filter(item => {
       try {
         const itemDomain = new URL(item.url).hostname;
@@ -160,7 +254,7 @@ class HistoryService {
       } catch {
         return false;
       }
-    });
+    }).slice(0, limit);
   }
 
   // Get top domains
@@ -182,23 +276,35 @@ class HistoryService {
       .map(([domain, count]) => ({ domain, count }));
   }
 
-  // Get browsing sessions (grouped by time gaps)
-  getBrowsingSessions(maxGapMinutes = 30) {
-    if (this.historyData.length === 0) return [];
-    return this.runInWorker('buildSessions', { historyData: this.historyData, maxGapMinutes })
+  // Get browsing sessions (grouped by time gaps) in a time window, read from the persistent index
+  async getBrowsingSessions(maxGapMinutes = 30, { startTime = 0, endTime = Date.now() } = {}) {
+    let items = null;
+    if (this.historyIndex) {
+      try {
+        const records = await this.historyIndex.getRange(startTime, endTime, this.indexSnapshotLimit);
+        items = records.map(record => this.fromIndexRecord(record));
+      } catch (error) {
+        console.warn('Indexed range lookup failed, using in-memory history:', error);
+      }
+    }
+    if (!items) {
+      items = this.historyData.filter(item => !(item.lastVisitTime < startTime || item.lastVisitTime > endTime));
+    }
+    if (items.length === 0) return [];
+    return this.runInWorker('buildSessions', { historyData: items, maxGapMinutes })
       .catch(err => {
         console.warn('Worker failed for buildSessions, falling back to main thread:', err);
-        return this.getBrowsingSessionsFallback(maxGapMinutes);
+        return this.getBrowsingSessionsFallback(maxGapMinutes, items);
       });
   }
 
-  getBrowsingSessionsFallback(maxGapMinutes = 30) {
-    if (this.historyData.length === 0) return [];
+  getBrowsingSessionsFallback(maxGapMinutes = 30, items = this.historyData) {
+    if (items.length === 0) return [];
     const sessions = [];
-    let currentSession = [this.historyData[0]];
-    for (let i = 1; i < this.historyData.length; i++) {
-      const current = this.historyData[i];
-      const previous = this.historyData[i - 1];
+    let currentSession = [items[0]];
+    for (let i = 1; i < items.length; i++) {
+      const current = items[i];
+      const previous = items[i - 1];
       const timeDiff = previous.lastVisitTime - current.lastVisitTime;
       const gapMinutes = timeDiff / (1000 * 60);
       if (gapMinutes <= maxGapMinutes) {
@@ -264,6 +370,64 @@ class HistoryService {
     };
   }
 
+  // Group pages by topic without a language model (TF-IDF and agglomerative clustering in the worker).
+  // Returns { clusters: [{ items, terms, cohesion }], unclustered: [item] }
+  async clusterTopics(items, options = {}) {
+    const byUrl = new Map((items || []).filter(item => item && item.url).map(item => [item.url, item]));
+    const documents = [...byUrl.values()].map(item => ({
+      id: item.url,
+      title: item.title || '',
+      url: item.url,
+      description: item.description || ''
+    }));
+    const payload = { ...options, documents };
+
+    const result = await this.runInWorker('clusterTopics', payload)
+      .catch(err => {
+        console.warn('Worker failed for clusterTopics, falling back to main thread:', err);
+        return TopicClustering.cluster(payload);
+      });
+
+    return {
+      clusters: result.clusters.map(cluster => ({
+        items: cluster.ids.map(id => byUrl.get(id)),
+        terms: cluster.terms,
+        cohesion: cluster.cohesion
+      })),
+      unclustered: result.unclustered.map(id => byUrl.get(id))
+    };
+  }
+
+  // Find topics that recur across sessions (see TopicClustering.threads), computed in the worker.
+  // Returns [{ terms, sessions, pages, startTime, endTime, activeMs, days }], most recently active first
+  async buildKnowledgeThreads(sessions, options = {}) {
+    const byId = new Map((sessions || []).map((session, i) => [String(session.id ?? i), session]));
+    const payload = {
+      ...options,
+      sessions: [...byId.entries()].map(([id, session]) => ({
+        id,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        pages: (session.items || []).map(item => ({ url: item.url, title: item.title || '', description: item.description || '' }))
+      }))
+    };
+
+    const threads = await this.runInWorker('buildThreads', payload)
+      .catch(err => {
+        console.warn('Worker failed for buildThreads, falling back to main thread:', err);
+        return TopicClustering.threads(payload);
+      });
+
+    return threads.map(thread => {
+      const members = thread.sessionIds.map(id => byId.get(id));
+      const pages = new Map();
+      members.forEach(session => session.items.forEach(item => {
+        if (!pages.has(item.url)) pages.set(item.url, item);
+      }));
+      return { ...thread, sessions: members, pages: [...pages.values()] };
+    });
+  }
+
   // Internal: run a computation in the history worker with timeout
   runInWorker(action, payload) {
     return new Promise((resolve, reject) => {
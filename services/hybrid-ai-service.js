@@ -1,11 +1,12 @@
-// Hybrid AI Service - switches between Chrome AI and Gemini API
+// Hybrid AI Service - routes each AI API to a provider (Chrome AI, Gemini, OpenAI-compatible)
 
 class HybridAIService {
   constructor() {
     this.useGemini = false;
     this.geminiApiKey = null;
     this.chromeAIService = null;
-    this.geminiBaseUrl = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
+    this.registry = null;
+    this.openSessions = new Map(); // long-lived session -> provider that opened it
     this.initialized = false;
   }
 
@@ -15,6 +16,7 @@ class HybridAIService {
       // Initialize Chrome AI service
       this.chromeAIService = new AIService();
       await this.chromeAIService.checkAIAvailability();
+      this.registry = HybridAIService.createRegistry(this.chromeAIService);
 
       // Load settings from storage
       await this.loadSettings();
@@ -22,7 +24,8 @@ class HybridAIService {
       this.initialized = true;
       console.log('HybridAIService initialized:', {
         useGemini: this.useGemini,
-        chromeAIAvailable: this.chromeAIService.aiAvailable
+        chromeAIAvailable: this.chromeAIService.aiAvailable,
+        routes: this.registry.routes
       });
     } catch (error) {
       console.warn('HybridAIService initialization failed:', error);
@@ -36,6 +39,7 @@ class HybridAIService {
       const result = await chrome.storage.local.get(['useGemini', 'geminiApiKey']);
       this.useGemini = result.useGemini || false;
       this.geminiApiKey = result.geminiApiKey || null;
+      if (this.registry) await this.registry.load();
     } catch (error) {
       console.warn('Failed to load AI settings:', error);
     }
@@ -50,6 +54,7 @@ class HybridAIService {
       });
       this.useGemini = useGemini;
       this.geminiApiKey = apiKey;
+      if (this.registry) await this.registry.load();
       console.log('AI settings saved:', { useGemini, hasApiKey: !!apiKey });
     } catch (error) {
       console.warn('Failed to save AI settings:', error);
@@ -67,6 +72,7 @@ class HybridAIService {
         useGemini: enabled,
         geminiApiKey: current.geminiApiKey || this.geminiApiKey
       });
+      if (this.registry) await this.registry.load();
       console.log('Gemini API mode:', enabled ? 'enabled' : 'disabled');
     } catch (error) {
       console.warn('Failed to save useGemini setting:', error);
@@ -94,215 +100,151 @@ class HybridAIService {
 
   // Validate Gemini API key
   async validateGeminiApiKey(apiKey) {
-    try {
-      // Try v1beta first (preferred)
-      let response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: 'Test connection'
-            }]
-          }],
-          generationConfig: {
-            maxOutputTokens: 10
-          }
-        }),
-        signal: AbortSignal.timeout(15000)
-      });
+    const gemini = this.registry ? this.registry.get('gemini') : new GeminiProvider();
+    return gemini.validate(apiKey);
+  }
 
-      if (response.ok) {
-        return { valid: true, message: 'API key is valid (using gemini-1.5-flash v1beta)' };
-      } else {
-        // Check error details
-        const errorData = await response.json().catch(() => ({}));
-        const errorMsg = errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`;
-        
-        // If v1beta fails with model not found, try v1
-        if (errorMsg.includes('not found') || errorMsg.includes('not supported')) {
-          console.log('v1beta failed, trying v1...');
-          response = await fetch(`https://generativelanguage.googleapis.com/v1/models/gemini-1.5-flash:generateContent?key=${apiKey}`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-              contents: [{
-                parts: [{
-                  text: 'Test connection'
-                }]
-              }],
-              generationConfig: {
-                maxOutputTokens: 10
-              }
-            }),
-            signal: AbortSignal.timeout(15000)
-          });
-          
-          if (response.ok) {
-            // Update base URL to v1
-            this.geminiBaseUrl = 'https://generativelanguage.googleapis.com/v1/models/gemini-1.5-flash:generateContent';
-            return { valid: true, message: 'API key is valid (using gemini-1.5-flash v1)' };
-          }
-        }
-        
-        return { valid: false, message: errorMsg };
-      }
-    } catch (error) {
-      return { valid: false, message: 'Network error: ' + error.message };
-    }
+  // Whether an embedding model is configured (Chrome has no built-in embedding API)
+  canEmbed() {
+    return !!(this.registry && this.registry.routeFor('Embeddings'));
   }
 
-  // Call Gemini API
-  async callGeminiAPI(apiType, config, callback) {
-    if (!this.geminiApiKey) {
-      throw new Error('Gemini API key not configured');
-    }
+  // Identifies the embedding model so cached vectors from another model are not mixed in
+  get embeddingModel() {
+    const provider = this.registry && this.registry.routeFor('Embeddings');
+    return provider ? provider.embeddingModelId : 'default';
+  }
 
-    try {
-      // Map Chrome AI types to Gemini prompts
-      const prompt = this.getGeminiPrompt(apiType, config);
-      
-      // Try gemini-1.5-flash first, fallback to gemini-1.5-pro if needed
-      let response;
-      try {
-        response = await fetch(`${this.geminiBaseUrl}?key=${this.geminiApiKey}`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            contents: [{
-              parts: [{
-                text: prompt
-              }]
-            }],
-            generationConfig: {
-              temperature: 0.7,
-              topK: 40,
-              topP: 0.95,
-              maxOutputTokens: 512,
-              candidateCount: 1,
-              stopSequences: [],
-            },
-            safetySettings: [
-              {
-                category: "HARM_CATEGORY_HARASSMENT",
-                threshold: "BLOCK_NONE"
-              },
-              {
-                category: "HARM_CATEGORY_HATE_SPEECH",
-                threshold: "BLOCK_NONE"
-              },
-              {
-                category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-                threshold: "BLOCK_NONE"
-              },
-              {
-                category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-                threshold: "BLOCK_NONE"
-              }
-            ]
-          }),
-          signal: AbortSignal.timeout(30000) // 30 second timeout
-        });
-      } catch (error) {
-        // If fetch fails (network error), throw it
-        console.warn('Gemini API call failed:', error);
-        throw new Error(`Gemini API network error: ${error.message}`);
-      }
+  // Embed texts with the routed embedding provider, one vector per text
+  async embedTexts(texts, options = {}) {
+    const provider = this.registry && this.registry.routeFor('Embeddings');
+    if (!provider) {
+      throw new Error('Embedding model not available');
+    }
+    return provider.embed(texts, options);
+  }
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        const errorMsg = errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`;
-        throw new Error(`Gemini API error: ${errorMsg}`);
-      }
+  // Provider registry with the built-in adapters
+  static createRegistry(chromeAIService) {
+    const registry = new AIProviderRegistry();
+    registry.register(new ChromeAIProvider(chromeAIService));
+    registry.register(new GeminiProvider());
+    registry.register(new OpenAICompatibleProvider());
+    return registry;
+  }
 
-      const result = await response.json();
-      const text = result.candidates?.[0]?.content?.parts?.[0]?.text || 'No response generated';
-      
-      // Simulate the callback pattern for compatibility
-      return await callback({ 
-        result: text,
-        apiType: 'Gemini',
-        source: 'cloud'
-      });
-    } catch (error) {
-      console.warn('Gemini API call failed:', error);
-      throw error;
+  // Save per-API routes and provider settings from the Settings tab
+  async saveProviderSettings(settings) {
+    if (!this.initialized) {
+      await this.initialize();
     }
+    return this.registry.save(settings);
   }
 
-  // Get appropriate prompt for Gemini based on Chrome AI type
-  getGeminiPrompt(apiType, config) {
-    const prompts = {
-      'LanguageModel': 'You are a helpful AI assistant. Please respond to the following request: ',
-      'Summarizer': 'Please provide a concise summary of the following content: ',
-      'Writer': 'Please write the following content: ',
-      'Rewriter': 'Please rewrite the following content to improve clarity and style: ',
-      'Proofreader': 'Please proofread and correct the following text: ',
-      'Translator': 'Please translate the following text: ',
-      'Prompt': 'Please analyze the following image and text: '
+  // Main method: run the callback with a session from the provider routed for this API,
+  // falling back to the next provider when one cannot open a session. Once the callback has
+  // started, its errors are thrown as they are: running it again elsewhere would restart a
+  // reply the user already saw and repeat its side effects.
+  async withAISession(apiType, config, callback, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const providers = this.registry ? this.registry.resolve(apiType) : [];
+    if (providers.length === 0) {
+      throw new Error('No AI service available. Please check your configuration.');
+    }
+
+    let started = false;
+    const run = (session) => {
+      started = true;
+      return callback(session);
     };
 
-    const basePrompt = prompts[apiType] || 'Please process the following request: ';
-    
-    // Extract the actual prompt from config if available
-    const userPrompt = config.expectedInputs?.[0]?.data || 
-                      config.prompt || 
-                      'No specific prompt provided';
-    
-    return basePrompt + userPrompt;
+    let lastError = null;
+    for (const provider of providers) {
+      try {
+        console.log(`Using ${provider.name} for ${apiType}`);
+        return await provider.withSession(AIProviderRegistry.normalizeApiType(apiType), config, run, options);
+      } catch (error) {
+        if (started) throw error;
+        lastError = error;
+        if (options.signal && options.signal.aborted) break;
+        console.warn(`${provider.name} failed for ${apiType}:`, error);
+      }
+    }
+    console.warn(`AI operation failed for ${apiType}:`, lastError);
+    throw lastError;
   }
 
-  // Main method that switches between Chrome AI and Gemini
-  async withAISession(apiType, config, callback, options = {}) {
+  // Long-lived session from the first provider that can open one; release it with closeSession()
+  async openSession(apiType, config = {}, options = {}) {
     if (!this.initialized) {
       await this.initialize();
     }
 
-    // Add timeout to prevent hanging operations
-    const timeoutMs = options.timeout || 45000; // 45 second default timeout
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('AI operation timeout')), timeoutMs);
-    });
+    const providers = this.registry ? this.registry.resolve(apiType) : [];
+    if (providers.length === 0) {
+      throw new Error('No AI service available. Please check your configuration.');
+    }
 
-    try {
-      // If Gemini is enabled and API key is available, use Gemini
-      if (this.useGemini && this.geminiApiKey) {
-        try {
-          console.log(`Using Gemini API for ${apiType}`);
-          return await this.callGeminiAPI(apiType, config, callback);
-        } catch (error) {
-          console.warn(`Gemini API failed for ${apiType}, falling back to Chrome AI:`, error);
-          // Fallback to Chrome AI
-        }
+    let lastError = null;
+    for (const provider of providers) {
+      try {
+        const session = await provider.openSession(AIProviderRegistry.normalizeApiType(apiType), config, options);
+        this.openSessions.set(session, provider);
+        return session;
+      } catch (error) {
+        lastError = error;
+        console.warn(`${provider.name} could not open a ${apiType} session:`, error);
       }
+    }
+    throw lastError;
+  }
 
-      // Use Chrome AI (default or fallback)
-      if (this.chromeAIService && this.chromeAIService.aiAvailable) {
-        console.log(`Using Chrome AI for ${apiType}`);
-        return await this.chromeAIService.withAISession(apiType, config, callback, options);
-      } else {
-        throw new Error('No AI service available. Please check your configuration.');
-      }
+  async closeSession(session) {
+    const provider = this.openSessions.get(session);
+    this.openSessions.delete(session);
+    if (provider) {
+      await provider.closeSession(session);
+    }
+  }
+
+  // Structured output: JSON matching a schema from whichever provider handles prompts
+  async promptStructured(prompt, schema, options = {}) {
+    const { maxAttempts = 3, timeout = 60000, priority = 'normal', description = 'Structured prompt', signal } = options;
+    try {
+      return await this.withAISession('LanguageModel', {
+        expectedInputs: [{ type: 'text' }]
+      }, async (model) => AIService.runStructuredPrompt(model, prompt, schema, { maxAttempts, signal }), {
+        priority,
+        timeout,
+        retries: 0,
+        description,
+        signal
+      });
     } catch (error) {
-      console.warn(`AI operation failed for ${apiType}:`, error);
-      throw error;
+      const classified = EnhancedErrorHandler.classify(error);
+      EnhancedErrorHandler.log(classified, { scope: 'promptStructured', description });
+      throw classified;
     }
   }
 
+  // Remote provider routed for an API, or null when Chrome AI handles it
+  remoteProviderFor(apiType) {
+    const provider = this.registry && this.registry.routeFor(apiType);
+    return provider && provider.remote ? provider : null;
+  }
+
   // Proxy other AIService methods
   get aiAvailable() {
-    return this.chromeAIService?.aiAvailable || this.useGemini;
+    return !!(this.chromeAIService?.aiAvailable || this.remoteProviderFor('LanguageModel'));
   }
 
   get aiAvailabilityNote() {
-    if (this.useGemini && this.geminiApiKey) {
-      return 'Gemini API (Cloud)';
+    const remote = this.remoteProviderFor('LanguageModel');
+    if (remote) {
+      return remote.id === 'gemini' ? 'Gemini API (Cloud)' : `${remote.name} (${remote.settings.model})`;
     } else if (this.chromeAIService?.aiAvailable) {
       return this.chromeAIService.aiAvailabilityNote;
     } else {
@@ -314,7 +256,74 @@ class HybridAIService {
     return this.chromeAIService?.aiSessionManager || { getSessionCount: () => 0 };
   }
 
-  // Check AI availability (both Chrome and Gemini)
+  // Refine text with the Rewriter API (returns the input when no rewriter is available)
+  async refineSummary(summary, type = 'general') {
+    if (this.remoteProviderFor('Rewriter') && summary && typeof summary === 'string') {
+      try {
+        return await this.withAISession('Rewriter', {
+          style: type === 'session' ? 'conversational' : 'professional'
+        }, async (rewriter) => rewriter.rewrite(summary.substring(0, 8000), { outputLanguage: 'en' }));
+      } catch (error) {
+        console.warn('Summary refinement failed:', error);
+        return summary;
+      }
+    }
+    if (!this.chromeAIService) return summary;
+    return this.chromeAIService.refineSummary(summary, type);
+  }
+
+  // Analyze text with the Proofreader API
+  async analyzeContentQuality(content, contentType = 'summary') {
+    if (this.remoteProviderFor('Proofreader')) {
+      try {
+        const result = await this.withAISession('Proofreader', {}, async (proofreader) => proofreader.proofread(content));
+        return {
+          score: this.chromeAIService ? this.chromeAIService.extractQualityScore(result) : 0.5,
+          feedback: result,
+          contentType: contentType,
+          analyzedAt: Date.now()
+        };
+      } catch (error) {
+        console.warn('Content quality analysis failed:', error);
+        return { score: 0.5, feedback: 'Analysis failed', error: error.message };
+      }
+    }
+    if (!this.chromeAIService) {
+      return { score: 0.5, feedback: 'Proofreader API not available' };
+    }
+    return this.chromeAIService.analyzeContentQuality(content, contentType);
+  }
+
+  // Detect language with the Translator route
+  async detectLanguage(content) {
+    if (this.remoteProviderFor('Translator')) {
+      try {
+        return await this.withAISession('Translator', {}, async (translator) => translator.detectLanguage(content));
+      } catch (error) {
+        console.warn('Language detection failed:', error);
+        return { language: 'en', confidence: 0.5, error: error.message };
+      }
+    }
+    if (!this.chromeAIService) return { language: 'en', confidence: 0.5 };
+    return this.chromeAIService.detectLanguage(content);
+  }
+
+  // Translate with the Translator route (returns the input when unavailable)
+  async translateContent(content, targetLanguage, sourceLanguage = null) {
+    if (this.remoteProviderFor('Translator')) {
+      try {
+        return await this.withAISession('Translator', { targetLanguage, sourceLanguage },
+          async (translator) => translator.translate(content));
+      } catch (error) {
+        console.warn('Translation failed:', error);
+        return content;
+      }
+    }
+    if (!this.chromeAIService) return content;
+    return this.chromeAIService.translateContent(content, targetLanguage, sourceLanguage);
+  }
+
+  // Check AI availability (Chrome, Gemini and the OpenAI-compatible endpoint)
   async checkAIAvailability() {
     if (!this.initialized) {
       await this.initialize();
@@ -322,11 +331,13 @@ class HybridAIService {
 
     const chromeAvailable = this.chromeAIService?.aiAvailable || false;
     const geminiAvailable = this.useGemini && this.geminiApiKey;
+    const openaiAvailable = !!this.registry?.get('openai')?.isConfigured();
 
     return {
       chrome: chromeAvailable,
       gemini: geminiAvailable,
-      active: chromeAvailable || geminiAvailable
+      openai: openaiAvailable,
+      active: chromeAvailable || geminiAvailable || !!this.remoteProviderFor('LanguageModel')
     };
   }
 
@@ -336,9 +347,16 @@ class HybridAIService {
       useGemini: this.useGemini,
       hasApiKey: !!this.geminiApiKey,
       chromeAIAvailable: this.chromeAIService?.aiAvailable || false,
-      activeProvider: this.useGemini && this.geminiApiKey ? 'Gemini' : 'Chrome AI'
+      activeProvider: HybridAIService.providerLabel(this.registry?.routeFor('LanguageModel')),
+      routes: { ...(this.registry?.routes || {}) }
     };
   }
+
+  // Display label for a provider ('Gemini', 'OpenAI-compatible' or 'Chrome AI')
+  static providerLabel(provider) {
+    if (!provider || provider.id === 'chrome') return 'Chrome AI';
+    return provider.id === 'gemini' ? 'Gemini' : provider.name;
+  }
 }
 
 // Export
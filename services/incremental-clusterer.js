@@ -0,0 +1,305 @@
+// Incremental Clusterer - Topic clusters kept up to date as pages are visited
+// The background service worker adds each visit to the closest cluster (or seeds a new one) and
+// periodically re-clusters recent history with TopicClustering; the popup only reads the result.
+// Requires TextUtils and TopicClustering (utils/) to be loaded first
+class IncrementalClusterer {
+  static NEW_WINDOW_MS = 24 * 60 * 60 * 1000; // pages added since then count as new
+
+  constructor(options = {}) {
+    this.storageKey = 'incrementalClusters';
+    this.assignThreshold = options.assignThreshold ?? 0.3; // cosine similarity to a cluster centroid
+    this.threshold = options.threshold ?? 0.2; // TopicClustering threshold when re-balancing
+    this.maxPages = options.maxPages ?? 3000; // oldest pages dropped first
+    this.centroidTerms = 40;
+    this.state = null;
+    this.queue = Promise.resolve();
+  }
+
+  static emptyState() {
+    return { clusters: [], pages: {}, df: {}, docCount: 0, rebalancedAt: 0 };
+  }
+
+  // Load the stored state (cached after the first call)
+  async load() {
+    if (this.state) return this.state;
+    try {
+      const stored = (await chrome.storage.local.get(this.storageKey))[this.storageKey];
+      this.state = stored && Array.isArray(stored.clusters) ? stored : IncrementalClusterer.emptyState();
+    } catch (error) {
+      console.warn('Failed to load incremental clusters:', error);
+      this.state = IncrementalClusterer.emptyState();
+    }
+    return this.state;
+  }
+
+  // Re-read the state the background worker keeps writing
+  async reload() {
+    this.state = null;
+    return this.load();
+  }
+
+  // Persist, dropping the pages added longest ago past maxPages
+  async save() {
+    const state = this.state || IncrementalClusterer.emptyState();
+    const urls = Object.keys(state.pages);
+    if (urls.length > this.maxPages) {
+      urls
+        .sort((a, b) => state.pages[a].addedAt - state.pages[b].addedAt)
+        .slice(0, urls.length - this.maxPages)
+        .forEach(url => this.unassign(url));
+      state.clusters = state.clusters.filter(cluster => cluster.size > 0);
+    }
+    this.state = state;
+    await chrome.storage.local.set({ [this.storageKey]: state });
+  }
+
+  // Run updates one at a time; visits and re-balancing both rewrite the state
+  run(task) {
+    const next = this.queue.then(task);
+    this.queue = next.catch(() => {});
+    return next;
+  }
+
+  // ID from a cluster's first page, suffixed when taken
+  static createId(url, clusters = []) {
+    const base = `i_${TextUtils.hash(url || '')}`;
+    let id = base;
+    for (let n = 2; clusters.some(cluster => cluster.id === id); n++) id = `${base}_${n}`;
+    return id;
+  }
+
+  // TF-IDF vector of a page against the stored document frequencies, L2-normalised
+  vectorFor(analyzed) {
+    const { df, docCount } = this.state;
+    const vector = {};
+    let norm = 0;
+    Object.entries(analyzed.tf).forEach(([term, count]) => {
+      if (!df[term] || df[term] < 2) return; // a term on one page cannot link it to another
+      const weight = (1 + Math.log(count)) * Math.log(1 + docCount / df[term]);
+      vector[term] = weight;
+      norm += weight * weight;
+    });
+    norm = Math.sqrt(norm) || 1;
+    Object.keys(vector).forEach(term => { vector[term] /= norm; });
+    return vector;
+  }
+
+  // Strongest terms of a vector, renormalised
+  topTerms(vector) {
+    const entries = Object.entries(vector).sort((a, b) => b[1] - a[1]).slice(0, this.centroidTerms);
+    const norm = Math.sqrt(entries.reduce((sum, [, weight]) => sum + weight * weight, 0)) || 1;
+    return Object.fromEntries(entries.map(([term, weight]) => [term, weight / norm]));
+  }
+
+  // Cluster labels: surface words of the strongest centroid terms
+  static labelsOf(cluster, count = 3) {
+    return Object.entries(cluster.centroid)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, count)
+      .map(([term]) => cluster.words[term] || term);
+  }
+
+  unassign(url) {
+    const page = this.state.pages[url];
+    if (!page) return;
+    const cluster = this.state.clusters.find(entry => entry.id === page.clusterId);
+    if (cluster) cluster.size--;
+    delete this.state.pages[url];
+  }
+
+  /**
+   * Add a visited page to the closest cluster, or seed a new cluster with it
+   * @param {Object} item - chrome.history.HistoryItem
+   * @returns {Promise<Object|null>} - The cluster the page is in, null when it fits none
+   */
+  addVisit(item) {
+    return this.run(async () => {
+      if (!item || !item.url || !/^https?:/i.test(item.url)) return null;
+      await this.load();
+      const state = this.state;
+      const known = state.pages[item.url];
+      if (known) return state.clusters.find(cluster => cluster.id === known.clusterId) || null;
+
+      const analyzed = TopicClustering.analyze(item);
+      state.docCount++;
+      Object.keys(analyzed.tf).forEach(term => { state.df[term] = (state.df[term] || 0) + 1; });
+      const vector = this.vectorFor(analyzed);
+      const words = {};
+      Object.entries(analyzed.forms).forEach(([term, counts]) => {
+        words[term] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+      });
+
+      let best = null;
+      let bestScore = this.assignThreshold;
+      state.clusters.forEach(cluster => {
+        const score = TopicClustering.dot(vector, cluster.centroid);
+        if (score >= bestScore) {
+          best = cluster;
+          bestScore = score;
+        }
+      });
+
+      const now = Date.now();
+      if (best) {
+        // Running mean of the member vectors
+        const merged = {};
+        Object.entries(best.centroid).forEach(([term, weight]) => { merged[term] = weight * best.size; });
+        Object.entries(vector).forEach(([term, weight]) => { merged[term] = (merged[term] || 0) + weight; });
+        best.centroid = this.topTerms(merged);
+        best.words = Object.fromEntries(Object.keys(best.centroid).map(term => [term, best.words[term] || words[term] || term]));
+        if (best.cohesion === null) best.labels = IncrementalClusterer.labelsOf(best); // re-balanced clusters keep their c-TF-IDF labels
+        best.size++;
+        best.updatedAt = now;
+      } else if (Object.keys(vector).length > 0) {
+        const centroid = this.topTerms(vector);
+        best = {
+          id: IncrementalClusterer.createId(item.url, state.clusters),
+          centroid,
+          words: Object.fromEntries(Object.keys(centroid).map(term => [term, words[term]])),
+          labels: [],
+          size: 1,
+          cohesion: null,
+          createdAt: now,
+          updatedAt: now
+        };
+        best.labels = IncrementalClusterer.labelsOf(best);
+        state.clusters.push(best);
+      }
+
+      state.pages[item.url] = { clusterId: best ? best.id : '', addedAt: now };
+      await this.save();
+      return best;
+    });
+  }
+
+  // Forget removed pages (all of them when the whole history was cleared)
+  removeUrls(urls, all = false) {
+    return this.run(async () => {
+      await this.load();
+      if (all) {
+        this.state = IncrementalClusterer.emptyState();
+      } else {
+        (urls || []).forEach(url => this.unassign(url));
+      }
+      this.state.clusters = this.state.clusters.filter(cluster => cluster.size > 0);
+      await this.save();
+    });
+  }
+
+  /**
+   * Re-cluster recent history from scratch, keeping the IDs of clusters that mostly survive
+   * and when each page was first added
+   * @param {Object[]} items - Recent history items (title and url)
+   * @returns {Promise<Object[]>} - The new clusters
+   */
+  rebalance(items) {
+    return this.run(async () => {
+      await this.load();
+      const previous = this.state;
+      const documents = [...new Map((items || [])
+        .filter(item => item && item.url && /^https?:/i.test(item.url))
+        .map(item => [item.url, { id: item.url, url: item.url, title: item.title || '', description: item.description || '' }])).values()];
+
+      const analyzed = documents.map(doc => TopicClustering.analyze(doc));
+      const vectors = TopicClustering.tfidfVectors(analyzed);
+      const indexOf = new Map(documents.map((doc, i) => [doc.id, i]));
+      const { clusters } = TopicClustering.cluster({ documents, threshold: this.threshold, minSize: 2 });
+
+      const state = IncrementalClusterer.emptyState();
+      state.docCount = documents.length;
+      analyzed.forEach(a => Object.keys(a.tf).forEach(term => { state.df[term] = (state.df[term] || 0) + 1; }));
+      state.rebalancedAt = Date.now();
+
+      const taken = new Set();
+      clusters.forEach(cluster => {
+        // Keep the ID of the old cluster holding most of these pages when it holds at least half
+        const votes = {};
+        cluster.ids.forEach(url => {
+          const old = previous.pages[url];
+          if (old && old.clusterId) votes[old.clusterId] = (votes[old.clusterId] || 0) + 1;
+        });
+        const [oldId, count] = Object.entries(votes).filter(([id]) => !taken.has(id)).sort((a, b) => b[1] - a[1])[0] || [];
+        const old = oldId && count * 2 >= cluster.ids.length ? previous.clusters.find(entry => entry.id === oldId) : null;
+
+        const sum = {};
+        const words = {};
+        cluster.ids.forEach(url => {
+          const i = indexOf.get(url);
+          Object.entries(vectors[i]).forEach(([term, weight]) => { sum[term] = (sum[term] || 0) + weight; });
+          Object.entries(analyzed[i].forms).forEach(([term, counts]) => {
+            if (!words[term]) words[term] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+          });
+        });
+        const centroid = this.topTerms(sum);
+        const entry = {
+          id: old ? old.id : IncrementalClusterer.createId(cluster.ids[0], [...previous.clusters, ...state.clusters]),
+          centroid,
+          words: Object.fromEntries(Object.keys(centroid).map(term => [term, words[term] || term])),
+          labels: cluster.terms,
+          size: cluster.ids.length,
+          cohesion: cluster.cohesion,
+          createdAt: old ? old.createdAt : state.rebalancedAt,
+          updatedAt: state.rebalancedAt
+        };
+        if (entry.labels.length === 0) entry.labels = IncrementalClusterer.labelsOf(entry);
+        taken.add(entry.id);
+        state.clusters.push(entry);
+        cluster.ids.forEach(url => {
+          state.pages[url] = { clusterId: entry.id, addedAt: previous.pages[url]?.addedAt || state.rebalancedAt };
+        });
+      });
+      documents.forEach(doc => {
+        if (!state.pages[doc.id]) state.pages[doc.id] = { clusterId: '', addedAt: previous.pages[doc.id]?.addedAt || state.rebalancedAt };
+      });
+
+      this.state = state;
+      await this.save();
+      return state.clusters;
+    });
+  }
+
+  /**
+   * Clusters filled with the given history items
+   * @param {Object[]} items - History items
+   * @param {Object} options - { minSize, since } (pages added after since count as new)
+   * @returns {Object[]} - [{ id, labels, cohesion, items, itemCount, newCount }], largest first
+   */
+  clustersFor(items, options = {}) {
+    const { minSize = 2, since = Date.now() - IncrementalClusterer.NEW_WINDOW_MS } = options;
+    const pages = this.state ? this.state.pages : {};
+    const byId = new Map((this.state ? this.state.clusters : []).map(cluster => [cluster.id, {
+      id: cluster.id,
+      labels: cluster.labels,
+      cohesion: cluster.cohesion,
+      items: [],
+      newCount: 0
+    }]));
+    const seen = new Set();
+    (items || []).forEach(item => {
+      if (!item || seen.has(item.url)) return;
+      seen.add(item.url);
+      const page = pages[item.url];
+      const cluster = page && byId.get(page.clusterId);
+      if (!cluster) return;
+      cluster.items.push(item);
+      if (page.addedAt >= since) cluster.newCount++;
+    });
+    return [...byId.values()]
+      .filter(cluster => cluster.items.length >= minSize)
+      .map(cluster => ({ ...cluster, itemCount: cluster.items.length }))
+      .sort((a, b) => b.itemCount - a.itemCount);
+  }
+
+  // How many of the given pages were added since a time
+  countNew(items, since = Date.now() - IncrementalClusterer.NEW_WINDOW_MS) {
+    const pages = this.state ? this.state.pages : {};
+    return new Set((items || []).filter(item => pages[item.url] && pages[item.url].addedAt >= since).map(item => item.url)).size;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IncrementalClusterer;
+} else if (typeof self !== 'undefined') {
+  self.IncrementalClusterer = IncrementalClusterer;
+}
@@ -0,0 +1,298 @@
+// Omnibox Search - Suggestions for the "mn" address-bar keyword
+// Ranks pages from the history index and queries from the universal-search log.
+// Runs in the background service worker; requires TextUtils, VectorSearch and HistoryIndex.
+class OmniboxSearch {
+  constructor(historyIndex) {
+    this.historyIndex = historyIndex;
+    this.candidateLimit = 3000;
+  }
+
+  /**
+   * Split omnibox text into free text and modifiers
+   * Supports site:<domain>, before:<date>, after:<date> and session:<last|today|yesterday|keyword>.
+   * Dates accept YYYY-MM-DD, today, yesterday or a relative age such as 7d / 2w / 3m.
+   * @param {string} text - Text typed after the keyword
+   * @param {number} now - Current time (ms)
+   * @returns {Object} - { text, site, before, after, session }
+   */
+  static parseQuery(text, now = Date.now()) {
+    const parsed = { text: '', site: null, before: null, after: null, session: null };
+    const words = [];
+
+    (text || '').trim().split(/\s+/).filter(Boolean).forEach(token => {
+      const match = /^(site|before|after|session):(.+)$/i.exec(token);
+      if (!match) {
+        words.push(token);
+        return;
+      }
+      const key = match[1].toLowerCase();
+      const value = match[2];
+      if (key === 'site') {
+        parsed.site = value.toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+      } else if (key === 'session') {
+        parsed.session = value.toLowerCase();
+      } else {
+        const time = OmniboxSearch.parseDate(value, now);
+        if (time === null) {
+          words.push(token); // Not a date; treat as text
+        } else {
+          parsed[key] = time;
+        }
+      }
+    });
+
+    parsed.text = words.join(' ');
+    return parsed;
+  }
+
+  /**
+   * Parse a date modifier to the start of that local day
+   * @param {string} value - YYYY-MM-DD, today, yesterday or Nd/Nw/Nm
+   * @param {number} now - Current time (ms)
+   * @returns {number|null} - Timestamp or null when unrecognized
+   */
+  static parseDate(value, now = Date.now()) {
+    const v = (value || '').toLowerCase();
+    const startOfDay = (time) => {
+      const date = new Date(time);
+      date.setHours(0, 0, 0, 0);
+      return date.getTime();
+    };
+    const DAY = 24 * 60 * 60 * 1000;
+
+    if (v === 'today') return startOfDay(now);
+    if (v === 'yesterday') return startOfDay(now - DAY);
+
+    const relative = /^(\d+)([dwm])$/.exec(v);
+    if (relative) {
+      const days = Number(relative[1]) * ({ d: 1, w: 7, m: 30 })[relative[2]];
+      return startOfDay(now - days * DAY);
+    }
+
+    const absolute = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(v);
+    if (absolute) {
+      const date = new Date(Number(absolute[1]), Number(absolute[2]) - 1, Number(absolute[3]));
+      return isNaN(date.getTime()) ? null : date.getTime();
+    }
+    return null;
+  }
+
+  // Escape text for omnibox description XML
+  static escapeXml(text) {
+    return String(text || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  // Escape text and wrap words matching the query terms in <match>
+  static highlight(text, queryTerms) {
+    const terms = new Set(queryTerms);
+    return String(text || '').split(/([\p{L}\p{N}]+)/u).map((part, i) => {
+      const escaped = OmniboxSearch.escapeXml(part);
+      // Odd indexes are the captured word tokens
+      return i % 2 === 1 && terms.has(TextUtils.stem(part.toLowerCase())) ? `<match>${escaped}</match>` : escaped;
+    }).join('');
+  }
+
+  // Split records (newest first) into browsing sessions by time gap
+  static splitSessions(records, maxGapMinutes = 30) {
+    const sorted = records.slice().sort((a, b) => b.lastVisitTime - a.lastVisitTime);
+    const sessions = [];
+    let current = [];
+    sorted.forEach(record => {
+      const previous = current[current.length - 1];
+      if (previous && previous.lastVisitTime - record.lastVisitTime > maxGapMinutes * 60 * 1000) {
+        sessions.push(current);
+        current = [];
+      }
+      current.push(record);
+    });
+    if (current.length > 0) sessions.push(current);
+    return sessions;
+  }
+
+  /**
+   * Restrict records to the session named by a session: modifier
+   * last/current = most recent session, today/yesterday = that day's visits,
+   * anything else = the most recent session with a page mentioning that word
+   * @param {Object[]} records - Index records
+   * @param {string} session - Modifier value
+   * @param {number} now - Current time (ms)
+   * @returns {Object[]} - Records in the selected session
+   */
+  static filterSession(records, session, now = Date.now(), maxGapMinutes = 30) {
+    if (session === 'today' || session === 'yesterday') {
+      const start = OmniboxSearch.parseDate(session, now);
+      const end = session === 'today' ? Infinity : OmniboxSearch.parseDate('today', now);
+      return records.filter(r => r.lastVisitTime >= start && r.lastVisitTime < end);
+    }
+
+    const sessions = OmniboxSearch.splitSessions(records, maxGapMinutes);
+    if (session === 'last' || session === 'current') return sessions[0] || [];
+
+    const needle = TextUtils.stem(session);
+    const found = sessions.find(pages => pages.some(r =>
+      TextUtils.terms(`${r.title} ${TextUtils.urlToText(r.url)}`).includes(needle)));
+    return found || [];
+  }
+
+  /**
+   * Find a saved research session (see services/session-store.js) by name or AI title
+   * @param {Object[]} sessions - Stored researchSessions
+   * @param {string} value - session: modifier value
+   * @returns {Object|null} - Most recent matching session
+   */
+  static findNamedSession(sessions, value) {
+    if (['last', 'current', 'today', 'yesterday'].includes(value)) return null;
+    const needle = value.replace(/[-_]+/g, ' ');
+    return (sessions || [])
+      .filter(s => `${s.name || ''} ${s.aiTitle || ''}`.toLowerCase().includes(needle))
+      .sort((a, b) => (b.pinned - a.pinned) || (b.endTime - a.endTime))[0] || null;
+  }
+
+  /**
+   * Rank index records for a parsed query
+   * @param {Object[]} records - Index records
+   * @param {Object} parsed - Output of parseQuery
+   * @param {number} limit - Max results
+   * @param {number} now - Current time (ms)
+   * @returns {Object[]} - [{ record, score, matchedTerms }]
+   */
+  static rankPages(records, parsed, limit = 5, now = Date.now()) {
+    let candidates = records.filter(r =>
+      (!parsed.site || r.domain === parsed.site || (r.domain || '').endsWith('.' + parsed.site)) &&
+      (parsed.before === null || r.lastVisitTime < parsed.before) &&
+      (parsed.after === null || r.lastVisitTime >= parsed.after));
+    if (Array.isArray(parsed.sessionUrls)) {
+      const urls = new Set(parsed.sessionUrls);
+      candidates = candidates.filter(r => urls.has(r.url));
+    } else if (parsed.session) {
+      candidates = OmniboxSearch.filterSession(candidates, parsed.session, now);
+    }
+
+    const DAY = 24 * 60 * 60 * 1000;
+    const boost = (record) => {
+      // Prefer pages visited often and recently (half-life of two weeks)
+      const ageDays = Math.max(0, now - record.lastVisitTime) / DAY;
+      return 1 + 0.1 * Math.log1p(record.visitCount || 1) + 0.2 * Math.pow(0.5, ageDays / 14);
+    };
+
+    // Modifiers alone (e.g. "session:last") list the newest matching pages
+    if (!parsed.text) {
+      return candidates
+        .sort((a, b) => b.lastVisitTime - a.lastVisitTime)
+        .slice(0, limit)
+        .map(record => ({ record, score: boost(record), matchedTerms: [] }));
+    }
+
+    const byUrl = new Map(candidates.map(r => [r.url, r]));
+    const ranked = VectorSearch.rank({
+      query: parsed.text,
+      documents: candidates.map(r => ({ id: r.url, fields: { title: r.title, url: r.url } })),
+      limit: candidates.length
+    });
+    return ranked
+      .map(result => ({ record: byUrl.get(result.id), score: result.score * boost(byUrl.get(result.id)), matchedTerms: result.matchedTerms }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Match logged universal searches against a parsed query
+   * @param {Object[]} searches - Entries from chrome.storage universalSearches
+   * @param {Object} parsed - Output of parseQuery
+   * @param {number} limit - Max results
+   * @returns {Object[]} - [{ search, score }]
+   */
+  static rankSearches(searches, parsed, limit = 2) {
+    const queryTerms = [...new Set(TextUtils.terms(parsed.text))];
+    if (queryTerms.length === 0) return [];
+
+    const seen = new Set();
+    return (searches || [])
+      .filter(s => s && s.query && s.url &&
+        (!parsed.site || (s.domain || '').replace(/^www\./, '').endsWith(parsed.site)) &&
+        (parsed.before === null || s.timestamp < parsed.before) &&
+        (parsed.after === null || s.timestamp >= parsed.after))
+      .map(search => {
+        const terms = new Set(TextUtils.terms(search.query));
+        const matched = queryTerms.filter(term => terms.has(term)).length;
+        return { search, score: matched / queryTerms.length };
+      })
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || b.search.timestamp - a.search.timestamp)
+      .filter(entry => {
+        const key = entry.search.query.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, limit);
+  }
+
+  // Build omnibox suggestions for the typed text
+  async suggest(text, limit = 6) {
+    const now = Date.now();
+    const parsed = OmniboxSearch.parseQuery(text, now);
+    if (!parsed.text && !parsed.site && !parsed.session && parsed.before === null && parsed.after === null) return [];
+    const queryTerms = TextUtils.terms(parsed.text);
+
+    // Fetch candidates inside the after:/before: window so older pages are reachable
+    const startTime = parsed.after === null ? 0 : parsed.after;
+    const endTime = parsed.before === null ? now : parsed.before - 1;
+    let records = parsed.site
+      ? await this.historyIndex.getByDomain(parsed.site, this.candidateLimit)
+      : await this.historyIndex.searchRange(queryTerms, startTime, endTime, this.candidateLimit);
+    records = records.filter(r => HistoryIndex.isIndexableURL(r.url));
+
+    const stored = await chrome.storage.local.get(['universalSearches', 'researchSessions']);
+    const named = parsed.session ? OmniboxSearch.findNamedSession(stored.researchSessions, parsed.session) : null;
+    if (named) {
+      parsed.sessionUrls = named.pages.map(page => page.url);
+    }
+
+    const searches = OmniboxSearch.rankSearches(stored.universalSearches || [], parsed, 2);
+    const pages = OmniboxSearch.rankPages(records, parsed, limit, now);
+
+    const suggestions = [];
+    const seen = new Set();
+    const add = (content, description) => {
+      if (!content || seen.has(content) || suggestions.length >= limit) return;
+      seen.add(content);
+      suggestions.push({ content, description });
+    };
+
+    // Past searches first when they match strongly, otherwise after the pages
+    const strongSearches = searches.filter(s => s.score >= 0.99);
+    const searchSuggestion = ({ search }) => add(search.url,
+      `🔍 ${OmniboxSearch.highlight(search.query, queryTerms)} <dim>searched on ${OmniboxSearch.escapeXml(search.domain || '')} · ${OmniboxSearch.formatAge(search.timestamp, now)}</dim>`);
+
+    strongSearches.forEach(searchSuggestion);
+    pages.forEach(({ record }) => add(record.url,
+      `${OmniboxSearch.highlight(record.title || record.url, queryTerms)} <dim>-</dim> <url>${OmniboxSearch.escapeXml(record.url)}</url> <dim>· ${OmniboxSearch.formatAge(record.lastVisitTime, now)}</dim>`));
+    searches.filter(s => !strongSearches.includes(s)).forEach(searchSuggestion);
+
+    return suggestions;
+  }
+
+  // "3 days ago" style age
+  static formatAge(time, now = Date.now()) {
+    const minutes = Math.floor(Math.max(0, now - time) / 60000);
+    if (minutes < 60) return minutes <= 1 ? 'just now' : `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    const days = Math.floor(hours / 24);
+    if (days < 30) return days === 1 ? 'yesterday' : `${days} days ago`;
+    return new Date(time).toLocaleDateString();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OmniboxSearch;
+} else if (typeof self !== 'undefined') {
+  self.OmniboxSearch = OmniboxSearch;
+}
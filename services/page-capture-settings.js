@@ -0,0 +1,116 @@
+// Page Capture Settings - Opt-in rules for full-text page capture
+// Shared by the content script (decides whether to extract), the background
+// (authoritative check before storing) and the Settings tab.
+class PageCaptureSettings {
+  static get STORAGE_KEY() {
+    return 'pageCaptureSettings';
+  }
+
+  static get DEFAULTS() {
+    return {
+      enabled: false,
+      mode: 'allowlist', // 'allowlist' = only allowDomains, 'all' = every site except denyDomains
+      allowDomains: [],
+      denyDomains: ['accounts.google.com', 'mail.google.com', 'paypal.com', 'bank'],
+      maxPageChars: 20000,
+      storageBudgetMB: 50
+    };
+  }
+
+  // Load settings merged with defaults
+  static async load() {
+    try {
+      const stored = await chrome.storage.local.get(PageCaptureSettings.STORAGE_KEY);
+      return PageCaptureSettings.normalize(stored[PageCaptureSettings.STORAGE_KEY]);
+    } catch (error) {
+      console.warn('Failed to load page capture settings:', error);
+      return PageCaptureSettings.DEFAULTS;
+    }
+  }
+
+  // Validate and persist settings
+  static async save(settings) {
+    const normalized = PageCaptureSettings.normalize(settings);
+    await chrome.storage.local.set({ [PageCaptureSettings.STORAGE_KEY]: normalized });
+    return normalized;
+  }
+
+  /**
+   * Fill missing fields and clamp numeric limits
+   * @param {Object} settings - Partial settings
+   * @returns {Object} - Complete settings
+   */
+  static normalize(settings) {
+    const defaults = PageCaptureSettings.DEFAULTS;
+    const merged = { ...defaults, ...(settings || {}) };
+    const clamp = (value, min, max, fallback) => {
+      const n = Number(value);
+      return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : fallback;
+    };
+    return {
+      enabled: merged.enabled === true,
+      mode: merged.mode === 'all' ? 'all' : 'allowlist',
+      allowDomains: PageCaptureSettings.parseDomainList(merged.allowDomains),
+      denyDomains: PageCaptureSettings.parseDomainList(merged.denyDomains),
+      maxPageChars: clamp(merged.maxPageChars, 1000, 200000, defaults.maxPageChars),
+      storageBudgetMB: clamp(merged.storageBudgetMB, 1, 1000, defaults.storageBudgetMB)
+    };
+  }
+
+  /**
+   * Parse a domain list from an array or newline/comma separated text
+   * @param {string|string[]} value - Domains such as "example.com" or "*.example.com"
+   * @returns {string[]} - Lowercase, deduplicated rules
+   */
+  static parseDomainList(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[\n,]+/);
+    const rules = list
+      .map(rule => String(rule).trim().toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/\/.*$/, '')
+        .replace(/^\*\./, '')
+        .replace(/^www\./, ''))
+      .filter(Boolean);
+    return [...new Set(rules)];
+  }
+
+  /**
+   * Check a hostname against a rule; "example.com" also matches subdomains,
+   * a rule without a dot (e.g. "bank") matches any hostname label
+   * @param {string} hostname - Lowercase hostname
+   * @param {string} rule - Rule from parseDomainList
+   * @returns {boolean} - True if the rule matches
+   */
+  static matchesRule(hostname, rule) {
+    if (!hostname || !rule) return false;
+    if (!rule.includes('.')) {
+      return hostname.split('.').some(label => label.includes(rule));
+    }
+    return hostname === rule || hostname.endsWith('.' + rule);
+  }
+
+  /**
+   * Decide whether a page may be captured
+   * @param {string} url - Page URL
+   * @param {Object} settings - Normalized settings
+   * @returns {boolean} - True if capture is allowed
+   */
+  static isAllowed(url, settings) {
+    if (!settings || !settings.enabled) return false;
+    const match = /^https?:\/\/([^/?#:]+)/i.exec(url || '');
+    if (!match) return false;
+    const hostname = match[1].toLowerCase().replace(/^www\./, '');
+
+    // Deny rules always win
+    if (settings.denyDomains.some(rule => PageCaptureSettings.matchesRule(hostname, rule))) return false;
+    if (settings.mode === 'all') return true;
+    return settings.allowDomains.some(rule => PageCaptureSettings.matchesRule(hostname, rule));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PageCaptureSettings;
+} else if (typeof self !== 'undefined') {
+  self.PageCaptureSettings = PageCaptureSettings;
+}
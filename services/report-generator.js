@@ -0,0 +1,475 @@
+// Report Generator - Session and cluster reports as Markdown, standalone HTML or print-to-PDF
+// Layouts are templates with {{field}}, {{{raw}}}, {{#list}}...{{/list}} and {{^empty}}...{{/empty}}
+// tags; teams can store their own templates next to the built-in ones.
+class ReportGenerator {
+  constructor(aiService, historyService) {
+    this.aiService = aiService;
+    this.historyService = historyService;
+    this.templatesKey = 'reportTemplates';
+    this.maxPages = 100;
+    this.maxAiPageSummaries = 8;
+    this.maxQuotes = 6;
+  }
+
+  static get BUILT_IN_TEMPLATES() {
+    return [
+      {
+        id: 'standard',
+        name: 'Standard report',
+        builtIn: true,
+        markdown: `# {{title}}
+
+_{{dateRange}} · {{pageCount}} pages · {{duration}}_
+
+{{#notes}}
+> {{notes}}
+
+{{/notes}}
+## Summary
+
+{{summary}}
+
+## Timeline
+
+{{#timeline}}
+### {{date}}
+
+{{#entries}}
+- **{{time}}** [{{title}}]({{url}}) — {{domain}}
+{{/entries}}
+
+{{/timeline}}
+## Pages
+
+{{#pages}}
+### {{index}}. [{{title}}]({{url}})
+
+{{#summary}}
+{{summary}}
+
+{{/summary}}
+{{/pages}}
+{{#quotes.length}}
+## Key quotes
+
+{{#quotes}}
+> {{text}}
+> — [{{title}}]({{url}})
+
+{{/quotes}}
+{{/quotes.length}}
+---
+Generated by Chrome Mnemonic on {{generatedAt}}
+`,
+        html: `<h1>{{title}}</h1>
+<p class="meta">{{dateRange}} · {{pageCount}} pages · {{duration}}</p>
+{{#notes}}<blockquote class="notes">{{notes}}</blockquote>{{/notes}}
+<h2>Summary</h2>
+<p>{{summary}}</p>
+<h2>Timeline</h2>
+{{#timeline}}
+<h3>{{date}}</h3>
+<ul class="timeline">
+{{#entries}}<li><span class="time">{{time}}</span> <a href="{{url}}">{{title}}</a> <span class="domain">{{domain}}</span></li>
+{{/entries}}
+</ul>
+{{/timeline}}
+<h2>Pages</h2>
+<ol class="pages">
+{{#pages}}<li><a href="{{url}}">{{title}}</a>{{#summary}}<p>{{summary}}</p>{{/summary}}</li>
+{{/pages}}
+</ol>
+{{#quotes.length}}
+<h2>Key quotes</h2>
+{{#quotes}}<blockquote>{{text}}<cite><a href="{{url}}">{{title}}</a></cite></blockquote>
+{{/quotes}}
+{{/quotes.length}}
+<footer>Generated by Chrome Mnemonic on {{generatedAt}}</footer>`
+      },
+      {
+        id: 'brief',
+        name: 'Brief (summary and links)',
+        builtIn: true,
+        markdown: `# {{title}}
+
+{{summary}}
+
+{{#pages}}
+- [{{title}}]({{url}})
+{{/pages}}
+`,
+        html: `<h1>{{title}}</h1>
+<p>{{summary}}</p>
+<ul>
+{{#pages}}<li><a href="{{url}}">{{title}}</a></li>
+{{/pages}}
+</ul>`
+      }
+    ];
+  }
+
+  // Styles for the standalone HTML document (templates may add their own <style>)
+  static get HTML_STYLES() {
+    return `body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;max-width:800px;margin:40px auto;padding:0 20px;color:#1e293b;line-height:1.5}
+h1{font-size:26px;margin-bottom:4px}h2{font-size:19px;margin-top:28px;border-bottom:1px solid #e2e8f0;padding-bottom:4px}h3{font-size:15px;color:#475569}
+a{color:#2563eb;text-decoration:none}.meta,.domain,.time,footer{color:#64748b;font-size:13px}
+ul.timeline{list-style:none;padding-left:0}ol.pages p{margin:4px 0 12px 0;color:#334155;font-size:14px}
+blockquote{margin:12px 0;padding:8px 14px;border-left:3px solid #cbd5e1;color:#334155}blockquote cite{display:block;font-size:12px;margin-top:4px}
+footer{margin-top:40px}@media print{body{margin:0}a{color:inherit}}`;
+  }
+
+  /**
+   * Render a template against report data
+   * @param {string} template - Template text
+   * @param {Object} data - Report data
+   * @param {Function} escape - Applied to {{field}} values ({{{field}}} is inserted as-is)
+   * @returns {string} - Rendered text
+   */
+  static renderTemplate(template, data, escape = (value) => value) {
+    const lookup = (context, path) => {
+      if (path === '.') return context;
+      return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+    };
+    const render = (text, stack) => {
+      const find = (path) => {
+        for (let i = stack.length - 1; i >= 0; i--) {
+          const value = lookup(stack[i], path);
+          if (value !== undefined) return value;
+        }
+        return undefined;
+      };
+
+      const sections = text.replace(/\{\{([#^])\s*([\w.]+)\s*\}\}\n?([\s\S]*?)\{\{\/\s*\2\s*\}\}\n?/g, (match, type, path, inner) => {
+        const value = find(path);
+        const empty = !value || (Array.isArray(value) && value.length === 0);
+        if (type === '^') return empty ? render(inner, stack) : '';
+        if (empty) return '';
+        if (Array.isArray(value)) return value.map(item => render(inner, [...stack, item])).join('');
+        return render(inner, typeof value === 'object' ? [...stack, value] : stack);
+      });
+
+      return sections
+        .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}/g, (match, path) => String(find(path) ?? ''))
+        .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => escape(String(find(path) ?? '')));
+    };
+    return render(String(template || ''), [data]);
+  }
+
+  // Keep titles and quotes from breaking Markdown link and list syntax
+  static escapeMarkdown(text) {
+    return String(text || '').replace(/([\\[\]`])/g, '\\$1').replace(/\n+/g, ' ');
+  }
+
+  // Built-in templates followed by saved custom templates
+  async loadTemplates() {
+    let custom = [];
+    try {
+      const stored = await chrome.storage.local.get(this.templatesKey);
+      custom = Array.isArray(stored[this.templatesKey]) ? stored[this.templatesKey] : [];
+    } catch (error) {
+      console.warn('Failed to load report templates:', error);
+    }
+    return [...ReportGenerator.BUILT_IN_TEMPLATES, ...custom];
+  }
+
+  async getTemplate(id) {
+    const templates = await this.loadTemplates();
+    return templates.find(template => template.id === id) || templates[0];
+  }
+
+  // Save a custom template (new when id is missing or names a built-in template)
+  async saveTemplate(template) {
+    const name = String(template.name || '').trim();
+    if (!name) throw new Error('Template name is required');
+    if (!template.markdown && !template.html) throw new Error('Template needs Markdown or HTML content');
+
+    const templates = await this.loadTemplates();
+    const custom = templates.filter(t => !t.builtIn);
+    const existing = custom.find(t => t.id === template.id);
+    const saved = {
+      id: existing ? existing.id : `custom_${Date.now().toString(36)}`,
+      name,
+      markdown: template.markdown || '',
+      html: template.html || ''
+    };
+    const updated = existing ? custom.map(t => (t === existing ? saved : t)) : [...custom, saved];
+    await chrome.storage.local.set({ [this.templatesKey]: updated });
+    return saved;
+  }
+
+  async removeTemplate(id) {
+    const templates = await this.loadTemplates();
+    const custom = templates.filter(t => !t.builtIn && t.id !== id);
+    await chrome.storage.local.set({ [this.templatesKey]: custom });
+  }
+
+  /**
+   * Collect everything a report needs
+   * @param {Object} source - { title, notes, pages } from a session, or { title, items } from a cluster
+   * @param {Object} options - { aiSummaries } to summarize pages that have captured text
+   * @returns {Promise<Object>} - Report data for templates
+   */
+  async buildReport(source, options = {}) {
+    const { aiSummaries = true } = options;
+    const pages = ReportGenerator.orderPages(source.pages || source.items).slice(0, this.maxPages);
+
+    if (this.historyService && typeof this.historyService.attachPageContent === 'function') {
+      try {
+        await this.historyService.attachPageContent(pages, 4000);
+      } catch (error) {
+        console.warn('Failed to attach page content for report:', error);
+      }
+    }
+
+    pages.forEach(page => {
+      page.summary = ReportGenerator.pageSummary(page);
+    });
+    const canUseAI = aiSummaries && this.aiService && this.aiService.aiAvailable;
+    if (canUseAI) {
+      const needSummary = pages.filter(page => page.content && page.content.length > 400 && !page.description)
+        .slice(0, this.maxAiPageSummaries);
+      for (const page of needSummary) {
+        const summary = await this.summarize(page.content.substring(0, 4000));
+        if (summary) page.summary = summary;
+      }
+    }
+
+    const summary = (source.summary || (canUseAI ? await this.summarize(ReportGenerator.overviewText(pages)) : ''))
+      || ReportGenerator.fallbackSummary(pages);
+    const start = pages.length > 0 ? pages[0].visitTime : 0;
+    const end = pages.length > 0 ? pages[pages.length - 1].visitTime : 0;
+
+    return {
+      title: source.title || 'Browsing session',
+      notes: source.notes || '',
+      summary,
+      pageCount: pages.length,
+      dateRange: ReportGenerator.formatDateRange(start, end),
+      duration: ReportGenerator.formatDuration(end - start),
+      generatedAt: new Date().toLocaleString(),
+      timeline: ReportGenerator.buildTimeline(pages),
+      pages: pages.map((page, index) => ({
+        index: index + 1,
+        title: page.title || page.url,
+        url: ReportGenerator.linkUrl(page.url),
+        domain: ReportGenerator.domain(page.url),
+        summary: page.summary
+      })),
+      quotes: ReportGenerator.extractKeyQuotes(pages, this.maxQuotes)
+    };
+  }
+
+  // Summarize text with the Summarizer API; empty string when unavailable
+  async summarize(text) {
+    if (!text) return '';
+    try {
+      const response = await this.aiService.withAISession('Summarizer', {
+        expectedInputs: [{ type: 'text' }]
+      }, async (summarizer) => {
+        return await summarizer.summarize(text, {
+          outputLanguage: 'en'
+        });
+      });
+      return typeof response === 'string' ? response.trim() : '';
+    } catch (error) {
+      console.warn('Report summary failed:', error);
+      return '';
+    }
+  }
+
+  // Pages in visit order, one per URL, as copies that can be annotated
+  static orderPages(items) {
+    const seen = new Set();
+    return (items || [])
+      .filter(item => item && item.url)
+      .map(item => ({ url: item.url, title: item.title || '', visitTime: item.visitTime || item.lastVisitTime || 0 }))
+      .sort((a, b) => a.visitTime - b.visitTime)
+      .filter(page => {
+        if (seen.has(page.url)) return false;
+        seen.add(page.url);
+        return true;
+      });
+  }
+
+  // Links in a report may only open web or local pages; bookmarklets (javascript:) and data: URLs are blanked
+  static linkUrl(url) {
+    return typeof url === 'string' && /^(https?|file):/i.test(url) ? url : '';
+  }
+
+  static domain(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+      return '';
+    }
+  }
+
+  // Captured description, or the opening of the captured text
+  static pageSummary(page) {
+    if (page.description) return page.description;
+    if (!page.content) return '';
+    const text = page.content.replace(/\s+/g, ' ').trim();
+    if (text.length <= 240) return text;
+    const cut = text.substring(0, 240);
+    return cut.substring(0, cut.lastIndexOf(' ')) + '…';
+  }
+
+  // Text sent to the Summarizer for the whole report
+  static overviewText(pages) {
+    return pages.slice(0, 40).map(page => {
+      const about = page.summary ? `: ${page.summary.substring(0, 200)}` : '';
+      return `${page.title} (${ReportGenerator.domain(page.url)})${about}`;
+    }).join('\n');
+  }
+
+  // Summary used without AI
+  static fallbackSummary(pages) {
+    if (pages.length === 0) return 'No pages in this report.';
+    const counts = {};
+    pages.forEach(page => {
+      const domain = ReportGenerator.domain(page.url);
+      if (domain) counts[domain] = (counts[domain] || 0) + 1;
+    });
+    const top = Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([domain]) => domain);
+    return `${pages.length} page${pages.length === 1 ? '' : 's'} visited${top.length > 0 ? `, mostly on ${top.join(', ')}` : ''}.`;
+  }
+
+  /**
+   * Group pages by day for the timeline
+   * @param {Object[]} pages - Ordered pages
+   * @returns {Object[]} - [{ date, entries: [{ time, title, url, domain }] }]
+   */
+  static buildTimeline(pages) {
+    const days = [];
+    pages.forEach(page => {
+      const when = new Date(page.visitTime);
+      const date = when.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+      let day = days[days.length - 1];
+      if (!day || day.date !== date) {
+        day = { date, entries: [] };
+        days.push(day);
+      }
+      day.entries.push({
+        time: when.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' }),
+        title: page.title || page.url,
+        url: ReportGenerator.linkUrl(page.url),
+        domain: ReportGenerator.domain(page.url)
+      });
+    });
+    return days;
+  }
+
+  /**
+   * Pick sentences from captured page text that best match the report's recurring terms
+   * @param {Object[]} pages - Pages with title and optional content
+   * @param {number} limit - Maximum quotes
+   * @returns {Object[]} - [{ text, title, url }], at most one per page
+   */
+  static extractKeyQuotes(pages, limit = 6) {
+    const withContent = pages.filter(page => page.content);
+    if (withContent.length === 0) return [];
+
+    // Terms from titles and descriptions carry the report's topic
+    const topicWeights = TextUtils.termFrequencies(pages.flatMap(page =>
+      TextUtils.terms(`${page.title} ${page.description || ''}`)));
+
+    const candidates = [];
+    withContent.forEach(page => {
+      const sentences = page.content.replace(/\s+/g, ' ').match(/[^.!?]+[.!?]+/g) || [];
+      let best = null;
+      sentences.forEach(raw => {
+        const text = raw.trim();
+        if (text.length < 60 || text.length > 300) return;
+        const terms = new Set(TextUtils.terms(text));
+        let score = 0;
+        terms.forEach(term => { score += topicWeights[term] || 0; });
+        score /= Math.sqrt(terms.size || 1);
+        if (score > 0 && (!best || score > best.score)) best = { text, score };
+      });
+      if (best) candidates.push({ text: best.text, title: page.title || page.url, url: ReportGenerator.linkUrl(page.url), score: best.score });
+    });
+
+    return candidates
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ text, title, url }) => ({ text, title, url }));
+  }
+
+  static formatDateRange(start, end) {
+    if (!start) return '';
+    const startDate = new Date(start).toLocaleString();
+    if (!end || new Date(start).toDateString() !== new Date(end).toDateString()) {
+      return end ? `${startDate} – ${new Date(end).toLocaleString()}` : startDate;
+    }
+    return `${startDate} – ${new Date(end).toLocaleTimeString()}`;
+  }
+
+  static formatDuration(ms) {
+    const minutes = Math.max(0, Math.round(ms / 60000));
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+  }
+
+  // Markdown text for a report
+  toMarkdown(report, template) {
+    const markdown = template.markdown || ReportGenerator.BUILT_IN_TEMPLATES[0].markdown;
+    return ReportGenerator.renderTemplate(markdown, report, ReportGenerator.escapeMarkdown)
+      .replace(/\n{3,}/g, '\n\n');
+  }
+
+  // Standalone HTML document for a report
+  toHtml(report, template) {
+    const body = ReportGenerator.renderTemplate(template.html || ReportGenerator.BUILT_IN_TEMPLATES[0].html, report, TextUtils.escapeHtml);
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${TextUtils.escapeHtml(report.title)}</title>
+<style>${ReportGenerator.HTML_STYLES}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+  }
+
+  // File name from the report title
+  static filename(title, extension) {
+    const slug = String(title || 'report').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 60);
+    return `chrome-mnemonic-${slug || 'report'}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  }
+
+  // Save text as a file
+  download(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Open the HTML report in a tab and show the print dialog (Save as PDF)
+  printToPdf(html) {
+    const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+    const win = window.open(url, '_blank');
+    if (!win) {
+      URL.revokeObjectURL(url);
+      throw new Error('Allow pop-ups to print the report');
+    }
+    win.addEventListener('load', () => {
+      win.print();
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReportGenerator;
+} else {
+  window.ReportGenerator = ReportGenerator;
+}
@@ -25,10 +25,16 @@ class AIRequestQueue {
       retries = this.maxRetries,
       timeout = 10000,
       apiType = 'unknown',
-      description = 'Unknown operation'
+      description = 'Unknown operation',
+      signal = null
     } = options;
 
     return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(AIRequestQueue.abortReason(signal));
+        return;
+      }
+
       const request = {
         id: this.generateRequestId(),
         requestFn,
@@ -41,11 +47,18 @@ class AIRequestQueue {
         timeout,
         apiType,
         description,
+        signal,
         createdAt: Date.now(),
         attempts: 0,
         status: 'queued'
       };
 
+      // Aborting drops a waiting request; a running one is stopped in executeRequest
+      if (signal) {
+        request.onAbort = () => this.cancel(request);
+        signal.addEventListener('abort', request.onAbort, { once: true });
+      }
+
       // Add to queue and sort by priority
       this.queue.push(request);
       this.queue.sort((a, b) => a.priority - b.priority);
@@ -96,16 +109,25 @@ class AIRequestQueue {
     // Record attempt
     this.recordRequest(request, 'processing');
 
+    let onRunningAbort = null;
     try {
       // Set up timeout
       const timeoutPromise = new Promise((_, reject) => {
         setTimeout(() => reject(new Error('Request timeout')), request.timeout);
       });
 
+      const racers = [request.requestFn(request.signal), timeoutPromise];
+      if (request.signal) {
+        racers.push(new Promise((_, reject) => {
+          onRunningAbort = () => reject(AIRequestQueue.abortReason(request.signal));
+          request.signal.addEventListener('abort', onRunningAbort, { once: true });
+        }));
+      }
+
       // Execute request with performance monitoring
       const result = await this.performanceMonitor.measureOperation(
         `${request.apiType}_${request.description}`,
-        () => Promise.race([request.requestFn(), timeoutPromise]),
+        () => Promise.race(racers),
         {
           requestId: request.id,
           priority: request.priorityName,
@@ -120,11 +142,24 @@ class AIRequestQueue {
 
       this.recordRequest(request, 'completed');
       this.activeRequests.delete(request.id);
+      this.detachSignal(request);
 
       console.log(`✅ Completed ${request.description} in ${request.duration}ms`);
       request.resolve(result);
 
     } catch (error) {
+      if (request.signal && request.signal.aborted) {
+        request.status = 'cancelled';
+        request.completedAt = Date.now();
+        request.duration = request.completedAt - request.startedAt;
+        this.recordRequest(request, 'cancelled');
+        this.activeRequests.delete(request.id);
+        this.detachSignal(request);
+        console.log(`⏹️ Stopped ${request.description}`);
+        request.reject(AIRequestQueue.abortReason(request.signal));
+        return;
+      }
+
       request.status = 'failed';
       request.lastError = error.message;
       request.completedAt = Date.now();
@@ -138,6 +173,7 @@ class AIRequestQueue {
         
         // Add back to queue with retry delay
         setTimeout(() => {
+          if (request.status === 'cancelled') return;
           this.queue.unshift(request); // Add to front for retry
           this.process();
         }, this.retryDelay * request.attempts); // Exponential backoff
@@ -146,11 +182,41 @@ class AIRequestQueue {
         // Max retries exceeded
         console.error(`❌ Failed ${request.description} after ${request.attempts} attempts: ${error.message}`);
         this.activeRequests.delete(request.id);
+        this.detachSignal(request);
         request.reject(error);
       }
+    } finally {
+      // The signal may outlive this request (one controller per conversation)
+      if (onRunningAbort) request.signal.removeEventListener('abort', onRunningAbort);
+    }
+  }
+
+  // Reject a request that was aborted before it started or while it waited to retry
+  cancel(request) {
+    if (request.status === 'processing' || request.status === 'completed' || request.status === 'cancelled') return;
+    this.queue = this.queue.filter(queued => queued !== request);
+    request.status = 'cancelled';
+    this.recordRequest(request, 'cancelled');
+    this.activeRequests.delete(request.id);
+    console.log(`⏹️ Cancelled ${request.description}`);
+    request.reject(AIRequestQueue.abortReason(request.signal));
+  }
+
+  detachSignal(request) {
+    if (request.signal && request.onAbort) {
+      request.signal.removeEventListener('abort', request.onAbort);
     }
   }
 
+  // Error for an aborted request: the signal's reason, or a DOMException named AbortError
+  static abortReason(signal) {
+    if (signal && signal.reason instanceof Error) return signal.reason;
+    if (typeof DOMException !== 'undefined') return new DOMException('Request aborted', 'AbortError');
+    const error = new Error('Request aborted');
+    error.name = 'AbortError';
+    return error;
+  }
+
   // Record request in history
   recordRequest(request, status) {
     const record = {
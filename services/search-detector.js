@@ -0,0 +1,267 @@
+// Search Detector - One stream of search events from every place a search can be seen
+// Searches are detected from engine URLs (full page loads), from search boxes and chat inputs
+// (the content script), and from client-side URL changes on single-page sites such as AI chats.
+// Every report is normalized into the same shape and deduplicated, because one search is often
+// seen by more than one detector (a form submit followed by the results page loading).
+// Shared by the background service worker, the content script and SearchService in the popup.
+// Requires URLUtils (utils/url-utils.js) and SearchPatternRegistry to be loaded first, and SearchSimilarity
+// for findSimilar
+class SearchDetector {
+  static DEDUP_WINDOW_MS = 60 * 1000; // the same query on the same site within this counts once
+  static MIN_QUERY_LENGTH = 4;
+  static MAX_QUERY_LENGTH = 500;
+  static MAX_SEARCHES = 1000; // oldest searches dropped first
+
+  // Search boxes on any site
+  static INPUT_SELECTOR = 'input[type="search"], input[name*="search"], input[placeholder*="search"], input[placeholder*="Search"], textarea[placeholder*="search"], textarea[placeholder*="Search"]';
+  // Prompt boxes on AI chat sites, which rarely look like search inputs
+  static CHAT_INPUT_SELECTOR = 'textarea, [contenteditable="true"]';
+
+  constructor(options = {}) {
+    this.storageKey = 'universalSearches';
+    this.similarity = options.similarity || null; // SearchSimilarity, created on first use
+    this.patterns = null;
+    this.recent = new Map(); // dedup key -> last seen
+    this.listeners = [];
+    this.writing = Promise.resolve();
+  }
+
+  // Patterns in use (loaded once; reset with setPatterns(null) when they change)
+  async getPatterns() {
+    if (!this.patterns) this.patterns = await SearchPatternRegistry.load();
+    return this.patterns;
+  }
+
+  setPatterns(patterns) {
+    this.patterns = patterns;
+  }
+
+  // First enabled pattern whose site and URL expression match the URL, with the site it matched
+  static matchPattern(url, patterns = SearchPatternRegistry.BUILT_IN) {
+    const host = URLUtils.isValidURL(url) ? URLUtils.getDomain(url) : '';
+    if (!host) return null;
+    for (const pattern of patterns || []) {
+      const domain = pattern && pattern.domain;
+      if (!domain || pattern.enabled === false || (host !== domain && !host.endsWith(`.${domain}`))) continue;
+      // An invalid or unsafe expression disables that pattern only
+      const regex = SearchPatternRegistry.compile(pattern.urlPattern);
+      if (regex && regex.test(url)) return { domain, pattern };
+    }
+    return null;
+  }
+
+  // Whether the URL is on an AI chat site, where prompts are typed into chat inputs
+  static isChatSite(url, patterns = SearchPatternRegistry.BUILT_IN) {
+    const match = SearchDetector.matchPattern(url, patterns);
+    return Boolean(match && match.pattern.type === 'ai');
+  }
+
+  /**
+   * Normalize a search report from any detector
+   * @param {Object} data - { query, url, website?, domain?, timestamp?, source? }
+   * @param {Array} patterns - Search patterns, used to name the site
+   * @returns {Object|null} - { query, website, domain, url, timestamp, source }, null when there is no usable query
+   */
+  static normalize(data, patterns = SearchPatternRegistry.BUILT_IN) {
+    if (!data || typeof data.query !== 'string') return null;
+    const query = data.query.replace(/\s+/g, ' ').trim().slice(0, SearchDetector.MAX_QUERY_LENGTH);
+    if (query.length < SearchDetector.MIN_QUERY_LENGTH) return null;
+
+    const url = typeof data.url === 'string' ? data.url : '';
+    const match = url ? SearchDetector.matchPattern(url, patterns) : null;
+    const domain = match ? match.domain : (data.domain || (url ? URLUtils.getDomain(url) : ''));
+    return {
+      query,
+      website: match ? match.pattern.name : (data.website || domain),
+      domain,
+      url,
+      timestamp: Number.isFinite(data.timestamp) ? data.timestamp : Date.now(),
+      source: data.source || 'form'
+    };
+  }
+
+  /**
+   * Search in a URL matching one of the patterns
+   * @param {string} url - Page URL
+   * @param {string} source - 'navigation' for page loads, 'spa' for client-side URL changes
+   * @returns {Promise<Object|null>} - Normalized search, null when the URL is not a search
+   */
+  async detectFromUrl(url, source = 'navigation') {
+    const patterns = await this.getPatterns();
+    const match = SearchDetector.matchPattern(url, patterns);
+    if (!match || !match.pattern.queryParam) return null; // selector-only patterns are read by the content script
+    const query = URLUtils.extractSearchQuery(url, match.pattern.queryParam);
+    return SearchDetector.normalize({ query, url, source }, patterns);
+  }
+
+  // Listen to the deduplicated stream; listeners get (search, context)
+  onSearch(listener) {
+    this.listeners.push(listener);
+  }
+
+  static dedupKey(search) {
+    return `${search.domain}|${search.query.toLowerCase()}`;
+  }
+
+  /**
+   * Add a search to the stream: normalize, drop duplicates, store, then notify listeners
+   * @param {Object} data - Raw report (see normalize)
+   * @param {Object} context - Passed to listeners, e.g. { tabId }
+   * @returns {Promise<Object|null>} - The stored search, null when dropped
+   */
+  async report(data, context = {}) {
+    const search = SearchDetector.normalize(data, await this.getPatterns());
+    if (!search) return null;
+
+    const key = SearchDetector.dedupKey(search);
+    const now = Date.now();
+    this.recent.forEach((seen, seenKey) => {
+      if (now - seen > SearchDetector.DEDUP_WINDOW_MS) this.recent.delete(seenKey);
+    });
+    if (this.recent.has(key)) return null;
+    this.recent.set(key, now);
+
+    const stored = await this.store(search);
+    if (!stored) return null;
+
+    for (const listener of this.listeners) {
+      try {
+        await listener(stored, context);
+      } catch (error) {
+        console.warn('Search listener failed:', error);
+      }
+    }
+    return stored;
+  }
+
+  /**
+   * Read-modify-write of the stored searches, one at a time so concurrent updates are not lost
+   * @param {Function} update - Gets the searches array to change in place; a null result skips the write
+   * @returns {Promise<*>} - The update's result
+   */
+  updateSearches(update) {
+    const run = this.writing.then(async () => {
+      const stored = await chrome.storage.local.get(this.storageKey);
+      const searches = stored[this.storageKey] || [];
+      const result = await update(searches);
+      if (result !== null && result !== undefined) {
+        await chrome.storage.local.set({ [this.storageKey]: searches });
+      }
+      return result;
+    });
+    this.writing = run.catch(() => {});
+    return run;
+  }
+
+  // Persist a search; a duplicate of a recent stored search (e.g. from before a service worker restart) is skipped
+  async store(search) {
+    try {
+      return await this.updateSearches(searches => {
+        const key = SearchDetector.dedupKey(search);
+        const duplicate = searches.slice(-20).some(entry => entry && entry.query && entry.domain !== undefined &&
+          SearchDetector.dedupKey(entry) === key && search.timestamp - (entry.timestamp || 0) < SearchDetector.DEDUP_WINDOW_MS);
+        if (duplicate) return null;
+
+        const entry = { ...search, id: Date.now() + Math.random(), storedAt: Date.now() };
+        searches.push(entry);
+        if (searches.length > SearchDetector.MAX_SEARCHES) {
+          searches.splice(0, searches.length - SearchDetector.MAX_SEARCHES);
+        }
+        return entry;
+      });
+    } catch (error) {
+      console.warn('Failed to store search:', error);
+      return null;
+    }
+  }
+
+  // Earlier searches similar to the query, best first, each with the reasons it matched
+  async findSimilar(query) {
+    try {
+      const stored = await chrome.storage.local.get(this.storageKey);
+      if (!this.similarity) this.similarity = new SearchSimilarity();
+      return await this.similarity.rank(query, stored[this.storageKey] || []);
+    } catch (error) {
+      console.warn('Failed to find similar searches:', error);
+      return [];
+    }
+  }
+
+  // Get time ago string
+  static getTimeAgo(timestamp) {
+    const diff = Date.now() - timestamp;
+    const minutes = Math.floor(diff / (1000 * 60));
+    const hours = Math.floor(diff / (1000 * 60 * 60));
+    const days = Math.floor(diff / (1000 * 60 * 60 * 24));
+
+    if (days > 0) return `${days} day${days > 1 ? 's' : ''} ago`;
+    if (hours > 0) return `${hours} hour${hours > 1 ? 's' : ''} ago`;
+    if (minutes > 0) return `${minutes} minute${minutes > 1 ? 's' : ''} ago`;
+    return 'Just now';
+  }
+
+  // Why an earlier search matched, e.g. "Matched on same words: react · synonyms: js = javascript"
+  static reasonsNote(search) {
+    return search.reasons && search.reasons.length > 0 ? `Matched on ${search.reasons.join(' · ')}` : '';
+  }
+
+  // Short duration, e.g. "45 sec" or "12 min"
+  static formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return seconds < 60 ? `${seconds} sec` : `${Math.round(seconds / 60)} min`;
+  }
+
+  // "Last time you ended up on X" with a link to open it (see SearchOutcomeTracker.lastOutcome)
+  static outcomeSection(lastOutcome) {
+    const { search, outcome } = lastOutcome;
+    const host = URLUtils.getDomain(outcome.url);
+    const path = URLUtils.isValidURL(outcome.url) ? new URL(outcome.url).pathname.replace(/\/$/, '') : '';
+    return {
+      callout: true,
+      label: 'Last time you ended up on',
+      text: outcome.title || `${host}${path}`,
+      meta: `${host} • ${SearchDetector.formatDuration(outcome.dwellMs)} there after "${search.query}"`,
+      link: { href: outcome.url, label: 'Open' }
+    };
+  }
+
+  /**
+   * In-page notification for a search with earlier similar searches (shown with PageToasts, which escapes every field)
+   * @param {Object} currentSearch - The new search
+   * @param {Object[]} similarSearches - Earlier similar searches, best first
+   * @param {Object} options - { lastOutcome } to show where an earlier search ended up
+   * @returns {Object} - Toast for PageToasts.show()
+   */
+  static notificationToast(currentSearch, similarSearches, options = {}) {
+    const mostRecent = similarSearches[0];
+    const sections = [{
+      text: `"${mostRecent.query}"`,
+      meta: `${SearchDetector.getTimeAgo(mostRecent.timestamp)} • ${mostRecent.website}`,
+      note: SearchDetector.reasonsNote(mostRecent)
+    }];
+    if (options.lastOutcome) sections.push(SearchDetector.outcomeSection(options.lastOutcome));
+
+    return {
+      key: 'similar-search',
+      icon: '🧠',
+      title: 'Similar Search Found!',
+      subtitle: `You searched for this on ${mostRecent.website}`,
+      sections,
+      details: {
+        label: `View More (${similarSearches.length} similar searches)`,
+        items: similarSearches.map(search => ({
+          text: `"${search.query}"`,
+          meta: `${SearchDetector.getTimeAgo(search.timestamp)} • ${search.website}`,
+          note: SearchDetector.reasonsNote(search)
+        }))
+      }
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchDetector;
+} else if (typeof self !== 'undefined') {
+  self.SearchDetector = SearchDetector;
+}
@@ -0,0 +1,178 @@
+// Search Outcomes - Which result pages a search led to, and which one the user stayed on
+// A tab is followed from the moment a search is detected in it. Link navigations from the
+// results page, in the same tab or in tabs opened from it (webNavigation transition data),
+// are recorded on the stored search as outcomes. The time until the tab leaves a result page
+// (back to the results, typing a new address, closing the tab) is added to that page's dwell
+// time, so a later similar search can say "last time you ended up on X".
+// Tab state is kept in chrome.storage.session because the service worker stops when idle.
+// Outcomes are written through SearchDetector.updateSearches, so they never race a new search being stored.
+// Requires URLUtils (utils/url-utils.js) to be loaded first
+class SearchOutcomeTracker {
+  static STATE_KEY = 'searchOutcomeTabs';
+  static MAX_OUTCOMES = 10; // per search
+  static MAX_DWELL_MS = 30 * 60 * 1000; // a result left open in a background tab counts at most this long
+  static MIN_DWELL_MS = 10 * 1000; // shorter visits are bounces, not answers
+
+  // Transitions that mean the user opened a page from the page they were on
+  static FOLLOW_TRANSITIONS = ['link', 'form_submit'];
+
+  constructor(searchDetector, options = {}) {
+    this.searchDetector = searchDetector;
+    this.stateArea = options.stateArea || (chrome.storage && chrome.storage.session) || null;
+    this.tabs = null; // tabId -> { searchId, domain, open: { url, title, openedAt } | null }
+  }
+
+  async getTabs() {
+    if (!this.tabs) {
+      try {
+        const stored = this.stateArea ? await this.stateArea.get(SearchOutcomeTracker.STATE_KEY) : {};
+        this.tabs = (stored && stored[SearchOutcomeTracker.STATE_KEY]) || {};
+      } catch (error) {
+        console.warn('Failed to load search outcome state:', error);
+        this.tabs = {};
+      }
+    }
+    return this.tabs;
+  }
+
+  async saveTabs() {
+    if (!this.stateArea) return;
+    try {
+      await this.stateArea.set({ [SearchOutcomeTracker.STATE_KEY]: this.tabs || {} });
+    } catch (error) {
+      console.warn('Failed to save search outcome state:', error);
+    }
+  }
+
+  static onSite(url, domain) {
+    const host = URLUtils.isValidURL(url) ? URLUtils.getDomain(url) : '';
+    return Boolean(domain) && (host === domain || host.endsWith(`.${domain}`));
+  }
+
+  // Follow a tab after a search is stored (SearchDetector.onSearch listener)
+  async startSearch(search, tabId) {
+    if (!search || search.id === undefined || tabId === undefined || tabId < 0) return;
+    const tabs = await this.getTabs();
+    if (tabs[tabId]) await this.closeResult(tabs[tabId]);
+    tabs[tabId] = { searchId: search.id, domain: search.domain, open: null };
+    await this.saveTabs();
+  }
+
+  // webNavigation.onCommitted: a result opened, the results page shown again, or the tab moved on
+  async onCommitted(details) {
+    if (!details || details.frameId !== 0 || details.transitionType === 'reload') return;
+    const tabs = await this.getTabs();
+    const state = tabs[details.tabId];
+    if (!state) return;
+
+    const qualifiers = details.transitionQualifiers || [];
+    if (SearchOutcomeTracker.onSite(details.url, state.domain)) {
+      await this.closeResult(state); // back on the results (or another results page)
+    } else if (SearchOutcomeTracker.FOLLOW_TRANSITIONS.includes(details.transitionType) || qualifiers.includes('forward_back')) {
+      // Pages reached from a result count toward that result
+      if (!state.open) await this.openResult(state, details.url);
+    } else {
+      await this.closeResult(state);
+      delete tabs[details.tabId];
+    }
+    await this.saveTabs();
+  }
+
+  // webNavigation.onCreatedNavigationTarget: a result opened in a new tab from the results page
+  async onCreatedNavigationTarget(details) {
+    const tabs = await this.getTabs();
+    const source = tabs[details.sourceTabId];
+    if (!source || source.open) return;
+    tabs[details.tabId] = { searchId: source.searchId, domain: source.domain, open: null };
+    await this.saveTabs();
+  }
+
+  // tabs.onUpdated: keep the title of the open result
+  async onTitleChanged(tabId, title) {
+    const tabs = await this.getTabs();
+    const state = tabs[tabId];
+    if (!state || !state.open || !title) return;
+    state.open.title = title;
+    await this.saveTabs();
+  }
+
+  // tabs.onRemoved
+  async onTabRemoved(tabId) {
+    const tabs = await this.getTabs();
+    if (!tabs[tabId]) return;
+    await this.closeResult(tabs[tabId]);
+    delete tabs[tabId];
+    await this.saveTabs();
+  }
+
+  async openResult(state, url) {
+    state.open = { url, title: '', openedAt: Date.now() };
+    await this.recordOutcome(state.searchId, { url, dwellMs: 0, visit: true });
+  }
+
+  async closeResult(state) {
+    if (!state.open) return;
+    const { url, title, openedAt } = state.open;
+    state.open = null;
+    const dwellMs = Math.min(Math.max(0, Date.now() - openedAt), SearchOutcomeTracker.MAX_DWELL_MS);
+    await this.recordOutcome(state.searchId, { url, title, dwellMs, visit: false });
+  }
+
+  /**
+   * Add a visit or dwell time to an outcome of a stored search
+   * @param {number} searchId - ID of the entry in universalSearches
+   * @param {Object} update - { url, title?, dwellMs, visit }
+   */
+  async recordOutcome(searchId, update) {
+    try {
+      await this.searchDetector.updateSearches(searches => {
+        const search = searches.find(entry => entry && entry.id === searchId);
+        if (!search) return null;
+
+        const outcomes = search.outcomes || [];
+        let outcome = outcomes.find(entry => entry.url === update.url);
+        if (!outcome) {
+          if (!update.visit) return null;
+          outcome = { url: update.url, title: '', visits: 0, dwellMs: 0, firstOpenedAt: Date.now() };
+          outcomes.push(outcome);
+        }
+        if (update.visit) outcome.visits++;
+        if (update.title) outcome.title = update.title;
+        outcome.dwellMs += update.dwellMs || 0;
+        search.outcomes = outcomes.slice(-SearchOutcomeTracker.MAX_OUTCOMES);
+        return outcome;
+      });
+    } catch (error) {
+      console.warn('Failed to record search outcome:', error);
+    }
+  }
+
+  // Result the user stayed on longest after a search, or null when every visit was a bounce
+  static bestOutcome(search) {
+    const outcomes = (search && search.outcomes) || [];
+    return outcomes
+      .filter(outcome => outcome.dwellMs >= SearchOutcomeTracker.MIN_DWELL_MS && /^https?:\/\//i.test(outcome.url))
+      .sort((a, b) => b.dwellMs - a.dwellMs)[0] || null;
+  }
+
+  /**
+   * Where the most recent of the earlier searches ended up
+   * @param {Object[]} searches - Earlier similar searches
+   * @returns {Object|null} - { search, outcome }
+   */
+  static lastOutcome(searches) {
+    const ordered = [...(searches || [])].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    for (const search of ordered) {
+      const outcome = SearchOutcomeTracker.bestOutcome(search);
+      if (outcome) return { search, outcome };
+    }
+    return null;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchOutcomeTracker;
+} else if (typeof self !== 'undefined') {
+  self.SearchOutcomeTracker = SearchOutcomeTracker;
+}
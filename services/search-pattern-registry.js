@@ -0,0 +1,276 @@
+// Search Pattern Registry - Built-in and user-defined patterns for search detection
+// A pattern names a site (domain), a URL regular expression, and where the query is: a URL
+// query parameter, or a DOM selector for the search input on sites that keep it out of the URL.
+// Stored entries with a built-in ID override that built-in pattern; other entries are custom.
+// Shared by the background (SearchDetector), the content script and the Settings tab.
+// Requires URLUtils (utils/url-utils.js) to be loaded first
+class SearchPatternRegistry {
+  static get STORAGE_KEY() {
+    return 'searchPatterns';
+  }
+
+  static get PACK_FORMAT() {
+    return 'chrome-mnemonic-search-patterns';
+  }
+
+  // URL expressions run against every page load, so they are kept short and simple
+  static get MAX_URL_PATTERN_LENGTH() {
+    return 200;
+  }
+
+  static get BUILT_IN() {
+    const pattern = (id, name, domain, urlPattern, queryParam, type = 'search') =>
+      ({ id, name, domain, urlPattern, queryParam, selector: '', type, enabled: true, builtIn: true });
+    return [
+      pattern('google', 'Google Search', 'google.com', 'google\\.com/search', 'q'),
+      pattern('bing', 'Bing Search', 'bing.com', 'bing\\.com/search', 'q'),
+      pattern('duckduckgo', 'DuckDuckGo Search', 'duckduckgo.com', 'duckduckgo\\.com', 'q'),
+      pattern('youtube', 'YouTube Search', 'youtube.com', 'youtube\\.com/results', 'search_query'),
+      pattern('chatgpt', 'ChatGPT', 'chatgpt.com', 'chatgpt\\.com', 'q', 'ai'),
+      pattern('claude', 'Claude', 'claude.ai', 'claude\\.ai', 'q', 'ai'),
+      pattern('cursor', 'Cursor', 'cursor.sh', 'cursor\\.sh', 'query', 'ai'),
+      pattern('perplexity', 'Perplexity', 'perplexity.ai', 'perplexity\\.ai', 'q', 'ai'),
+      pattern('poe', 'Poe', 'poe.com', 'poe\\.com', 'message', 'ai'),
+      pattern('stackoverflow', 'Stack Overflow', 'stackoverflow.com', 'stackoverflow\\.com/search', 'q'),
+      pattern('github', 'GitHub', 'github.com', 'github\\.com/search', 'q'),
+      pattern('reddit', 'Reddit', 'reddit.com', 'reddit\\.com/search', 'q')
+    ];
+  }
+
+  // Stored overrides and custom patterns; anything else (e.g. the old per-domain object) is ignored
+  static async loadStored() {
+    try {
+      const stored = (await chrome.storage.local.get(SearchPatternRegistry.STORAGE_KEY))[SearchPatternRegistry.STORAGE_KEY];
+      return Array.isArray(stored) ? stored.filter(entry => entry && typeof entry.id === 'string') : [];
+    } catch (error) {
+      console.warn('Failed to load search patterns:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Whether a regular expression repeats a group that itself repeats, such as (a+)+ or (\w*\s?)*,
+   * which can backtrack for minutes on a URL that almost matches
+   * @param {string} source - Regular expression source
+   * @returns {boolean}
+   */
+  static hasNestedQuantifier(source) {
+    const groups = []; // per open group: whether it contains a repeated element
+    let inClass = false;
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      if (char === '\\') {
+        i++;
+      } else if (inClass) {
+        if (char === ']') inClass = false;
+      } else if (char === '[') {
+        inClass = true;
+      } else if (char === '(') {
+        groups.push(false);
+      } else if (char === ')') {
+        const repeatsInside = groups.pop();
+        const next = source[i + 1];
+        const repeated = next === '*' || next === '+' || next === '{';
+        if (repeatsInside && repeated) return true;
+        if ((repeatsInside || repeated) && groups.length > 0) groups[groups.length - 1] = true;
+      } else if ((char === '*' || char === '+' || char === '{') && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    }
+    return false;
+  }
+
+  // Compiled URL expressions, shared by every caller; null for expressions that are invalid or unsafe
+  static compile(urlPattern) {
+    const cache = SearchPatternRegistry.compiled || (SearchPatternRegistry.compiled = new Map());
+    if (!cache.has(urlPattern)) {
+      let regex = null;
+      try {
+        SearchPatternRegistry.checkUrlPattern(urlPattern);
+        regex = new RegExp(urlPattern);
+      } catch (error) {
+        console.warn(`Search pattern disabled: ${error.message}`);
+      }
+      cache.set(urlPattern, regex);
+    }
+    return cache.get(urlPattern);
+  }
+
+  // Throws when a URL expression is too long, too slow to run on every page load, or invalid
+  static checkUrlPattern(urlPattern) {
+    const max = SearchPatternRegistry.MAX_URL_PATTERN_LENGTH;
+    if (typeof urlPattern !== 'string' || urlPattern.length > max) {
+      throw new Error(`URL pattern must be at most ${max} characters`);
+    }
+    if (SearchPatternRegistry.hasNestedQuantifier(urlPattern)) {
+      throw new Error('URL pattern repeats a group that already repeats, such as (a+)+');
+    }
+    try {
+      new RegExp(urlPattern);
+    } catch (error) {
+      throw new Error(`Invalid URL pattern: ${error.message}`);
+    }
+  }
+
+  // Built-in patterns (with the user's changes) followed by custom ones, with their URL expressions compiled
+  static async load() {
+    const stored = await SearchPatternRegistry.loadStored();
+    const builtIn = SearchPatternRegistry.BUILT_IN;
+    const byId = new Map(stored.map(entry => [entry.id, entry]));
+    const merged = builtIn.map(pattern => (byId.has(pattern.id)
+      ? { ...pattern, ...byId.get(pattern.id), builtIn: true, modified: true }
+      : pattern));
+    const custom = stored
+      .filter(entry => !builtIn.some(pattern => pattern.id === entry.id))
+      .map(entry => ({ ...entry, builtIn: false }));
+    const patterns = [...merged, ...custom];
+    patterns.forEach(pattern => SearchPatternRegistry.compile(pattern.urlPattern));
+    return patterns;
+  }
+
+  /**
+   * Validate a pattern and fill in defaults
+   * @param {Object} pattern - { id?, name?, domain, urlPattern?, queryParam?, selector?, type?, enabled? }
+   * @returns {Object} - Complete pattern
+   * @throws {Error} - When the domain or URL expression is unusable (see checkUrlPattern), or there is nowhere to read the query from
+   */
+  static normalize(pattern) {
+    const input = pattern || {};
+    const domain = String(input.domain || '').trim().toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/[/?#].*$/, '')
+      .replace(/^\*\./, '')
+      .replace(/^www\./, '');
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) throw new Error(`"${input.domain || ''}" is not a domain`);
+
+    const urlPattern = String(input.urlPattern || '').trim() || domain.replace(/\./g, '\\.');
+    SearchPatternRegistry.checkUrlPattern(urlPattern);
+
+    const queryParam = String(input.queryParam || '').trim();
+    const selector = String(input.selector || '').trim();
+    if (!queryParam && !selector) throw new Error('A query parameter or a DOM selector is required');
+
+    return {
+      id: input.id ? String(input.id) : `custom_${Date.now().toString(36)}`,
+      name: String(input.name || '').trim() || domain,
+      domain,
+      urlPattern,
+      queryParam,
+      selector,
+      type: input.type === 'ai' ? 'ai' : 'search',
+      enabled: input.enabled !== false
+    };
+  }
+
+  // Stored form of a pattern: no derived flags
+  static toStored(pattern) {
+    const { builtIn, modified, ...stored } = pattern;
+    return stored;
+  }
+
+  // Add or update a pattern; a built-in ID stores an override of that built-in
+  static async save(pattern) {
+    const saved = SearchPatternRegistry.normalize(pattern);
+    const stored = await SearchPatternRegistry.loadStored();
+    const exists = stored.some(entry => entry.id === saved.id);
+    const updated = exists ? stored.map(entry => (entry.id === saved.id ? saved : entry)) : [...stored, saved];
+    await chrome.storage.local.set({ [SearchPatternRegistry.STORAGE_KEY]: updated });
+    return saved;
+  }
+
+  // Delete a custom pattern, or reset a built-in pattern to its default
+  static async remove(id) {
+    const stored = await SearchPatternRegistry.loadStored();
+    await chrome.storage.local.set({ [SearchPatternRegistry.STORAGE_KEY]: stored.filter(entry => entry.id !== id) });
+  }
+
+  static async setEnabled(id, enabled) {
+    const pattern = (await SearchPatternRegistry.load()).find(entry => entry.id === id);
+    if (!pattern) throw new Error('Unknown search pattern');
+    return SearchPatternRegistry.save({ ...pattern, enabled: Boolean(enabled) });
+  }
+
+  /**
+   * Whether a pattern matches a URL, and the query it would read from it
+   * @param {Object} pattern - Pattern to test (need not be saved)
+   * @param {string} url - URL to test against
+   * @returns {Object} - { matches, domainMatches, urlMatches, query, error }
+   */
+  static test(pattern, url) {
+    const result = { matches: false, domainMatches: false, urlMatches: false, query: '', error: '' };
+    let normalized;
+    try {
+      normalized = SearchPatternRegistry.normalize(pattern);
+    } catch (error) {
+      result.error = error.message;
+      return result;
+    }
+    if (!URLUtils.isValidURL(url)) {
+      result.error = 'Not a valid URL';
+      return result;
+    }
+
+    const host = URLUtils.getDomain(url);
+    result.domainMatches = host === normalized.domain || host.endsWith(`.${normalized.domain}`);
+    result.urlMatches = new RegExp(normalized.urlPattern).test(url);
+    result.matches = result.domainMatches && result.urlMatches;
+    if (result.matches && normalized.queryParam) {
+      result.query = URLUtils.extractSearchQuery(url, normalized.queryParam);
+    }
+    return result;
+  }
+
+  // Shareable pack of patterns
+  static exportPack(patterns, name = 'Search patterns') {
+    return {
+      format: SearchPatternRegistry.PACK_FORMAT,
+      version: 1,
+      name,
+      exportedAt: new Date().toISOString(),
+      patterns: (patterns || []).map(pattern => SearchPatternRegistry.toStored(pattern))
+    };
+  }
+
+  /**
+   * Add the patterns of a pack; a pattern for the same domain and URL expression as an existing one updates it
+   * @param {Object|string} pack - Pack object or its JSON
+   * @returns {Promise<Object>} - { imported, skipped }
+   * @throws {Error} - When the input is not a pattern pack
+   */
+  static async importPack(pack) {
+    const data = typeof pack === 'string' ? JSON.parse(pack) : pack;
+    if (!data || data.format !== SearchPatternRegistry.PACK_FORMAT || !Array.isArray(data.patterns)) {
+      throw new Error('Not a search pattern pack');
+    }
+
+    const current = await SearchPatternRegistry.load();
+    const stored = await SearchPatternRegistry.loadStored();
+    let imported = 0;
+    let skipped = 0;
+    data.patterns.forEach((entry, i) => {
+      let pattern;
+      try {
+        pattern = SearchPatternRegistry.normalize({ ...entry, id: undefined });
+      } catch {
+        skipped++;
+        return;
+      }
+      const same = current.find(existing => existing.domain === pattern.domain && existing.urlPattern === pattern.urlPattern) ||
+        SearchPatternRegistry.BUILT_IN.find(builtIn => builtIn.id === entry.id);
+      pattern.id = same ? same.id : `custom_${Date.now().toString(36)}_${i}`;
+      const index = stored.findIndex(existing => existing.id === pattern.id);
+      if (index >= 0) stored[index] = pattern;
+      else stored.push(pattern);
+      imported++;
+    });
+    await chrome.storage.local.set({ [SearchPatternRegistry.STORAGE_KEY]: stored });
+    return { imported, skipped };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchPatternRegistry;
+} else if (typeof self !== 'undefined') {
+  self.SearchPatternRegistry = SearchPatternRegistry;
+}
@@ -0,0 +1,215 @@
+// Search Similarity - Ranks earlier searches by how close they are to a new one
+// Queries are compared as sets of content terms: stopwords dropped, words stemmed and
+// synonyms mapped to one term, so "react hooks" matches "react hook tutorial" but not
+// "hooks for fishing". When an embedding model is routed in Settings, earlier searches the
+// words miss can still match by meaning. Older searches rank lower (recency decay), and
+// each match records why it matched so the notification can show it.
+// Requires TextUtils (utils/text-utils.js) to be loaded first
+class SearchSimilarity {
+  static SETTINGS_KEY = 'searchSimilaritySettings';
+  // Minimum share of the shorter search's terms found in the other (see compare). Two shared
+  // terms score 0.4 or more while the shorter search has at most five terms; 0.35 drops two
+  // shared terms out of six or more (1/3), where they are more likely incidental.
+  static DEFAULT_THRESHOLD = 0.35;
+  static RECENCY_HALF_LIFE_DAYS = 30;
+  static EMBEDDING_FLOOR = 0.6; // cosine similarity below this counts as unrelated
+  static MAX_EMBED = 100; // earlier searches embedded per comparison
+  static MAX_CACHED_VECTORS = 1000;
+
+  // Words used interchangeably in searches; each group is matched as one term
+  static SYNONYMS = [
+    ['javascript', 'js'],
+    ['typescript', 'ts'],
+    ['python', 'py'],
+    ['kubernetes', 'k8s'],
+    ['postgresql', 'postgres'],
+    ['database', 'db'],
+    ['repository', 'repo'],
+    ['configuration', 'config'],
+    ['authentication', 'auth'],
+    ['documentation', 'docs'],
+    ['install', 'installation', 'setup'],
+    ['error', 'exception'],
+    ['tutorial', 'guide', 'howto'],
+    ['compare', 'comparison', 'vs', 'versus'],
+    ['cheap', 'inexpensive', 'affordable'],
+    ['buy', 'purchase'],
+    ['car', 'automobile'],
+    ['movie', 'film'],
+    ['photo', 'picture', 'image']
+  ];
+
+  constructor(aiService = null) {
+    this.aiService = aiService; // anything with canEmbed(), embedTexts() and embeddingModel
+    this.vectors = new Map(); // `${model}|${query}` -> vector
+  }
+
+  // Stemmed synonym -> the group's first stemmed word
+  static get synonymMap() {
+    if (!SearchSimilarity._synonymMap) {
+      SearchSimilarity._synonymMap = new Map();
+      SearchSimilarity.SYNONYMS.forEach(group => {
+        const canonical = TextUtils.stem(group[0]);
+        group.forEach(word => SearchSimilarity._synonymMap.set(TextUtils.stem(word), canonical));
+      });
+    }
+    return SearchSimilarity._synonymMap;
+  }
+
+  // Match threshold chosen in Settings
+  static async loadSettings() {
+    try {
+      const stored = (await chrome.storage.local.get(SearchSimilarity.SETTINGS_KEY))[SearchSimilarity.SETTINGS_KEY] || {};
+      return { threshold: SearchSimilarity.normalizeThreshold(stored.threshold) };
+    } catch (error) {
+      console.warn('Failed to load search similarity settings:', error);
+      return { threshold: SearchSimilarity.DEFAULT_THRESHOLD };
+    }
+  }
+
+  static async saveSettings(settings) {
+    const saved = { threshold: SearchSimilarity.normalizeThreshold(settings && settings.threshold) };
+    await chrome.storage.local.set({ [SearchSimilarity.SETTINGS_KEY]: saved });
+    return saved;
+  }
+
+  static normalizeThreshold(value) {
+    const threshold = Number(value);
+    if (value === undefined || value === null || value === '' || !Number.isFinite(threshold)) {
+      return SearchSimilarity.DEFAULT_THRESHOLD;
+    }
+    return Math.min(0.95, Math.max(0.05, threshold));
+  }
+
+  /**
+   * Content terms of a query
+   * @param {string} query - Search text
+   * @returns {Object[]} - [{ word, term }] where term is the stemmed, synonym-mapped form
+   */
+  static analyze(query) {
+    const seen = new Set();
+    return TextUtils.tokenize(query)
+      .filter(word => !TextUtils.STOPWORDS.has(word) || SearchSimilarity.synonymMap.has(word))
+      .map(word => {
+        const stem = TextUtils.stem(word);
+        return { word, term: SearchSimilarity.synonymMap.get(stem) || stem };
+      })
+      .filter(entry => !seen.has(entry.term) && seen.add(entry.term));
+  }
+
+  /**
+   * Word-level similarity of two queries
+   * One shared term never counts: "hooks" and "hooks for fishing", or "python list" and
+   * "python snake", are different searches. Two one-term searches match on their one term.
+   * @returns {Object} - { score, reasons }; score is shared terms over the shorter query's terms,
+   * or 0 when the queries share fewer than two terms
+   */
+  static compare(queryTerms, otherTerms) {
+    const others = new Map(otherTerms.map(entry => [entry.term, entry.word]));
+    const shared = queryTerms.filter(entry => others.has(entry.term));
+    const shorter = Math.min(queryTerms.length, otherTerms.length);
+    const required = Math.min(2, Math.max(queryTerms.length, otherTerms.length));
+    if (shorter === 0 || shared.length < required) return { score: 0, reasons: [] };
+
+    const same = [];
+    const forms = [];
+    const synonyms = [];
+    shared.forEach(entry => {
+      const other = others.get(entry.term);
+      if (other === entry.word) same.push(entry.word);
+      else if (TextUtils.stem(other) === TextUtils.stem(entry.word)) forms.push(`${entry.word} ≈ ${other}`);
+      else synonyms.push(`${entry.word} = ${other}`);
+    });
+
+    const reasons = [];
+    if (same.length > 0) reasons.push(`same words: ${same.join(', ')}`);
+    if (forms.length > 0) reasons.push(`word forms: ${forms.join(', ')}`);
+    if (synonyms.length > 0) reasons.push(`synonyms: ${synonyms.join(', ')}`);
+    return { score: shared.length / shorter, reasons };
+  }
+
+  // Weight of a search by age: 1 when new, halving every RECENCY_HALF_LIFE_DAYS, never below 0.5
+  static recency(timestamp, now = Date.now()) {
+    const ageDays = Math.max(0, now - (timestamp || 0)) / (24 * 60 * 60 * 1000);
+    return 0.5 + 0.5 * Math.pow(0.5, ageDays / SearchSimilarity.RECENCY_HALF_LIFE_DAYS);
+  }
+
+  canEmbed() {
+    return !!(this.aiService && typeof this.aiService.canEmbed === 'function' && this.aiService.canEmbed());
+  }
+
+  // Vectors for queries, embedding only the ones not cached yet
+  async embedQueries(queries) {
+    const model = this.aiService.embeddingModel || 'default';
+    const key = query => `${model}|${query.toLowerCase()}`;
+    const missing = [...new Set(queries.filter(query => !this.vectors.has(key(query))))];
+    if (missing.length > 0) {
+      const vectors = await this.aiService.embedTexts(missing, { taskType: 'SEMANTIC_SIMILARITY' });
+      missing.forEach((query, i) => this.vectors.set(key(query), vectors[i] || null));
+      while (this.vectors.size > SearchSimilarity.MAX_CACHED_VECTORS) {
+        this.vectors.delete(this.vectors.keys().next().value);
+      }
+    }
+    return queries.map(query => this.vectors.get(key(query)) || null);
+  }
+
+  /**
+   * Earlier searches similar to a query, best first
+   * @param {string} query - The new search
+   * @param {Object[]} searches - Earlier searches ({ query, timestamp, ... })
+   * @param {Object} options - { threshold, limit, now }
+   * @returns {Promise<Object[]>} - Searches with { similarity, relevance, reasons } added
+   */
+  async rank(query, searches, options = {}) {
+    const { limit = 5, now = Date.now() } = options;
+    const threshold = options.threshold ?? (await SearchSimilarity.loadSettings()).threshold;
+    const queryTerms = SearchSimilarity.analyze(query);
+    if (queryTerms.length === 0) return [];
+
+    const normalized = query.trim().toLowerCase();
+    const candidates = (searches || [])
+      .filter(search => search && typeof search.query === 'string' && search.query.trim().toLowerCase() !== normalized)
+      .map(search => ({ search, ...SearchSimilarity.compare(queryTerms, SearchSimilarity.analyze(search.query)) }));
+
+    // Searches the words miss can still match by meaning
+    if (this.canEmbed()) {
+      const unmatched = candidates
+        .filter(candidate => candidate.score < threshold)
+        .sort((a, b) => (b.search.timestamp || 0) - (a.search.timestamp || 0))
+        .slice(0, SearchSimilarity.MAX_EMBED);
+      if (unmatched.length > 0) {
+        try {
+          const [queryVector, ...vectors] = await this.embedQueries([query, ...unmatched.map(candidate => candidate.search.query)]);
+          unmatched.forEach((candidate, i) => {
+            const cosine = queryVector && vectors[i] ? TextUtils.cosineSimilarity(queryVector, vectors[i]) : 0;
+            const score = (cosine - SearchSimilarity.EMBEDDING_FLOOR) / (1 - SearchSimilarity.EMBEDDING_FLOOR);
+            if (score > candidate.score) {
+              candidate.score = score;
+              candidate.reasons = [...candidate.reasons, `similar meaning (${Math.round(cosine * 100)}%)`];
+            }
+          });
+        } catch (error) {
+          console.warn('Search embeddings unavailable, using word matching:', error);
+        }
+      }
+    }
+
+    return candidates
+      .filter(candidate => candidate.score >= threshold)
+      .map(candidate => ({
+        ...candidate.search,
+        similarity: candidate.score,
+        relevance: candidate.score * SearchSimilarity.recency(candidate.search.timestamp, now),
+        reasons: candidate.reasons
+      }))
+      .sort((a, b) => b.relevance - a.relevance || (b.timestamp || 0) - (a.timestamp || 0))
+      .slice(0, limit);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchSimilarity;
+} else if (typeof self !== 'undefined') {
+  self.SearchSimilarity = SearchSimilarity;
+}
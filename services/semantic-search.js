@@ -0,0 +1,148 @@
+// Semantic Search Service - Ranks history by meaning, not just substrings
+// Uses stored embedding vectors when an embedding model is available (a local server, or a
+// remote one the user allowed under AI Providers) and BM25 otherwise;
+// ranking runs in the history worker (see utils/vector-search.js)
+class SemanticSearchService {
+  constructor(aiService, historyService) {
+    this.aiService = aiService;
+    this.historyService = historyService;
+    this.maxEmbedPerSearch = 100; // new documents embedded per query, so coverage grows gradually
+    this.maxEmbedTextLength = 2000;
+    this.queryVectorCache = new Map();
+  }
+
+  // Whether the current AI service can produce embeddings
+  canEmbed() {
+    return !!(this.aiService && typeof this.aiService.canEmbed === 'function' && this.aiService.canEmbed());
+  }
+
+  // Build searchable documents from history items
+  buildDocuments(items) {
+    return (items || []).map(item => ({
+      id: item.url,
+      fields: {
+        title: item.title || '',
+        url: item.url,
+        summary: item.summary || item.description || '',
+        content: [(item.headings || []).join('\n'), item.content || ''].filter(Boolean).join('\n')
+      }
+    }));
+  }
+
+  // Text sent to the embedding model for a document
+  getEmbeddingText(doc) {
+    const { title, summary, content } = doc.fields;
+    return [title, summary, content].filter(Boolean).join('\n').substring(0, this.maxEmbedTextLength);
+  }
+
+  // Attach stored vectors to documents, embedding the newest missing ones
+  async attachVectors(documents) {
+    const historyIndex = this.historyService.historyIndex;
+    if (!historyIndex) return;
+
+    const model = this.aiService.embeddingModel || 'default';
+    const stored = await historyIndex.getEmbeddings(documents.map(doc => doc.id));
+    const missing = [];
+
+    documents.forEach(doc => {
+      const text = this.getEmbeddingText(doc);
+      const textHash = TextUtils.hash(text);
+      const record = stored[doc.id];
+      if (record && record.model === model && record.textHash === textHash) {
+        doc.vector = record.vector;
+      } else if (missing.length < this.maxEmbedPerSearch) {
+        missing.push({ doc, text, textHash });
+      }
+    });
+
+    if (missing.length === 0) return;
+
+    const vectors = await this.aiService.embedTexts(missing.map(m => m.text), { taskType: 'RETRIEVAL_DOCUMENT' });
+    const records = [];
+    missing.forEach((m, i) => {
+      if (!vectors[i] || vectors[i].length === 0) return;
+      m.doc.vector = vectors[i];
+      records.push({ url: m.doc.id, model, textHash: m.textHash, vector: vectors[i], embeddedAt: Date.now() });
+    });
+    await historyIndex.putEmbeddings(records);
+  }
+
+  // Embed the query (cached for the popup lifetime)
+  async getQueryVector(query) {
+    const key = query.trim().toLowerCase();
+    if (this.queryVectorCache.has(key)) return this.queryVectorCache.get(key);
+    const [vector] = await this.aiService.embedTexts([query], { taskType: 'RETRIEVAL_QUERY' });
+    this.queryVectorCache.set(key, vector || null);
+    return vector || null;
+  }
+
+  /**
+   * Search history by meaning
+   * @param {string} query - Natural-language query
+   * @param {Object} options - { limit, items }
+   * @returns {Promise<Object[]>} - [{ item, score, method, similarity, explanation }]
+   */
+  async search(query, options = {}) {
+    const { limit = 20 } = options;
+    if (!query || query.trim().length < 2) return [];
+
+    const items = options.items || this.historyService.historyData || [];
+    if (items.length === 0) return [];
+
+    await this.historyService.attachPageContent(items);
+    const documents = this.buildDocuments(items);
+    let queryVector = null;
+
+    if (this.canEmbed()) {
+      try {
+        queryVector = await this.getQueryVector(query);
+        await this.attachVectors(documents);
+      } catch (error) {
+        console.warn('Embedding unavailable, using keyword ranking:', error);
+        queryVector = null;
+      }
+    }
+
+    const payload = { query, queryVector, documents, limit };
+    const ranked = await this.historyService.runInWorker('rankDocuments', payload)
+      .catch(err => {
+        console.warn('Worker failed for rankDocuments, falling back to main thread:', err);
+        return VectorSearch.rank(payload);
+      });
+
+    const itemsByUrl = new Map(items.map(item => [item.url, item]));
+    return ranked
+      .filter(result => itemsByUrl.has(result.id))
+      .map(result => ({
+        item: itemsByUrl.get(result.id),
+        score: result.score,
+        method: result.method,
+        similarity: result.similarity,
+        explanation: this.explainMatch(query, result)
+      }));
+  }
+
+  // Human-readable reason a result matched
+  explainMatch(query, result) {
+    const fieldNames = { title: 'title', url: 'URL', summary: 'summary', content: 'page text' };
+    const words = [...new Set(TextUtils.tokenize(query))]
+      .filter(word => result.matchedTerms.includes(TextUtils.stem(word)));
+    const parts = [];
+
+    if (result.method !== 'keyword') {
+      parts.push(`Semantic match ${Math.round(Math.max(0, result.similarity) * 100)}%`);
+    }
+    if (words.length > 0) {
+      const fields = result.matchedFields.map(field => fieldNames[field] || field).join(', ');
+      parts.push(`matched ${words.map(w => `"${w}"`).join(', ')}${fields ? ` in ${fields}` : ''}`);
+    }
+    return parts.join(' · ') || 'Related by meaning';
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SemanticSearchService;
+} else {
+  window.SemanticSearchService = SemanticSearchService;
+}
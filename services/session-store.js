@@ -0,0 +1,277 @@
+// Session Store - Persisted research sessions with stable IDs
+// Time-gap sessions from HistoryService are reconciled into stored sessions so names,
+// notes, pin/archive state and cached AI titles survive across popup opens.
+class SessionStore {
+  constructor() {
+    this.storageKey = 'researchSessions';
+    this.maxSessions = 500;
+    this.maxGapMs = 30 * 60 * 1000; // same gap HistoryService uses to build sessions
+    this.sessions = null;
+  }
+
+  // Load stored sessions (cached after the first call)
+  async load() {
+    if (this.sessions) return this.sessions;
+    try {
+      const stored = await chrome.storage.local.get(this.storageKey);
+      this.sessions = Array.isArray(stored[this.storageKey]) ? stored[this.storageKey] : [];
+    } catch (error) {
+      console.warn('Failed to load research sessions:', error);
+      this.sessions = [];
+    }
+    return this.sessions;
+  }
+
+  // Persist sessions, dropping the oldest unpinned ones past maxSessions
+  async save() {
+    const sessions = this.sessions || [];
+    if (sessions.length > this.maxSessions) {
+      const keep = sessions
+        .slice()
+        .sort((a, b) => (b.pinned - a.pinned) || (b.endTime - a.endTime))
+        .slice(0, this.maxSessions);
+      this.sessions = sessions.filter(session => keep.includes(session));
+    }
+    await chrome.storage.local.set({ [this.storageKey]: this.sessions });
+  }
+
+  /**
+   * Build a stable session ID from its first page
+   * @param {number} startTime - Session start time
+   * @param {string} firstUrl - URL of the first page
+   * @returns {string} - Session ID
+   */
+  static createId(startTime, firstUrl) {
+    return `s_${Number(startTime).toString(36)}_${TextUtils.hash(firstUrl || '')}`;
+  }
+
+  /**
+   * Convert history items to stored pages, oldest visit first, one entry per URL
+   * @param {Object[]} items - History items
+   * @returns {Object[]} - [{ url, title, visitTime }]
+   */
+  static toPages(items) {
+    const byUrl = new Map();
+    (items || []).forEach(item => {
+      if (!item || !item.url) return;
+      const visitTime = item.visitTime || item.lastVisitTime || 0;
+      const existing = byUrl.get(item.url);
+      if (!existing || visitTime < existing.visitTime) {
+        byUrl.set(item.url, { url: item.url, title: item.title || 'Untitled', visitTime });
+      }
+    });
+    return [...byUrl.values()].sort((a, b) => a.visitTime - b.visitTime);
+  }
+
+  // Create a session entity from pages
+  static createSession(pages, extra = {}) {
+    const first = pages[0] || {};
+    const last = pages[pages.length - 1] || {};
+    return {
+      id: SessionStore.createId(first.visitTime, first.url),
+      name: '',
+      notes: '',
+      aiTitle: '',
+      aiTitleKey: '',
+      pinned: false,
+      archived: false,
+      locked: false, // true after a manual merge/split; reconcile no longer changes its pages
+      pages,
+      startTime: first.visitTime || 0,
+      endTime: last.visitTime || 0,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      ...extra
+    };
+  }
+
+  // Key that changes whenever a session's pages change (invalidates the cached AI title)
+  static pagesKey(session) {
+    return TextUtils.hash(session.pages.map(page => page.url).join('\n'));
+  }
+
+  // Display title: user name, then cached AI title, then a keyword fallback
+  static getDisplayTitle(session) {
+    return session.name || session.aiTitle || SessionStore.fallbackTitle(session);
+  }
+
+  // Title from the most frequent words in page titles
+  static fallbackTitle(session) {
+    const counts = TextUtils.termFrequencies(
+      session.pages.flatMap(page => TextUtils.terms(page.title, { stem: false, minLength: 3 })));
+    const top = Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([term]) => term);
+    if (top.length === 0) return `Session on ${new Date(session.startTime).toLocaleDateString()}`;
+    return top.map(term => term.charAt(0).toUpperCase() + term.slice(1)).join(', ');
+  }
+
+  /**
+   * Merge freshly built time-gap sessions into the stored sessions
+   * @param {Object[]} builtSessions - From HistoryService.getBrowsingSessions()
+   * @returns {Promise<Object[]>} - Stored sessions touched by this call, newest first
+   */
+  async reconcile(builtSessions) {
+    await this.load();
+    const touched = [];
+    let changed = false;
+
+    (builtSessions || []).forEach(built => {
+      const pages = SessionStore.toPages(built.items);
+      if (pages.length === 0) return;
+      const match = this.findMatch(pages);
+
+      if (!match) {
+        const session = SessionStore.createSession(pages);
+        session.id = this.uniqueId(session.id);
+        this.sessions.push(session);
+        touched.push(session);
+        changed = true;
+        return;
+      }
+
+      if (!match.locked) {
+        const known = new Set(match.pages.map(page => page.url));
+        const added = pages.filter(page => !known.has(page.url));
+        if (added.length > 0) {
+          match.pages = SessionStore.toPages([...match.pages, ...added]);
+          match.startTime = match.pages[0].visitTime;
+          match.endTime = match.pages[match.pages.length - 1].visitTime;
+          match.updatedAt = Date.now();
+          changed = true;
+        }
+      }
+      if (!touched.includes(match)) touched.push(match);
+    });
+
+    if (changed) await this.save();
+    return touched.sort((a, b) => b.endTime - a.endTime);
+  }
+
+  // Stored session overlapping the pages in time and sharing at least half of them
+  findMatch(pages) {
+    const start = pages[0].visitTime;
+    const end = pages[pages.length - 1].visitTime;
+    const urls = new Set(pages.map(page => page.url));
+    let best = null;
+    let bestOverlap = 0;
+
+    this.sessions.forEach(session => {
+      if (start > session.endTime + this.maxGapMs || end < session.startTime - this.maxGapMs) return;
+      const overlap = session.pages.filter(page => urls.has(page.url)).length;
+      if (overlap === 0 || overlap < Math.min(urls.size, session.pages.length) / 2) return;
+      if (overlap > bestOverlap) {
+        best = session;
+        bestOverlap = overlap;
+      }
+    });
+    return best;
+  }
+
+  // Append a counter when another stored session already uses the ID
+  uniqueId(id) {
+    let candidate = id;
+    for (let n = 2; this.sessions.some(session => session.id === candidate); n++) {
+      candidate = `${id}_${n}`;
+    }
+    return candidate;
+  }
+
+  // List sessions: pinned first, then newest
+  async list(options = {}) {
+    const { includeArchived = false } = options;
+    await this.load();
+    return this.sessions
+      .filter(session => includeArchived || !session.archived)
+      .sort((a, b) => (b.pinned - a.pinned) || (b.endTime - a.endTime));
+  }
+
+  async get(id) {
+    await this.load();
+    return this.sessions.find(session => session.id === id) || null;
+  }
+
+  // Update user-editable fields (name, notes, pinned, archived)
+  async update(id, changes) {
+    const session = await this.get(id);
+    if (!session) throw new Error(`Session not found: ${id}`);
+    ['name', 'notes', 'pinned', 'archived'].forEach(field => {
+      if (changes[field] !== undefined) session[field] = changes[field];
+    });
+    session.updatedAt = Date.now();
+    await this.save();
+    return session;
+  }
+
+  // Cache an AI-generated title for the session's current pages
+  async setAiTitle(id, title) {
+    const session = await this.get(id);
+    if (!session) return null;
+    session.aiTitle = title;
+    session.aiTitleKey = SessionStore.pagesKey(session);
+    await this.save();
+    return session;
+  }
+
+  // Whether the cached AI title is missing or out of date
+  static needsAiTitle(session) {
+    return !session.aiTitle || session.aiTitleKey !== SessionStore.pagesKey(session);
+  }
+
+  // Merge sessions into one locked session that keeps the first session's name and notes
+  async merge(ids) {
+    await this.load();
+    const parts = this.sessions.filter(session => ids.includes(session.id))
+      .sort((a, b) => a.startTime - b.startTime);
+    if (parts.length < 2) throw new Error('Select at least two sessions to merge');
+
+    const merged = SessionStore.createSession(SessionStore.toPages(parts.flatMap(session => session.pages)), {
+      name: parts.map(session => session.name).find(Boolean) || '',
+      notes: parts.map(session => session.notes).filter(Boolean).join('\n\n'),
+      pinned: parts.some(session => session.pinned),
+      locked: true
+    });
+    this.sessions = this.sessions.filter(session => !parts.includes(session));
+    merged.id = this.uniqueId(merged.id);
+    this.sessions.push(merged);
+    await this.save();
+    return merged;
+  }
+
+  // Split a session before the page at index; both halves become locked
+  async split(id, index) {
+    const session = await this.get(id);
+    if (!session) throw new Error(`Session not found: ${id}`);
+    if (index <= 0 || index >= session.pages.length) throw new Error('Split point must be inside the session');
+
+    const first = SessionStore.createSession(session.pages.slice(0, index), {
+      name: session.name,
+      notes: session.notes,
+      pinned: session.pinned,
+      locked: true
+    });
+    const second = SessionStore.createSession(session.pages.slice(index), {
+      name: session.name ? `${session.name} (part 2)` : '',
+      locked: true
+    });
+    this.sessions = this.sessions.filter(s => s !== session);
+    first.id = this.uniqueId(first.id);
+    this.sessions.push(first);
+    second.id = this.uniqueId(second.id);
+    this.sessions.push(second);
+    await this.save();
+    return [first, second];
+  }
+
+  // Delete a session (history itself is untouched)
+  async remove(id) {
+    await this.load();
+    this.sessions = this.sessions.filter(session => session.id !== id);
+    await this.save();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SessionStore;
+} else {
+  window.SessionStore = SessionStore;
+}
@@ -0,0 +1,132 @@
+// Tab Group Service - Reopen a session or cluster as a named tab group
+class TabGroupService {
+  constructor() {
+    this.settingsKey = 'tabGroupSettings';
+    this.maxTabs = 30; // callers confirm before opening more than this
+    this.maxTitleLength = 40;
+  }
+
+  // Load the reopen preferences
+  async loadSettings() {
+    try {
+      const stored = await chrome.storage.local.get(this.settingsKey);
+      return { skipOpenTabs: true, ...(stored[this.settingsKey] || {}) };
+    } catch (error) {
+      console.warn('Failed to load tab group settings:', error);
+      return { skipOpenTabs: true };
+    }
+  }
+
+  async saveSettings(settings) {
+    const merged = { ...(await this.loadSettings()), ...settings };
+    await chrome.storage.local.set({ [this.settingsKey]: merged });
+    return merged;
+  }
+
+  /**
+   * Pages in the order they were first visited, one per URL
+   * @param {Object[]} items - Session pages or history items (visitTime or lastVisitTime)
+   * @returns {Object[]} - [{ url, title }]
+   */
+  static orderPages(items) {
+    const seen = new Set();
+    return (items || [])
+      .filter(item => item && /^(https?|file|ftp):/i.test(item.url || ''))
+      .map((item, index) => ({ item, index, time: item.visitTime || item.lastVisitTime || 0 }))
+      .sort((a, b) => (a.time - b.time) || (a.index - b.index))
+      .filter(({ item }) => {
+        const key = TabGroupService.tabKey(item.url);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .map(({ item }) => ({ url: item.url, title: item.title || '' }));
+  }
+
+  // URL without the fragment, used to compare pages with open tabs
+  static tabKey(url) {
+    return String(url || '').split('#')[0].replace(/\/$/, '');
+  }
+
+  /**
+   * Split pages into those to open and those already open in a tab
+   * @param {Object[]} pages - From orderPages
+   * @param {Object[]} openTabs - From chrome.tabs.query
+   * @param {boolean} skipOpenTabs - Whether to skip pages that are already open
+   * @returns {Object} - { toOpen, alreadyOpen }
+   */
+  static planTabs(pages, openTabs, skipOpenTabs) {
+    if (!skipOpenTabs) return { toOpen: pages, alreadyOpen: [] };
+    const open = new Set((openTabs || []).map(tab => TabGroupService.tabKey(tab.url || tab.pendingUrl)));
+    return {
+      toOpen: pages.filter(page => !open.has(TabGroupService.tabKey(page.url))),
+      alreadyOpen: pages.filter(page => open.has(TabGroupService.tabKey(page.url)))
+    };
+  }
+
+  // Group title shortened to fit the tab strip
+  formatTitle(title) {
+    const clean = String(title || 'Session').replace(/\s+/g, ' ').trim();
+    return clean.length > this.maxTitleLength ? clean.substring(0, this.maxTitleLength - 1) + '…' : clean;
+  }
+
+  /**
+   * Open pages in the current window and put them in one named group
+   * @param {string} title - Group title
+   * @param {Object[]} items - Pages or history items
+   * @param {Object} options - { skipOpenTabs } overrides the saved preference
+   * @returns {Promise<Object>} - { groupId, opened, skipped }
+   */
+  async openAsGroup(title, items, options = {}) {
+    const settings = await this.loadSettings();
+    const skipOpenTabs = options.skipOpenTabs !== undefined ? options.skipOpenTabs : settings.skipOpenTabs;
+    const pages = TabGroupService.orderPages(items);
+    const openTabs = skipOpenTabs ? await chrome.tabs.query({}) : [];
+    const { toOpen, alreadyOpen } = TabGroupService.planTabs(pages, openTabs, skipOpenTabs);
+    if (toOpen.length === 0) {
+      return { groupId: null, opened: 0, skipped: alreadyOpen.length };
+    }
+
+    const tabIds = [];
+    for (const page of toOpen) {
+      const tab = await chrome.tabs.create({ url: page.url, active: tabIds.length === 0 });
+      tabIds.push(tab.id);
+    }
+
+    let groupId = null;
+    if (chrome.tabs.group && chrome.tabGroups) {
+      groupId = await chrome.tabs.group({ tabIds });
+      await chrome.tabGroups.update(groupId, { title: this.formatTitle(title), collapsed: false });
+    }
+    return { groupId, opened: tabIds.length, skipped: alreadyOpen.length };
+  }
+
+  // Ask before opening a large group, then report what happened
+  async reopenWithConfirmation(title, items) {
+    const count = TabGroupService.orderPages(items).length;
+    if (count === 0) {
+      alert('This session has no pages that can be reopened.');
+      return null;
+    }
+    if (count > this.maxTabs && !confirm(`Open ${count} tabs in a new group?`)) return null;
+
+    try {
+      const result = await this.openAsGroup(title, items);
+      if (result.opened === 0) {
+        alert(`All ${result.skipped} pages are already open.`);
+      }
+      return result;
+    } catch (error) {
+      console.warn('Failed to reopen as tab group:', error);
+      alert('Failed to reopen as tab group: ' + error.message);
+      return null;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TabGroupService;
+} else {
+  window.TabGroupService = TabGroupService;
+}
@@ -0,0 +1,297 @@
+// Topic Extractor - Keyphrases of pages from their titles, URLs and captured text
+// RAKE-style extraction: candidate phrases are runs of words between stopwords and punctuation,
+// and each word scores its co-occurrence degree over its frequency. Stoplists are per language,
+// picked by which list the text hits most. Matching is on whole (stemmed) words, so 'js' does not
+// match "jsonl" or "adjust". An optional Prompt API pass turns raw keyphrases into tidy labels.
+// Requires TextUtils and TopicClustering (utils/) to be loaded first
+class TopicExtractor {
+  // Relative weight of each page field; captured headings and text are used when the page has them
+  static FIELD_WEIGHTS = { title: 3, headings: 2, description: 1.5, path: 1, text: 1 };
+  static MAX_TEXT = 5000; // characters of captured page text looked at
+  static MAX_PHRASE_WORDS = 3;
+
+  // Learning intents and the words that signal them in a title or URL
+  static INTENTS = {
+    tutorials: ['tutorial', 'guide', 'how to', 'walkthrough', 'course', 'lesson'],
+    documentation: ['docs', 'documentation', 'api', 'reference', 'manual'],
+    coding: ['code', 'programming', 'github', 'debugging', 'compiler'],
+    research: ['research', 'study', 'analysis', 'paper', 'survey'],
+    tools: ['tool', 'app', 'software', 'download']
+  };
+
+  // Reply shape requested from the model when refining labels
+  static LABEL_SCHEMA = {
+    type: 'array',
+    minItems: 1,
+    maxItems: 10,
+    items: {
+      type: 'object',
+      properties: {
+        label: { type: 'string', minLength: 1, maxLength: 40 },
+        phrases: { type: 'array', minItems: 1, items: { type: 'string' } }
+      },
+      required: ['label', 'phrases']
+    }
+  };
+
+  // Stoplists by language; English is the TextUtils list, which also holds URL and title noise
+  static get STOPLISTS() {
+    if (!TopicExtractor._stoplists) {
+      const noise = ['www', 'http', 'https', 'com', 'org', 'net', 'html', 'htm', 'php', 'index', 'amp'];
+      const list = words => new Set([...words.split(' '), ...noise]);
+      TopicExtractor._stoplists = {
+        en: TextUtils.STOPWORDS,
+        de: list('aber alle als also am an auch auf aus bei bin bis das dass dem den der des die dies doch du durch ein eine einem einen einer eines er es für hat hatte ich ihr im in ist ja kann mit nach nicht noch nur oder sich sie sind so über um und uns unter vom von vor war was weil wenn wie wir wird zu zum zur'),
+        fr: list('à au aux avec ce ces cette dans de des du elle en est et eux il ils je la le les leur lui ma mais me même mes moi mon ne nos notre nous on ou où par pas pour qu que qui sa se ses son sont sur ta te tes toi ton tu un une vos votre vous comment'),
+        es: list('a al algo como con cual de del desde donde el ella en entre es esta este esto fue ha hay la las le les lo los más me mi muy no nos o para pero por que qué se sin sobre son su sus también te tu un una uno y ya cómo')
+      };
+    }
+    return TopicExtractor._stoplists;
+  }
+
+  constructor(aiService = null) {
+    this.aiService = aiService;
+    this.labelCache = new Map();
+  }
+
+  // Language whose stoplist the text hits most, English on a tie
+  static detectLanguage(text) {
+    const tokens = TextUtils.tokenize(text);
+    let best = 'en';
+    let bestHits = 0;
+    Object.entries(TopicExtractor.STOPLISTS).forEach(([language, stopwords]) => {
+      const hits = tokens.filter(token => stopwords.has(token)).length;
+      if (hits > bestHits) {
+        best = language;
+        bestHits = hits;
+      }
+    });
+    return best;
+  }
+
+  // Key of a phrase, so "Rust lifetimes" and "rust lifetime" count as one (the stemmer is English only)
+  static phraseKey(words, language = 'en') {
+    return words.map(word => (language === 'en' ? TextUtils.stem(word) : word)).join(' ');
+  }
+
+  static titleCase(phrase) {
+    return String(phrase || '').replace(/(^|\s)(\p{L})/gu, (match, space, letter) => space + letter.toUpperCase());
+  }
+
+  // Text of each page field; title segments naming the site ("- Stack Overflow") are dropped
+  static fields(doc) {
+    const host = (/^[a-z][a-z0-9+.-]*:\/\/([^/?#]*)/i.exec(doc.url || '') || [])[1] || '';
+    const hostLetters = host.toLowerCase().replace(/[^\p{L}]/gu, '');
+    const title = String(doc.title || '').split(/\s+[-|–—·:]\s+/)
+      .filter(segment => {
+        const letters = segment.toLowerCase().replace(/[^\p{L}]/gu, '');
+        return !letters || !hostLetters.includes(letters);
+      })
+      .join(' . ');
+    return {
+      title,
+      headings: (doc.headings || []).map(heading => (typeof heading === 'string' ? heading : heading.text || '')).join(' . '),
+      description: doc.description || '',
+      path: TopicClustering.pathText(doc.url).replace(/\s+/g, ' . '), // each path word is its own phrase
+      text: String(doc.text || '').slice(0, TopicExtractor.MAX_TEXT)
+    };
+  }
+
+  // Candidate phrases of a text: runs of non-stopwords between punctuation, at most MAX_PHRASE_WORDS long
+  static candidates(text, stopwords) {
+    const phrases = [];
+    String(text || '').split(/[.,;:!?()[\]{}|"“”«»—–\n]+/).forEach(segment => {
+      let run = [];
+      const flush = () => {
+        for (let i = 0; i < run.length; i += TopicExtractor.MAX_PHRASE_WORDS) {
+          phrases.push(run.slice(i, i + TopicExtractor.MAX_PHRASE_WORDS));
+        }
+        run = [];
+      };
+      TextUtils.tokenize(segment).forEach(token => {
+        if (token.length < 2 || stopwords.has(token) || /^\d+$/.test(token)) flush();
+        else run.push(token);
+      });
+      flush();
+    });
+    return phrases;
+  }
+
+  /**
+   * Keyphrases of one page
+   * @param {Object} doc - { title, url, description?, headings?, text?, language? }
+   * @param {Object} options - { limit, language }
+   * @returns {Object[]} - [{ phrase, key, score, language }], best first
+   */
+  extract(doc, options = {}) {
+    const { limit = 5 } = options;
+    if (!doc) return [];
+    const fields = TopicExtractor.fields(doc);
+    const language = options.language || doc.language || TopicExtractor.detectLanguage(`${fields.title} ${fields.description} ${fields.text}`);
+    const stopwords = TopicExtractor.STOPLISTS[language] || TopicExtractor.STOPLISTS.en;
+    const stem = word => TopicExtractor.phraseKey([word], language);
+
+    // Word degree and frequency over every weighted occurrence
+    const occurrences = [];
+    const frequency = {};
+    const degree = {};
+    Object.entries(TopicExtractor.FIELD_WEIGHTS).forEach(([field, weight]) => {
+      TopicExtractor.candidates(fields[field], stopwords).forEach(words => {
+        occurrences.push({ words, weight });
+        words.forEach(word => {
+          const key = stem(word);
+          frequency[key] = (frequency[key] || 0) + weight;
+          degree[key] = (degree[key] || 0) + weight * words.length;
+        });
+      });
+    });
+
+    const phrases = new Map();
+    occurrences.forEach(({ words, weight }) => {
+      const key = TopicExtractor.phraseKey(words, language);
+      const score = words.reduce((sum, word) => sum + degree[stem(word)] / frequency[stem(word)], 0);
+      const entry = phrases.get(key) || { key, score: 0, forms: {} };
+      entry.score = Math.max(entry.score, score * weight) + (entry.score > 0 ? weight / 2 : 0) * words.length; // repeats add a little
+      const form = words.join(' ');
+      entry.forms[form] = (entry.forms[form] || 0) + weight;
+      phrases.set(key, entry);
+    });
+
+    return [...phrases.values()]
+      .map(entry => ({
+        phrase: Object.entries(entry.forms).sort((a, b) => b[1] - a[1])[0][0],
+        key: entry.key,
+        score: entry.score,
+        language
+      }))
+      .sort((a, b) => b.score - a.score || (a.key < b.key ? -1 : 1))
+      .slice(0, limit);
+  }
+
+  /**
+   * Topics shared by a set of pages: keyphrases found on several of them
+   * @param {Object[]} items - History items or captured pages
+   * @param {Object} options - { limit, minPages, perPage }
+   * @returns {Object[]} - [{ phrase, key, score, count, urls }], best first
+   */
+  extractTopics(items, options = {}) {
+    const list = (items || []).filter(Boolean);
+    const { limit = 10, perPage = 8 } = options;
+    const minPages = options.minPages ?? (list.length > 1 ? 2 : 1);
+    const topics = new Map();
+    list.forEach(item => {
+      // Every part of a page's keyphrases counts, so "rust" is on a page whose keyphrase is "rust lifetimes"
+      const parts = new Map();
+      this.extract(item, { limit: perPage }).forEach(({ phrase, score, language }) => {
+        const words = phrase.split(' ');
+        for (let length = 1; length <= words.length; length++) {
+          for (let start = 0; start + length <= words.length; start++) {
+            const part = words.slice(start, start + length);
+            const key = TopicExtractor.phraseKey(part, language);
+            const partScore = score * length / words.length;
+            if (!parts.has(key) || parts.get(key).score < partScore) parts.set(key, { phrase: part.join(' '), score: partScore });
+          }
+        }
+      });
+      parts.forEach(({ phrase, score }, key) => {
+        const topic = topics.get(key) || { key, score: 0, forms: {}, urls: [] };
+        topic.score += score;
+        topic.forms[phrase] = (topic.forms[phrase] || 0) + 1;
+        if (item.url && !topic.urls.includes(item.url)) topic.urls.push(item.url);
+        topics.set(key, topic);
+      });
+    });
+
+    // Longer phrases absorb the words they contain when both are on as many pages
+    const keys = [...topics.keys()];
+    return [...topics.values()]
+      .map(topic => ({
+        phrase: Object.entries(topic.forms).sort((a, b) => b[1] - a[1])[0][0],
+        key: topic.key,
+        score: topic.score,
+        count: Object.values(topic.forms).reduce((sum, n) => sum + n, 0),
+        urls: topic.urls
+      }))
+      .filter(topic => topic.count >= minPages)
+      .filter(topic => !keys.some(key => key !== topic.key && ` ${key} `.includes(` ${topic.key} `) &&
+        Object.values(topics.get(key).forms).reduce((sum, n) => sum + n, 0) >= topic.count))
+      .sort((a, b) => b.count - a.count || b.score - a.score || (a.key < b.key ? -1 : 1))
+      .slice(0, limit);
+  }
+
+  /**
+   * Whether a text contains any of the phrases as whole words (stemmed, so plurals match)
+   * @param {string} text - Text to search
+   * @param {string[]} phrases - Words or multi-word phrases
+   * @returns {boolean}
+   */
+  matches(text, phrases) {
+    const tokens = TextUtils.tokenize(text).map(token => TextUtils.stem(token));
+    if (tokens.length === 0) return false;
+    return (phrases || []).some(phrase => {
+      const words = TextUtils.tokenize(phrase).map(word => TextUtils.stem(word));
+      if (words.length === 0) return false;
+      for (let i = 0; i + words.length <= tokens.length; i++) {
+        if (words.every((word, k) => tokens[i + k] === word)) return true;
+      }
+      return false;
+    });
+  }
+
+  // First category whose words appear in the page's title or URL, null when none do
+  classify(doc, categories = TopicExtractor.INTENTS) {
+    const text = `${doc.title || ''} ${TextUtils.urlToText(doc.url || '')}`;
+    const match = Object.entries(categories).find(([, words]) => this.matches(text, words));
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Optional Prompt API pass that merges and names raw keyphrases; the phrases are returned
+   * title-cased when the model is unavailable or fails
+   * @param {string[]} phrases - Keyphrases, best first
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object[]>} - [{ label, phrases }]
+   */
+  async refineLabels(phrases, options = {}) {
+    const { limit = 5 } = options;
+    const unique = [...new Set((phrases || []).filter(Boolean))];
+    const fallback = unique.slice(0, limit).map(phrase => ({ label: TopicExtractor.titleCase(phrase), phrases: [phrase] }));
+    if (unique.length === 0 || !this.aiService || !this.aiService.aiAvailable || typeof this.aiService.promptStructured !== 'function') {
+      return fallback;
+    }
+
+    const cacheKey = `${limit}|${unique.join('|')}`;
+    if (this.labelCache.has(cacheKey)) return this.labelCache.get(cacheKey);
+
+    const prompt = `These keyphrases were extracted from browsing history, most important first:
+${unique.map((phrase, i) => `${i + 1}. ${phrase}`).join('\n')}
+
+Group keyphrases that mean the same thing and give each group a short topic label (1-3 words, title case).
+Return at most ${limit} groups, most important first. List the original keyphrases of each group in "phrases".`;
+
+    try {
+      const groups = await this.aiService.promptStructured(prompt, TopicExtractor.LABEL_SCHEMA, {
+        priority: 'low',
+        description: 'Refine topic labels'
+      });
+      const known = new Set(unique);
+      const labels = groups
+        .map(group => ({ label: group.label.trim(), phrases: group.phrases.filter(phrase => known.has(phrase)) }))
+        .filter(group => group.label && group.phrases.length > 0)
+        .slice(0, limit);
+      const result = labels.length > 0 ? labels : fallback;
+      this.labelCache.set(cacheKey, result);
+      return result;
+    } catch (error) {
+      console.warn('Topic label refinement unavailable:', error.type || error.message);
+      return fallback;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TopicExtractor;
+} else if (typeof self !== 'undefined') {
+  self.TopicExtractor = TopicExtractor;
+}
@@ -188,4 +188,189 @@ describe('ClusteringFeature', () => {
       expect(keywords.length).toBe(0);
     });
   });
+
+  describe('computeAIClustersEnhanced with stored clusters', () => {
+    global.TextUtils = require('../../utils/text-utils.js');
+    global.ClusterStore = require('../../services/cluster-store.js');
+
+    const pages = (count, offset = 0) => Array.from({ length: count }, (_, i) => ({
+      url: `https://docs.example/page-${offset + i}`,
+      title: `Page ${offset + i}`
+    }));
+
+    let aiService;
+    let historyService;
+    let store;
+
+    beforeEach(() => {
+      chrome.storage.local.get.mockResolvedValue({});
+      chrome.storage.local.set.mockResolvedValue();
+      // Every batch comes back as one cluster with the same name, as the prompt asks
+      aiService = {
+        aiAvailable: true,
+        promptStructured: jest.fn(async (prompt) => {
+          const count = (prompt.match(/^\d+\. Page /gm) || []).length;
+          return [{
+            name: 'Web docs',
+            description: 'Documentation pages',
+            intent: 'learning',
+            topics: ['docs'],
+            items: Array.from({ length: count - 1 }, (_, i) => i + 1), // the last page fits no cluster
+            confidence: 0.9
+          }];
+        })
+      };
+      historyService = { historyData: pages(70), attachPageContent: jest.fn().mockResolvedValue() };
+      store = new ClusterStore();
+    });
+
+    it('should cluster history in batches and merge clusters across them', async () => {
+      const feature = new ClusteringFeature(aiService, historyService, store);
+
+      const clusters = await feature.computeAIClustersEnhanced();
+
+      expect(aiService.promptStructured).toHaveBeenCalledTimes(3);
+      expect(aiService.promptStructured.mock.calls[1][0]).toContain('- Web docs: docs');
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].itemCount).toBe(67);
+      expect(Object.keys(store.state.assignments)).toHaveLength(70);
+    });
+
+    it('should only send pages it has not seen before on the next open', async () => {
+      await new ClusteringFeature(aiService, historyService, store).computeAIClustersEnhanced();
+      const saved = chrome.storage.local.set.mock.calls.pop()[0];
+      aiService.promptStructured.mockClear();
+      chrome.storage.local.get.mockResolvedValue(saved);
+      historyService.historyData = [...pages(2, 70), ...pages(70)];
+
+      const clusters = await new ClusteringFeature(aiService, historyService, new ClusterStore()).computeAIClustersEnhanced();
+
+      expect(aiService.promptStructured).toHaveBeenCalledTimes(1);
+      expect(aiService.promptStructured.mock.calls[0][0]).toContain('1. Page 70');
+      expect(aiService.promptStructured.mock.calls[0][0]).not.toContain('Page 0 ');
+      expect(clusters[0].id).toBe(saved.topicClusters.clusters[0].id);
+      expect(clusters[0].itemCount).toBe(68);
+    });
+  });
+
+  describe('computeBasicClusters with local topic clusters', () => {
+    it('should put topic clusters first and group the remaining pages by domain', async () => {
+      const rustBook = { url: 'https://doc.rust-lang.org/book/', title: 'The Rust Book' };
+      const rustBlog = { url: 'https://blog.example.com/rust', title: 'Rust borrowing' };
+      const news = { url: 'https://news.ycombinator.com/', title: 'Hacker News' };
+      const historyService = {
+        historyData: [rustBook, rustBlog, news],
+        attachPageContent: jest.fn().mockResolvedValue(),
+        clusterTopics: jest.fn().mockResolvedValue({
+          clusters: [{ items: [rustBook, rustBlog], terms: ['rust', 'borrowing'], cohesion: 0.6 }],
+          unclustered: [news]
+        })
+      };
+      const feature = new ClusteringFeature({ aiAvailable: false }, historyService);
+
+      const clusters = await feature.computeBasicClusters();
+
+      expect(clusters.map(cluster => [cluster.name, cluster.itemCount])).toEqual([
+        ['Rust · Borrowing', 2],
+        ['news.ycombinator.com (1)', 1]
+      ]);
+      expect(clusters[0].description).toBe('2 pages about rust, borrowing from 2 sites');
+      expect(clusters[0].type).toBe('topic');
+    });
+
+    it('should use the clusters kept by the background worker and mark new pages', async () => {
+      const rustBook = { url: 'https://doc.rust-lang.org/book/', title: 'The Rust Book' };
+      const rustBlog = { url: 'https://blog.example.com/rust', title: 'Rust borrowing' };
+      const historyService = { historyData: [rustBook, rustBlog], clusterTopics: jest.fn() };
+      const incrementalClusterer = {
+        reload: jest.fn().mockResolvedValue(),
+        clustersFor: jest.fn().mockReturnValue([
+          { id: 'i_1', labels: ['rust'], cohesion: 0.5, items: [rustBook, rustBlog], itemCount: 2, newCount: 1 }
+        ])
+      };
+      const feature = new ClusteringFeature({ aiAvailable: false }, historyService, null, incrementalClusterer);
+
+      const clusters = await feature.computeBasicClusters();
+
+      expect(historyService.clusterTopics).not.toHaveBeenCalled();
+      expect(clusters).toEqual([expect.objectContaining({ id: 'i_1', name: 'Rust', itemCount: 2, newCount: 1 })]);
+      expect(feature.renderNewBadge(clusters[0])).toContain('+1 new');
+      expect(feature.renderNewBadge({ newCount: 0 })).toBe('');
+    });
+  });
+
+  describe('computeLearningIntentClusters', () => {
+    global.TextUtils = require('../../utils/text-utils.js');
+    global.TopicClustering = require('../../utils/topic-clustering.js');
+    global.TopicExtractor = require('../../services/topic-extractor.js');
+
+    const page = (url, title) => ({ url, title });
+
+    it('should sort pages by whole-word intent matches and tag them with shared keyphrases', async () => {
+      const tutorials = [
+        page('https://example.com/a', 'Rust lifetimes tutorial'),
+        page('https://example.com/b', 'A guide to Rust lifetimes')
+      ];
+      const historyService = {
+        historyData: [...tutorials, page('https://example.com/c', 'Adjust jsonl output'), page('https://example.com/d', 'Rapid prototyping')]
+      };
+      const feature = new ClusteringFeature({ aiAvailable: false }, historyService);
+
+      const clusters = await feature.computeLearningIntentClusters();
+
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0]).toEqual(expect.objectContaining({ name: 'Tutorials (2)', items: tutorials }));
+      expect(clusters[0].topics).toEqual(['Rust Lifetimes']);
+    });
+
+    it('should label topics with the model when it is available', async () => {
+      const aiService = {
+        aiAvailable: true,
+        promptStructured: jest.fn().mockResolvedValue([{ label: 'Rust Memory', phrases: ['rust lifetimes'] }])
+      };
+      const historyService = {
+        historyData: [page('https://example.com/a', 'Rust lifetimes tutorial'), page('https://example.com/b', 'Rust lifetimes guide')]
+      };
+
+      const [cluster] = await new ClusteringFeature(aiService, historyService).computeLearningIntentClusters();
+
+      expect(cluster.topics).toEqual(['Rust Memory']);
+    });
+  });
+
+  describe('knowledge threads', () => {
+    const HOUR = 60 * 60 * 1000;
+    const guide = { url: 'https://auth0.com/docs/oauth-migration', title: 'OAuth migration <guide>' };
+    const rotation = { url: 'https://stackoverflow.com/q/oauth-refresh-token', title: 'OAuth refresh token rotation' };
+    const first = { startTime: 0, endTime: HOUR, items: [guide] };
+    const second = { startTime: 48 * HOUR, endTime: 49.5 * HOUR, items: [rotation, guide] };
+
+    it('should turn recurring session topics into timeline threads', async () => {
+      const historyService = {
+        buildKnowledgeThreads: jest.fn().mockResolvedValue([{
+          terms: ['oauth', 'migration'],
+          sessions: [first, second],
+          pages: [guide, rotation],
+          startTime: 0,
+          endTime: 49.5 * HOUR,
+          activeMs: 2.5 * HOUR,
+          days: 2
+        }])
+      };
+      const feature = new ClusteringFeature({ aiAvailable: false }, historyService);
+
+      const threads = await feature.analyzeKnowledgeThreads([first, { startTime: 1, endTime: 2, items: [] }, second]);
+
+      expect(historyService.buildKnowledgeThreads).toHaveBeenCalledWith([first, second]);
+      expect(threads[0]).toEqual(expect.objectContaining({ name: 'Oauth · Migration', itemCount: 2, duration: 2.5 * HOUR, days: 2 }));
+      expect(threads[0].sessions.map(session => session.itemCount)).toEqual([1, 2]);
+
+      const html = feature.renderKnowledgeThreads(threads);
+      expect(html).toContain('2 sessions · 2 days · 2h 30m');
+      expect(html.match(/class="thread-segment"/g)).toHaveLength(2);
+      expect(html).toContain('left:0.00%');
+      expect(html).toContain('OAuth migration &lt;guide&gt;');
+      expect(feature.renderKnowledgeThreads([])).toBe('');
+    });
+  });
 });
@@ -0,0 +1,103 @@
+// Tests for ContextActionsFeature
+const ContextActionsFeature = require('../../features/context-actions.js');
+
+describe('ContextActionsFeature', () => {
+  let feature;
+  let mockAIService;
+  let mockHistoryService;
+  let mockSemanticSearch;
+
+  const item = { url: 'https://www.example.com/rust', title: 'Rust Lifetimes', lastVisitTime: Date.UTC(2024, 0, 15) };
+
+  beforeEach(() => {
+    mockAIService = {
+      refineSummary: jest.fn(async (text) => text),
+      analyzeContentQuality: jest.fn(async () => ({ score: 0.5, feedback: 'Proofreader API not available' }))
+    };
+    mockHistoryService = {
+      historyData: [item],
+      getHistory: jest.fn(),
+      searchHistory: jest.fn(async () => [])
+    };
+    mockSemanticSearch = {
+      search: jest.fn(async () => [{ item, explanation: 'matched "rust" in title' }])
+    };
+    feature = new ContextActionsFeature(mockAIService, mockHistoryService, mockSemanticSearch);
+    chrome.storage.local.get.mockReset();
+    chrome.storage.local.remove.mockReset();
+  });
+
+  describe('formatCitation', () => {
+    it('should format a numbered citation', () => {
+      expect(ContextActionsFeature.formatCitation(item, 1))
+        .toBe('[1] Rust Lifetimes. example.com. Accessed 15 January 2024. https://www.example.com/rust');
+    });
+
+    it('should skip missing parts', () => {
+      expect(ContextActionsFeature.formatCitation({ url: 'not a url' }, 2)).toBe('[2] Untitled. not a url');
+    });
+  });
+
+  describe('cite', () => {
+    it('should cite pages from the semantic search', async () => {
+      const result = await feature.cite('lifetimes in rust');
+
+      expect(mockSemanticSearch.search).toHaveBeenCalledWith('lifetimes in rust', { limit: 5 });
+      expect(result.citations).toHaveLength(1);
+      expect(result.citations[0]).toMatch(/^\[1\] Rust Lifetimes\./);
+    });
+
+    it('should fall back to substring search when semantic search finds nothing', async () => {
+      mockSemanticSearch.search.mockResolvedValue([]);
+      mockHistoryService.searchHistory.mockResolvedValue([item]);
+
+      const result = await feature.cite('rust');
+      expect(result.results[0].item).toBe(item);
+    });
+  });
+
+  describe('rewrite', () => {
+    it('should report when the Rewriter API left the text unchanged', async () => {
+      const result = await feature.rewrite('some text');
+      expect(result.output).toBe('some text');
+      expect(result.note).toMatch(/not available/);
+    });
+
+    it('should return rewritten text with a quality score', async () => {
+      mockAIService.refineSummary.mockResolvedValue('Better text');
+      mockAIService.analyzeContentQuality.mockResolvedValue({ score: 0.8, feedback: 'good' });
+
+      const result = await feature.rewrite('some text');
+      expect(result.output).toBe('Better text');
+      expect(result.quality.score).toBe(0.8);
+      expect(result.note).toBe('');
+    });
+  });
+
+  describe('proofread', () => {
+    it('should use the corrected input from the Proofreader API', async () => {
+      mockAIService.analyzeContentQuality.mockResolvedValue({
+        score: 0.5,
+        feedback: { correctedInput: 'This is correct.', corrections: [{}, {}] }
+      });
+
+      const result = await feature.proofread('This are correct.');
+      expect(result.output).toBe('This is correct.');
+      expect(result.note).toBe('2 corrections applied.');
+    });
+  });
+
+  describe('consumePendingAction', () => {
+    it('should drop stale actions', async () => {
+      chrome.storage.local.get.mockResolvedValue({
+        pendingContextAction: { action: 'cite', text: 'rust', createdAt: Date.now() - 10 * 60 * 1000 }
+      });
+      const runSpy = jest.spyOn(feature, 'runAction');
+
+      const result = await feature.consumePendingAction();
+      expect(result).toBeNull();
+      expect(chrome.storage.local.remove).toHaveBeenCalledWith('pendingContextAction');
+      expect(runSpy).not.toHaveBeenCalled();
+    });
+  });
+});
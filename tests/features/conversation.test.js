@@ -202,6 +202,225 @@ describe('ConversationFeature', () => {
     });
   });
 
+  describe('streaming replies', () => {
+    const historyService = {
+      getRecentItems: jest.fn(() => [{ url: 'https://example.com/rust', title: 'Rust book' }]),
+      attachPageContent: jest.fn().mockResolvedValue()
+    };
+    const sessionService = (model) => ({
+      aiAvailable: true,
+      withAISession: jest.fn((apiType, config, callback) => callback(model))
+    });
+
+    it('should accumulate delta and cumulative chunks', async () => {
+      async function* deltas() { yield 'Hel'; yield 'lo'; }
+      async function* cumulative() { yield 'Hel'; yield 'Hello'; }
+      const onText = jest.fn();
+
+      await expect(ConversationFeature.readStream(deltas(), onText)).resolves.toBe('Hello');
+      await expect(ConversationFeature.readStream(cumulative())).resolves.toBe('Hello');
+      expect(onText.mock.calls.map(call => call[0])).toEqual(['Hel', 'Hello']);
+    });
+
+    it('should stream tokens to onText and pass the stop signal along', async () => {
+      const model = { promptStreaming: jest.fn(async function* () { yield 'Mostly'; yield ' Rust'; }) };
+      const aiService = sessionService(model);
+      const feature = new ConversationFeature(aiService, historyService);
+      const controller = new AbortController();
+      const onText = jest.fn();
+
+      const reply = await feature.generateConversationResponse('What am I learning?', { onText, signal: controller.signal });
+
+      expect(reply).toBe('Mostly Rust');
+      expect(onText).toHaveBeenLastCalledWith('Mostly Rust');
+      expect(model.promptStreaming.mock.calls[0][1].signal).toBe(controller.signal);
+      expect(aiService.withAISession.mock.calls[0][3].signal).toBe(controller.signal);
+    });
+
+    it('should keep the streamed text when the reply is stopped', async () => {
+      const controller = new AbortController();
+      const model = {
+        promptStreaming: async function* () {
+          yield 'Partial answer';
+          controller.abort();
+          throw new DOMException('Aborted', 'AbortError');
+        }
+      };
+      const feature = new ConversationFeature(sessionService(model), historyService);
+
+      const reply = await feature.generateConversationResponse('Hi', { onText: jest.fn(), signal: controller.signal });
+
+      expect(reply).toBe('Partial answer');
+    });
+  });
+
+  describe('grounded answers', () => {
+    const source = { index: 1, title: 'A survey of <CRDTs>', url: 'https://arxiv.org/abs/crdt', domain: 'arxiv.org' };
+
+    beforeEach(() => {
+      global.TextUtils = require('../../utils/text-utils.js');
+    });
+
+    it('should put retrieved pages in the prompt and report them as sources', async () => {
+      const model = { prompt: jest.fn().mockResolvedValue('It was the CRDT survey [1].') };
+      const aiService = { aiAvailable: true, withAISession: jest.fn((apiType, config, callback) => callback(model)) };
+      const retriever = { retrieve: jest.fn().mockResolvedValue({ context: '[1] A survey of CRDTs (arxiv.org)\nhttps://arxiv.org/abs/crdt', sources: [source] }) };
+      const historyService = { getRecentItems: jest.fn(() => []), attachPageContent: jest.fn().mockResolvedValue() };
+      const feature = new ConversationFeature(aiService, historyService, retriever);
+      const onSources = jest.fn();
+
+      const reply = await feature.generateConversationResponse('that paper about CRDTs', { onSources });
+
+      expect(reply).toBe('It was the CRDT survey [1].');
+      expect(onSources).toHaveBeenCalledWith([source]);
+      expect(model.prompt.mock.calls[0][0]).toContain('[1] A survey of CRDTs (arxiv.org)');
+      expect(model.prompt.mock.calls[0][0]).toContain('cite it with its number in square brackets');
+    });
+
+    it('should link cited numbers and escape the answer', () => {
+      const html = ConversationFeature.messageBodyHtml('See [1] and [4] <b>now</b>', [source]);
+
+      expect(html).toContain('<a class="citation" href="https://arxiv.org/abs/crdt" target="_blank" rel="noopener" title="A survey of &lt;CRDTs&gt;">[1]</a>');
+      expect(html).toContain('[4] &lt;b&gt;now&lt;/b&gt;');
+      expect(html).toContain('Sources');
+      expect(ConversationFeature.messageBodyHtml('Plain reply', [])).toBe('<p>Plain reply</p>');
+    });
+  });
+
+  describe('conversation memory', () => {
+    it('should answer through memory with the earlier turns, not the current message', async () => {
+      const model = { prompt: jest.fn().mockResolvedValue('Yes, the second one.') };
+      const memory = { run: jest.fn((system, history, input, callback) => callback(model)), reset: jest.fn() };
+      const historyService = { getRecentItems: jest.fn(() => []), attachPageContent: jest.fn().mockResolvedValue() };
+      const feature = new ConversationFeature({ aiAvailable: true }, historyService, null, memory);
+      feature.conversationHistory = [
+        { type: 'user', message: 'Which CRDT papers did I read?', timestamp: 1 },
+        { type: 'assistant', message: 'Two surveys.', timestamp: 2 },
+        { type: 'user', message: 'Was one from 2024?', timestamp: 3 }
+      ];
+
+      const reply = await feature.generateConversationResponse('Was one from 2024?');
+
+      expect(reply).toBe('Yes, the second one.');
+      const [system, history, input] = memory.run.mock.calls[0];
+      expect(system).toContain('Chrome Mnemonic');
+      expect(history.map(entry => entry.message)).toEqual(['Which CRDT papers did I read?', 'Two surveys.']);
+      expect(input).toBe('Was one from 2024?');
+      expect(model.prompt).toHaveBeenCalledWith('Was one from 2024?', { outputLanguage: 'en' });
+    });
+
+    it('should reset memory when the conversation is cleared', async () => {
+      const memory = { run: jest.fn(), reset: jest.fn().mockResolvedValue() };
+      const feature = new ConversationFeature({ aiAvailable: true }, {}, null, memory);
+
+      await feature.clearConversationHistory();
+
+      expect(memory.reset).toHaveBeenCalled();
+    });
+  });
+
+  describe('conversation threads', () => {
+    const ConversationThreadStore = require('../../services/conversation-thread-store.js');
+    global.ConversationThreadStore = ConversationThreadStore;
+    global.ConversationMemory = require('../../services/conversation-memory.js');
+
+    it('should read and write the active thread', async () => {
+      const threadStore = new ConversationThreadStore();
+      const memory = { use: jest.fn().mockResolvedValue(), reset: jest.fn() };
+      const feature = new ConversationFeature(mockAIService, mockHistoryService, null, memory, threadStore);
+      const research = await threadStore.create('Research');
+      research.messages.push({ type: 'user', message: 'Hello', timestamp: 1 });
+      await threadStore.create('Other');
+
+      chrome.storage.local.set.mockClear();
+      await feature.showThread(research);
+      feature.conversationHistory.push({ type: 'assistant', message: 'Hi', timestamp: 2 });
+      await feature.saveConversation();
+
+      expect(memory.use).toHaveBeenCalledWith(`conversationMemory_${research.id}`);
+      expect(research.messages).toHaveLength(2);
+      expect(chrome.storage.local.set).toHaveBeenLastCalledWith({
+        conversationThreads: expect.objectContaining({ threads: expect.arrayContaining([expect.objectContaining({ name: 'Research' })]) })
+      });
+      expect(chrome.storage.local.set).not.toHaveBeenCalledWith({ conversationHistory: expect.anything() });
+    });
+
+    it('should describe the linked session in the prompt', () => {
+      const prompt = ConversationFeature.linkPrompt({
+        type: 'session',
+        title: 'Trip planning',
+        pages: [{ title: 'Flights to Lisbon', url: 'https://flights.example/lis' }]
+      });
+
+      expect(prompt).toContain('research session "Trip planning"');
+      expect(prompt).toContain('- Flights to Lisbon (https://flights.example/lis)');
+      expect(ConversationFeature.linkPrompt(null)).toBe('');
+    });
+  });
+
+  describe('agent mode', () => {
+    global.ConversationTools = require('../../services/conversation-tools.js');
+    global.JsonSchema = require('../../utils/json-schema.js');
+
+    const toolsWith = (execute) => ({
+      definitions: () => [{ name: 'open_tabs', description: 'Open pages', parameters: { type: 'object', properties: { urls: { type: 'array' } } } }],
+      get: () => ({ label: 'Opening tabs' }),
+      execute: jest.fn(execute)
+    });
+
+    it('should run tool calls from a prompt-based reply and answer with the results', async () => {
+      const session = {
+        prompt: jest.fn()
+          .mockResolvedValueOnce('{"tool_calls": [{"name": "open_tabs", "arguments": {"urls": ["https://terraform.io/"]}}]}')
+          .mockResolvedValueOnce('Opened 1 tab.')
+      };
+      const aiService = { aiAvailable: true, openSession: jest.fn().mockResolvedValue(session), closeSession: jest.fn().mockResolvedValue() };
+      const tools = toolsWith(async () => ({ opened: 1 }));
+      const feature = new ConversationFeature(aiService, mockHistoryService, null, null, null, tools);
+      const confirm = jest.fn().mockResolvedValue(true);
+      const onStep = jest.fn();
+
+      const reply = await feature.generateAgentResponse('reopen the terraform docs', { confirm, onStep });
+
+      expect(reply).toBe('Opened 1 tab.');
+      expect(session.prompt.mock.calls[0][0]).toContain('- open_tabs(urls?: array): Open pages');
+      expect(tools.execute).toHaveBeenCalledWith({ id: 'call_0', name: 'open_tabs', args: { urls: ['https://terraform.io/'] } }, { confirm, signal: null });
+      expect(onStep).toHaveBeenCalledWith(expect.objectContaining({ name: 'open_tabs' }));
+      expect(session.prompt.mock.calls[1][0]).toContain('open_tabs: {"opened":1}');
+      expect(aiService.closeSession).toHaveBeenCalledWith(session);
+    });
+
+    it('should use native function calling when the session supports it', async () => {
+      const session = {
+        supportsTools: true,
+        promptWithTools: jest.fn()
+          .mockResolvedValueOnce({ text: '', calls: [{ id: 'a', name: 'open_tabs', args: { urls: [] } }] })
+          .mockResolvedValueOnce({ text: 'Cancelled, nothing opened.', calls: [] })
+      };
+      const aiService = { aiAvailable: true, openSession: jest.fn().mockResolvedValue(session), closeSession: jest.fn().mockResolvedValue() };
+      const tools = toolsWith(async () => ({ declined: true }));
+      const feature = new ConversationFeature(aiService, mockHistoryService, null, null, null, tools);
+
+      const reply = await feature.generateAgentResponse('open my tabs', { confirm: jest.fn() });
+
+      expect(reply).toBe('Cancelled, nothing opened.');
+      expect(session.promptWithTools.mock.calls[0][0]).toBe('open my tabs');
+      expect(session.promptWithTools.mock.calls[1][0]).toEqual({ toolResults: [{ id: 'a', name: 'open_tabs', args: { urls: [] }, result: { declined: true } }] });
+    });
+
+    it('should stop after too many rounds of tool calls', async () => {
+      const session = { prompt: jest.fn().mockResolvedValue('{"tool_calls": [{"name": "open_tabs", "arguments": {}}]}') };
+      const aiService = { aiAvailable: true, openSession: jest.fn().mockResolvedValue(session), closeSession: jest.fn().mockResolvedValue() };
+      const feature = new ConversationFeature(aiService, mockHistoryService, null, null, null, toolsWith(async () => ({ opened: 0 })));
+      feature.maxAgentSteps = 2;
+
+      const reply = await feature.generateAgentResponse('loop', { confirm: jest.fn() });
+
+      expect(reply).toContain('too many steps');
+      expect(session.prompt).toHaveBeenCalledTimes(3);
+    });
+  });
+
   describe('clearConversationHistory', () => {
     it('should clear conversation history', async () => {
       conversationFeature.conversationHistory = [
@@ -0,0 +1,61 @@
+// Tests for ProactiveAssistantFeature fallback suggestions and opening them
+global.TextUtils = require('../../utils/text-utils.js');
+global.TopicClustering = require('../../utils/topic-clustering.js');
+global.TopicExtractor = require('../../services/topic-extractor.js');
+const ProactiveAssistantFeature = require('../../features/proactive-assistant.js');
+
+describe('ProactiveAssistantFeature', () => {
+  const page = (url, title) => ({ url, title });
+  const rust = [
+    page('https://doc.rust-lang.org/book/ch04-borrowing', 'Understanding ownership and borrowing - The Rust Book'),
+    page('https://stackoverflow.com/questions/1/rust-borrow-checker-error', 'Rust borrow checker error with mutable reference - Stack Overflow'),
+    page('https://blog.example.com/rust-lifetimes', 'Rust lifetimes and the borrow checker explained')
+  ];
+  const originalOpen = window.open;
+  let feature;
+
+  beforeEach(() => {
+    const historyService = { historyData: rust, getTopDomains: () => [] };
+    const cache = { getCachedData: (key, minutes, load) => load() };
+    feature = new ProactiveAssistantFeature({ aiAvailable: false }, historyService, cache);
+  });
+
+  afterEach(() => {
+    window.open = originalOpen;
+  });
+
+  it('should suggest continuing the top topic with a URL action', async () => {
+    const suggestions = await feature.getSuggestions();
+    const topic = suggestions.find(suggestion => suggestion.title.startsWith('Continue with'));
+
+    expect(topic).toBeDefined();
+    expect(typeof topic.action).toBe('string');
+    expect(topic.action).toMatch(/^https:\/\//);
+    suggestions.forEach(suggestion => expect(typeof suggestion.action).toBe('string'));
+  });
+
+  it('should open the topic page when the popup opens the suggestion', async () => {
+    window.open = jest.fn();
+    const switchTab = jest.fn();
+    feature.lastSuggestions = await feature.getSuggestions();
+    const index = feature.lastSuggestions.findIndex(suggestion => suggestion.title.startsWith('Continue with'));
+
+    expect(feature.openSuggestion(index, switchTab)).toBe(true);
+    expect(window.open).toHaveBeenCalledWith(feature.lastSuggestions[index].action, '_blank');
+    expect(switchTab).not.toHaveBeenCalled();
+  });
+
+  it('should switch to Sessions for a "sessions" action and ignore other actions', () => {
+    window.open = jest.fn();
+    const switchTab = jest.fn();
+    feature.lastSuggestions = [
+      { title: 'Sessions', action: 'sessions' },
+      { title: 'Bookmarklet', action: 'javascript:alert(1)' }
+    ];
+
+    expect(feature.openSuggestion(0, switchTab)).toBe(true);
+    expect(switchTab).toHaveBeenCalledWith('sessions');
+    expect(feature.openSuggestion(1, switchTab)).toBe(false);
+    expect(window.open).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,37 @@
+// Tests for ResearchSessionsFeature
+global.TextUtils = require('../../utils/text-utils.js');
+global.SessionStore = require('../../services/session-store.js');
+const ResearchSessionsFeature = require('../../features/research-sessions.js');
+
+describe('ResearchSessionsFeature', () => {
+  describe('cleanTitle', () => {
+    it('should keep the first line without quotes or markdown', () => {
+      expect(ResearchSessionsFeature.cleanTitle('"Kubernetes Ingress Setup."\nMore text')).toBe('Kubernetes Ingress Setup');
+      expect(ResearchSessionsFeature.cleanTitle('**Title: Rust lifetimes**')).toBe('Rust lifetimes');
+    });
+
+    it('should return empty string for non-text replies', () => {
+      expect(ResearchSessionsFeature.cleanTitle(undefined)).toBe('');
+      expect(ResearchSessionsFeature.cleanTitle({ result: 'x' })).toBe('');
+    });
+  });
+
+  describe('generateAiTitle', () => {
+    it('should prompt the language model with the session pages', async () => {
+      const model = { prompt: jest.fn(async () => 'Kubernetes networking') };
+      const aiService = { aiAvailable: true, withAISession: jest.fn(async (type, config, callback) => callback(model)) };
+      const feature = new ResearchSessionsFeature(aiService, {}, new SessionStore());
+
+      const title = await feature.generateAiTitle({ pages: [{ url: 'https://kubernetes.io/docs', title: 'Ingress' }] });
+      expect(title).toBe('Kubernetes networking');
+      expect(aiService.withAISession.mock.calls[0][0]).toBe('LanguageModel');
+      expect(model.prompt.mock.calls[0][0]).toContain('- Ingress');
+    });
+
+    it('should return empty string when the model fails', async () => {
+      const aiService = { aiAvailable: true, withAISession: jest.fn(async () => { throw new Error('unavailable'); }) };
+      const feature = new ResearchSessionsFeature(aiService, {}, new SessionStore());
+      expect(await feature.generateAiTitle({ pages: [] })).toBe('');
+    });
+  });
+});
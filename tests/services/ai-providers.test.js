@@ -0,0 +1,296 @@
+// Tests for the AI provider registry and adapters
+const {
+  RemoteAISession,
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  ChromeAIProvider,
+  AIProviderRegistry
+} = require('../../services/ai-providers.js');
+const HybridAIService = require('../../services/hybrid-ai-service.js');
+
+describe('AI providers', () => {
+  const jsonResponse = (body, ok = true) => ({ ok, status: ok ? 200 : 400, statusText: ok ? 'OK' : 'Bad Request', json: async () => body });
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    if (typeof AbortSignal.timeout !== 'function') {
+      AbortSignal.timeout = () => new AbortController().signal; // not in jsdom
+    }
+    chrome.storage.local.get.mockResolvedValue({});
+    chrome.storage.local.set.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  describe('RemoteAISession', () => {
+    it('should convert Chrome-style parts and data URL images', async () => {
+      const parts = await RemoteAISession.toParts([
+        { type: 'image', data: 'data:image/png;base64,AAAA' },
+        { type: 'text', data: 'Describe this' }
+      ]);
+      expect(parts).toEqual([
+        { type: 'image', mimeType: 'image/png', data: 'AAAA' },
+        { type: 'text', text: 'Describe this' }
+      ]);
+    });
+
+    it('should keep prompt turns and return proofread results in Chrome shape', async () => {
+      const provider = { complete: jest.fn().mockResolvedValueOnce('First answer').mockResolvedValueOnce('Fixed text.') };
+      const model = new RemoteAISession(provider, 'LanguageModel', {
+        initialPrompts: [{ role: 'system', content: 'Be brief.' }]
+      });
+
+      await model.prompt('Hello');
+      expect(provider.complete.mock.calls[0][0].system).toContain('Be brief.');
+      expect(model.messages.map(message => message.role)).toEqual(['user', 'assistant']);
+
+      const proofreader = new RemoteAISession(provider, 'Proofreader');
+      const result = await proofreader.proofread('fixd text');
+      expect(result.correctedInput).toBe('Fixed text.');
+      expect(result.corrections).toHaveLength(1);
+    });
+
+    it('should describe the task for each API type', () => {
+      const translator = new RemoteAISession({}, 'Translator', { targetLanguage: 'de' });
+      expect(translator.instructions()).toContain('"de"');
+      const summarizer = new RemoteAISession({}, 'Summarizer', { type: 'key-points' });
+      expect(summarizer.instructions()).toContain('bulleted list');
+    });
+
+    it('should report quota and usage like a Chrome session', async () => {
+      const model = new RemoteAISession({ contextTokens: 100 }, 'LanguageModel', {
+        initialPrompts: [{ role: 'system', content: 'x'.repeat(40) }, { role: 'user', content: 'y'.repeat(40) }]
+      });
+
+      expect(model.inputQuota).toBe(100);
+      expect(model.inputUsage).toBe(21);
+      expect(await model.measureInputUsage('z'.repeat(80))).toBe(20);
+    });
+  });
+
+  describe('GeminiProvider', () => {
+    it('should send instructions with the first user turn and read the reply', async () => {
+      fetch.mockResolvedValue(jsonResponse({ candidates: [{ content: { parts: [{ text: 'Summary' }] } }] }));
+      const provider = new GeminiProvider().configure({ apiKey: 'key' });
+
+      const text = await provider.withSession('Summarizer', {}, session => session.summarize('Long text'));
+
+      expect(text).toBe('Summary');
+      const [url, init] = fetch.mock.calls[0];
+      expect(url).toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=key');
+      const body = JSON.parse(init.body);
+      expect(body.contents[0].parts[0].text).toContain('Summarize');
+      expect(body.contents[0].parts[1].text).toBe('Long text');
+    });
+
+    it('should surface API error messages', async () => {
+      fetch.mockResolvedValue(jsonResponse({ error: { message: 'API key not valid' } }, false));
+      const provider = new GeminiProvider().configure({ apiKey: 'bad' });
+      await expect(provider.complete({ messages: [{ role: 'user', parts: [{ type: 'text', text: 'hi' }] }] }))
+        .rejects.toThrow('Gemini API error: API key not valid');
+    });
+
+    it('should stream candidate text from server-sent events', async () => {
+      const { TextEncoder, TextDecoder } = require('util');
+      global.TextDecoder = global.TextDecoder || TextDecoder;
+      const chunks = [
+        'data: {"candidates":[{"content":{"parts":[{"text":"Hel"}]}}]}\r\n\r\ndata: {"candi',
+        'dates":[{"content":{"parts":[{"text":"lo"}]}}]}\r\n\r\n'
+      ].map(chunk => new TextEncoder().encode(chunk));
+      const reader = {
+        read: jest.fn(async () => (chunks.length ? { done: false, value: chunks.shift() } : { done: true })),
+        cancel: jest.fn().mockResolvedValue()
+      };
+      fetch.mockResolvedValue({ ok: true, body: { getReader: () => reader } });
+      const provider = new GeminiProvider().configure({ apiKey: 'key' });
+
+      const pieces = await provider.withSession('LanguageModel', {}, async (session) => {
+        const received = [];
+        for await (const piece of session.promptStreaming('Hi')) received.push(piece);
+        expect(session.messages[1].parts[0].text).toBe('Hello');
+        return received;
+      });
+
+      expect(pieces).toEqual(['Hel', 'lo']);
+      expect(fetch.mock.calls[0][0]).toContain(':streamGenerateContent?alt=sse&key=key');
+    });
+
+    it('should request JSON output with a Gemini-compatible response schema', async () => {
+      fetch.mockResolvedValue(jsonResponse({ candidates: [{ content: { parts: [{ text: '[]' }] } }] }));
+      const provider = new GeminiProvider().configure({ apiKey: 'key' });
+      const schema = { type: 'array', items: { type: 'object', properties: { n: { type: 'integer', minimum: 1 } }, required: ['n'], additionalProperties: false } };
+
+      await provider.withSession('LanguageModel', {}, session => session.prompt('List', { responseConstraint: schema }));
+
+      const { generationConfig } = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(generationConfig.responseMimeType).toBe('application/json');
+      expect(generationConfig.responseSchema).toEqual({
+        type: 'ARRAY',
+        items: { type: 'OBJECT', properties: { n: { type: 'INTEGER' } }, required: ['n'] }
+      });
+    });
+
+    it('should declare tools and send function results back', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({ candidates: [{ content: { parts: [{ functionCall: { name: 'search_history', args: { query: 'terraform' } } }] } }] }))
+        .mockResolvedValueOnce(jsonResponse({ candidates: [{ content: { parts: [{ text: 'Found 2 pages.' }] } }] }));
+      const provider = new GeminiProvider().configure({ apiKey: 'key' });
+      const tools = [{ name: 'search_history', description: 'Search', parameters: { type: 'object', properties: { query: { type: 'string' } }, required: ['query'] } }];
+
+      const replies = await provider.withSession('LanguageModel', {}, async (session) => {
+        expect(session.supportsTools).toBe(true);
+        const first = await session.promptWithTools('Terraform pages?', tools);
+        const second = await session.promptWithTools({ toolResults: [{ ...first.calls[0], result: { count: 2 } }] }, tools);
+        return [first, second];
+      });
+
+      expect(replies[0].calls).toEqual([{ id: 'call_0', name: 'search_history', args: { query: 'terraform' } }]);
+      expect(replies[1]).toEqual({ text: 'Found 2 pages.', calls: [] });
+      const first = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(first.tools[0].functionDeclarations[0]).toEqual({
+        name: 'search_history',
+        description: 'Search',
+        parameters: { type: 'OBJECT', properties: { query: { type: 'STRING' } }, required: ['query'] }
+      });
+      const second = JSON.parse(fetch.mock.calls[1][1].body);
+      expect(second.contents[1]).toEqual({ role: 'model', parts: [{ functionCall: { name: 'search_history', args: { query: 'terraform' } } }] });
+      expect(second.contents[2]).toEqual({ role: 'user', parts: [{ functionResponse: { name: 'search_history', response: { result: { count: 2 } } } }] });
+    });
+  });
+
+  describe('OpenAICompatibleProvider', () => {
+    it('should call chat completions with a system message and optional key', async () => {
+      fetch.mockResolvedValue(jsonResponse({ choices: [{ message: { content: 'Hi there' } }] }));
+      const provider = new OpenAICompatibleProvider().configure({ baseUrl: 'http://localhost:11434/v1/', model: 'llama3.1' });
+
+      const text = await provider.withSession('LanguageModel', {}, model => model.prompt('Hello'));
+
+      expect(text).toBe('Hi there');
+      const [url, init] = fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/v1/chat/completions');
+      expect(init.headers.Authorization).toBeUndefined();
+      const body = JSON.parse(init.body);
+      expect(body.model).toBe('llama3.1');
+      expect(body.messages[0].role).toBe('system');
+      expect(body.messages[1]).toEqual({ role: 'user', content: 'Hello' });
+    });
+
+    it('should return embeddings in input order', async () => {
+      fetch.mockResolvedValue(jsonResponse({ data: [{ index: 1, embedding: [2] }, { index: 0, embedding: [1] }] }));
+      const provider = new OpenAICompatibleProvider().configure({ baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini', apiKey: 'sk', embeddingModel: 'text-embedding-3-small' });
+
+      expect(provider.canEmbed()).toBe(true);
+      expect(await provider.embed(['a', 'b'])).toEqual([[1], [2]]);
+      expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer sk');
+    });
+  });
+
+  describe('AIProviderRegistry', () => {
+    const createRegistry = (chromeAvailable = true) => {
+      const registry = new AIProviderRegistry();
+      const chromeProvider = registry.register(new ChromeAIProvider({ aiAvailable: chromeAvailable }));
+      chromeProvider.supports = () => chromeAvailable;
+      registry.register(new GeminiProvider());
+      registry.register(new OpenAICompatibleProvider());
+      return registry;
+    };
+
+    it('should use the legacy Gemini switch as the default provider', async () => {
+      chrome.storage.local.get.mockResolvedValue({ useGemini: true, geminiApiKey: 'key' });
+      const registry = await createRegistry().load();
+
+      expect(registry.resolve('Summarizer').map(p => p.id)).toEqual(['gemini', 'chrome']);
+    });
+
+    it('should only embed with a remote model once remote embeddings are allowed', async () => {
+      chrome.storage.local.get.mockResolvedValue({ useGemini: true, geminiApiKey: 'key' });
+      const registry = await createRegistry().load();
+      expect(registry.routeFor('Embeddings')).toBeNull();
+
+      chrome.storage.local.get.mockResolvedValue({ useGemini: true, geminiApiKey: 'key', aiProviderSettings: { remoteEmbeddings: true } });
+      await registry.load();
+      expect(registry.routeFor('Embeddings').id).toBe('gemini');
+    });
+
+    it('should embed with a local server without the remote opt-in', async () => {
+      chrome.storage.local.get.mockResolvedValue({
+        aiProviderSettings: {
+          providers: { openai: { baseUrl: 'http://127.0.0.1:11434/v1', model: 'llama3.1', embeddingModel: 'nomic-embed-text' } },
+          routes: { Embeddings: 'openai' }
+        }
+      });
+      const registry = await createRegistry().load();
+
+      expect(registry.routeFor('Embeddings').id).toBe('openai');
+      registry.get('openai').configure({ baseUrl: 'https://api.openai.com/v1' });
+      expect(registry.routeFor('Embeddings')).toBeNull();
+    });
+
+    it('should honor per-API routes and skip unconfigured providers', async () => {
+      chrome.storage.local.get.mockResolvedValue({
+        aiProviderSettings: {
+          providers: { openai: { baseUrl: 'http://localhost:11434/v1', model: 'llama3.1' } },
+          routes: { Rewriter: 'openai', Translator: 'gemini' }
+        }
+      });
+      const registry = await createRegistry().load();
+
+      expect(registry.resolve('Rewriter').map(p => p.id)).toEqual(['openai', 'chrome']);
+      expect(registry.resolve('Translator').map(p => p.id)).toEqual(['chrome']);
+      expect(registry.resolve('Prompt').map(p => p.id)).toEqual(['chrome']);
+      expect(registry.routeFor('Embeddings')).toBeNull();
+    });
+
+    it('should save routes without storing the Gemini key twice', async () => {
+      const registry = createRegistry();
+      await registry.save({
+        routes: { Summarizer: 'openai', Writer: 'auto' },
+        providers: { gemini: { apiKey: 'secret', model: 'gemini-1.5-pro' } }
+      });
+
+      const saved = chrome.storage.local.set.mock.calls[0][0].aiProviderSettings;
+      expect(saved.routes).toEqual({ Summarizer: 'openai' });
+      expect(saved.providers.gemini).toEqual({ model: 'gemini-1.5-pro' });
+      expect(saved.remoteEmbeddings).toBe(false);
+    });
+  });
+
+  describe('HybridAIService.withAISession', () => {
+    const provider = (name, withSession) => ({ name, withSession: jest.fn(withSession) });
+    const createService = (providers) => {
+      const service = new HybridAIService();
+      service.initialized = true;
+      service.registry = { resolve: () => providers };
+      return service;
+    };
+
+    beforeAll(() => {
+      global.AIProviderRegistry = AIProviderRegistry;
+    });
+
+    afterAll(() => {
+      delete global.AIProviderRegistry;
+    });
+
+    it('should fall back to the next provider when a session cannot be opened', async () => {
+      const unavailable = provider('Chrome', async () => { throw new Error('model not downloaded'); });
+      const remote = provider('Gemini', async (type, config, callback) => callback('gemini session'));
+      const callback = jest.fn(async session => `reply from ${session}`);
+
+      await expect(createService([unavailable, remote]).withAISession('Prompt', {}, callback)).resolves.toBe('reply from gemini session');
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not run the callback again after it failed', async () => {
+      const chromeProvider = provider('Chrome', async (type, config, callback) => callback('chrome session'));
+      const remote = provider('Gemini', async (type, config, callback) => callback('gemini session'));
+      const callback = jest.fn(async () => { throw new Error('stream interrupted'); });
+
+      await expect(createService([chromeProvider, remote]).withAISession('Prompt', {}, callback)).rejects.toThrow('stream interrupted');
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(remote.withSession).not.toHaveBeenCalled();
+    });
+  });
+});
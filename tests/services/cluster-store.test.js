@@ -0,0 +1,78 @@
+// Tests for ClusterStore merging, stable assignments and persistence
+global.TextUtils = require('../../utils/text-utils.js');
+const ClusterStore = require('../../services/cluster-store.js');
+
+describe('ClusterStore', () => {
+  let store;
+
+  const page = (path, title) => ({ url: `https://example.com/${path}`, title });
+
+  beforeEach(async () => {
+    chrome.storage.local.get.mockResolvedValue({});
+    chrome.storage.local.set.mockResolvedValue();
+    store = new ClusterStore();
+    await store.load();
+  });
+
+  describe('isSameCluster', () => {
+    it('should match equal names and clusters with mostly the same terms', () => {
+      const rust = { name: 'Rust programming', topics: ['borrow checker', 'cargo'] };
+
+      expect(ClusterStore.isSameCluster(rust, { name: '  rust  Programming', topics: [] })).toBe(true);
+      expect(ClusterStore.isSameCluster(rust, { name: 'Programming in Rust', topics: ['cargo', 'borrow checker'] })).toBe(true);
+      expect(ClusterStore.isSameCluster(rust, { name: 'Italian cooking', topics: ['pasta'] })).toBe(false);
+    });
+  });
+
+  describe('merge', () => {
+    it('should fold a matching cluster into the stored one and keep its ID', () => {
+      const first = store.merge({ name: 'Rust programming', description: 'Learning Rust', intent: 'learning', topics: ['cargo'], confidence: 0.8 });
+      const again = store.merge({ name: 'Rust Programming', description: 'Other', intent: 'work', topics: ['lifetimes'], confidence: 0.6 });
+
+      expect(again).toBe(first);
+      expect(store.state.clusters).toHaveLength(1);
+      expect(first.topics).toEqual(['cargo', 'lifetimes']);
+      expect(first.confidence).toBeCloseTo(0.7);
+      expect(first.id).toBe(`c_${TextUtils.hash('Rust programming')}`);
+    });
+  });
+
+  describe('assignments', () => {
+    it('should keep the first assignment and fill clusters from history', () => {
+      const rust = store.merge({ name: 'Rust', topics: [] });
+      const cooking = store.merge({ name: 'Cooking', topics: [] });
+      const items = [page('rust-book', 'The Rust Book'), page('pasta', 'Pasta'), page('cargo', 'Cargo guide'), page('news', 'News')];
+
+      store.assign(items[0].url, rust.id);
+      store.assign(items[0].url, cooking.id);
+      store.assign(items[1].url, cooking.id);
+      store.assign(items[2].url, rust.id);
+      store.assign(items[3].url, ClusterStore.UNCLUSTERED);
+
+      const clusters = store.clustersFor(items);
+      expect(clusters.map(cluster => [cluster.name, cluster.itemCount])).toEqual([['Rust', 2], ['Cooking', 1]]);
+      expect(clusters[0].items).toEqual([items[0], items[2]]);
+      expect(store.unassigned([...items, page('new', 'New page')])).toEqual([page('new', 'New page')]);
+    });
+  });
+
+  describe('save', () => {
+    it('should drop the oldest assignments and clusters left without pages', async () => {
+      store.maxAssignments = 2;
+      const old = store.merge({ name: 'Old topic', topics: [] });
+      const current = store.merge({ name: 'Current topic', topics: [] });
+      store.assign('https://a.example/', old.id);
+      store.assign('https://b.example/', current.id);
+      store.assign('https://c.example/', current.id);
+
+      await store.save();
+
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({
+        topicClusters: {
+          clusters: [current],
+          assignments: { 'https://b.example/': current.id, 'https://c.example/': current.id }
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+// Tests for ConversationMemory session reuse, quota checks and summarisation
+const ConversationMemory = require('../../services/conversation-memory.js');
+
+describe('ConversationMemory', () => {
+  const history = (count) => Array.from({ length: count }, (_, i) => ({
+    type: i % 2 === 0 ? 'user' : 'assistant',
+    message: `turn ${i + 1}`,
+    timestamp: i + 1
+  }));
+
+  const fakeSession = (overrides = {}) => ({
+    inputQuota: 1000,
+    inputUsage: 100,
+    measureInputUsage: jest.fn().mockResolvedValue(50),
+    prompt: jest.fn().mockResolvedValue('reply'),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    chrome.storage.local.get.mockResolvedValue({});
+    chrome.storage.local.set.mockResolvedValue();
+    chrome.storage.local.remove.mockResolvedValue();
+  });
+
+  describe('turnsFrom', () => {
+    it('should map entries to roles and skip empty or older ones', () => {
+      const entries = [...history(3), { type: 'assistant', message: '', timestamp: 4 }];
+
+      expect(ConversationMemory.turnsFrom(entries, 1)).toEqual([
+        { role: 'assistant', content: 'turn 2', timestamp: 2 },
+        { role: 'user', content: 'turn 3', timestamp: 3 }
+      ]);
+    });
+  });
+
+  describe('initialPrompts', () => {
+    it('should add the summary to the system prompt and only replay newer turns', () => {
+      const memory = new ConversationMemory({});
+      memory.summary = 'User asked about CRDTs.';
+      memory.summarizedUntil = 2;
+
+      const prompts = memory.initialPrompts('Be helpful.', history(4));
+
+      expect(prompts[0]).toEqual({ role: 'system', content: 'Be helpful.\n\nSummary of the earlier conversation:\nUser asked about CRDTs.' });
+      expect(prompts.slice(1).map(prompt => prompt.content)).toEqual(['turn 3', 'turn 4']);
+    });
+  });
+
+  describe('run with long-lived sessions', () => {
+    it('should open one session and reuse it for follow-up messages', async () => {
+      const session = fakeSession();
+      const aiService = {
+        openSession: jest.fn().mockResolvedValue(session),
+        closeSession: jest.fn().mockResolvedValue(),
+        withAISession: jest.fn()
+      };
+      const memory = new ConversationMemory(aiService);
+      const ask = (model) => model.prompt('question');
+
+      await memory.run('Be helpful.', history(2), 'first', ask);
+      await memory.run('Be helpful.', history(4), 'second', ask);
+
+      expect(aiService.openSession).toHaveBeenCalledTimes(1);
+      expect(aiService.openSession.mock.calls[0][1].initialPrompts).toHaveLength(3);
+      expect(session.prompt).toHaveBeenCalledTimes(2);
+      expect(aiService.withAISession).not.toHaveBeenCalled();
+    });
+
+    it('should summarise older turns and reopen the session when the quota fills up', async () => {
+      const full = fakeSession({ inputUsage: 900 });
+      const fresh = fakeSession();
+      const aiService = {
+        openSession: jest.fn().mockResolvedValueOnce(full).mockResolvedValueOnce(fresh),
+        closeSession: jest.fn().mockResolvedValue(),
+        withAISession: jest.fn(async (apiType, config, callback) => callback({ prompt: jest.fn().mockResolvedValue(' Summary of turns 1-4. ') }))
+      };
+      const memory = new ConversationMemory(aiService, { keepTurns: 2 });
+
+      const reply = await memory.run('Be helpful.', history(6), 'next', (model) => model.prompt('next'));
+
+      expect(reply).toBe('reply');
+      expect(memory.summary).toBe('Summary of turns 1-4.');
+      expect(memory.summarizedUntil).toBe(4);
+      expect(aiService.closeSession).toHaveBeenCalledWith(full);
+      expect(fresh.prompt).toHaveBeenCalled();
+      expect(aiService.openSession.mock.calls[1][1].initialPrompts.map(prompt => prompt.content)).toEqual([
+        'Be helpful.\n\nSummary of the earlier conversation:\nSummary of turns 1-4.',
+        'turn 5',
+        'turn 6'
+      ]);
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({ conversationMemory: { summary: 'Summary of turns 1-4.', summarizedUntil: 4 } });
+    });
+
+    it('should drop the session after a failed prompt', async () => {
+      const session = fakeSession({ prompt: jest.fn().mockRejectedValue(new Error('session crashed')) });
+      const aiService = {
+        openSession: jest.fn().mockResolvedValue(session),
+        closeSession: jest.fn().mockResolvedValue()
+      };
+      const memory = new ConversationMemory(aiService);
+
+      await expect(memory.run('Be helpful.', [], 'hi', (model) => model.prompt('hi'))).rejects.toThrow('session crashed');
+
+      expect(aiService.closeSession).toHaveBeenCalledWith(session);
+      expect(memory.session).toBeNull();
+    });
+  });
+
+  describe('run without long-lived sessions', () => {
+    it('should replay earlier turns as initial prompts', async () => {
+      const aiService = {
+        withAISession: jest.fn(async (apiType, config, callback) => callback({ prompt: jest.fn().mockResolvedValue('reply') }))
+      };
+      const memory = new ConversationMemory(aiService);
+
+      await memory.run('Be helpful.', history(2), 'follow-up', (model) => model.prompt('follow-up'));
+
+      const [apiType, config, , options] = aiService.withAISession.mock.calls[0];
+      expect(apiType).toBe('LanguageModel');
+      expect(config.initialPrompts.map(prompt => prompt.role)).toEqual(['system', 'user', 'assistant']);
+      expect(options.description).toBe('Conversation reply');
+    });
+  });
+
+  describe('use', () => {
+    it('should close the open session and load the other conversation\'s summary', async () => {
+      const session = fakeSession();
+      const aiService = { closeSession: jest.fn().mockResolvedValue() };
+      const memory = new ConversationMemory(aiService);
+      memory.session = session;
+      memory.summary = 'Thread A';
+      chrome.storage.local.get.mockResolvedValue({ conversationMemory_t_b: { summary: 'Thread B', summarizedUntil: 7 } });
+
+      await memory.use(ConversationMemory.storageKeyFor('t_b'));
+
+      expect(aiService.closeSession).toHaveBeenCalledWith(session);
+      expect(memory.storageKey).toBe('conversationMemory_t_b');
+      expect(memory.summary).toBe('Thread B');
+      expect(memory.summarizedUntil).toBe(7);
+    });
+  });
+
+  describe('reset', () => {
+    it('should forget the summary and close the session', async () => {
+      const session = fakeSession();
+      const aiService = { closeSession: jest.fn().mockResolvedValue() };
+      const memory = new ConversationMemory(aiService);
+      memory.summary = 'Earlier';
+      memory.summarizedUntil = 10;
+      memory.session = session;
+
+      await memory.reset();
+
+      expect(memory.summary).toBe('');
+      expect(memory.summarizedUntil).toBe(0);
+      expect(aiService.closeSession).toHaveBeenCalledWith(session);
+      expect(chrome.storage.local.remove).toHaveBeenCalledWith('conversationMemory');
+    });
+  });
+});
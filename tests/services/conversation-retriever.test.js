@@ -0,0 +1,114 @@
+// Tests for ConversationRetriever candidate gathering, extraction and context budgeting
+global.TextUtils = require('../../utils/text-utils.js');
+global.HistoryIndex = require('../../services/history-index.js');
+global.PageCaptureSettings = require('../../services/page-capture-settings.js');
+global.PageExtractor = require('../../utils/page-extractor.js');
+const ConversationRetriever = require('../../services/conversation-retriever.js');
+
+describe('ConversationRetriever', () => {
+  const paper = {
+    url: 'https://arxiv.org/abs/crdt-survey',
+    title: 'A survey of CRDTs',
+    lastVisitTime: new Date(2024, 4, 2).getTime()
+  };
+  const recent = { url: 'https://github.com/rust-lang/rust', title: 'rust-lang/rust', lastVisitTime: Date.now() };
+
+  describe('lookupTerms', () => {
+    it('should keep meaningful words, longest first', () => {
+      expect(ConversationRetriever.lookupTerms('what was that paper I read about CRDTs')).toEqual(['paper', 'crdts', 'read']);
+    });
+  });
+
+  describe('bestPassages', () => {
+    it('should keep the passages that mention the query', () => {
+      const filler = 'Unrelated filler sentence about cooking pasta at home. '.repeat(12);
+      const text = `${filler}Conflict-free replicated data types (CRDTs) merge concurrent edits. ${filler}`;
+
+      const excerpt = ConversationRetriever.bestPassages(text, 'crdts', 300);
+
+      expect(excerpt).toContain('Conflict-free replicated data types');
+      expect(excerpt.length).toBeLessThanOrEqual(300);
+    });
+  });
+
+  describe('buildContext', () => {
+    it('should number sources and stop at the token budget', () => {
+      const sources = [
+        { title: 'A', url: 'https://a.example/', domain: 'a.example', text: 'alpha '.repeat(200) },
+        { title: 'B', url: 'https://b.example/', domain: 'b.example', text: 'beta '.repeat(200) },
+        { title: 'C', url: 'https://c.example/', domain: 'c.example', text: 'gamma '.repeat(200) }
+      ];
+
+      const { context, sources: used } = ConversationRetriever.buildContext(sources, 'alpha', 120);
+
+      expect(used.map(source => source.index)).toEqual([1, 2, 3]);
+      expect(context).toMatch(/^\[1\] A \(a\.example\)\nhttps:\/\/a\.example\//);
+      expect(ConversationRetriever.estimateTokens(context)).toBeLessThanOrEqual(130);
+      expect(ConversationRetriever.buildContext(sources, 'alpha', 5).sources).toHaveLength(0);
+    });
+  });
+
+  describe('retrieve', () => {
+    let historyService;
+    let semanticSearchService;
+
+    beforeEach(() => {
+      historyService = {
+        historyData: [recent],
+        historyIndex: {
+          search: jest.fn(async (term) => (term === 'crdts' ? [{ ...paper, id: '7' }] : [])),
+          putContent: jest.fn().mockResolvedValue(null)
+        },
+        fromIndexRecord: jest.fn(record => ({ url: record.url, title: record.title, lastVisitTime: record.lastVisitTime })),
+        attachPageContent: jest.fn(async (items) => items)
+      };
+      semanticSearchService = {
+        search: jest.fn(async (query, options) => options.items
+          .filter(item => item.title.includes('CRDT'))
+          .map(item => ({ item, score: 1 })))
+      };
+      chrome.storage.local.get.mockResolvedValue({});
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        headers: { get: () => 'text/html; charset=utf-8' },
+        text: async () => '<html><head><title>A survey of CRDTs</title></head><body><article><p>CRDTs let replicas converge without coordination, which makes offline editing simple.</p></article></body></html>'
+      });
+      if (typeof AbortSignal.timeout !== 'function') {
+        AbortSignal.timeout = () => new AbortController().signal; // not in jsdom
+      }
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    it('should search beyond the in-memory snapshot and extract uncaptured pages', async () => {
+      const retriever = new ConversationRetriever(historyService, semanticSearchService);
+
+      const { context, sources } = await retriever.retrieve('what was that paper about CRDTs');
+
+      expect(semanticSearchService.search.mock.calls[0][1].items.map(item => item.url)).toEqual([recent.url, paper.url]);
+      expect(fetch).toHaveBeenCalledWith(paper.url, expect.objectContaining({ credentials: 'omit' }));
+      expect(sources).toEqual([{ index: 1, title: paper.title, url: paper.url, domain: 'arxiv.org', origin: 'extracted' }]);
+      expect(context).toContain('replicas converge');
+      // Page capture is off by default, so extracted text is not stored
+      expect(historyService.historyIndex.putContent).not.toHaveBeenCalled();
+    });
+
+    it('should use captured content and skip denied sites', async () => {
+      historyService.attachPageContent = jest.fn(async (items) => {
+        items.forEach(item => { item.content = 'Captured notes on CRDT merge semantics.'; });
+        return items;
+      });
+      const retriever = new ConversationRetriever(historyService, semanticSearchService);
+
+      const { sources } = await retriever.retrieve('crdts');
+      expect(sources[0].origin).toBe('captured');
+      expect(fetch).not.toHaveBeenCalled();
+
+      const page = await retriever.extractPage('https://www.paypal.com/activity', PageCaptureSettings.DEFAULTS);
+      expect(page).toBeNull();
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,103 @@
+// Tests for ConversationThreadStore threads, migration, search and Markdown export
+const ConversationThreadStore = require('../../services/conversation-thread-store.js');
+
+describe('ConversationThreadStore', () => {
+  let store;
+
+  const message = (type, text, timestamp) => ({ type, message: text, timestamp });
+
+  beforeEach(() => {
+    store = new ConversationThreadStore();
+    chrome.storage.local.get.mockResolvedValue({});
+    chrome.storage.local.set.mockResolvedValue();
+    chrome.storage.local.remove.mockResolvedValue();
+  });
+
+  describe('load', () => {
+    it('should turn the old single conversation into the first thread', async () => {
+      const legacy = [message('user', 'Hello', 1), message('assistant', 'Hi!', 2)];
+      chrome.storage.local.get.mockResolvedValue({ conversationHistory: legacy });
+
+      const threads = await store.load();
+
+      expect(threads).toHaveLength(1);
+      expect(threads[0].name).toBe('Conversation');
+      expect(threads[0].messages).toEqual(legacy);
+      expect(store.activeId).toBe(threads[0].id);
+      expect(chrome.storage.local.remove).toHaveBeenCalledWith('conversationHistory');
+    });
+
+    it('should start empty and create a thread on first use', async () => {
+      const active = await store.getActive();
+
+      expect(active.messages).toEqual([]);
+      expect(ConversationThreadStore.getDisplayName(active)).toBe('New chat');
+      expect(store.threads).toHaveLength(1);
+    });
+  });
+
+  describe('threads', () => {
+    it('should create, rename and delete threads, keeping one active', async () => {
+      const first = await store.create('CRDT research');
+      const second = await store.create();
+      second.messages.push(message('user', 'Compare the two vector databases I looked at this week', 5));
+      second.updatedAt = first.updatedAt + 1;
+
+      expect(store.activeId).toBe(second.id);
+      expect(ConversationThreadStore.getDisplayName(second)).toBe('Compare the two vector databases I looke…');
+
+      await store.rename(second.id, '  Vector DBs ');
+      expect((await store.get(second.id)).name).toBe('Vector DBs');
+
+      await store.remove(second.id);
+      expect(store.threads.map(thread => thread.id)).toEqual([first.id]);
+      expect(store.activeId).toBe(first.id);
+    });
+
+    it('should reuse the thread linked to a session', async () => {
+      const link = { type: 'session', id: 's_1', title: 'Trip planning', pages: [] };
+      const created = await store.openForLink(link);
+      await store.create('Other');
+
+      const reopened = await store.openForLink({ ...link, pages: [{ title: 'Flights', url: 'https://flights.example/' }] });
+
+      expect(reopened.id).toBe(created.id);
+      expect(reopened.name).toBe('Trip planning');
+      expect(reopened.link.pages).toHaveLength(1);
+      expect(store.activeId).toBe(created.id);
+    });
+  });
+
+  describe('search', () => {
+    it('should match names and messages and return a snippet', async () => {
+      const rust = await store.create('Rust');
+      rust.messages.push(message('user', 'What did I read about the borrow checker last week?', 1));
+      const cooking = await store.create('Cooking');
+      cooking.messages.push(message('user', 'Pasta recipes', 2));
+
+      const results = await store.search('borrow');
+
+      expect(results.map(result => result.thread.id)).toEqual([rust.id]);
+      expect(results[0].snippet).toContain('borrow checker');
+      expect(await store.search('cooking pasta')).toHaveLength(1);
+      expect(await store.search('')).toHaveLength(2);
+    });
+  });
+
+  describe('toMarkdown', () => {
+    it('should export messages with their sources', () => {
+      const thread = ConversationThreadStore.createThread('Papers', { type: 'cluster', id: 'c_1', title: 'Distributed systems' }, [
+        message('user', 'Which CRDT paper?', 1),
+        { ...message('assistant', 'The survey [1].', 2), sources: [{ index: 1, title: 'A survey of CRDTs', url: 'https://arxiv.org/abs/crdt' }] }
+      ]);
+
+      const markdown = ConversationThreadStore.toMarkdown(thread);
+
+      expect(markdown).toContain('# Papers');
+      expect(markdown).toContain('_Linked to cluster: Distributed systems_');
+      expect(markdown).toContain('## You ·');
+      expect(markdown).toContain('## Chrome Mnemonic ·');
+      expect(markdown).toContain('1. [A survey of CRDTs](https://arxiv.org/abs/crdt)');
+    });
+  });
+});
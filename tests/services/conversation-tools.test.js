@@ -0,0 +1,129 @@
+// Tests for ConversationTools dispatch, confirmation and the prompt-based tool protocol
+global.TextUtils = require('../../utils/text-utils.js');
+global.JsonSchema = require('../../utils/json-schema.js');
+global.SessionStore = require('../../services/session-store.js');
+const ConversationTools = require('../../services/conversation-tools.js');
+
+describe('ConversationTools', () => {
+  const day = (y, m, d, h = 12) => new Date(y, m - 1, d, h).getTime();
+  const terraform = { url: 'https://developer.hashicorp.com/terraform/docs', title: 'Terraform docs', lastVisitTime: day(2024, 3, 4) };
+  const modules = { url: 'https://registry.terraform.io/modules', title: 'Terraform modules', lastVisitTime: day(2024, 3, 4, 18) };
+  const older = { url: 'https://blog.example/terraform-intro', title: 'Intro to Terraform', lastVisitTime: day(2024, 2, 20) };
+
+  let tools;
+  let retriever;
+  let tabGroupService;
+
+  beforeEach(() => {
+    retriever = {
+      gatherCandidates: jest.fn().mockResolvedValue([terraform, modules, older]),
+      semanticSearchService: { search: jest.fn(async (query, { items, limit }) => items.slice(0, limit).map(item => ({ item }))) },
+      extractPage: jest.fn()
+    };
+    tabGroupService = { openAsGroup: jest.fn().mockResolvedValue({ groupId: 7, opened: 2, skipped: 0 }) };
+    const sessionStore = {
+      list: jest.fn().mockResolvedValue([
+        { id: 's_1', name: 'Kitchen remodel', notes: '', aiTitle: '', pages: [{ url: 'https://tiles.example/', title: 'Tiles' }], startTime: 1, endTime: 2 },
+        { id: 's_2', name: '', notes: '', aiTitle: 'Terraform state migration', pages: [terraform], startTime: 3, endTime: 4 }
+      ])
+    };
+    tools = new ConversationTools({}, { historyData: [], attachPageContent: jest.fn() }, retriever, sessionStore, tabGroupService);
+    chrome.tabs.create = jest.fn().mockResolvedValue({ id: 1 });
+  });
+
+  describe('search_history', () => {
+    it('should keep only pages visited on the requested days', async () => {
+      const result = await tools.execute({ name: 'search_history', args: { query: 'terraform', from: '2024-03-04', to: '2024-03-04' } });
+
+      expect(result.count).toBe(2);
+      expect(result.pages.map(page => page.url)).toEqual([terraform.url, modules.url]);
+    });
+  });
+
+  describe('get_session', () => {
+    it('should return the best matching session with its pages', async () => {
+      const result = await tools.execute({ name: 'get_session', args: { query: 'terraform' } });
+
+      expect(result.id).toBe('s_2');
+      expect(result.title).toBe('Terraform state migration');
+      expect(result.pages).toEqual([{ title: terraform.title, url: terraform.url }]);
+    });
+  });
+
+  describe('actions', () => {
+    it('should ask before opening tabs and skip non-web URLs', async () => {
+      const confirm = jest.fn().mockResolvedValue(true);
+
+      const result = await tools.execute({ name: 'open_tabs', args: { urls: [terraform.url, 'javascript:alert(1)'] } }, { confirm });
+
+      expect(confirm).toHaveBeenCalledWith(expect.objectContaining({ name: 'open_tabs', description: 'Open 2 tabs' }));
+      expect(chrome.tabs.create).toHaveBeenCalledTimes(1);
+      expect(chrome.tabs.create).toHaveBeenCalledWith({ url: terraform.url, active: true });
+      expect(result).toEqual({ opened: 1, skipped: 1 });
+    });
+
+    it('should not run an action the user declines', async () => {
+      const result = await tools.execute({ name: 'create_tab_group', args: { title: 'Terraform', urls: [terraform.url] } }, {
+        confirm: jest.fn().mockResolvedValue(false)
+      });
+
+      expect(result.declined).toBe(true);
+      expect(tabGroupService.openAsGroup).not.toHaveBeenCalled();
+    });
+
+    it('should never run an action without a confirmation step', async () => {
+      const result = await tools.execute({ name: 'open_tabs', args: { urls: [terraform.url] } });
+
+      expect(result.declined).toBe(true);
+      expect(chrome.tabs.create).not.toHaveBeenCalled();
+    });
+
+    it('should store a reminder and schedule its alarm', async () => {
+      chrome.alarms = { create: jest.fn().mockResolvedValue() };
+      chrome.storage.local.get.mockResolvedValue({ reminders: [] });
+      chrome.storage.local.set.mockResolvedValue();
+      const when = '2030-05-01T09:00';
+
+      const result = await tools.execute({ name: 'set_reminder', args: { text: 'Read the Terraform docs', when, url: terraform.url } }, {
+        confirm: jest.fn().mockResolvedValue(true)
+      });
+
+      const time = new Date(when).getTime();
+      expect(result.scheduled).toBe(new Date(time).toLocaleString());
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({
+        reminders: [expect.objectContaining({ text: 'Read the Terraform docs', url: terraform.url, when: time })]
+      });
+      expect(chrome.alarms.create).toHaveBeenCalledWith(expect.stringMatching(/^reminder:r_/), { when: time });
+    });
+
+    it('should reject a reminder with an invalid or past time before asking the user', async () => {
+      const confirm = jest.fn().mockResolvedValue(true);
+
+      const invalid = await tools.execute({ name: 'set_reminder', args: { text: 'Read the docs', when: 'next tuesday-ish' } }, { confirm });
+      const past = await tools.execute({ name: 'set_reminder', args: { text: 'Read the docs', when: '2001-01-01T09:00' } }, { confirm });
+
+      expect(invalid.error).toBe('Invalid reminder time "next tuesday-ish", expected YYYY-MM-DDTHH:MM');
+      expect(past.error).toBe('The reminder time must be in the future');
+      expect(confirm).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('execute', () => {
+    it('should report unknown tools and invalid arguments to the model', async () => {
+      expect(await tools.execute({ name: 'delete_history', args: {} })).toEqual({ error: 'Unknown tool: delete_history' });
+      expect((await tools.execute({ name: 'search_history', args: { limit: 5 } })).error).toContain('$.query is required');
+    });
+  });
+
+  describe('prompt-based protocol', () => {
+    it('should describe the tools and read JSON tool calls back', () => {
+      const prompt = ConversationTools.protocolPrompt(tools.definitions());
+      expect(prompt).toContain('- search_history(query: string (Topic or words to look for), from?: string');
+      expect(prompt).toContain('{"tool_calls": [');
+
+      const reply = ConversationTools.parseReply('```json\n{"tool_calls": [{"name": "search_history", "arguments": {"query": "terraform"}}]}\n```');
+      expect(reply).toEqual({ text: '', calls: [{ id: 'call_0', name: 'search_history', args: { query: 'terraform' } }] });
+      expect(ConversationTools.parseReply('Done, I opened 3 tabs.')).toEqual({ text: 'Done, I opened 3 tabs.', calls: [] });
+    });
+  });
+});
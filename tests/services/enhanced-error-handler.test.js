@@ -31,6 +31,26 @@ describe('EnhancedErrorHandler', () => {
     expect(classified.type).toBe('AI_UNAVAILABLE');
   });
 
+  test('creates typed invalid output errors that are not retried', () => {
+    const err = EnhancedErrorHandler.invalidOutput('Bad JSON', { attempts: 3 });
+    expect(err.type).toBe('INVALID_OUTPUT');
+    expect(err.metadata.attempts).toBe(3);
+    expect(EnhancedErrorHandler.classify(err)).toBe(err);
+    expect(EnhancedErrorHandler.shouldRetry(err)).toBe(false);
+  });
+
+  test('classifies aborted requests', () => {
+    const err = new DOMException('The user aborted a request.', 'AbortError');
+    const classified = EnhancedErrorHandler.classify(err);
+    expect(classified.type).toBe('ABORTED');
+    expect(EnhancedErrorHandler.shouldRetry(classified)).toBe(false);
+  });
+
+  test('classifies missing errors as unknown', () => {
+    expect(EnhancedErrorHandler.classify(null).type).toBe('UNKNOWN');
+    expect(EnhancedErrorHandler.classify(undefined).type).toBe('UNKNOWN');
+  });
+
   test('shouldRetry logic', () => {
     expect(EnhancedErrorHandler.shouldRetry(new EnhancedError('x', 'RATE_LIMIT'))).toBe(true);
     expect(EnhancedErrorHandler.shouldRetry(new EnhancedError('x', 'NETWORK_ERROR'))).toBe(true);
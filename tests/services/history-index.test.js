@@ -0,0 +1,80 @@
+// Tests for HistoryIndex record handling
+const HistoryIndex = require('../../services/history-index.js');
+
+describe('HistoryIndex', () => {
+  describe('getDomain', () => {
+    it('should extract hostname without www prefix', () => {
+      expect(HistoryIndex.getDomain('https://www.example.com/path?q=1')).toBe('example.com');
+      expect(HistoryIndex.getDomain('http://docs.github.com:8080/x')).toBe('docs.github.com');
+    });
+
+    it('should return empty string for invalid input', () => {
+      expect(HistoryIndex.getDomain('not a url')).toBe('');
+      expect(HistoryIndex.getDomain(null)).toBe('');
+    });
+  });
+
+  describe('isIndexableURL', () => {
+    it('should skip browser-internal pages', () => {
+      expect(HistoryIndex.isIndexableURL('chrome://settings')).toBe(false);
+      expect(HistoryIndex.isIndexableURL('chrome-extension://abc/popup.html')).toBe(false);
+      expect(HistoryIndex.isIndexableURL('about:blank')).toBe(false);
+      expect(HistoryIndex.isIndexableURL('')).toBe(false);
+    });
+
+    it('should accept regular web pages', () => {
+      expect(HistoryIndex.isIndexableURL('https://example.com')).toBe(true);
+    });
+  });
+
+  describe('toRecord', () => {
+    it('should create a new record from a history item', () => {
+      const record = HistoryIndex.toRecord({
+        id: '1',
+        url: 'https://www.example.com/a',
+        title: 'Example',
+        lastVisitTime: 1000,
+        visitCount: 3
+      });
+
+      expect(record).toEqual({
+        url: 'https://www.example.com/a',
+        id: '1',
+        title: 'Example',
+        domain: 'example.com',
+        lastVisitTime: 1000,
+        firstVisitTime: 1000,
+        visitCount: 3,
+        typedCount: 0,
+        visitTimes: [1000]
+      });
+    });
+
+    it('should merge visits into an existing record', () => {
+      const existing = HistoryIndex.toRecord({ url: 'https://example.com/a', title: 'Old', lastVisitTime: 1000, visitCount: 1 });
+      const merged = HistoryIndex.toRecord({ url: 'https://example.com/a', title: 'New', lastVisitTime: 2000, visitCount: 2 }, existing);
+
+      expect(merged.title).toBe('New');
+      expect(merged.firstVisitTime).toBe(1000);
+      expect(merged.lastVisitTime).toBe(2000);
+      expect(merged.visitCount).toBe(2);
+      expect(merged.visitTimes).toEqual([2000, 1000]);
+    });
+
+    it('should cap the stored visit timestamps', () => {
+      let record = null;
+      for (let t = 1; t <= 5; t++) {
+        record = HistoryIndex.toRecord({ url: 'https://example.com', lastVisitTime: t }, record, 3);
+      }
+      expect(record.visitTimes).toEqual([5, 4, 3]);
+    });
+  });
+
+  describe('open', () => {
+    it('should reject when IndexedDB is unavailable', async () => {
+      // jsdom does not provide IndexedDB
+      const index = new HistoryIndex();
+      await expect(index.open()).rejects.toThrow('IndexedDB not available');
+    });
+  });
+});
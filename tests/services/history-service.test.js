@@ -166,7 +166,7 @@ describe('HistoryService', () => {
   });
 
   describe('getBrowsingSessions', () => {
-    it('should return browsing sessions', () => {
+    it('should return browsing sessions', async () => {
       const mockHistory = [
         { 
           url: 'https://example.com/1', 
@@ -182,7 +182,7 @@ describe('HistoryService', () => {
       
       historyService.historyData = mockHistory;
       
-      const result = historyService.getBrowsingSessions();
+      const result = await historyService.getBrowsingSessions();
       
       expect(Array.isArray(result)).toBe(true);
       expect(result.length).toBeGreaterThan(0);
@@ -221,7 +221,7 @@ describe('HistoryService', () => {
   });
 
   describe('searchHistory', () => {
-    it('should search history by query', () => {
+    it('should search history by query', async () => {
       const mockHistory = [
         { 
           url: 'https://example.com/1', 
@@ -237,21 +237,21 @@ describe('HistoryService', () => {
       
       historyService.historyData = mockHistory;
       
-      const result = historyService.searchHistory('JavaScript');
+      const result = await historyService.searchHistory('JavaScript');
       
       expect(Array.isArray(result)).toBe(true);
       expect(result.length).toBe(1);
       expect(result[0].title).toContain('JavaScript');
     });
 
-    it('should handle empty search query', () => {
+    it('should handle empty search query', async () => {
       const mockHistory = [
         { url: 'https://example.com/1', title: 'Page 1' }
       ];
       
       historyService.historyData = mockHistory;
       
-      const result = historyService.searchHistory('');
+      const result = await historyService.searchHistory('');
       
       expect(Array.isArray(result)).toBe(true);
       expect(result.length).toBe(0);
@@ -259,7 +259,7 @@ describe('HistoryService', () => {
   });
 
   describe('getHistoryByDomain', () => {
-    it('should return history for specific domain', () => {
+    it('should return history for specific domain', async () => {
       const mockHistory = [
         { 
           url: 'https://example.com/1', 
@@ -275,11 +275,63 @@ describe('HistoryService', () => {
       
       historyService.historyData = mockHistory;
       
-      const result = historyService.getHistoryByDomain('example.com');
+      const result = await historyService.getHistoryByDomain('example.com');
       
       expect(Array.isArray(result)).toBe(true);
       expect(result.length).toBe(1);
       expect(result[0].url).toContain('example.com');
     });
   });
+
+  describe('persistent index', () => {
+    const record = (url, lastVisitTime) => ({ url, title: url, domain: 'example.com', lastVisitTime, visitCount: 1 });
+    let index;
+
+    beforeAll(() => {
+      global.CacheManager = require('../../services/cache-manager.js');
+    });
+
+    afterAll(() => {
+      delete global.CacheManager;
+    });
+
+    beforeEach(() => {
+      index = {
+        revision: 1,
+        getRevision: jest.fn(async () => index.revision),
+        getRecent: jest.fn(async () => [record('https://example.com/1', 2000)]),
+        search: jest.fn(async () => [record('https://example.com/js', 3000)]),
+        getByDomain: jest.fn(async () => [record('https://github.com/a', 4000)]),
+        getRange: jest.fn(async () => [record('https://example.com/2', 5000)])
+      };
+      historyService = new HistoryService();
+      historyService.historyIndex = index;
+    });
+
+    it('should keep the snapshot until the index changes or a refresh is forced', async () => {
+      await historyService.getHistory();
+      await historyService.getHistory();
+      expect(index.getRecent).toHaveBeenCalledTimes(1);
+
+      index.revision = 2;
+      await historyService.getHistory();
+      await historyService.getHistory(true);
+      expect(index.getRecent).toHaveBeenCalledTimes(3);
+      expect(chrome.history.search).not.toHaveBeenCalled();
+    });
+
+    it('should answer search, domain and session queries from the index', async () => {
+      expect((await historyService.searchHistory('js', 20)).map(item => item.url)).toEqual(['https://example.com/js']);
+      expect(index.search).toHaveBeenCalledWith('js', 20);
+
+      expect((await historyService.getHistoryByDomain('github')).map(item => item.url)).toEqual(['https://github.com/a']);
+      expect(index.getByDomain).toHaveBeenCalledWith('github', 1000);
+
+      historyService.runInWorker = jest.fn().mockRejectedValue(new Error('no worker'));
+      const sessions = await historyService.getBrowsingSessions(30, { startTime: 1000, endTime: 6000 });
+      expect(index.getRange).toHaveBeenCalledWith(1000, 6000, historyService.indexSnapshotLimit);
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0].items[0].url).toBe('https://example.com/2');
+    });
+  });
 });
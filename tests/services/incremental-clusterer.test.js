@@ -0,0 +1,112 @@
+// Tests for IncrementalClusterer visit assignment, re-balancing and "new since yesterday" counts
+global.TextUtils = require('../../utils/text-utils.js');
+global.TopicClustering = require('../../utils/topic-clustering.js');
+const IncrementalClusterer = require('../../services/incremental-clusterer.js');
+
+describe('IncrementalClusterer', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const page = (url, title) => ({ url, title });
+  const rust = [
+    page('https://doc.rust-lang.org/book/ch04-borrowing', 'Understanding ownership and borrowing - The Rust Book'),
+    page('https://stackoverflow.com/questions/1/rust-borrow-checker-error', 'Rust borrow checker error with mutable reference'),
+    page('https://blog.example.com/rust-lifetimes', 'Rust lifetimes and borrowing explained')
+  ];
+  const pasta = [
+    page('https://www.allrecipes.com/recipe/pasta-carbonara', 'Classic pasta carbonara recipe'),
+    page('https://www.seriouseats.com/carbonara', 'The best carbonara pasta')
+  ];
+
+  let clusterer;
+
+  beforeEach(() => {
+    chrome.storage.local.get.mockResolvedValue({});
+    chrome.storage.local.set.mockResolvedValue();
+    clusterer = new IncrementalClusterer();
+  });
+
+  describe('rebalance', () => {
+    it('should cluster recent history and label clusters with c-TF-IDF terms', async () => {
+      const clusters = await clusterer.rebalance([...rust, ...pasta, page('https://news.ycombinator.com/', 'Hacker News')]);
+
+      expect(clusters.map(cluster => [cluster.labels, cluster.size])).toEqual([
+        [['borrowing', 'rust'], 3],
+        [['carbonara', 'pasta'], 2]
+      ]);
+      expect(clusterer.state.pages['https://news.ycombinator.com/'].clusterId).toBe('');
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({ incrementalClusters: clusterer.state });
+    });
+
+    it('should keep cluster IDs and when pages were first added', async () => {
+      const [first] = await clusterer.rebalance([...rust, ...pasta]);
+      clusterer.state.pages[rust[0].url].addedAt -= 3 * DAY;
+
+      const [again] = await clusterer.rebalance([...rust, ...pasta, page('https://rust-lang.org/learn', 'Learn Rust borrowing')]);
+
+      expect(again.id).toBe(first.id);
+      expect(again.size).toBe(4);
+      expect(clusterer.state.pages[rust[0].url].addedAt).toBe(Date.now() - 3 * DAY);
+    });
+  });
+
+  describe('addVisit', () => {
+    it('should add a visit to the closest cluster', async () => {
+      await clusterer.rebalance([...rust, ...pasta]);
+      const rustCluster = clusterer.state.clusters[0];
+
+      const cluster = await clusterer.addVisit(page('https://users.rust-lang.org/t/borrowing', 'Borrowing in Rust closures'));
+
+      expect(cluster.id).toBe(rustCluster.id);
+      expect(cluster.size).toBe(4);
+      expect(cluster.labels).toEqual(['borrowing', 'rust']);
+    });
+
+    it('should seed a new cluster that later visits can join', async () => {
+      await clusterer.rebalance([...rust, ...pasta]);
+      clusterer.state.df[TextUtils.stem('kubernetes')] = 3; // seen on earlier pages that are not in a cluster
+
+      const seeded = await clusterer.addVisit(page('https://kubernetes.io/docs/pods', 'Kubernetes pods'));
+      const joined = await clusterer.addVisit(page('https://learnk8s.io/kubernetes-pods', 'Kubernetes pods explained'));
+
+      expect(seeded.id).not.toBe(clusterer.state.clusters[0].id);
+      expect(joined.id).toBe(seeded.id);
+      expect(joined.size).toBe(2);
+      expect(clusterer.state.clusters).toHaveLength(3);
+    });
+
+    it('should ignore repeat visits and non-web pages', async () => {
+      await clusterer.rebalance([...rust, ...pasta]);
+
+      await clusterer.addVisit(rust[0]);
+      await clusterer.addVisit(page('chrome://settings', 'Settings'));
+
+      expect(clusterer.state.clusters[0].size).toBe(3);
+      expect(clusterer.state.pages['chrome://settings']).toBeUndefined();
+    });
+  });
+
+  describe('clustersFor', () => {
+    it('should fill clusters with history and count pages added since yesterday', async () => {
+      await clusterer.rebalance([...rust, ...pasta]);
+      clusterer.state.pages[rust[0].url].addedAt -= 2 * DAY;
+
+      const clusters = clusterer.clustersFor([...rust, ...pasta]);
+
+      expect(clusters.map(cluster => [cluster.itemCount, cluster.newCount])).toEqual([[3, 2], [2, 2]]);
+      expect(clusterer.countNew(rust)).toBe(2);
+    });
+  });
+
+  describe('removeUrls', () => {
+    it('should forget removed pages and clusters left without pages', async () => {
+      await clusterer.rebalance([...rust, ...pasta]);
+
+      await clusterer.removeUrls(pasta.map(entry => entry.url));
+
+      expect(clusterer.state.clusters).toHaveLength(1);
+      expect(clusterer.state.pages[pasta[0].url]).toBeUndefined();
+
+      await clusterer.removeUrls([], true);
+      expect(clusterer.state.clusters).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+// Tests for OmniboxSearch parsing and ranking
+global.TextUtils = require('../../utils/text-utils.js');
+global.VectorSearch = require('../../utils/vector-search.js');
+global.HistoryIndex = require('../../services/history-index.js');
+const OmniboxSearch = require('../../services/omnibox-search.js');
+
+describe('OmniboxSearch', () => {
+  const HOUR = 60 * 60 * 1000;
+  const now = new Date(2024, 5, 15, 12, 0, 0).getTime();
+  const record = (url, title, hoursAgo, visitCount = 1) => ({
+    url,
+    title,
+    domain: HistoryIndex.getDomain(url),
+    lastVisitTime: now - hoursAgo * HOUR,
+    visitCount
+  });
+
+  const records = [
+    record('https://kubernetes.io/docs/concepts/services-networking/ingress/', 'Ingress | Kubernetes', 1),
+    record('https://github.com/kubernetes/ingress-nginx', 'kubernetes/ingress-nginx', 1.25),
+    record('https://news.example.com/today', 'Morning news', 30),
+    record('https://docs.example.com/kubernetes-old', 'Old kubernetes notes', 24 * 40)
+  ];
+
+  describe('parseQuery', () => {
+    it('should separate modifiers from free text', () => {
+      const parsed = OmniboxSearch.parseQuery('kubernetes site:www.GitHub.com ingress session:last', now);
+      expect(parsed.text).toBe('kubernetes ingress');
+      expect(parsed.site).toBe('github.com');
+      expect(parsed.session).toBe('last');
+      expect(parsed.before).toBeNull();
+    });
+
+    it('should parse absolute and relative dates', () => {
+      expect(OmniboxSearch.parseQuery('x before:2024-06-01', now).before).toBe(new Date(2024, 5, 1).getTime());
+      expect(OmniboxSearch.parseQuery('x after:7d', now).after).toBe(new Date(2024, 5, 8).getTime());
+      expect(OmniboxSearch.parseQuery('x after:yesterday', now).after).toBe(new Date(2024, 5, 14).getTime());
+    });
+
+    it('should keep unrecognized dates as text', () => {
+      const parsed = OmniboxSearch.parseQuery('before:soon', now);
+      expect(parsed.before).toBeNull();
+      expect(parsed.text).toBe('before:soon');
+    });
+  });
+
+  describe('highlight', () => {
+    it('should escape XML and mark matching words', () => {
+      expect(OmniboxSearch.highlight('Ingress & <Kubernetes>', ['kubernet', 'ingress']))
+        .toBe('<match>Ingress</match> &amp; &lt;Kubernetes&gt;');
+      expect(OmniboxSearch.highlight('Ingresses', TextUtils.terms('ingress'))).toBe('<match>Ingresses</match>');
+    });
+  });
+
+  describe('rankPages', () => {
+    it('should rank matching pages and skip others', () => {
+      const ranked = OmniboxSearch.rankPages(records, OmniboxSearch.parseQuery('kubernetes ingress', now), 5, now);
+      expect(ranked.map(r => r.record.title)).toEqual([
+        'Ingress | Kubernetes',
+        'kubernetes/ingress-nginx',
+        'Old kubernetes notes'
+      ]);
+    });
+
+    it('should apply site: and before: filters', () => {
+      const bySite = OmniboxSearch.rankPages(records, OmniboxSearch.parseQuery('kubernetes site:github.com', now), 5, now);
+      expect(bySite.map(r => r.record.domain)).toEqual(['github.com']);
+
+      const old = OmniboxSearch.rankPages(records, OmniboxSearch.parseQuery('kubernetes before:30d', now), 5, now);
+      expect(old.map(r => r.record.title)).toEqual(['Old kubernetes notes']);
+    });
+
+    it('should restrict to a session', () => {
+      const last = OmniboxSearch.rankPages(records, OmniboxSearch.parseQuery('session:last', now), 5, now);
+      expect(last.map(r => r.record.title)).toEqual(['Ingress | Kubernetes', 'kubernetes/ingress-nginx']);
+
+      const byTopic = OmniboxSearch.rankPages(records, OmniboxSearch.parseQuery('session:news', now), 5, now);
+      expect(byTopic.map(r => r.record.title)).toEqual(['Morning news']);
+    });
+
+    it('should restrict to a saved session by name', () => {
+      const sessions = [{ name: 'K8s ingress research', endTime: now, pages: [{ url: records[1].url }] }];
+      const parsed = OmniboxSearch.parseQuery('kubernetes session:ingress-research', now);
+      parsed.sessionUrls = OmniboxSearch.findNamedSession(sessions, parsed.session).pages.map(p => p.url);
+
+      const ranked = OmniboxSearch.rankPages(records, parsed, 5, now);
+      expect(ranked.map(r => r.record.title)).toEqual(['kubernetes/ingress-nginx']);
+    });
+  });
+
+  describe('rankSearches', () => {
+    it('should match past searches by shared terms and dedupe queries', () => {
+      const searches = [
+        { query: 'kubernetes ingress tls', url: 'https://google.com/search?q=a', domain: 'google.com', timestamp: now - HOUR },
+        { query: 'Kubernetes ingress TLS', url: 'https://google.com/search?q=b', domain: 'google.com', timestamp: now - 2 * HOUR },
+        { query: 'pasta recipes', url: 'https://google.com/search?q=c', domain: 'google.com', timestamp: now }
+      ];
+      const ranked = OmniboxSearch.rankSearches(searches, OmniboxSearch.parseQuery('ingress', now));
+      expect(ranked).toHaveLength(1);
+      expect(ranked[0].search.url).toBe('https://google.com/search?q=a');
+      expect(ranked[0].score).toBe(1);
+    });
+  });
+
+  describe('suggest', () => {
+    it('should return omnibox suggestions from the index and search log', async () => {
+      const index = {
+        searchRange: jest.fn(async () => records),
+        getByDomain: jest.fn(async () => [])
+      };
+      chrome.storage.local.get.mockResolvedValue({
+        universalSearches: [{ query: 'ingress controller', url: 'https://google.com/search?q=ingress', domain: 'google.com', timestamp: Date.now() }]
+      });
+
+      const suggestions = await new OmniboxSearch(index).suggest('ingress');
+      expect(suggestions[0].content).toBe('https://google.com/search?q=ingress');
+      expect(suggestions[0].description).toContain('<match>ingress</match>');
+      expect(suggestions.map(s => s.content)).toContain('https://kubernetes.io/docs/concepts/services-networking/ingress/');
+    });
+
+    it('should find old pages beyond the candidate limit within the date window', async () => {
+      // Newest first, like the lastVisitTime cursor; the only match is among the oldest
+      const clock = Date.now();
+      const history = Array.from({ length: 3500 }, (_, i) => ({
+        url: `https://news.example.com/story-${i}`,
+        title: `Morning news ${i}`,
+        domain: 'news.example.com',
+        lastVisitTime: clock - i * HOUR,
+        visitCount: 1
+      }));
+      history[3400] = { ...history[3400], url: 'https://doc.rust-lang.org/book/ch10-03-lifetime-syntax.html', title: 'Validating References with Lifetimes' };
+      const inRange = (start, end) => history.filter(r => r.lastVisitTime >= start && r.lastVisitTime <= end);
+      const index = {
+        getRecent: jest.fn(async (limit, start = 0) => inRange(start, Infinity).slice(0, limit)),
+        searchRange: jest.fn(async (terms, start, end, limit) => inRange(start, end)
+          .filter(r => terms.length === 0 || TextUtils.terms(`${r.title} ${TextUtils.urlToText(r.url)}`).some(term => terms.includes(term)))
+          .slice(0, limit)),
+        getByDomain: jest.fn(async () => [])
+      };
+      chrome.storage.local.get.mockResolvedValue({});
+      const omnibox = new OmniboxSearch(index);
+
+      const byText = await omnibox.suggest('rust lifetimes');
+      expect(byText.map(s => s.content)).toEqual([history[3400].url]);
+
+      const before = new Date(clock - 3000 * HOUR);
+      const byDate = await omnibox.suggest(`before:${before.getFullYear()}-${before.getMonth() + 1}-${before.getDate()}`);
+      expect(byDate).toHaveLength(6);
+      expect(byDate.every(s => Number(s.content.split('-').pop()) > 3000 || s.content === history[3400].url)).toBe(true);
+    });
+
+    it('should return nothing for empty input', async () => {
+      const index = { searchRange: jest.fn(), getByDomain: jest.fn() };
+      expect(await new OmniboxSearch(index).suggest('  ')).toEqual([]);
+      expect(index.searchRange).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,62 @@
+// Tests for PageCaptureSettings rules
+const PageCaptureSettings = require('../../services/page-capture-settings.js');
+
+describe('PageCaptureSettings', () => {
+  describe('normalize', () => {
+    it('should default to disabled allowlist mode', () => {
+      const settings = PageCaptureSettings.normalize(undefined);
+      expect(settings.enabled).toBe(false);
+      expect(settings.mode).toBe('allowlist');
+      expect(settings.denyDomains.length).toBeGreaterThan(0);
+    });
+
+    it('should clamp limits and parse domain text', () => {
+      const settings = PageCaptureSettings.normalize({
+        maxPageChars: 10,
+        storageBudgetMB: 'lots',
+        allowDomains: 'https://www.Example.com/path\n*.docs.rs, example.com'
+      });
+      expect(settings.maxPageChars).toBe(1000);
+      expect(settings.storageBudgetMB).toBe(50);
+      expect(settings.allowDomains).toEqual(['example.com', 'docs.rs']);
+    });
+  });
+
+  describe('matchesRule', () => {
+    it('should match the domain and its subdomains', () => {
+      expect(PageCaptureSettings.matchesRule('example.com', 'example.com')).toBe(true);
+      expect(PageCaptureSettings.matchesRule('blog.example.com', 'example.com')).toBe(true);
+      expect(PageCaptureSettings.matchesRule('notexample.com', 'example.com')).toBe(false);
+    });
+
+    it('should treat dotless rules as keywords', () => {
+      expect(PageCaptureSettings.matchesRule('online.mybank.co.uk', 'bank')).toBe(true);
+    });
+  });
+
+  describe('isAllowed', () => {
+    const base = PageCaptureSettings.normalize({ enabled: true, allowDomains: ['example.com'], denyDomains: ['private.example.com'] });
+
+    it('should require capture to be enabled', () => {
+      expect(PageCaptureSettings.isAllowed('https://example.com', { ...base, enabled: false })).toBe(false);
+    });
+
+    it('should only capture allowed sites in allowlist mode', () => {
+      expect(PageCaptureSettings.isAllowed('https://www.example.com/a', base)).toBe(true);
+      expect(PageCaptureSettings.isAllowed('https://other.org/a', base)).toBe(false);
+    });
+
+    it('should let deny rules win', () => {
+      expect(PageCaptureSettings.isAllowed('https://private.example.com/a', base)).toBe(false);
+      expect(PageCaptureSettings.isAllowed('https://private.example.com/a', { ...base, mode: 'all' })).toBe(false);
+    });
+
+    it('should capture any other site in all mode', () => {
+      expect(PageCaptureSettings.isAllowed('https://other.org/a', { ...base, mode: 'all' })).toBe(true);
+    });
+
+    it('should ignore non-http pages', () => {
+      expect(PageCaptureSettings.isAllowed('file:///tmp/a.html', { ...base, mode: 'all' })).toBe(false);
+    });
+  });
+});
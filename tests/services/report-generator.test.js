@@ -0,0 +1,146 @@
+// Tests for ReportGenerator
+global.TextUtils = require('../../utils/text-utils.js');
+const ReportGenerator = require('../../services/report-generator.js');
+
+describe('ReportGenerator', () => {
+  const base = new Date(2024, 0, 15, 10, 0).getTime();
+  const MIN = 60 * 1000;
+  let generator;
+  let historyService;
+
+  beforeEach(() => {
+    historyService = {
+      attachPageContent: jest.fn(async (pages) => {
+        pages.forEach(page => {
+          if (page.url === 'https://kubernetes.io/ingress') {
+            page.description = 'How ingress routes traffic into a cluster.';
+            page.content = 'Intro text. An Ingress exposes HTTP routes from outside the cluster to services within the cluster, using ingress rules. Short.';
+          }
+        });
+        return pages;
+      })
+    };
+    generator = new ReportGenerator({ aiAvailable: false }, historyService);
+    chrome.storage.local.get.mockResolvedValue({});
+    chrome.storage.local.set.mockResolvedValue();
+  });
+
+  describe('renderTemplate', () => {
+    it('should fill fields, loop over lists and escape values', () => {
+      const text = ReportGenerator.renderTemplate(
+        '{{title}}|{{{raw}}}|{{#items}}<{{name}}:{{title}}>{{/items}}|{{^empty}}none{{/empty}}|{{#items.length}}n={{items.length}}{{/items.length}}',
+        { title: 'A&B', raw: '<b>', items: [{ name: 'x' }, { name: 'y' }], empty: [] },
+        value => value.replace(/&/g, '&amp;')
+      );
+      expect(text).toBe('A&amp;B|<b>|<x:A&amp;B><y:A&amp;B>|none|n=2');
+    });
+
+    it('should skip sections for empty values', () => {
+      expect(ReportGenerator.renderTemplate('a{{#notes}}[{{notes}}]{{/notes}}b', { notes: '' })).toBe('ab');
+    });
+  });
+
+  describe('buildReport', () => {
+    it('should order pages and collect summaries, timeline and quotes', async () => {
+      const report = await generator.buildReport({
+        title: 'Kubernetes',
+        notes: 'Follow up on TLS',
+        items: [
+          { url: 'https://kubernetes.io/tls', title: 'Kubernetes TLS', lastVisitTime: base + 20 * MIN },
+          { url: 'https://kubernetes.io/ingress', title: 'Kubernetes Ingress', lastVisitTime: base },
+          { url: 'https://kubernetes.io/ingress', title: 'Kubernetes Ingress', lastVisitTime: base + 5 * MIN }
+        ]
+      });
+
+      expect(report.pages.map(page => page.url)).toEqual(['https://kubernetes.io/ingress', 'https://kubernetes.io/tls']);
+      expect(report.pages[0].summary).toBe('How ingress routes traffic into a cluster.');
+      expect(report.summary).toBe('2 pages visited, mostly on kubernetes.io.');
+      expect(report.duration).toBe('20 min');
+      expect(report.timeline).toHaveLength(1);
+      expect(report.timeline[0].entries).toHaveLength(2);
+      expect(report.quotes).toEqual([{
+        text: 'An Ingress exposes HTTP routes from outside the cluster to services within the cluster, using ingress rules.',
+        title: 'Kubernetes Ingress',
+        url: 'https://kubernetes.io/ingress'
+      }]);
+    });
+
+    it('should use the Summarizer when AI is available', async () => {
+      const summarizer = { summarize: jest.fn(async () => 'Learning Kubernetes networking.') };
+      generator.aiService = { aiAvailable: true, withAISession: jest.fn(async (type, config, callback) => callback(summarizer)) };
+
+      const report = await generator.buildReport({ title: 'K8s', items: [{ url: 'https://kubernetes.io/tls', title: 'TLS', lastVisitTime: base }] });
+      expect(report.summary).toBe('Learning Kubernetes networking.');
+      expect(generator.aiService.withAISession.mock.calls[0][0]).toBe('Summarizer');
+    });
+  });
+
+  describe('output', () => {
+    let report;
+
+    beforeEach(async () => {
+      report = await generator.buildReport({
+        title: 'Notes <draft>',
+        items: [{ url: 'https://kubernetes.io/ingress', title: 'Kubernetes [Ingress]', lastVisitTime: base }]
+      });
+    });
+
+    it('should render Markdown with escaped link text', async () => {
+      const markdown = generator.toMarkdown(report, await generator.getTemplate('standard'));
+      expect(markdown).toContain('# Notes <draft>');
+      expect(markdown).toContain('[Kubernetes \\[Ingress\\]](https://kubernetes.io/ingress)');
+      expect(markdown).toContain('## Key quotes');
+      expect(markdown).not.toMatch(/\n{3,}/);
+    });
+
+    it('should render a standalone HTML document with escaped values', async () => {
+      const html = generator.toHtml(report, await generator.getTemplate('standard'));
+      expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+      expect(html).toContain('<title>Notes &lt;draft&gt;</title>');
+      expect(html).toContain('<a href="https://kubernetes.io/ingress">Kubernetes [Ingress]</a>');
+    });
+
+    it('should not link to bookmarklets or data URLs', async () => {
+      const unsafe = await generator.buildReport({
+        title: 'Bookmarklets',
+        items: [
+          { url: 'javascript:alert(document.cookie)', title: 'Bookmarklet', lastVisitTime: base },
+          { url: 'data:text/html,<script>alert(1)</script>', title: 'Data', lastVisitTime: base + MIN },
+          { url: 'file:///home/me/notes.html', title: 'Notes', lastVisitTime: base + 2 * MIN }
+        ]
+      });
+      const html = generator.toHtml(unsafe, await generator.getTemplate('standard'));
+
+      expect(unsafe.pages.map(page => page.url)).toEqual(['', '', 'file:///home/me/notes.html']);
+      expect(unsafe.timeline[0].entries.map(entry => entry.url)).toEqual(['', '', 'file:///home/me/notes.html']);
+      expect(html).not.toMatch(/href="(javascript|data):/);
+    });
+  });
+
+  describe('templates', () => {
+    it('should save, update and remove custom templates', async () => {
+      const saved = await generator.saveTemplate({ name: 'Team', markdown: '# {{title}}' });
+      const stored = chrome.storage.local.set.mock.calls[0][0].reportTemplates;
+      expect(stored).toEqual([saved]);
+
+      chrome.storage.local.get.mockResolvedValue({ reportTemplates: stored });
+      expect((await generator.loadTemplates()).map(t => t.id)).toEqual(['standard', 'brief', saved.id]);
+
+      await generator.saveTemplate({ id: saved.id, name: 'Team v2', markdown: '## {{title}}' });
+      expect(chrome.storage.local.set.mock.calls[1][0].reportTemplates).toEqual([{ ...saved, name: 'Team v2', markdown: '## {{title}}' }]);
+
+      await generator.removeTemplate(saved.id);
+      expect(chrome.storage.local.set.mock.calls[2][0].reportTemplates).toEqual([]);
+    });
+
+    it('should reject templates without a name', async () => {
+      await expect(generator.saveTemplate({ markdown: 'x' })).rejects.toThrow('name is required');
+    });
+  });
+
+  describe('filename', () => {
+    it('should build a slug from the title', () => {
+      expect(ReportGenerator.filename('Kubernetes: Ingress & TLS', 'md')).toMatch(/^chrome-mnemonic-kubernetes-ingress-tls-\d{4}-\d{2}-\d{2}\.md$/);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+// Tests for AIRequestQueue cancellation through AbortSignal
+global.PerformanceMonitor = require('../../services/performance-monitor.js');
+const AIRequestQueue = require('../../services/request-queue.js');
+
+describe('AIRequestQueue', () => {
+  const { setTimeout: realSetTimeout } = jest.requireActual('timers');
+  let mockedSetTimeout;
+  let queue;
+
+  beforeEach(() => {
+    mockedSetTimeout = global.setTimeout;
+    global.setTimeout = realSetTimeout; // setup.js runs timers immediately, which trips the request timeout
+    queue = new AIRequestQueue();
+    queue.delay = 0;
+    queue.retryDelay = 0;
+  });
+
+  afterEach(() => {
+    global.setTimeout = mockedSetTimeout;
+  });
+
+  it('should pass the signal to the request and resolve its result', async () => {
+    const controller = new AbortController();
+    const requestFn = jest.fn().mockResolvedValue('done');
+
+    await expect(queue.add(requestFn, { signal: controller.signal, timeout: 1000 })).resolves.toBe('done');
+    expect(requestFn).toHaveBeenCalledWith(controller.signal);
+  });
+
+  it('should reject at once when the signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const requestFn = jest.fn();
+
+    await expect(queue.add(requestFn, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(requestFn).not.toHaveBeenCalled();
+  });
+
+  it('should drop a waiting request when it is aborted', async () => {
+    let finishFirst;
+    const first = queue.add(() => new Promise(resolve => { finishFirst = resolve; }), { timeout: 1000 });
+    const controller = new AbortController();
+    const secondFn = jest.fn();
+    const second = queue.add(secondFn, { signal: controller.signal, timeout: 1000 });
+
+    controller.abort();
+    await expect(second).rejects.toMatchObject({ name: 'AbortError' });
+    expect(queue.queue).toHaveLength(0);
+
+    finishFirst('first');
+    await expect(first).resolves.toBe('first');
+    expect(secondFn).not.toHaveBeenCalled();
+    expect(queue.getRequestsByStatus('cancelled')).toHaveLength(1);
+  });
+
+  it('should stop a running request without retrying it', async () => {
+    const controller = new AbortController();
+    const requestFn = jest.fn(() => new Promise(() => {}));
+    const pending = queue.add(requestFn, { signal: controller.signal, retries: 3, timeout: 1000 });
+
+    await new Promise(resolve => realSetTimeout(resolve, 0));
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    expect(requestFn).toHaveBeenCalledTimes(1);
+    expect(queue.activeRequests.size).toBe(0);
+  });
+
+  it('should remove its abort listeners once a request settles', async () => {
+    const controller = new AbortController();
+    const added = jest.spyOn(controller.signal, 'addEventListener');
+    const removed = jest.spyOn(controller.signal, 'removeEventListener');
+
+    await queue.add(jest.fn().mockResolvedValue('one'), { signal: controller.signal, timeout: 1000 });
+    await expect(queue.add(jest.fn().mockRejectedValue(new Error('bad input')), { signal: controller.signal, retries: 0, timeout: 1000 }))
+      .rejects.toThrow('bad input');
+
+    expect(added).toHaveBeenCalledTimes(4);
+    expect(removed.mock.calls.map(([, listener]) => listener)).toEqual(expect.arrayContaining(added.mock.calls.map(([, listener]) => listener)));
+  });
+});
@@ -0,0 +1,143 @@
+// Tests for SearchDetector pattern matching, normalization and the deduplicated search stream
+global.TextUtils = require('../../utils/text-utils.js');
+global.URLUtils = require('../../utils/url-utils.js');
+global.SearchPatternRegistry = require('../../services/search-pattern-registry.js');
+global.SearchSimilarity = require('../../services/search-similarity.js');
+const PageToasts = require('../../utils/page-toasts.js');
+const SearchDetector = require('../../services/search-detector.js');
+
+describe('SearchDetector', () => {
+  let storage;
+  let detector;
+
+  beforeEach(() => {
+    storage = {};
+    chrome.storage.local.get.mockReset();
+    chrome.storage.local.set.mockReset();
+    chrome.storage.local.get.mockImplementation(async (key) => ({ [key]: storage[key] }));
+    chrome.storage.local.set.mockImplementation(async (values) => { Object.assign(storage, values); });
+    detector = new SearchDetector();
+  });
+
+  describe('matchPattern', () => {
+    it('should match engine URLs on the site and its subdomains only', () => {
+      expect(SearchDetector.matchPattern('https://www.google.com/search?q=rust').domain).toBe('google.com');
+      expect(SearchDetector.matchPattern('https://google.com/maps?q=rust')).toBeNull();
+      expect(SearchDetector.matchPattern('https://notgoogle.com/search?q=rust')).toBeNull();
+      expect(SearchDetector.matchPattern('not a url')).toBeNull();
+    });
+
+    it('should skip disabled and malformed patterns', () => {
+      const patterns = [
+        { id: 'a', name: 'Broken', domain: 'example.com', urlPattern: '(', queryParam: 'q' },
+        { id: 'b', name: 'Off', domain: 'example.org', urlPattern: 'example', queryParam: 'q', enabled: false }
+      ];
+
+      expect(SearchDetector.matchPattern('https://example.com/?q=rust', patterns)).toBeNull();
+      expect(SearchDetector.matchPattern('https://example.org/?q=rust', patterns)).toBeNull();
+    });
+
+    it('should tell AI chat sites apart', () => {
+      expect(SearchDetector.isChatSite('https://chatgpt.com/c/123')).toBe(true);
+      expect(SearchDetector.isChatSite('https://www.bing.com/search?q=x')).toBe(false);
+    });
+  });
+
+  describe('detectFromUrl', () => {
+    it('should extract and normalize the query', async () => {
+      const search = await detector.detectFromUrl('https://www.youtube.com/results?search_query=rust++lifetimes%20', 'spa');
+
+      expect(search).toEqual({
+        query: 'rust lifetimes',
+        website: 'YouTube Search',
+        domain: 'youtube.com',
+        url: 'https://www.youtube.com/results?search_query=rust++lifetimes%20',
+        timestamp: Date.now(),
+        source: 'spa'
+      });
+    });
+
+    it('should ignore patterns stored in the old per-domain format', async () => {
+      storage.searchPatterns = { 'google.com': { name: 'Google', urlPattern: {}, queryParam: 'q' } }; // RegExp saved as {}
+
+      expect(await detector.detectFromUrl('https://www.bing.com/search?q=rust+book')).toEqual(expect.objectContaining({ query: 'rust book' }));
+      expect(await detector.detectFromUrl('https://www.bing.com/search?q=abc')).toBeNull(); // too short
+    });
+
+    it('should use custom patterns and skip disabled built-in ones', async () => {
+      storage.searchPatterns = [
+        { id: 'custom_1', name: 'MDN', domain: 'developer.mozilla.org', urlPattern: 'mozilla\\.org/.*/search', queryParam: 'q', enabled: true },
+        { id: 'bing', domain: 'bing.com', urlPattern: 'bing\\.com/search', queryParam: 'q', enabled: false }
+      ];
+
+      expect(await detector.detectFromUrl('https://developer.mozilla.org/en-US/search?q=flexbox+gap')).toEqual(expect.objectContaining({ query: 'flexbox gap', website: 'MDN', domain: 'developer.mozilla.org' }));
+      expect(await detector.detectFromUrl('https://www.bing.com/search?q=rust+book')).toBeNull();
+    });
+  });
+
+  describe('report', () => {
+    it('should merge a form submit and the results page into one search', async () => {
+      const listener = jest.fn();
+      detector.onSearch(listener);
+
+      const first = await detector.report({ query: ' Rust lifetimes ', domain: 'google.com', url: 'https://www.google.com/', source: 'form' }, { tabId: 4 });
+      const second = await detector.report(await detector.detectFromUrl('https://www.google.com/search?q=rust+lifetimes'), { tabId: 4 });
+
+      expect(first).toEqual(expect.objectContaining({ query: 'Rust lifetimes', website: 'google.com', domain: 'google.com', source: 'form' }));
+      expect(second).toBeNull();
+      expect(storage.universalSearches).toHaveLength(1);
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(first, { tabId: 4 });
+    });
+
+    it('should skip a search stored just before the service worker restarted', async () => {
+      await detector.report({ query: 'rust lifetimes', url: 'https://www.google.com/search?q=rust+lifetimes' });
+
+      const restarted = new SearchDetector();
+      expect(await restarted.report({ query: 'rust lifetimes', url: 'https://www.google.com/search?q=rust+lifetimes' })).toBeNull();
+      expect(await restarted.report({ query: 'rust lifetimes', url: 'https://www.bing.com/search?q=rust+lifetimes' })).not.toBeNull();
+      expect(storage.universalSearches).toHaveLength(2);
+    });
+
+    it('should keep notifying other listeners when one fails', async () => {
+      const listener = jest.fn();
+      detector.onSearch(() => { throw new Error('boom'); });
+      detector.onSearch(listener);
+
+      await detector.report({ query: 'rust lifetimes', domain: 'example.com' });
+
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('findSimilar', () => {
+    it('should return earlier searches with the reasons they matched', async () => {
+      storage.universalSearches = [
+        { query: 'hooks for fishing', website: 'Google Search', timestamp: Date.now() },
+        { query: 'react hook examples', website: 'Bing Search', timestamp: Date.now() }
+      ];
+
+      const similar = await detector.findSimilar('react hooks');
+
+      expect(similar).toEqual([expect.objectContaining({ query: 'react hook examples', reasons: ['same words: react', 'word forms: hooks ≈ hook'] })]);
+      expect(SearchDetector.notificationToast({ query: 'react hooks' }, similar).sections[0].note).toBe('Matched on same words: react · word forms: hooks ≈ hook');
+    });
+  });
+
+  describe('notificationToast', () => {
+    it('should describe the search as plain data that renders escaped', () => {
+      const toast = SearchDetector.notificationToast(
+        { query: 'x' },
+        [{ query: '<img src=x onerror=alert(1)>', website: '"evil"', timestamp: Date.now() }]
+      );
+      const html = PageToasts.render(toast, 'n1').value;
+
+      expect(toast).toEqual(expect.objectContaining({ key: 'similar-search', title: 'Similar Search Found!', subtitle: 'You searched for this on "evil"' }));
+      expect(toast.details.label).toBe('View More (1 similar searches)');
+      expect(html).not.toContain('<img');
+      expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+      expect(html).toContain('data-toast="n1"');
+      expect(html).not.toContain('onclick');
+    });
+  });
+});
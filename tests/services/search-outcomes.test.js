@@ -0,0 +1,114 @@
+// Tests for SearchOutcomeTracker: linking searches to opened results and dwell time
+global.TextUtils = require('../../utils/text-utils.js');
+global.URLUtils = require('../../utils/url-utils.js');
+global.SearchPatternRegistry = require('../../services/search-pattern-registry.js');
+global.SearchSimilarity = require('../../services/search-similarity.js');
+global.SearchDetector = require('../../services/search-detector.js');
+const SearchOutcomeTracker = require('../../services/search-outcomes.js');
+const PageToasts = require('../../utils/page-toasts.js');
+
+describe('SearchOutcomeTracker', () => {
+  const start = 1640995200000;
+  const minute = 60 * 1000;
+  let storage;
+  let session;
+  let detector;
+  let tracker;
+  let search;
+
+  const commit = (tabId, url, transitionType = 'link', transitionQualifiers = []) =>
+    tracker.onCommitted({ tabId, frameId: 0, url, transitionType, transitionQualifiers });
+  const at = (offset) => Date.now.mockReturnValue(start + offset);
+  const outcomes = () => storage.universalSearches[0].outcomes;
+
+  beforeEach(async () => {
+    storage = {};
+    session = {};
+    chrome.storage.local.get.mockReset();
+    chrome.storage.local.set.mockReset();
+    chrome.storage.local.get.mockImplementation(async (key) => ({ [key]: storage[key] }));
+    chrome.storage.local.set.mockImplementation(async (values) => { Object.assign(storage, values); });
+    const stateArea = {
+      get: async (key) => ({ [key]: session[key] && JSON.parse(JSON.stringify(session[key])) }),
+      set: async (values) => { Object.assign(session, JSON.parse(JSON.stringify(values))); }
+    };
+    at(0);
+
+    detector = new SearchDetector();
+    tracker = new SearchOutcomeTracker(detector, { stateArea });
+    search = await detector.report({ query: 'rust lifetimes', url: 'https://www.google.com/search?q=rust+lifetimes' });
+    await tracker.startSearch(search, 7);
+  });
+
+  afterEach(() => {
+    Date.now.mockReturnValue(start);
+  });
+
+  it('should record results opened from the results page with their dwell time', async () => {
+    await commit(7, 'https://doc.rust-lang.org/book/ch10-03-lifetime-syntax.html');
+    await tracker.onTitleChanged(7, 'Validating References with Lifetimes');
+    at(4 * minute);
+    await commit(7, 'https://doc.rust-lang.org/book/ch10-00-generics.html'); // a link inside the result
+    at(5 * minute);
+    await commit(7, 'https://www.google.com/search?q=rust+lifetimes', 'link', ['forward_back']);
+    await commit(7, 'https://stackoverflow.com/questions/1/lifetimes');
+    at(5 * minute + 5000);
+    await commit(7, 'https://news.example.com/', 'typed');
+
+    expect(outcomes()).toEqual([
+      expect.objectContaining({ url: 'https://doc.rust-lang.org/book/ch10-03-lifetime-syntax.html', title: 'Validating References with Lifetimes', visits: 1, dwellMs: 5 * minute }),
+      expect.objectContaining({ url: 'https://stackoverflow.com/questions/1/lifetimes', visits: 1, dwellMs: 5000 })
+    ]);
+    expect(session.searchOutcomeTabs).toEqual({}); // typing an address ends the search
+  });
+
+  it('should follow results opened in new tabs and survive a service worker restart', async () => {
+    await tracker.onCreatedNavigationTarget({ sourceTabId: 7, tabId: 8 });
+    tracker = new SearchOutcomeTracker(detector, { stateArea: tracker.stateArea });
+    await commit(8, 'https://blog.example.com/rust-lifetimes');
+    at(2 * minute);
+    await tracker.onTabRemoved(8);
+
+    expect(outcomes()).toEqual([expect.objectContaining({ url: 'https://blog.example.com/rust-lifetimes', dwellMs: 2 * minute })]);
+  });
+
+  it('should not lose a new search stored while an outcome is written', async () => {
+    await commit(7, 'https://doc.rust-lang.org/book/');
+    at(minute);
+
+    await Promise.all([
+      commit(7, 'https://www.google.com/search?q=rust+traits'),
+      detector.report({ query: 'rust traits', url: 'https://www.google.com/search?q=rust+traits' })
+    ]);
+
+    expect(storage.universalSearches.map(entry => entry.query)).toEqual(['rust lifetimes', 'rust traits']);
+    expect(outcomes()[0].dwellMs).toBe(minute);
+  });
+
+  it('should pick the longest non-bounce visit of the most recent earlier search', () => {
+    const earlier = [
+      { query: 'a', timestamp: 1, outcomes: [{ url: 'https://old.example.com/', dwellMs: 9 * minute }] },
+      { query: 'b', timestamp: 2, outcomes: [{ url: 'https://quick.example.com/', dwellMs: 2000 }, { url: 'https://answer.example.com/', dwellMs: minute }] },
+      { query: 'c', timestamp: 3, outcomes: [{ url: 'javascript:alert(1)', dwellMs: minute }] }
+    ];
+
+    expect(SearchOutcomeTracker.lastOutcome(earlier)).toEqual({ search: earlier[1], outcome: earlier[1].outcomes[1] });
+    expect(SearchOutcomeTracker.lastOutcome([earlier[2]])).toBeNull();
+  });
+
+  it('should show where the earlier search ended up in the notification', () => {
+    const lastOutcome = { search: { query: 'rust <lifetimes>' }, outcome: { url: 'https://doc.rust-lang.org/book/"x', title: '', dwellMs: 3 * minute } };
+    const toast = SearchDetector.notificationToast({ query: 'x' }, [{ query: 'rust lifetimes', website: 'Google', timestamp: start }], { lastOutcome });
+    const html = PageToasts.render(toast, 'n1').value;
+
+    expect(toast.sections[1]).toEqual({
+      callout: true,
+      label: 'Last time you ended up on',
+      text: 'doc.rust-lang.org/book/%22x',
+      meta: 'doc.rust-lang.org • 3 min there after "rust <lifetimes>"',
+      link: { href: 'https://doc.rust-lang.org/book/"x', label: 'Open' }
+    });
+    expect(html).toContain('href="https://doc.rust-lang.org/book/&quot;x"');
+    expect(html).toContain('3 min there after &quot;rust &lt;lifetimes&gt;&quot;');
+  });
+});
@@ -0,0 +1,139 @@
+// Tests for SearchPatternRegistry validation, built-in overrides, URL testing and pattern packs
+global.URLUtils = require('../../utils/url-utils.js');
+const SearchPatternRegistry = require('../../services/search-pattern-registry.js');
+
+describe('SearchPatternRegistry', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = {};
+    chrome.storage.local.get.mockReset();
+    chrome.storage.local.set.mockReset();
+    chrome.storage.local.get.mockImplementation(async (key) => ({ [key]: storage[key] }));
+    chrome.storage.local.set.mockImplementation(async (values) => { Object.assign(storage, values); });
+  });
+
+  describe('normalize', () => {
+    it('should clean up the domain and default the URL pattern to it', () => {
+      const pattern = SearchPatternRegistry.normalize({ domain: 'https://www.Example.com/search', queryParam: 'q' });
+
+      expect(pattern).toEqual(expect.objectContaining({
+        name: 'example.com',
+        domain: 'example.com',
+        urlPattern: 'example\\.com',
+        type: 'search',
+        enabled: true
+      }));
+      expect(pattern.id).toMatch(/^custom_/);
+    });
+
+    it('should reject bad domains, invalid expressions and patterns with nowhere to read the query', () => {
+      expect(() => SearchPatternRegistry.normalize({ domain: 'localhost', queryParam: 'q' })).toThrow('not a domain');
+      expect(() => SearchPatternRegistry.normalize({ domain: 'example.com', urlPattern: '(', queryParam: 'q' })).toThrow('Invalid URL pattern');
+      expect(() => SearchPatternRegistry.normalize({ domain: 'example.com' })).toThrow('query parameter or a DOM selector');
+      expect(SearchPatternRegistry.normalize({ domain: 'example.com', selector: '#q' }).selector).toBe('#q');
+    });
+
+    it('should reject URL patterns that are too long or repeat a repeated group', () => {
+      const normalize = (urlPattern) => () => SearchPatternRegistry.normalize({ domain: 'example.com', urlPattern, queryParam: 'q' });
+
+      expect(normalize(`example\\.com/${'a'.repeat(SearchPatternRegistry.MAX_URL_PATTERN_LENGTH)}`)).toThrow('at most 200 characters');
+      ['(a+)+$', '(\\w*\\s?)*x', '((ab)*c)+', '(?:[a-z]+/){2,}search'].forEach(urlPattern => {
+        expect(normalize(urlPattern)).toThrow('repeats a group that already repeats');
+      });
+      ['example\\.com/(search|find)', '(a+)?/results', '[(a+)]+', '\\(a+\\)+', 'mozilla\\.org/.*/search'].forEach(urlPattern => {
+        expect(normalize(urlPattern)).not.toThrow();
+      });
+    });
+  });
+
+  describe('load and save', () => {
+    it('should not overwrite the patterns the user saved', async () => {
+      await SearchPatternRegistry.save({ name: 'MDN', domain: 'developer.mozilla.org', queryParam: 'q' });
+      await SearchPatternRegistry.setEnabled('google', false);
+
+      const patterns = await SearchPatternRegistry.load();
+      const google = patterns.find(pattern => pattern.id === 'google');
+
+      expect(patterns).toHaveLength(SearchPatternRegistry.BUILT_IN.length + 1);
+      expect(google).toEqual(expect.objectContaining({ enabled: false, builtIn: true, modified: true }));
+      expect(patterns[patterns.length - 1]).toEqual(expect.objectContaining({ name: 'MDN', builtIn: false }));
+      expect(storage.searchPatterns.every(pattern => pattern.builtIn === undefined)).toBe(true);
+    });
+
+    it('should reset a built-in pattern when its override is removed', async () => {
+      await SearchPatternRegistry.save({ ...SearchPatternRegistry.BUILT_IN[0], queryParam: 'query' });
+      await SearchPatternRegistry.remove('google');
+
+      expect((await SearchPatternRegistry.load())[0]).toEqual(SearchPatternRegistry.BUILT_IN[0]);
+    });
+
+    it('should ignore patterns stored in the old per-domain format', async () => {
+      storage.searchPatterns = { 'google.com': { name: 'Google', urlPattern: {}, queryParam: 'q' } };
+
+      expect(await SearchPatternRegistry.load()).toEqual(SearchPatternRegistry.BUILT_IN);
+    });
+  });
+
+  describe('compile', () => {
+    it('should compile each expression once and disable unsafe ones already in storage', async () => {
+      storage.searchPatterns = [{ id: 'custom_old', name: 'Old', domain: 'old.example.com', urlPattern: '(a*)*b', queryParam: 'q', enabled: true }];
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await SearchPatternRegistry.load();
+      const google = SearchPatternRegistry.compile('google\\.com/search');
+
+      expect(google).toBeInstanceOf(RegExp);
+      expect(SearchPatternRegistry.compile('google\\.com/search')).toBe(google);
+      expect(SearchPatternRegistry.compile('(a*)*b')).toBeNull();
+      warn.mockRestore();
+    });
+  });
+
+  describe('test', () => {
+    it('should report the query a pattern reads from a URL', () => {
+      const google = SearchPatternRegistry.BUILT_IN[0];
+
+      expect(SearchPatternRegistry.test(google, 'https://www.google.com/search?q=rust+lifetimes'))
+        .toEqual({ matches: true, domainMatches: true, urlMatches: true, query: 'rust lifetimes', error: '' });
+      expect(SearchPatternRegistry.test(google, 'https://www.google.com/maps?q=cafe'))
+        .toEqual(expect.objectContaining({ matches: false, domainMatches: true, urlMatches: false }));
+      expect(SearchPatternRegistry.test(google, 'not a url').error).toBe('Not a valid URL');
+      expect(SearchPatternRegistry.test({ ...google, urlPattern: '[' }, 'https://www.google.com/').error).toMatch(/Invalid URL pattern/);
+    });
+  });
+
+  describe('packs', () => {
+    it('should round-trip patterns and update ones that already exist', async () => {
+      const custom = { name: 'MDN', domain: 'developer.mozilla.org', urlPattern: 'mozilla\\.org/.*/search', queryParam: 'q' };
+      const pack = SearchPatternRegistry.exportPack([
+        { ...SearchPatternRegistry.BUILT_IN[1], enabled: false },
+        custom,
+        { name: 'Broken', domain: 'nope' }
+      ]);
+
+      const result = await SearchPatternRegistry.importPack(JSON.stringify(pack));
+      await SearchPatternRegistry.importPack(pack); // importing again does not duplicate
+      const patterns = await SearchPatternRegistry.load();
+
+      expect(pack.patterns[0].builtIn).toBeUndefined();
+      expect(result).toEqual({ imported: 2, skipped: 1 });
+      expect(patterns.find(pattern => pattern.id === 'bing').enabled).toBe(false);
+      expect(patterns.filter(pattern => pattern.domain === 'developer.mozilla.org')).toHaveLength(1);
+    });
+
+    it('should skip imported patterns with unsafe URL expressions', async () => {
+      const pack = SearchPatternRegistry.exportPack([
+        { name: 'Slow', domain: 'slow.example.com', urlPattern: '(x+x+)+y', queryParam: 'q' },
+        { name: 'Fine', domain: 'fine.example.com', urlPattern: 'fine\\.example\\.com/search', queryParam: 'q' }
+      ]);
+
+      expect(await SearchPatternRegistry.importPack(pack)).toEqual({ imported: 1, skipped: 1 });
+      expect(storage.searchPatterns.map(pattern => pattern.name)).toEqual(['Fine']);
+    });
+
+    it('should reject files that are not pattern packs', async () => {
+      await expect(SearchPatternRegistry.importPack({ patterns: [] })).rejects.toThrow('Not a search pattern pack');
+    });
+  });
+});
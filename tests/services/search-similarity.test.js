@@ -0,0 +1,142 @@
+// Tests for SearchSimilarity term matching, synonyms, embeddings, recency and the tunable threshold
+global.TextUtils = require('../../utils/text-utils.js');
+const SearchSimilarity = require('../../services/search-similarity.js');
+
+describe('SearchSimilarity', () => {
+  const day = 24 * 60 * 60 * 1000;
+  const now = Date.now();
+  const search = (query, daysAgo = 1, extra = {}) => ({ query, website: 'Google Search', timestamp: now - daysAgo * day, ...extra });
+  let storage;
+  let similarity;
+
+  beforeEach(() => {
+    storage = {};
+    chrome.storage.local.get.mockReset();
+    chrome.storage.local.set.mockReset();
+    chrome.storage.local.get.mockImplementation(async (key) => ({ [key]: storage[key] }));
+    chrome.storage.local.set.mockImplementation(async (values) => { Object.assign(storage, values); });
+    similarity = new SearchSimilarity();
+  });
+
+  describe('rank', () => {
+    it('should match word forms but not a single shared word in an unrelated search', async () => {
+      const results = await similarity.rank('react hooks', [
+        search('hooks for fishing'),
+        search('React hook tutorial'),
+        search('react hooks')
+      ]);
+
+      expect(results.map(result => result.query)).toEqual(['React hook tutorial']);
+      expect(results[0].reasons).toEqual(['same words: react', 'word forms: hooks ≈ hook']);
+      expect(results[0].similarity).toBe(1);
+    });
+
+    it('should not match unrelated searches that share one term', async () => {
+      const pairs = [
+        ['react hooks', 'hooks for fishing'],
+        ['python list', 'python snake'],
+        ['mercury planet', 'mercury poisoning'],
+        ['apple pie', 'apple stock'],
+        ['java streams', 'java coffee beans'],
+        ['apple pie recipe', 'apple stock price']
+      ];
+
+      for (const [query, earlier] of pairs) {
+        expect(await similarity.rank(query, [search(earlier)], { threshold: 0.05 })).toEqual([]);
+      }
+    });
+
+    it('should not match a one-word search against longer searches that contain it', async () => {
+      const pairs = [
+        ['hooks', 'hooks for fishing'],
+        ['python', 'python snake'],
+        ['rust', 'rust removal'],
+        ['hooks for fishing', 'hooks']
+      ];
+
+      for (const [query, earlier] of pairs) {
+        expect(await similarity.rank(query, [search(earlier)], { threshold: 0.05 })).toEqual([]);
+      }
+    });
+
+    it('should match one-word searches on the same word, word form or synonym', async () => {
+      const results = await similarity.rank('hooks', [search('hook'), search('fishing')]);
+      const [synonym] = await similarity.rank('postgres', [search('postgresql')]);
+
+      expect(results.map(result => result.query)).toEqual(['hook']);
+      expect(results[0].similarity).toBe(1);
+      expect(synonym.reasons).toEqual(['synonyms: postgres = postgresql']);
+    });
+
+    it('should match searches that share two terms against the shorter one', async () => {
+      const matches = await similarity.rank('python list comprehension', [search('python list sort order')]);
+      const [ingress] = await similarity.rank('kubernetes ingress tls setup', [search('kubernetes ingress nginx annotations')]);
+
+      expect(matches[0].similarity).toBeCloseTo(2 / 3);
+      expect(ingress.similarity).toBe(0.5);
+      expect(ingress.reasons).toEqual(['same words: kubernetes, ingress']);
+    });
+
+    it('should match synonyms and abbreviations', async () => {
+      const [result] = await similarity.rank('js array sort', [search('javascript sort an array')]);
+
+      expect(result.similarity).toBe(1);
+      expect(result.reasons).toEqual(['same words: array, sort', 'synonyms: js = javascript']);
+    });
+
+    it('should rank a recent match above an equally similar old one', async () => {
+      const results = await similarity.rank('rust lifetimes', [
+        search('rust lifetimes explained', 200, { id: 'old' }),
+        search('rust lifetimes tutorial', 2, { id: 'new' })
+      ]);
+
+      expect(results.map(result => result.id)).toEqual(['new', 'old']);
+      expect(results[0].similarity).toBe(results[1].similarity);
+      expect(results[1].relevance).toBeLessThan(results[0].relevance);
+    });
+
+    it('should use the threshold saved in settings', async () => {
+      // Two shared terms out of the shorter search's six score 1/3, just below the default
+      const query = 'kubernetes ingress controller tls certificate renewal';
+      const searches = [search('kubernetes ingress tls'), search('kubernetes ingress nginx annotations helm chart')];
+
+      expect(await similarity.rank(query, searches)).toHaveLength(1);
+      await SearchSimilarity.saveSettings({ threshold: 0.3 });
+      expect(await similarity.rank(query, searches)).toHaveLength(2);
+    });
+  });
+
+  describe('embeddings', () => {
+    const vectors = { 'car insurance': [1, 0], 'vehicle coverage quote': [0.9, 0.1], 'banana bread': [0, 1] };
+    const aiService = (fn) => ({ canEmbed: () => true, embeddingModel: 'test', embedTexts: jest.fn(fn) });
+
+    it('should match by meaning when the words differ and cache the vectors', async () => {
+      const ai = aiService(async texts => texts.map(text => vectors[text]));
+      similarity = new SearchSimilarity(ai);
+      const searches = [search('vehicle coverage quote'), search('banana bread')];
+
+      const results = await similarity.rank('car insurance', searches);
+      await similarity.rank('car insurance', searches);
+
+      expect(results.map(result => result.query)).toEqual(['vehicle coverage quote']);
+      expect(results[0].reasons).toEqual(['similar meaning (99%)']);
+      expect(ai.embedTexts).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fall back to word matching when embedding fails', async () => {
+      similarity = new SearchSimilarity(aiService(async () => { throw new Error('quota'); }));
+
+      const results = await similarity.rank('car insurance', [search('vehicle coverage quote'), search('car insurance quote')]);
+
+      expect(results.map(result => result.query)).toEqual(['car insurance quote']);
+    });
+  });
+
+  describe('settings', () => {
+    it('should keep the threshold in range and default invalid values', async () => {
+      expect((await SearchSimilarity.saveSettings({ threshold: '2' })).threshold).toBe(0.95);
+      expect((await SearchSimilarity.saveSettings({ threshold: 'abc' })).threshold).toBe(SearchSimilarity.DEFAULT_THRESHOLD);
+      expect(await SearchSimilarity.loadSettings()).toEqual({ threshold: SearchSimilarity.DEFAULT_THRESHOLD });
+    });
+  });
+});
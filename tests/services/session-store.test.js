@@ -0,0 +1,124 @@
+// Tests for SessionStore persistence and reconciliation
+global.TextUtils = require('../../utils/text-utils.js');
+const SessionStore = require('../../services/session-store.js');
+
+describe('SessionStore', () => {
+  const MIN = 60 * 1000;
+  const base = 1700000000000;
+  const item = (url, minutes, title = url) => ({ url, title, lastVisitTime: base + minutes * MIN });
+  let store;
+
+  beforeEach(() => {
+    store = new SessionStore();
+    chrome.storage.local.get.mockResolvedValue({});
+    chrome.storage.local.set.mockResolvedValue();
+  });
+
+  describe('toPages', () => {
+    it('should order pages by visit time and dedupe URLs', () => {
+      const pages = SessionStore.toPages([item('b', 5), item('a', 1), item('b', 3)]);
+      expect(pages.map(p => [p.url, p.visitTime])).toEqual([['a', base + MIN], ['b', base + 3 * MIN]]);
+    });
+  });
+
+  describe('reconcile', () => {
+    it('should create sessions with stable IDs', async () => {
+      const [session] = await store.reconcile([{ items: [item('https://a.com', 0), item('https://b.com', 10)] }]);
+
+      expect(session.id).toBe(SessionStore.createId(base, 'https://a.com'));
+      expect(session.pages).toHaveLength(2);
+      expect(chrome.storage.local.set).toHaveBeenCalled();
+
+      const again = await store.reconcile([{ items: [item('https://a.com', 0), item('https://b.com', 10)] }]);
+      expect(again[0]).toBe(session);
+      expect(store.sessions).toHaveLength(1);
+    });
+
+    it('should add new pages to a matching session and keep user fields', async () => {
+      const [session] = await store.reconcile([{ items: [item('https://a.com', 0), item('https://b.com', 10)] }]);
+      await store.update(session.id, { name: 'Research', notes: 'todo' });
+
+      const [updated] = await store.reconcile([{ items: [item('https://a.com', 0), item('https://b.com', 10), item('https://c.com', 20)] }]);
+      expect(updated.id).toBe(session.id);
+      expect(updated.name).toBe('Research');
+      expect(updated.pages.map(p => p.url)).toEqual(['https://a.com', 'https://b.com', 'https://c.com']);
+      expect(SessionStore.needsAiTitle(updated)).toBe(true);
+    });
+
+    it('should not match sessions far apart in time', async () => {
+      await store.reconcile([{ items: [item('https://a.com', 0)] }]);
+      await store.reconcile([{ items: [item('https://a.com', 24 * 60)] }]);
+      expect(store.sessions).toHaveLength(2);
+    });
+  });
+
+  describe('merge and split', () => {
+    beforeEach(async () => {
+      await store.reconcile([
+        { items: [item('https://a.com', 0), item('https://b.com', 10)] },
+        { items: [item('https://c.com', 120), item('https://d.com', 130)] }
+      ]);
+      await store.update(store.sessions[1].id, { name: 'Later work' });
+    });
+
+    it('should merge sessions in time order and lock the result', async () => {
+      const merged = await store.merge(store.sessions.map(s => s.id));
+      expect(merged.pages.map(p => p.url)).toEqual(['https://a.com', 'https://b.com', 'https://c.com', 'https://d.com']);
+      expect(merged.name).toBe('Later work');
+      expect(merged.locked).toBe(true);
+      expect(store.sessions).toEqual([merged]);
+    });
+
+    it('should require two sessions to merge', async () => {
+      await expect(store.merge([store.sessions[0].id])).rejects.toThrow('at least two');
+    });
+
+    it('should split a session at a page', async () => {
+      const merged = await store.merge(store.sessions.map(s => s.id));
+      const [first, second] = await store.split(merged.id, 2);
+      expect(first.pages.map(p => p.url)).toEqual(['https://a.com', 'https://b.com']);
+      expect(second.pages.map(p => p.url)).toEqual(['https://c.com', 'https://d.com']);
+      expect(first.id).not.toBe(second.id);
+      expect(store.sessions).toHaveLength(2);
+    });
+
+    it('should not let reconcile change locked sessions', async () => {
+      const merged = await store.merge(store.sessions.map(s => s.id));
+      await store.reconcile([{ items: [item('https://a.com', 0), item('https://b.com', 10), item('https://e.com', 15)] }]);
+      expect(merged.pages).toHaveLength(4);
+    });
+  });
+
+  describe('list', () => {
+    it('should put pinned sessions first and hide archived ones', async () => {
+      await store.reconcile([
+        { items: [item('https://a.com', 0)] },
+        { items: [item('https://c.com', 120)] },
+        { items: [item('https://e.com', 240)] }
+      ]);
+      const [oldest, middle, newest] = [...store.sessions].sort((a, b) => a.startTime - b.startTime);
+      await store.update(oldest.id, { pinned: true });
+      await store.update(newest.id, { archived: true });
+
+      expect((await store.list()).map(s => s.id)).toEqual([oldest.id, middle.id]);
+      expect(await store.list({ includeArchived: true })).toHaveLength(3);
+    });
+  });
+
+  describe('titles', () => {
+    it('should prefer name, then AI title, then keywords', async () => {
+      const [session] = await store.reconcile([{ items: [
+        item('https://a.com', 0, 'Kubernetes ingress guide'),
+        item('https://b.com', 5, 'Kubernetes TLS setup')
+      ] }]);
+      expect(SessionStore.getDisplayTitle(session)).toMatch(/^Kubernetes/);
+
+      await store.setAiTitle(session.id, 'Kubernetes networking');
+      expect(SessionStore.getDisplayTitle(session)).toBe('Kubernetes networking');
+      expect(SessionStore.needsAiTitle(session)).toBe(false);
+
+      await store.update(session.id, { name: 'My cluster' });
+      expect(SessionStore.getDisplayTitle(session)).toBe('My cluster');
+    });
+  });
+});
@@ -0,0 +1,51 @@
+// Tests for schema-validated structured output from language model sessions
+const AIService = require('../../services/ai-service.js');
+const { EnhancedErrorHandler } = require('../../services/enhanced-error-handler.js');
+
+describe('AIService.runStructuredPrompt', () => {
+  const schema = { type: 'array', items: { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] } };
+
+  beforeEach(() => {
+    global.JsonSchema = require('../../utils/json-schema.js');
+    global.EnhancedErrorHandler = EnhancedErrorHandler;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  it('should send the schema as a response constraint and return the parsed value', async () => {
+    const model = { prompt: jest.fn().mockResolvedValue('```json\n[{"name": "Rust"},]\n```') };
+
+    const result = await AIService.runStructuredPrompt(model, 'Cluster these', schema);
+
+    expect(result).toEqual([{ name: 'Rust' }]);
+    expect(model.prompt.mock.calls[0][0]).toContain('"required":["name"]');
+    expect(model.prompt.mock.calls[0][1].responseConstraint).toBe(schema);
+  });
+
+  it('should ask the session to repair invalid replies', async () => {
+    const model = { prompt: jest.fn()
+      .mockResolvedValueOnce('Sure! Here you go.')
+      .mockResolvedValueOnce('[{"title": "Rust"}]')
+      .mockResolvedValueOnce('[{"name": "Rust"}]') };
+
+    const result = await AIService.runStructuredPrompt(model, 'Cluster these', schema);
+
+    expect(result).toEqual([{ name: 'Rust' }]);
+    expect(model.prompt).toHaveBeenCalledTimes(3);
+    expect(model.prompt.mock.calls[2][0]).toContain('$[0].name is required');
+  });
+
+  it('should throw a typed invalid output error after the last attempt', async () => {
+    const model = { prompt: jest.fn().mockResolvedValue('{"name": 1}') };
+
+    const error = await AIService.runStructuredPrompt(model, 'Cluster these', schema, { maxAttempts: 2 }).catch(e => e);
+
+    expect(error.type).toBe(EnhancedErrorHandler.Types.INVALID_OUTPUT);
+    expect(error.metadata.attempts).toBe(2);
+    expect(error.metadata.errors).toEqual(['$ should be array, got object']);
+    expect(EnhancedErrorHandler.shouldRetry(error)).toBe(false);
+  });
+});
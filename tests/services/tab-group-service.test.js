@@ -0,0 +1,87 @@
+// Tests for TabGroupService
+const TabGroupService = require('../../services/tab-group-service.js');
+
+describe('TabGroupService', () => {
+  let service;
+  let nextTabId;
+
+  beforeEach(() => {
+    service = new TabGroupService();
+    nextTabId = 1;
+    chrome.storage.local.get.mockResolvedValue({});
+    chrome.storage.local.set.mockResolvedValue();
+    chrome.tabs.query.mockReset();
+    chrome.tabs.query.mockResolvedValue([]);
+    chrome.tabs.create = jest.fn(async ({ url }) => ({ id: nextTabId++, url }));
+    chrome.tabs.group = jest.fn(async () => 42);
+    chrome.tabGroups = { update: jest.fn(async () => ({})) };
+  });
+
+  afterEach(() => {
+    delete chrome.tabs.create;
+    delete chrome.tabs.group;
+    delete chrome.tabGroups;
+  });
+
+  describe('orderPages', () => {
+    it('should order pages by visit time and drop duplicates and internal pages', () => {
+      const pages = TabGroupService.orderPages([
+        { url: 'https://b.com', title: 'B', lastVisitTime: 20 },
+        { url: 'chrome://settings', title: 'Settings', lastVisitTime: 5 },
+        { url: 'https://a.com/', title: 'A', visitTime: 10 },
+        { url: 'https://a.com#top', title: 'A again', visitTime: 30 }
+      ]);
+      expect(pages).toEqual([{ url: 'https://a.com/', title: 'A' }, { url: 'https://b.com', title: 'B' }]);
+    });
+  });
+
+  describe('planTabs', () => {
+    it('should skip pages already open only when asked', () => {
+      const pages = [{ url: 'https://a.com' }, { url: 'https://b.com' }];
+      const tabs = [{ url: 'https://a.com/#intro' }];
+      expect(TabGroupService.planTabs(pages, tabs, true)).toEqual({
+        toOpen: [{ url: 'https://b.com' }],
+        alreadyOpen: [{ url: 'https://a.com' }]
+      });
+      expect(TabGroupService.planTabs(pages, tabs, false).toOpen).toHaveLength(2);
+    });
+  });
+
+  describe('openAsGroup', () => {
+    it('should open pages in order and name the group', async () => {
+      chrome.tabs.query.mockResolvedValue([{ url: 'https://b.com' }]);
+      const result = await service.openAsGroup('Kubernetes networking', [
+        { url: 'https://c.com', visitTime: 3 },
+        { url: 'https://a.com', visitTime: 1 },
+        { url: 'https://b.com', visitTime: 2 }
+      ]);
+
+      expect(chrome.tabs.create.mock.calls.map(call => call[0].url)).toEqual(['https://a.com', 'https://c.com']);
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [1, 2] });
+      expect(chrome.tabGroups.update).toHaveBeenCalledWith(42, { title: 'Kubernetes networking', collapsed: false });
+      expect(result).toEqual({ groupId: 42, opened: 2, skipped: 1 });
+    });
+
+    it('should open nothing when every page is already open', async () => {
+      chrome.tabs.query.mockResolvedValue([{ url: 'https://a.com' }]);
+      const result = await service.openAsGroup('Session', [{ url: 'https://a.com' }]);
+      expect(chrome.tabs.create).not.toHaveBeenCalled();
+      expect(result).toEqual({ groupId: null, opened: 0, skipped: 1 });
+    });
+
+    it('should open tabs without grouping when tab groups are unavailable', async () => {
+      delete chrome.tabGroups;
+      const result = await service.openAsGroup('Session', [{ url: 'https://a.com' }], { skipOpenTabs: false });
+      expect(chrome.tabs.query).not.toHaveBeenCalled();
+      expect(result).toEqual({ groupId: null, opened: 1, skipped: 0 });
+    });
+  });
+
+  describe('formatTitle', () => {
+    it('should shorten long titles', () => {
+      const title = service.formatTitle('x'.repeat(60));
+      expect(title).toHaveLength(service.maxTitleLength);
+      expect(title.endsWith('…')).toBe(true);
+    });
+  });
+});
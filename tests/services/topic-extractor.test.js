@@ -0,0 +1,109 @@
+// Tests for TopicExtractor keyphrases, whole-word matching and AI label refinement
+global.TextUtils = require('../../utils/text-utils.js');
+global.TopicClustering = require('../../utils/topic-clustering.js');
+const TopicExtractor = require('../../services/topic-extractor.js');
+
+describe('TopicExtractor', () => {
+  const page = (url, title, extra = {}) => ({ url, title, ...extra });
+  const rust = [
+    page('https://doc.rust-lang.org/book/ch04-borrowing', 'Understanding ownership and borrowing - The Rust Book'),
+    page('https://stackoverflow.com/questions/1/rust-borrow-checker-error', 'Rust borrow checker error with mutable reference - Stack Overflow'),
+    page('https://blog.example.com/rust-lifetimes', 'Rust lifetimes and the borrow checker explained')
+  ];
+
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new TopicExtractor();
+  });
+
+  describe('extract', () => {
+    it('should rank multi-word keyphrases from the title and URL path', () => {
+      const phrases = extractor.extract(rust[1]).map(entry => entry.phrase);
+
+      expect(phrases.slice(0, 2)).toEqual(['rust borrow checker', 'mutable reference']);
+      expect(phrases).not.toContain('stack overflow'); // the site name is not a topic
+    });
+
+    it('should use captured headings and page text when the page has them', () => {
+      const phrases = extractor.extract(page('https://example.com/post/123', 'Weekly notes', {
+        headings: [{ text: 'Vector databases' }],
+        text: 'Vector databases store embeddings. We compare vector databases for search.'
+      })).map(entry => entry.phrase);
+
+      expect(phrases.slice(0, 2)).toEqual(['weekly notes', 'vector databases']);
+    });
+
+    it('should split phrases with the stoplist of the detected language', () => {
+      const title = 'Wie die Inflation in Deutschland sinkt und was das für die Zinsen bedeutet';
+      const phrases = extractor.extract(page('https://www.spiegel.de/wirtschaft', title));
+
+      expect(TopicExtractor.detectLanguage(title)).toBe('de');
+      expect(phrases.map(entry => entry.phrase)).toEqual(expect.arrayContaining(['deutschland sinkt', 'zinsen bedeutet', 'inflation']));
+      expect(phrases[0].language).toBe('de');
+    });
+  });
+
+  describe('extractTopics', () => {
+    it('should return keyphrases shared by several pages, counting parts of longer phrases', () => {
+      const topics = extractor.extractTopics(rust);
+
+      expect(topics.map(topic => [topic.phrase, topic.count])).toEqual([
+        ['borrow', 3],
+        ['rust', 3],
+        ['borrow checker', 2]
+      ]);
+      expect(topics[2].urls).toEqual([rust[1].url, rust[2].url]);
+    });
+  });
+
+  describe('matches', () => {
+    it('should match whole words and phrases only', () => {
+      expect(extractor.matches('Convert jsonl files and adjust the schema', ['js'])).toBe(false);
+      expect(extractor.matches('Learn JS in a weekend', ['js'])).toBe(true);
+      expect(extractor.matches('Tutorials for Go', ['tutorial'])).toBe(true);
+      expect(extractor.matches('Page not found', ['not found'])).toBe(true);
+      expect(extractor.matches('Found nothing, not here', ['not found'])).toBe(false);
+    });
+
+    it('should classify learning intents without substring false positives', () => {
+      expect(extractor.classify(page('https://example.com/a', 'How to adjust jsonl output'))).toBe('tutorials');
+      expect(extractor.classify(page('https://example.com/b', 'Rapid prototyping'))).toBeNull(); // "api" inside "rapid"
+      expect(extractor.classify(page('https://docs.python.org/3/library/json.html', 'json — JSON encoder'))).toBe('documentation');
+    });
+  });
+
+  describe('refineLabels', () => {
+    it('should title-case the phrases when no model is available', async () => {
+      const labels = await extractor.refineLabels(['borrow checker', 'rust', 'rust'], { limit: 2 });
+
+      expect(labels).toEqual([
+        { label: 'Borrow Checker', phrases: ['borrow checker'] },
+        { label: 'Rust', phrases: ['rust'] }
+      ]);
+    });
+
+    it('should group phrases with the model and cache the result', async () => {
+      const aiService = {
+        aiAvailable: true,
+        promptStructured: jest.fn().mockResolvedValue([
+          { label: 'Rust Borrowing', phrases: ['borrow checker', 'borrowing', 'made up'] }
+        ])
+      };
+      extractor = new TopicExtractor(aiService);
+
+      const labels = await extractor.refineLabels(['borrow checker', 'borrowing']);
+      await extractor.refineLabels(['borrow checker', 'borrowing']);
+
+      expect(labels).toEqual([{ label: 'Rust Borrowing', phrases: ['borrow checker', 'borrowing'] }]);
+      expect(aiService.promptStructured).toHaveBeenCalledTimes(1);
+      expect(aiService.promptStructured.mock.calls[0][1]).toBe(TopicExtractor.LABEL_SCHEMA);
+    });
+
+    it('should fall back to the phrases when the model fails', async () => {
+      extractor = new TopicExtractor({ aiAvailable: true, promptStructured: jest.fn().mockRejectedValue(new Error('busy')) });
+
+      expect(await extractor.refineLabels(['rust'])).toEqual([{ label: 'Rust', phrases: ['rust'] }]);
+    });
+  });
+});
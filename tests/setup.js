@@ -68,15 +68,8 @@ global.window = {
   }
 };
 
-// Mock URL constructor
-global.URL = class URL {
-  constructor(url) {
-    this.href = url;
-    this.hostname = new URL(url).hostname;
-    this.pathname = new URL(url).pathname;
-    this.searchParams = new URL(url).searchParams;
-  }
-};
+// Node's URL, subclassed so the createObjectURL mocks below do not touch the real class
+global.URL = class URL extends require('url').URL {};
 
 // Mock setTimeout and setInterval
 global.setTimeout = jest.fn((callback, delay) => {
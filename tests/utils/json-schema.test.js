@@ -0,0 +1,53 @@
+// Tests for JsonSchema parsing and validation of structured AI output
+const JsonSchema = require('../../utils/json-schema.js');
+
+describe('JsonSchema', () => {
+  describe('parseLoose', () => {
+    it('should parse plain JSON', () => {
+      expect(JsonSchema.parseLoose('{"a": 1}')).toEqual({ a: 1 });
+    });
+
+    it('should recover JSON from code fences, prose and trailing commas', () => {
+      expect(JsonSchema.parseLoose('Here it is:\n```json\n[1, 2,]\n```')).toEqual([1, 2]);
+      expect(JsonSchema.parseLoose('Result: {"items": [{"a": 1},],} Hope this helps')).toEqual({ items: [{ a: 1 }] });
+    });
+
+    it('should throw when no JSON can be recovered', () => {
+      expect(() => JsonSchema.parseLoose('no json here')).toThrow(SyntaxError);
+    });
+  });
+
+  describe('validate', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        intent: { type: 'string', enum: ['work', 'learning'] },
+        items: { type: 'array', minItems: 1, items: { type: 'integer' } },
+        confidence: { type: 'number', minimum: 0, maximum: 1 }
+      },
+      required: ['name', 'items'],
+      additionalProperties: false
+    };
+
+    it('should accept values matching the schema', () => {
+      expect(JsonSchema.validate({ name: 'Rust', intent: 'work', items: [1, 2], confidence: 0.8 }, schema)).toEqual([]);
+    });
+
+    it('should report each problem with its path', () => {
+      const errors = JsonSchema.validate({ intent: 'fun', items: [1, 'two'], confidence: 2, extra: true }, schema);
+
+      expect(errors).toEqual([
+        '$.name is required',
+        '$.intent should be one of "work", "learning"',
+        '$.items[1] should be integer, got string',
+        '$.confidence should be <= 1',
+        '$.extra is not allowed'
+      ]);
+    });
+
+    it('should report a type mismatch at the root', () => {
+      expect(JsonSchema.validate([], schema)).toEqual(['$ should be object, got array']);
+    });
+  });
+});
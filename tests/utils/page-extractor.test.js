@@ -0,0 +1,67 @@
+// Tests for PageExtractor readable content extraction
+const PageExtractor = require('../../utils/page-extractor.js');
+
+describe('PageExtractor', () => {
+  const paragraph = (text) => `<p>${text}, with enough words, commas, and detail to count as real content.</p>`;
+
+  beforeEach(() => {
+    document.head.innerHTML = '<title>Understanding Rust Lifetimes</title><meta name="description" content="A guide to lifetimes in Rust">';
+    document.body.innerHTML = `
+      <nav><a href="/">Home</a><a href="/blog">Blog</a></nav>
+      <div class="sidebar"><p>Subscribe to the newsletter, follow us, and share this post everywhere.</p></div>
+      <div class="post-content">
+        <h1>Understanding Rust Lifetimes</h1>
+        ${paragraph('Lifetimes describe how long references are valid')}
+        <h2>Elision rules</h2>
+        ${paragraph('The compiler infers most lifetimes for you')}
+        ${paragraph('Explicit annotations are needed when signatures are ambiguous')}
+      </div>
+      <footer><p>Copyright notice, terms of service, privacy policy, and cookie settings.</p></footer>
+      <script>var tracking = true;</script>
+    `;
+  });
+
+  it('should extract title, meta description and headings', () => {
+    const page = PageExtractor.extract(document);
+
+    expect(page.title).toBe('Understanding Rust Lifetimes');
+    expect(page.description).toBe('A guide to lifetimes in Rust');
+    expect(page.headings).toEqual([
+      { level: 1, text: 'Understanding Rust Lifetimes' },
+      { level: 2, text: 'Elision rules' }
+    ]);
+  });
+
+  it('should keep main content and drop boilerplate', () => {
+    const page = PageExtractor.extract(document);
+
+    expect(page.text).toContain('Lifetimes describe how long references are valid');
+    expect(page.text).toContain('Explicit annotations are needed');
+    expect(page.text).not.toContain('newsletter');
+    expect(page.text).not.toContain('Copyright');
+    expect(page.text).not.toContain('tracking');
+    expect(page.wordCount).toBeGreaterThan(30);
+  });
+
+  it('should not modify the live document', () => {
+    PageExtractor.extract(document);
+    expect(document.querySelector('nav')).not.toBeNull();
+    expect(document.querySelector('script')).not.toBeNull();
+  });
+
+  it('should respect maxChars', () => {
+    const page = PageExtractor.extract(document, { maxChars: 50 });
+    expect(page.text).toHaveLength(50);
+    expect(page.truncated).toBe(true);
+  });
+
+  it('should prefer an article element', () => {
+    document.body.innerHTML = `
+      <div class="content">${paragraph('Unrelated listing text')}</div>
+      <article>${paragraph('The actual article body')}</article>
+    `;
+    const page = PageExtractor.extract(document);
+    expect(page.text).toContain('The actual article body');
+    expect(page.text).not.toContain('Unrelated listing text');
+  });
+});
@@ -0,0 +1,185 @@
+// Tests for PageToasts: escaped templating, the toast stack and queue, keyboard dismissal and themes
+global.TextUtils = require('../../utils/text-utils.js');
+const PageToasts = require('../../utils/page-toasts.js');
+
+describe('PageToasts', () => {
+  let toasts;
+
+  const titles = () => [...toasts.root.querySelectorAll('.toast .title')].map(element => element.textContent);
+  const keydown = (target, key = 'Escape') => target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, composed: true }));
+
+  beforeEach(() => {
+    document.documentElement.querySelectorAll(`#${PageToasts.HOST_ID}`).forEach(host => host.remove());
+    chrome.runtime.sendMessage.mockClear();
+    toasts = new PageToasts(document);
+  });
+
+  describe('html', () => {
+    it('should escape interpolated values but keep nested markup', () => {
+      const { html } = PageToasts;
+      const title = '<img src=x onerror="alert(1)">';
+
+      const markup = html`<div title="${title}">${[title, html`<b>${'&'}</b>`]}</div>`;
+
+      expect(markup.value).toBe('<div title="&lt;img src=x onerror=&quot;alert(1)&quot;&gt;">&lt;img src=x onerror=&quot;alert(1)&quot;&gt;<b>&amp;</b></div>');
+    });
+
+    it('should only link to web pages', () => {
+      const html = PageToasts.render({
+        title: 'Links',
+        sections: [{ text: 'Bad', link: { href: 'javascript:alert(1)' } }],
+        actions: [{ label: 'Go', href: 'https://example.com/?a=1&b=2' }]
+      }, 't1').value;
+
+      expect(html).not.toContain('javascript:');
+      expect(html).toContain('href="https://example.com/?a=1&amp;b=2"');
+    });
+  });
+
+  describe('stack', () => {
+    it('should mount inside a closed shadow root', () => {
+      toasts.show({ title: '<b>Hello</b>', timeout: 0 });
+
+      const host = document.getElementById(PageToasts.HOST_ID);
+      expect(host.shadowRoot).toBeNull();
+      expect(host.innerHTML).toBe('');
+      expect(titles()).toEqual(['<b>Hello</b>']);
+    });
+
+    it('should queue toasts beyond the visible limit and show them as others leave', () => {
+      const ids = ['1', '2', '3', '4'].map(title => toasts.show({ title, timeout: 0 }));
+
+      expect(titles()).toEqual(['1', '2', '3']);
+      toasts.dismiss(ids[0]);
+      expect(titles()).toEqual(['2', '3', '4']);
+    });
+
+    it('should replace a toast with the same key, shown or queued', () => {
+      const first = toasts.show({ key: 'similar', title: 'Old', timeout: 0 });
+      const second = toasts.show({ key: 'similar', title: 'New', timeout: 0 });
+      ['a', 'b', 'c'].forEach(title => toasts.show({ title, timeout: 0 }));
+      toasts.show({ key: 'queued', title: 'Queued old', timeout: 0 });
+      toasts.show({ key: 'queued', title: 'Queued new', timeout: 0 });
+
+      expect(second).toBe(first);
+      expect(titles()).toEqual(['New', 'a', 'b']);
+      expect(toasts.queue.map(toast => toast.spec.title)).toEqual(['c', 'Queued new']);
+    });
+
+    it('should dismiss after the timeout', () => {
+      toasts.show({ title: 'Brief', timeout: 5000 });
+
+      expect(setTimeout).toHaveBeenCalledWith(expect.any(Function), 5000);
+      expect(titles()).toEqual([]);
+    });
+  });
+
+  describe('interaction', () => {
+    it('should dismiss the newest toast on Escape from the page and the focused one from the toast', () => {
+      toasts.show({ title: 'First', timeout: 0 });
+      toasts.show({ title: 'Second', timeout: 0 });
+      toasts.show({ title: 'Third', timeout: 0 });
+
+      keydown(document.body);
+      expect(titles()).toEqual(['First', 'Second']);
+
+      keydown(toasts.root.querySelector('.toast'));
+      expect(titles()).toEqual(['Second']);
+
+      keydown(document.body, 'Enter');
+      expect(titles()).toEqual(['Second']);
+    });
+
+    it('should toggle details and send action messages to the extension', () => {
+      toasts.show({
+        key: 'revisit',
+        title: 'Visited',
+        timeout: 0,
+        details: { label: 'View More (2)', items: [{ text: 'a' }, { text: 'b' }] },
+        actions: [{ id: 'mute-page', label: "Don't show for this page", message: { url: 'https://example.com/' } }]
+      });
+      const toggle = toasts.root.querySelector('[data-toggle]');
+
+      toggle.click();
+      expect(toasts.root.querySelector('.details').hidden).toBe(false);
+      expect(toggle.getAttribute('aria-expanded')).toBe('true');
+      toggle.click();
+      expect(toggle.textContent).toBe('View More (2)');
+
+      toasts.root.querySelector('[data-action="0"]').click();
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+        type: 'PAGE_TOAST_ACTION', action: 'mute-page', key: 'revisit', data: { url: 'https://example.com/' }
+      });
+      expect(titles()).toEqual([]);
+    });
+  });
+
+  describe('showInTab', () => {
+    let pageGlobals;
+
+    beforeEach(() => {
+      chrome.tabs.get.mockReset();
+      chrome.tabs.get.mockResolvedValue({ id: 4, url: 'https://example.com/' });
+      chrome.storage.local.get.mockReset();
+      chrome.storage.local.get.mockResolvedValue({});
+      chrome.scripting.executeScript.mockReset();
+      chrome.scripting.executeScript.mockImplementation(async ({ func, files }) => {
+        if (files) {
+          files.forEach(file => {
+            const name = file === 'utils/text-utils.js' ? 'TextUtils' : 'PageToasts';
+            if (pageGlobals.includes(name)) throw new Error(`Identifier '${name}' has already been declared`);
+            pageGlobals.push(name);
+          });
+          return [];
+        }
+        const source = func.toString();
+        const defined = source.includes('PageToasts.show') ? pageGlobals.includes('PageToasts') : pageGlobals.includes('TextUtils');
+        return [{ result: defined }];
+      });
+    });
+
+    it('should inject only the scripts a page opened before an update is missing', async () => {
+      pageGlobals = ['TextUtils'];
+
+      expect(await PageToasts.showInTab(4, { title: 'Hi' })).toBe(true);
+      expect(chrome.scripting.executeScript).toHaveBeenCalledWith({ target: { tabId: 4 }, files: ['utils/page-toasts.js'] });
+    });
+
+    it('should inject both scripts into a page without content scripts', async () => {
+      pageGlobals = [];
+
+      expect(await PageToasts.showInTab(4, { title: 'Hi' })).toBe(true);
+      expect(chrome.scripting.executeScript).toHaveBeenCalledWith({ target: { tabId: 4 }, files: PageToasts.FILES });
+    });
+  });
+
+  describe('themes', () => {
+    const originalMatchMedia = window.matchMedia;
+
+    afterEach(() => {
+      window.matchMedia = originalMatchMedia;
+    });
+
+    it('should follow the page color scheme unless a theme is set', () => {
+      window.matchMedia = jest.fn(() => ({ matches: true }));
+
+      toasts.show({ title: 'Auto', timeout: 0 });
+      toasts.show({ title: 'Light', theme: 'light', timeout: 0 });
+
+      const themes = [...toasts.root.querySelectorAll('.toast')].map(element => element.dataset.theme);
+      expect(themes).toEqual(['dark', 'light']);
+    });
+
+    it('should keep only known themes in settings', async () => {
+      const storage = {};
+      chrome.storage.local.get.mockReset();
+      chrome.storage.local.set.mockReset();
+      chrome.storage.local.get.mockImplementation(async (key) => ({ [key]: storage[key] }));
+      chrome.storage.local.set.mockImplementation(async (values) => { Object.assign(storage, values); });
+
+      expect(await PageToasts.saveSettings({ theme: 'neon' })).toEqual({ theme: 'auto' });
+      await PageToasts.saveSettings({ theme: 'dark' });
+      expect(await PageToasts.loadSettings()).toEqual({ theme: 'dark' });
+    });
+  });
+});
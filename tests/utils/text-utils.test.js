@@ -0,0 +1,82 @@
+// Tests for TextUtils tokenization and similarity helpers
+const TextUtils = require('../../utils/text-utils.js');
+
+describe('TextUtils', () => {
+  describe('tokenize', () => {
+    it('should lowercase and split on non-word characters', () => {
+      expect(TextUtils.tokenize('Hello, World! Rust-2024')).toEqual(['hello', 'world', 'rust', '2024']);
+    });
+
+    it('should keep non-Latin letters', () => {
+      expect(TextUtils.tokenize('Café München')).toEqual(['café', 'münchen']);
+    });
+
+    it('should return an empty array for invalid input', () => {
+      expect(TextUtils.tokenize(null)).toEqual([]);
+      expect(TextUtils.tokenize(42)).toEqual([]);
+    });
+  });
+
+  describe('terms', () => {
+    it('should drop stopwords, numbers and short tokens', () => {
+      expect(TextUtils.terms('The history of a 2024 Rust release', { stem: false })).toEqual(['history', 'rust', 'release']);
+    });
+
+    it('should stem by default', () => {
+      expect(TextUtils.terms('running tests')).toEqual(['run', 'test']);
+    });
+  });
+
+  describe('stem', () => {
+    it('should strip common English suffixes', () => {
+      expect(TextUtils.stem('libraries')).toBe('library');
+      expect(TextUtils.stem('lifetimes')).toBe('lifetime');
+      expect(TextUtils.stem('parsed')).toBe('pars');
+      expect(TextUtils.stem('running')).toBe('run');
+    });
+
+    it('should leave short and non-ASCII words unchanged', () => {
+      expect(TextUtils.stem('bus')).toBe('bus');
+      expect(TextUtils.stem('straße')).toBe('straße');
+    });
+  });
+
+  describe('urlToText', () => {
+    it('should turn host and path into words', () => {
+      expect(TextUtils.urlToText('https://www.rust-lang.org/learn/get-started?x=1'))
+        .toBe('rust-lang learn get started');
+    });
+
+    it('should return empty string for non-URLs', () => {
+      expect(TextUtils.urlToText('not a url')).toBe('');
+    });
+  });
+
+  describe('cosineSimilarity', () => {
+    it('should compute similarity of vectors', () => {
+      expect(TextUtils.cosineSimilarity([1, 0], [1, 0])).toBeCloseTo(1);
+      expect(TextUtils.cosineSimilarity([1, 0], [0, 1])).toBeCloseTo(0);
+    });
+
+    it('should return 0 for mismatched or empty vectors', () => {
+      expect(TextUtils.cosineSimilarity([1, 2], [1])).toBe(0);
+      expect(TextUtils.cosineSimilarity([], [])).toBe(0);
+      expect(TextUtils.cosineSimilarity([0, 0], [1, 1])).toBe(0);
+    });
+  });
+
+  describe('escapeHtml', () => {
+    it('should escape markup characters', () => {
+      expect(TextUtils.escapeHtml('<a href="x">Tom & Jerry\'s</a>'))
+        .toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+      expect(TextUtils.escapeHtml(null)).toBe('');
+    });
+  });
+
+  describe('hash', () => {
+    it('should be stable and change with input', () => {
+      expect(TextUtils.hash('abc')).toBe(TextUtils.hash('abc'));
+      expect(TextUtils.hash('abc')).not.toBe(TextUtils.hash('abd'));
+    });
+  });
+});
@@ -0,0 +1,93 @@
+// Tests for TopicClustering agglomerative clustering and c-TF-IDF labels
+global.TextUtils = require('../../utils/text-utils.js');
+const TopicClustering = require('../../utils/topic-clustering.js');
+
+describe('TopicClustering', () => {
+  const page = (url, title) => ({ id: url, url, title });
+  const documents = [
+    page('https://doc.rust-lang.org/book/ch04-borrowing', 'Understanding ownership and borrowing - The Rust Book'),
+    page('https://stackoverflow.com/questions/1/rust-borrow-checker-error', 'Rust borrow checker error with mutable reference'),
+    page('https://blog.example.com/rust-lifetimes', 'Rust lifetimes and borrowing explained'),
+    page('https://www.allrecipes.com/recipe/pasta-carbonara', 'Classic pasta carbonara recipe'),
+    page('https://www.seriouseats.com/carbonara', 'The best carbonara pasta'),
+    page('https://news.ycombinator.com/', 'Hacker News')
+  ];
+
+  describe('cluster', () => {
+    it('should group pages by topic across domains and leave the rest unclustered', () => {
+      const result = TopicClustering.cluster({ documents });
+
+      expect(result.clusters.map(cluster => cluster.ids)).toEqual([
+        documents.slice(0, 3).map(doc => doc.id),
+        documents.slice(3, 5).map(doc => doc.id)
+      ]);
+      expect(result.unclustered).toEqual([documents[5].id]);
+      expect(result.clusters[0].cohesion).toBeGreaterThan(0.2);
+    });
+
+    it('should label clusters with their distinctive terms in their original spelling', () => {
+      const [rust, pasta] = TopicClustering.cluster({ documents }).clusters;
+
+      expect(rust.terms).toEqual(['borrowing', 'rust']);
+      expect(pasta.terms).toEqual(['carbonara', 'pasta']);
+    });
+
+    it('should use embeddings when every page has a vector', () => {
+      const withVectors = documents.slice(0, 4).map((doc, i) => ({ ...doc, vector: i % 2 === 0 ? [1, 0.1] : [0, 1] }));
+
+      const result = TopicClustering.cluster({ documents: withVectors, threshold: 0.9 });
+
+      expect(result.clusters.map(cluster => cluster.ids)).toEqual([
+        [withVectors[0].id, withVectors[2].id],
+        [withVectors[1].id, withVectors[3].id]
+      ]);
+    });
+
+    it('should keep every page apart above a strict threshold', () => {
+      expect(TopicClustering.cluster({ documents, threshold: 1.01 }).clusters).toEqual([]);
+      expect(TopicClustering.cluster({ documents: [] })).toEqual({ clusters: [], unclustered: [] });
+    });
+  });
+
+  describe('threads', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const session = (id, day, pages) => ({ id, startTime: day * DAY, endTime: day * DAY + 30 * 60 * 1000, pages });
+
+    it('should link sessions on the same topic across days and label the thread', () => {
+      const sessions = [
+        session('s1', 1, [page('https://auth0.com/docs/oauth-migration', 'OAuth migration guide'), page('https://example.com/tokens', 'Refresh tokens')]),
+        session('s2', 2, [page('https://news.ycombinator.com/', 'Hacker News')]),
+        session('s3', 5, [page('https://stackoverflow.com/q/oauth-refresh-token', 'OAuth refresh token rotation')]),
+        session('s4', 9, [page('https://auth0.com/docs/oauth-migration', 'OAuth migration guide')]),
+        session('s5', 10, [page('https://www.allrecipes.com/recipe/pasta-carbonara', 'Classic pasta carbonara recipe')])
+      ];
+
+      const threads = TopicClustering.threads({ sessions });
+
+      expect(threads).toHaveLength(1);
+      expect(threads[0].sessionIds).toEqual(['s1', 's3', 's4']);
+      expect(threads[0].terms[0]).toBe('oauth');
+      expect(threads[0].days).toBe(3);
+      expect(threads[0].startTime).toBe(DAY);
+      expect(threads[0].endTime).toBe(9 * DAY + 30 * 60 * 1000);
+      expect(threads[0].activeMs).toBe(3 * 30 * 60 * 1000);
+    });
+
+    it('should need at least two sessions', () => {
+      expect(TopicClustering.threads({ sessions: [session('s1', 1, documents.slice(0, 3))] })).toEqual([]);
+    });
+  });
+
+  describe('agglomerate', () => {
+    it('should merge with average linkage', () => {
+      // a-b are close, c is close to a but far from b: the average keeps c out
+      const similarity = new Float32Array([
+        0, 0.9, 0.5,
+        0.9, 0, 0.1,
+        0.5, 0.1, 0
+      ]);
+
+      expect(TopicClustering.agglomerate(similarity, 3, 0.4)).toEqual([[0, 1], [2]]);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+// Tests for VectorSearch ranking
+global.TextUtils = require('../../utils/text-utils.js');
+const VectorSearch = require('../../utils/vector-search.js');
+
+describe('VectorSearch', () => {
+  const documents = [
+    { id: 'a', fields: { title: 'Understanding lifetimes in Rust', url: 'https://doc.rust-lang.org/book/ch10-03.html' } },
+    { id: 'b', fields: { title: 'Cooking pasta at home', url: 'https://example.com/pasta' } },
+    { id: 'c', fields: { title: 'Borrow checker notes', url: 'https://blog.example.com/post', content: 'Rust lifetime annotations explained' } }
+  ];
+
+  describe('rank without vectors', () => {
+    it('should rank keyword matches with BM25', () => {
+      const results = VectorSearch.rank({ query: 'rust lifetimes', documents });
+
+      expect(results.map(r => r.id)).toEqual(['a', 'c']);
+      expect(results[0].method).toBe('keyword');
+      expect(results[0].matchedTerms).toEqual(['rust', 'lifetime']);
+      expect(results[0].matchedFields).toEqual(['title', 'url']);
+      expect(results[1].matchedFields).toEqual(['content']);
+    });
+
+    it('should return nothing when no document matches', () => {
+      expect(VectorSearch.rank({ query: 'quantum', documents })).toEqual([]);
+    });
+
+    it('should respect the limit', () => {
+      expect(VectorSearch.rank({ query: 'rust', documents, limit: 1 })).toHaveLength(1);
+    });
+  });
+
+  describe('rank with vectors', () => {
+    it('should find semantically similar documents without shared words', () => {
+      const withVectors = [
+        { ...documents[0], vector: [0.9, 0.1] },
+        { ...documents[1], vector: [0, 1] }
+      ];
+      const results = VectorSearch.rank({ query: 'memory safety', queryVector: [1, 0], documents: withVectors });
+
+      expect(results).toHaveLength(1);
+      expect(results[0].id).toBe('a');
+      expect(results[0].method).toBe('semantic');
+      expect(results[0].similarity).toBeGreaterThan(0.9);
+    });
+
+    it('should combine keyword and semantic scores', () => {
+      const withVectors = [{ ...documents[0], vector: [1, 0] }];
+      const [result] = VectorSearch.rank({ query: 'rust', queryVector: [1, 0], documents: withVectors });
+
+      expect(result.method).toBe('hybrid');
+      expect(result.score).toBeCloseTo(1);
+    });
+  });
+});
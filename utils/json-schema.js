@@ -0,0 +1,103 @@
+// JSON Schema utilities - Parse and validate structured AI output
+// Supports the subset of JSON Schema used for model output constraints: type, properties,
+// required, additionalProperties, items, enum, minItems/maxItems, minLength/maxLength,
+// minimum/maximum.
+class JsonSchema {
+  /**
+   * Parse JSON from model output, tolerating code fences, surrounding prose and trailing commas
+   * @param {string} text - Raw model output
+   * @returns {*} - Parsed value
+   * @throws {SyntaxError} - When no JSON value can be recovered
+   */
+  static parseLoose(text) {
+    if (text && typeof text === 'object') return text;
+    const raw = String(text || '').trim();
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(raw);
+      let candidate = fenced ? fenced[1].trim() : raw;
+
+      // Cut to the outermost array or object
+      const start = candidate.search(/[[{]/);
+      if (start === -1) throw error;
+      const open = candidate[start];
+      const end = candidate.lastIndexOf(open === '[' ? ']' : '}');
+      if (end <= start) throw error;
+      candidate = candidate.slice(start, end + 1).replace(/,\s*([\]}])/g, '$1');
+      return JSON.parse(candidate);
+    }
+  }
+
+  // JSON type name of a value ('integer' only when asked for)
+  static typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  static matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return JsonSchema.typeOf(value) === type;
+  }
+
+  /**
+   * Validate a value against a schema
+   * @param {*} value - Value to check
+   * @param {Object} schema - JSON schema
+   * @param {string} path - Location used in messages
+   * @returns {string[]} - Error messages, empty when valid
+   */
+  static validate(value, schema, path = '$') {
+    if (!schema || typeof schema !== 'object') return [];
+    const errors = [];
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => JsonSchema.matchesType(value, type))) {
+        return [`${path} should be ${types.join(' or ')}, got ${JsonSchema.typeOf(value)}`];
+      }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} should have at least ${schema.minLength} characters`);
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} should have at most ${schema.maxLength} characters`);
+    }
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} should have at least ${schema.minItems} items`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} should have at most ${schema.maxItems} items`);
+      if (schema.items) {
+        value.forEach((item, index) => errors.push(...JsonSchema.validate(item, schema.items, `${path}[${index}]`)));
+      }
+    } else if (value && typeof value === 'object') {
+      const properties = schema.properties || {};
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+      });
+      Object.entries(value).forEach(([key, child]) => {
+        if (properties[key]) {
+          errors.push(...JsonSchema.validate(child, properties[key], `${path}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key} is not allowed`);
+        }
+      });
+    }
+    return errors;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = JsonSchema;
+} else if (typeof self !== 'undefined') {
+  self.JsonSchema = JsonSchema;
+}
@@ -0,0 +1,169 @@
+// Page Extractor - Readability-style main content extraction
+// Runs in the content script; scores block containers by paragraph text, punctuation and
+// link density, then keeps the best candidate plus related siblings.
+
+class PageExtractor {
+  // Class/id hints used when scoring containers
+  static get POSITIVE_PATTERN() {
+    return /article|body|content|entry|main|page|post|text|blog|story|prose|markdown/i;
+  }
+
+  static get NEGATIVE_PATTERN() {
+    return /comment|combx|contact|foot|footer|footnote|masthead|meta|nav|outbrain|promo|related|scroll|share|shoutbox|sidebar|sponsor|shopping|tags|tool|widget|banner|cookie|consent|modal|popup|subscribe|newsletter|ad-|ads/i;
+  }
+
+  // Elements that never hold readable content
+  static get REMOVE_SELECTOR() {
+    return 'script, style, noscript, template, iframe, svg, canvas, form, button, input, select, textarea, nav, aside, footer, header, [role="navigation"], [role="banner"], [role="complementary"], [aria-hidden="true"], [hidden]';
+  }
+
+  /**
+   * Extract readable content from a document
+   * @param {Document} doc - The document to read (not modified)
+   * @param {Object} options - { maxChars, minParagraphLength }
+   * @returns {Object} - { title, description, headings, text, lang, wordCount, truncated }
+   */
+  static extract(doc, options = {}) {
+    const { maxChars = 20000, minParagraphLength = 25 } = options;
+    const root = doc.body ? doc.body.cloneNode(true) : null;
+
+    const result = {
+      title: (doc.title || '').trim(),
+      description: PageExtractor.getMetaDescription(doc),
+      headings: [],
+      text: '',
+      lang: (doc.documentElement && doc.documentElement.lang) || '',
+      wordCount: 0,
+      truncated: false
+    };
+    if (!root) return result;
+
+    root.querySelectorAll(PageExtractor.REMOVE_SELECTOR).forEach(el => el.remove());
+    result.headings = PageExtractor.getHeadings(root);
+
+    const container = PageExtractor.findMainContainer(root, minParagraphLength);
+    let text = PageExtractor.collectText(container || root, minParagraphLength);
+    result.wordCount = (text.match(/\S+/g) || []).length;
+    if (text.length > maxChars) {
+      text = text.substring(0, maxChars);
+      result.truncated = true;
+    }
+    result.text = text;
+    return result;
+  }
+
+  // Meta description (standard, Open Graph or Twitter)
+  static getMetaDescription(doc) {
+    const selectors = ['meta[name="description"]', 'meta[property="og:description"]', 'meta[name="twitter:description"]'];
+    for (const selector of selectors) {
+      const meta = doc.querySelector(selector);
+      const content = meta && meta.getAttribute('content');
+      if (content && content.trim()) return content.trim().substring(0, 500);
+    }
+    return '';
+  }
+
+  // h1-h3 outline, deduplicated
+  static getHeadings(root, limit = 30) {
+    const seen = new Set();
+    const headings = [];
+    root.querySelectorAll('h1, h2, h3').forEach(el => {
+      const text = PageExtractor.normalizeWhitespace(el.textContent);
+      if (!text || text.length > 200 || seen.has(text) || headings.length >= limit) return;
+      seen.add(text);
+      headings.push({ level: Number(el.tagName.charAt(1)), text });
+    });
+    return headings;
+  }
+
+  // Score paragraph parents/grandparents and return the best container
+  static findMainContainer(root, minParagraphLength) {
+    const preferred = root.querySelector('article, main, [role="main"], [itemprop="articleBody"]');
+    const scores = new Map();
+
+    const addScore = (el, value) => {
+      if (!el || el === root.parentNode) return;
+      if (!scores.has(el)) scores.set(el, PageExtractor.initialScore(el));
+      scores.set(el, scores.get(el) + value);
+    };
+
+    root.querySelectorAll('p, pre, td, blockquote, li').forEach(node => {
+      const text = PageExtractor.normalizeWhitespace(node.textContent);
+      if (text.length < minParagraphLength) return;
+      // One point per paragraph, per comma, and per 100 characters (max 3)
+      const score = 1 + text.split(/[,，、]/).length + Math.min(Math.floor(text.length / 100), 3);
+      addScore(node.parentElement, score);
+      addScore(node.parentElement && node.parentElement.parentElement, score / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, el) => {
+      const adjusted = score * (1 - PageExtractor.linkDensity(el));
+      if (adjusted > bestScore) {
+        best = el;
+        bestScore = adjusted;
+      }
+    });
+
+    // A semantic <article>/<main> wins unless scoring found something inside it
+    if (preferred && (!best || !preferred.contains(best))) return preferred;
+    return best;
+  }
+
+  // Base score from tag and class/id hints
+  static initialScore(el) {
+    let score = 0;
+    const tag = el.tagName;
+    if (tag === 'ARTICLE' || tag === 'MAIN') score += 10;
+    else if (tag === 'DIV' || tag === 'SECTION') score += 5;
+    else if (tag === 'UL' || tag === 'OL' || tag === 'FORM') score -= 3;
+
+    const hint = `${el.className || ''} ${el.id || ''}`;
+    if (PageExtractor.NEGATIVE_PATTERN.test(hint)) score -= 25;
+    if (PageExtractor.POSITIVE_PATTERN.test(hint)) score += 25;
+    return score;
+  }
+
+  // Share of an element's text that sits inside links
+  static linkDensity(el) {
+    const textLength = PageExtractor.normalizeWhitespace(el.textContent).length;
+    if (textLength === 0) return 0;
+    let linkLength = 0;
+    el.querySelectorAll('a').forEach(a => {
+      linkLength += PageExtractor.normalizeWhitespace(a.textContent).length;
+    });
+    return Math.min(linkLength / textLength, 1);
+  }
+
+  // Collect readable blocks as paragraphs separated by blank lines
+  static collectText(container, minParagraphLength) {
+    const blocks = [];
+    container.querySelectorAll('h1, h2, h3, h4, p, pre, blockquote, li, td').forEach(node => {
+      // Skip blocks nested in another collected block (e.g. <p> inside <li>)
+      const outer = node.parentElement && node.parentElement.closest('p, pre, blockquote, li, td');
+      if (outer && outer !== container && container.contains(outer)) return;
+      const text = PageExtractor.normalizeWhitespace(node.textContent);
+      const isHeading = /^H\d$/.test(node.tagName);
+      if (!text || (!isHeading && text.length < minParagraphLength)) return;
+      if (!isHeading && PageExtractor.linkDensity(node) > 0.5) return;
+      blocks.push(text);
+    });
+
+    if (blocks.length === 0) {
+      return PageExtractor.normalizeWhitespace(container.textContent);
+    }
+    return blocks.join('\n\n');
+  }
+
+  static normalizeWhitespace(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PageExtractor;
+} else if (typeof self !== 'undefined') {
+  self.PageExtractor = PageExtractor;
+}
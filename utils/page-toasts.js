@@ -0,0 +1,377 @@
+// Page Toasts - In-page notifications rendered inside a closed shadow root
+// The host page's CSS and scripts cannot reach the toasts, and every toast is built from plain
+// data with an escaping template tag, so page titles, URLs and queries are never parsed as HTML.
+// Toasts stack in the bottom-right corner (at most MAX_VISIBLE, the rest wait in a queue), a toast
+// with the same key replaces the one shown, Escape dismisses, and the theme follows the page's
+// color scheme unless set to light or dark in Settings.
+// In pages this runs as a content script; the background and popup use showInTab() to display a toast.
+// Requires TextUtils (utils/text-utils.js) to be loaded first
+class PageToasts {
+  static MAX_VISIBLE = 3;
+  static DEFAULT_TIMEOUT = 10000; // ms; 0 keeps the toast until dismissed
+  static HOST_ID = 'chrome-mnemonic-toasts';
+  static SETTINGS_KEY = 'pageToastSettings';
+  static THEMES = ['auto', 'light', 'dark'];
+  static FILES = ['utils/text-utils.js', 'utils/page-toasts.js']; // injected into pages loaded before the extension
+
+  // Markup produced by html``; anything else interpolated into a template is escaped
+  static Markup = class {
+    constructor(value) {
+      this.value = value;
+    }
+
+    toString() {
+      return this.value;
+    }
+  };
+
+  /**
+   * Escaping template tag: strings, numbers and arrays of them are HTML-escaped, nested html`` is kept
+   * @returns {PageToasts.Markup} - Markup safe to assign to innerHTML
+   */
+  static html(strings, ...values) {
+    const toMarkup = (value) => {
+      if (value === null || value === undefined || value === false) return '';
+      if (value instanceof PageToasts.Markup) return value.value;
+      if (Array.isArray(value)) return value.map(toMarkup).join('');
+      return TextUtils.escapeHtml(value);
+    };
+    return new PageToasts.Markup(strings.reduce((out, string, i) => out + string + (i < values.length ? toMarkup(values[i]) : ''), ''));
+  }
+
+  // Only web links can be opened from a toast
+  static safeUrl(url) {
+    return typeof url === 'string' && /^https?:\/\//i.test(url) ? url : '';
+  }
+
+  static get STYLES() {
+    return `
+      :host { all: initial; }
+      .stack { display: flex; flex-direction: column-reverse; gap: 8px; width: 360px; max-width: calc(100vw - 32px); }
+      .toast {
+        --bg: #ffffff; --fg: #2c3e50; --muted: #6c757d; --accent: #667eea; --accent-fg: #ffffff;
+        --panel: #f8f9fa; --callout: #f0f4ff; --border: #e1e5e9; --shadow: rgba(0, 0, 0, 0.12);
+        box-sizing: border-box; padding: 14px 16px; border: 1px solid var(--border); border-radius: 12px;
+        background: var(--bg); color: var(--fg); box-shadow: 0 8px 32px var(--shadow);
+        font: 14px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; text-align: left;
+        max-height: 420px; overflow-y: auto; animation: enter 0.2s ease-out;
+      }
+      .toast[data-theme="dark"] {
+        --bg: #111827; --fg: #f3f4f6; --muted: #9ca3af; --accent: #818cf8; --accent-fg: #111827;
+        --panel: #1f2937; --callout: #1e1b4b; --border: #374151; --shadow: rgba(0, 0, 0, 0.4);
+      }
+      .toast.leaving { opacity: 0; transform: translateX(24px); transition: opacity 0.2s, transform 0.2s; }
+      .toast:focus-visible, button:focus-visible, a:focus-visible { outline: 2px solid var(--accent); outline-offset: 2px; }
+      .header { display: flex; align-items: center; gap: 10px; margin-bottom: 10px; }
+      .icon { flex: none; width: 32px; height: 32px; border-radius: 50%; display: flex; align-items: center; justify-content: center;
+        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); font-size: 16px; }
+      .heading { flex: 1; min-width: 0; }
+      .title { font-weight: 600; }
+      .subtitle, .meta { font-size: 12px; color: var(--muted); overflow-wrap: anywhere; }
+      .note { font-size: 11px; color: var(--accent); margin-top: 2px; }
+      .close { flex: none; background: none; border: none; color: var(--muted); font-size: 18px; cursor: pointer; padding: 4px; }
+      .section { margin-bottom: 10px; }
+      .section.callout { padding: 8px; border-radius: 6px; background: var(--callout); }
+      .label { font-size: 12px; color: var(--muted); margin-bottom: 2px; }
+      .text { font-weight: 500; overflow-wrap: anywhere; }
+      .row { display: flex; align-items: center; justify-content: space-between; gap: 8px; }
+      ul { margin: 0; padding: 8px 8px 8px 26px; border-radius: 8px; background: var(--panel); max-height: 160px; overflow: auto; }
+      li { margin: 2px 0; font-size: 12px; }
+      .item { padding: 8px; margin: 4px 0; border-radius: 6px; background: var(--panel); border-left: 3px solid var(--accent); }
+      .details[hidden] { display: none; }
+      .details { max-height: 200px; overflow-y: auto; }
+      .actions { display: flex; gap: 8px; justify-content: flex-end; }
+      button.action, a.action, .toggle {
+        border: none; border-radius: 6px; padding: 6px 12px; font-family: inherit; font-size: 12px; font-weight: 500; cursor: pointer; text-decoration: none;
+        background: var(--panel); color: var(--fg);
+      }
+      button.action.primary, a.action, .toggle { background: var(--accent); color: var(--accent-fg); }
+      .toggle { width: 100%; margin-bottom: 8px; padding: 8px 16px; }
+      @keyframes enter { from { opacity: 0; transform: translateX(24px); } }
+      @media (prefers-reduced-motion: reduce) { .toast, .toast.leaving { animation: none; transition: none; } }
+    `;
+  }
+
+  /**
+   * Markup for one toast
+   * @param {Object} spec - { title, subtitle, icon, sections: [Section], details: { label, items: [Section] }, actions: [{ label, primary, href }] }
+   *   where Section is { label, text, meta, note, items: [string], link: { href, label }, callout }
+   * @param {string} id - Toast ID
+   * @param {string} theme - 'light' or 'dark'
+   * @returns {PageToasts.Markup}
+   */
+  static render(spec, id, theme = 'light') {
+    const { html } = PageToasts;
+    const details = spec.details && spec.details.items && spec.details.items.length > 0 ? spec.details : null;
+
+    return html`
+      <div class="toast" data-toast="${id}" data-theme="${theme}" role="${spec.actions && spec.actions.length ? 'alertdialog' : 'status'}" tabindex="0" aria-label="${spec.title}">
+        <div class="header">
+          ${spec.icon ? html`<span class="icon" aria-hidden="true">${spec.icon}</span>` : ''}
+          <div class="heading">
+            <div class="title">${spec.title}</div>
+            ${spec.subtitle ? html`<div class="subtitle">${spec.subtitle}</div>` : ''}
+          </div>
+          <button class="close" data-dismiss title="Dismiss (Esc)" aria-label="Dismiss">×</button>
+        </div>
+        ${(spec.sections || []).map(section => PageToasts.renderSection(section))}
+        ${details ? html`
+          <button class="toggle" data-toggle aria-expanded="false" data-label="${details.label}">${details.label}</button>
+          <div class="details" hidden>${details.items.map(item => PageToasts.renderSection({ ...item, item: true }))}</div>
+        ` : ''}
+        ${spec.actions && spec.actions.length ? html`
+          <div class="actions">
+            ${spec.actions.map((action, i) => (PageToasts.safeUrl(action.href)
+              ? html`<a class="action" href="${PageToasts.safeUrl(action.href)}" target="_blank" rel="noopener noreferrer" data-action="${i}">${action.label}</a>`
+              : html`<button class="action ${action.primary ? 'primary' : ''}" data-action="${i}">${action.label}</button>`))}
+          </div>
+        ` : ''}
+      </div>`;
+  }
+
+  static renderSection(section) {
+    const { html } = PageToasts;
+    const href = section.link && PageToasts.safeUrl(section.link.href);
+    const className = section.item ? 'item' : `section${section.callout ? ' callout' : ''}`;
+
+    return html`
+      <div class="${className}">
+        ${section.label ? html`<div class="label">${section.label}</div>` : ''}
+        ${section.text ? html`<div class="text">${section.text}</div>` : ''}
+        ${section.meta || href ? html`
+          <div class="row">
+            <span class="meta">${section.meta || ''}</span>
+            ${href ? html`<a class="action" href="${href}" target="_blank" rel="noopener noreferrer">${section.link.label || 'Open'}</a>` : ''}
+          </div>` : ''}
+        ${section.note ? html`<div class="note">${section.note}</div>` : ''}
+        ${section.items && section.items.length ? html`<ul>${section.items.map(item => html`<li>${item}</li>`)}</ul>` : ''}
+      </div>`;
+  }
+
+  // Toasts in this page (one layer per page)
+  static get instance() {
+    if (!PageToasts._instance) PageToasts._instance = new PageToasts(document);
+    return PageToasts._instance;
+  }
+
+  static show(spec) {
+    return PageToasts.instance.show(spec);
+  }
+
+  constructor(doc) {
+    this.document = doc;
+    this.host = null;
+    this.root = null;
+    this.visible = []; // [{ id, key, spec, element, timer }] oldest first
+    this.queue = [];
+    this.nextId = 1;
+    this.onKeydown = this.onKeydown.bind(this);
+  }
+
+  // Create the shadow root on first use (and again if the page removed it)
+  mount() {
+    if (this.host && this.host.isConnected) return;
+    this.host = this.document.createElement('div');
+    this.host.id = PageToasts.HOST_ID;
+    this.host.setAttribute('style', 'all: initial !important; position: fixed !important; right: 16px !important; bottom: 16px !important; z-index: 2147483647 !important; display: block !important;');
+    this.root = this.host.attachShadow({ mode: 'closed' });
+    this.root.innerHTML = `<style>${PageToasts.STYLES}</style><div class="stack" role="region" aria-label="Chrome Mnemonic notifications"></div>`;
+    this.stack = this.root.querySelector('.stack');
+    this.root.addEventListener('click', event => this.onClick(event));
+    this.root.addEventListener('keydown', this.onKeydown);
+    this.document.addEventListener('keydown', this.onKeydown);
+    this.document.documentElement.appendChild(this.host);
+    this.visible = [];
+  }
+
+  resolveTheme(theme) {
+    if (theme === 'light' || theme === 'dark') return theme;
+    const view = this.document.defaultView;
+    return view && view.matchMedia && view.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+  }
+
+  /**
+   * Show a toast, replacing one with the same key, or queue it when the stack is full
+   * @param {Object} spec - See render(), plus { key, theme, timeout }
+   * @returns {string} - Toast ID
+   */
+  show(spec) {
+    this.mount();
+    const key = spec.key || null;
+    const shown = key && this.visible.find(toast => toast.key === key);
+    if (shown) {
+      this.replace(shown, spec);
+      return shown.id;
+    }
+    const queued = key && this.queue.find(toast => toast.key === key);
+    if (queued) {
+      queued.spec = spec;
+      return queued.id;
+    }
+
+    const toast = { id: `toast-${this.nextId++}`, key, spec };
+    if (this.visible.length >= PageToasts.MAX_VISIBLE) this.queue.push(toast);
+    else this.display(toast);
+    return toast.id;
+  }
+
+  display(toast) {
+    toast.element = this.createElement(toast);
+    this.stack.appendChild(toast.element);
+    this.visible.push(toast);
+    this.startTimer(toast);
+  }
+
+  replace(toast, spec) {
+    clearTimeout(toast.timer);
+    toast.spec = spec;
+    const element = this.createElement(toast);
+    toast.element.replaceWith(element);
+    toast.element = element;
+    this.startTimer(toast);
+  }
+
+  createElement(toast) {
+    const template = this.document.createElement('template');
+    template.innerHTML = PageToasts.render(toast.spec, toast.id, this.resolveTheme(toast.spec.theme)).value.trim();
+    const element = template.content.firstElementChild;
+    // Hovering or focusing a toast keeps it open
+    element.addEventListener('mouseenter', () => clearTimeout(toast.timer));
+    element.addEventListener('focusin', () => clearTimeout(toast.timer));
+    element.addEventListener('mouseleave', () => this.startTimer(toast));
+    return element;
+  }
+
+  startTimer(toast) {
+    clearTimeout(toast.timer);
+    const timeout = toast.spec.timeout ?? PageToasts.DEFAULT_TIMEOUT;
+    if (timeout > 0) toast.timer = setTimeout(() => this.dismiss(toast.id), timeout);
+  }
+
+  // Remove a toast and show the next queued one
+  dismiss(id) {
+    const index = this.visible.findIndex(toast => toast.id === id);
+    if (index < 0) {
+      this.queue = this.queue.filter(toast => toast.id !== id);
+      return;
+    }
+    const [toast] = this.visible.splice(index, 1);
+    clearTimeout(toast.timer);
+    toast.element.classList.add('leaving');
+    setTimeout(() => toast.element.remove(), 200);
+    if (this.queue.length > 0) this.display(this.queue.shift());
+  }
+
+  toastFor(node) {
+    const element = node && node.closest ? node.closest('[data-toast]') : null;
+    return element ? this.visible.find(toast => toast.id === element.dataset.toast) : null;
+  }
+
+  onClick(event) {
+    const target = event.target.closest ? event.target.closest('[data-dismiss], [data-toggle], [data-action]') : null;
+    const toast = target && this.toastFor(target);
+    if (!toast) return;
+
+    if (target.hasAttribute('data-dismiss')) {
+      this.dismiss(toast.id);
+    } else if (target.hasAttribute('data-toggle')) {
+      const details = toast.element.querySelector('.details');
+      const expanded = details.hidden;
+      details.hidden = !expanded;
+      target.setAttribute('aria-expanded', String(expanded));
+      target.textContent = expanded ? 'Show Less' : target.dataset.label;
+    } else {
+      const action = (toast.spec.actions || [])[Number(target.dataset.action)];
+      if (!action) return;
+      if (action.message && typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.sendMessage) {
+        chrome.runtime.sendMessage({ type: 'PAGE_TOAST_ACTION', action: action.id, key: toast.key, data: action.message });
+      }
+      if (action.dismiss !== false) this.dismiss(toast.id);
+    }
+  }
+
+  // Escape dismisses the focused toast, or the newest one when focus is on the page
+  onKeydown(event) {
+    if (event.key !== 'Escape' || this.visible.length === 0) return;
+    if (event.currentTarget === this.document && event.composedPath && event.composedPath().includes(this.host)) return; // handled by the shadow root
+    const toast = (event.currentTarget === this.root && this.toastFor(event.target)) || this.visible[this.visible.length - 1];
+    this.dismiss(toast.id);
+  }
+
+  static async loadSettings() {
+    try {
+      const stored = (await chrome.storage.local.get(PageToasts.SETTINGS_KEY))[PageToasts.SETTINGS_KEY] || {};
+      return { theme: PageToasts.THEMES.includes(stored.theme) ? stored.theme : 'auto' };
+    } catch (error) {
+      console.warn('Failed to load notification settings:', error);
+      return { theme: 'auto' };
+    }
+  }
+
+  static async saveSettings(settings) {
+    const saved = { theme: PageToasts.THEMES.includes(settings && settings.theme) ? settings.theme : 'auto' };
+    await chrome.storage.local.set({ [PageToasts.SETTINGS_KEY]: saved });
+    return saved;
+  }
+
+  // Pages the extension is not allowed to script
+  static canShowOn(url) {
+    return Boolean(url) &&
+      !/^(chrome|chrome-extension|edge|about|devtools):/i.test(url) &&
+      !url.includes('extensions.gallery') &&
+      !url.includes('chrome.google.com/webstore');
+  }
+
+  /**
+   * Show a toast in a tab (from the background or the popup)
+   * @param {number} tabId - Tab to show the toast in
+   * @param {Object} spec - Toast (see show())
+   * @returns {Promise<boolean>} - Whether the toast was shown
+   */
+  static async showInTab(tabId, spec) {
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      if (!PageToasts.canShowOn(tab && tab.url)) {
+        console.log(`⏭️ Skipping notification for restricted page: ${tab && tab.url}`);
+        return false;
+      }
+
+      const toast = { theme: (await PageToasts.loadSettings()).theme, ...spec };
+      // These run in the page, so they can only use what the content scripts define
+      const showInPage = (pageToast) => {
+        if (typeof PageToasts === 'undefined') return false;
+        PageToasts.show(pageToast);
+        return true;
+      };
+      const hasTextUtils = () => typeof TextUtils !== 'undefined';
+      const run = async (func, args = []) => {
+        const [result] = await chrome.scripting.executeScript({ target: { tabId }, func, args });
+        return Boolean(result && result.result);
+      };
+
+      if (await run(showInPage, [toast])) return true;
+      // The page was open before the extension loaded or updated, so some content scripts are missing.
+      // Injecting a file whose class is already declared would throw, so TextUtils is only added when absent.
+      const files = (await run(hasTextUtils))
+        ? PageToasts.FILES.filter(file => file !== 'utils/text-utils.js')
+        : PageToasts.FILES;
+      await chrome.scripting.executeScript({ target: { tabId }, files });
+      return await run(showInPage, [toast]);
+    } catch (error) {
+      const message = error.message || '';
+      if (message.includes('Cannot access') || message.includes('extensions gallery') || message.includes('cannot be scripted')) {
+        console.log(`⏭️ Skipping notification for restricted page: ${message}`);
+      } else {
+        console.warn('Failed to show notification:', error);
+      }
+      return false;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PageToasts;
+} else if (typeof self !== 'undefined') {
+  self.PageToasts = PageToasts;
+}
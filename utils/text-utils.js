@@ -0,0 +1,169 @@
+// Text Utils - Tokenization, stopwords and stemming shared by search and clustering
+// Loaded by extension pages and by workers (via importScripts), so keep it dependency-free
+
+class TextUtils {
+  /**
+   * English stopwords plus words that are noise in page titles and URLs
+   * @returns {Set<string>} - Stopword set
+   */
+  static get STOPWORDS() {
+    if (!TextUtils._stopwords) {
+      TextUtils._stopwords = new Set([
+        'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+        'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could',
+        'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', 'has',
+        'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it',
+        'its', 'just', 'me', 'more', 'most', 'my', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only',
+        'or', 'other', 'our', 'out', 'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such', 'than',
+        'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to',
+        'too', 'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while',
+        'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours',
+        // Title / URL noise
+        'www', 'http', 'https', 'com', 'org', 'net', 'html', 'htm', 'php', 'index', 'amp', 'page', 'home',
+        'untitled', 'new', 'tab'
+      ]);
+    }
+    return TextUtils._stopwords;
+  }
+
+  /**
+   * Split text into lowercase word tokens (letters and digits, any script)
+   * @param {string} text - The text to tokenize
+   * @returns {string[]} - Tokens in order of appearance
+   */
+  static tokenize(text) {
+    if (!text || typeof text !== 'string') return [];
+    return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  /**
+   * Tokenize, drop stopwords and very short tokens, then stem
+   * @param {string} text - The text to process
+   * @param {Object} options - { stem: boolean, minLength: number, stopwords: Set }
+   * @returns {string[]} - Normalized terms
+   */
+  static terms(text, options = {}) {
+    const { stem = true, minLength = 2, stopwords = TextUtils.STOPWORDS } = options;
+    return TextUtils.tokenize(text)
+      .filter(token => token.length >= minLength && !stopwords.has(token) && !/^\d+$/.test(token))
+      .map(token => (stem ? TextUtils.stem(token) : token));
+  }
+
+  /**
+   * Light English suffix stripping (Porter step 1 style), good enough for matching
+   * @param {string} word - Lowercase word
+   * @returns {string} - Stemmed word
+   */
+  static stem(word) {
+    if (!word || word.length <= 3 || !/^[a-z]+$/.test(word)) return word;
+    let w = word;
+    if (w.endsWith('sses')) w = w.slice(0, -2);
+    else if (w.endsWith('ies')) w = w.slice(0, -3) + 'y';
+    else if (w.endsWith('s') && !w.endsWith('ss') && !w.endsWith('us') && !w.endsWith('is')) w = w.slice(0, -1);
+
+    if (w.length > 5 && w.endsWith('ing')) {
+      w = w.slice(0, -3);
+    } else if (w.length > 4 && w.endsWith('ed') && !w.endsWith('eed')) {
+      w = w.slice(0, -2);
+    }
+    if (w.length > 6 && w.endsWith('ation')) w = w.slice(0, -5) + 'ate';
+    else if (w.length > 5 && w.endsWith('ness')) w = w.slice(0, -4);
+    else if (w.length > 5 && w.endsWith('ment')) w = w.slice(0, -4);
+    else if (w.length > 4 && w.endsWith('ly')) w = w.slice(0, -2);
+
+    // Undouble final consonant left by -ing/-ed ("running" -> "run")
+    if (/([bdfgmnprt])\1$/.test(w)) w = w.slice(0, -1);
+    return w;
+  }
+
+  /**
+   * Count term occurrences
+   * @param {string[]} terms - Terms to count
+   * @returns {Object<string, number>} - Term frequency map
+   */
+  static termFrequencies(terms) {
+    const counts = {};
+    for (const term of terms) {
+      counts[term] = (counts[term] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * Turn a URL into searchable words (hostname parts and path segments)
+   * @param {string} url - The URL to process
+   * @returns {string} - Space separated words
+   */
+  static urlToText(url) {
+    if (!url || typeof url !== 'string') return '';
+    const match = /^[a-z][a-z0-9+.-]*:\/\/([^/?#]*)([^?#]*)/i.exec(url);
+    if (!match) return '';
+    const host = match[1].replace(/^www\./, '').replace(/:\d+$/, '');
+    const path = TextUtils.safeDecode(match[2]);
+    return `${host.split('.').slice(0, -1).join(' ')} ${path.replace(/[/_\-.+]+/g, ' ')}`.replace(/\s+/g, ' ').trim();
+  }
+
+  // Decode a URI component, returning the input unchanged when malformed
+  static safeDecode(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch {
+      return value;
+    }
+  }
+
+  /**
+   * Cosine similarity of two equal-length numeric vectors
+   * @param {number[]} a - First vector
+   * @param {number[]} b - Second vector
+   * @returns {number} - Similarity in [-1, 1], 0 for empty or mismatched input
+   */
+  static cosineSimilarity(a, b) {
+    if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+  }
+
+  /**
+   * Escape text for safe insertion into HTML
+   * @param {string} text - Untrusted text
+   * @returns {string} - Escaped HTML
+   */
+  static escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Small stable string hash (djb2), used to detect changed text
+   * @param {string} text - Text to hash
+   * @returns {string} - Hash in base 36
+   */
+  static hash(text) {
+    let h = 5381;
+    const str = text || '';
+    for (let i = 0; i < str.length; i++) {
+      h = ((h << 5) + h + str.charCodeAt(i)) | 0;
+    }
+    return (h >>> 0).toString(36);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TextUtils;
+} else if (typeof self !== 'undefined') {
+  self.TextUtils = TextUtils;
+}
@@ -0,0 +1,281 @@
+// Topic Clustering - Local topic clusters over TF-IDF (or embedding) vectors, no language model needed
+// Pages are grouped with average-linkage agglomerative clustering and each cluster is labelled
+// with its top class-based TF-IDF (c-TF-IDF) terms. Runs in the history worker; the same code
+// is used on the main thread as a fallback.
+// Requires TextUtils (utils/text-utils.js) to be loaded first
+
+class TopicClustering {
+  // Relative weight of each page field in term frequencies; the host is left out so clusters cross domains
+  static get FIELD_WEIGHTS() {
+    return { title: 2, description: 1, path: 1 };
+  }
+
+  // Words of a URL's path and query
+  static pathText(url) {
+    const path = String(url || '').replace(/^[a-z][a-z0-9+.-]*:\/\/[^/?#]*/i, '').replace(/#.*$/, '');
+    return TextUtils.safeDecode(path).replace(/[/_\-.+?=&%]+/g, ' ');
+  }
+
+  /**
+   * Weighted terms of a page, with the surface words each stem came from
+   * @param {Object} doc - { title, url, description }
+   * @returns {Object} - { tf: {term: weight}, forms: {term: {word: count}} }
+   */
+  static analyze(doc) {
+    const tf = {};
+    const forms = {};
+    const fields = { title: doc.title, description: doc.description, path: TopicClustering.pathText(doc.url) };
+
+    Object.entries(TopicClustering.FIELD_WEIGHTS).forEach(([field, weight]) => {
+      TextUtils.terms(fields[field] || '', { stem: false, minLength: 3 }).forEach(word => {
+        const term = TextUtils.stem(word);
+        tf[term] = (tf[term] || 0) + weight;
+        forms[term] = forms[term] || {};
+        forms[term][word] = (forms[term][word] || 0) + 1;
+      });
+    });
+    return { tf, forms };
+  }
+
+  /**
+   * L2-normalised TF-IDF vectors with sublinear term frequency
+   * @param {Object[]} analyzed - Output of analyze per page
+   * @returns {Object[]} - Sparse vectors {term: weight}
+   */
+  static tfidfVectors(analyzed) {
+    const df = {};
+    analyzed.forEach(a => Object.keys(a.tf).forEach(term => { df[term] = (df[term] || 0) + 1; }));
+    const n = analyzed.length;
+
+    return analyzed.map(a => {
+      const vector = {};
+      let norm = 0;
+      Object.entries(a.tf).forEach(([term, count]) => {
+        if (df[term] < 2) return; // a term on one page cannot link it to another
+        const weight = (1 + Math.log(count)) * Math.log(1 + n / df[term]);
+        vector[term] = weight;
+        norm += weight * weight;
+      });
+      norm = Math.sqrt(norm) || 1;
+      Object.keys(vector).forEach(term => { vector[term] /= norm; });
+      return vector;
+    });
+  }
+
+  // Dot product of two normalised vectors, sparse ({term: weight}) or dense (arrays)
+  static dot(a, b) {
+    if (Array.isArray(a) || ArrayBuffer.isView(a)) {
+      let sum = 0;
+      for (let i = 0; i < a.length; i++) sum += a[i] * (b[i] || 0);
+      return sum;
+    }
+    const [small, large] = Object.keys(a).length <= Object.keys(b).length ? [a, b] : [b, a];
+    let sum = 0;
+    for (const term in small) {
+      if (large[term]) sum += small[term] * large[term];
+    }
+    return sum;
+  }
+
+  // Dense vector scaled to unit length
+  static normalize(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  }
+
+  /**
+   * Average-linkage agglomerative clustering
+   * @param {Float32Array} similarity - n x n pairwise similarities (row-major); overwritten
+   * @param {number} n - Number of pages
+   * @param {number} threshold - Stop merging when the closest clusters are less similar than this
+   * @returns {number[][]} - Page indices per cluster
+   */
+  static agglomerate(similarity, n, threshold) {
+    const members = Array.from({ length: n }, (_, i) => [i]);
+    const active = new Array(n).fill(true);
+
+    for (;;) {
+      let best = -Infinity;
+      let bi = -1;
+      let bj = -1;
+      for (let i = 0; i < n; i++) {
+        if (!active[i]) continue;
+        for (let j = i + 1; j < n; j++) {
+          if (active[j] && similarity[i * n + j] > best) {
+            best = similarity[i * n + j];
+            bi = i;
+            bj = j;
+          }
+        }
+      }
+      if (bi < 0 || best < threshold) break;
+
+      // Lance-Williams update: similarity to the merged cluster is the size-weighted average
+      const si = members[bi].length;
+      const sj = members[bj].length;
+      for (let k = 0; k < n; k++) {
+        if (!active[k] || k === bi || k === bj) continue;
+        const merged = (si * similarity[bi * n + k] + sj * similarity[bj * n + k]) / (si + sj);
+        similarity[bi * n + k] = merged;
+        similarity[k * n + bi] = merged;
+      }
+      members[bi] = members[bi].concat(members[bj]);
+      active[bj] = false;
+    }
+    return members.filter((_, i) => active[i]);
+  }
+
+  /**
+   * Top c-TF-IDF terms per cluster: terms frequent in the cluster and rare in the others
+   * @param {number[][]} groups - Page indices per class (clusters, plus one class of unclustered pages)
+   * @param {Object[]} analyzed - Output of analyze per page
+   * @param {number} count - Terms per cluster
+   * @returns {string[][]} - Surface words per class, best first
+   */
+  static labels(groups, analyzed, count = 3) {
+    const classes = groups.map(indices => {
+      const tf = {};
+      const forms = {};
+      let words = 0;
+      indices.forEach(i => {
+        Object.entries(analyzed[i].tf).forEach(([term, weight]) => {
+          tf[term] = (tf[term] || 0) + weight;
+          words += weight;
+        });
+        Object.entries(analyzed[i].forms).forEach(([term, counts]) => {
+          forms[term] = forms[term] || {};
+          Object.entries(counts).forEach(([word, n]) => { forms[term][word] = (forms[term][word] || 0) + n; });
+        });
+      });
+      return { tf, forms, words: words || 1, size: indices.length };
+    });
+
+    const totals = {};
+    classes.forEach(c => Object.entries(c.tf).forEach(([term, weight]) => { totals[term] = (totals[term] || 0) + weight; }));
+    const averageWords = classes.reduce((sum, c) => sum + c.words, 0) / (classes.length || 1);
+
+    // Labels come from terms on at least two pages of the cluster, so one odd title cannot name it
+    return classes.map((c, k) => Object.entries(c.tf)
+      .filter(([term]) => c.size < 2 || groups[k].filter(i => analyzed[i].tf[term]).length >= 2)
+      .map(([term, weight]) => [term, (weight / c.words) * Math.log(1 + averageWords / totals[term])])
+      .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+      .slice(0, count)
+      .map(([term]) => Object.entries(c.forms[term]).sort((a, b) => b[1] - a[1])[0][0]));
+  }
+
+  /**
+   * Cluster pages by topic
+   * @param {Object} options - { documents: [{ id, title, url, description, vector? }], threshold, minSize, labelTerms }
+   * @returns {Object} - { clusters: [{ ids, terms, cohesion }], unclustered: [id] }; largest cluster first
+   */
+  static cluster(options) {
+    const { documents = [], threshold = 0.2, minSize = 2, labelTerms = 3 } = options || {};
+    const n = documents.length;
+    if (n === 0) return { clusters: [], unclustered: [] };
+
+    const analyzed = documents.map(doc => TopicClustering.analyze(doc));
+    // Embeddings when every page has one, otherwise TF-IDF
+    const useEmbeddings = documents.every(doc => Array.isArray(doc.vector) && doc.vector.length > 0);
+    const vectors = useEmbeddings
+      ? documents.map(doc => TopicClustering.normalize(doc.vector))
+      : TopicClustering.tfidfVectors(analyzed);
+
+    const similarity = new Float32Array(n * n);
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const s = TopicClustering.dot(vectors[i], vectors[j]);
+        similarity[i * n + j] = s;
+        similarity[j * n + i] = s;
+      }
+    }
+    const pairwise = similarity.slice();
+
+    const groups = TopicClustering.agglomerate(similarity, n, threshold);
+    const kept = groups.filter(indices => indices.length >= minSize).sort((a, b) => b.length - a.length);
+    const rest = groups.filter(indices => indices.length < minSize).flat();
+    const labels = TopicClustering.labels(rest.length > 0 ? [...kept, rest] : kept, analyzed, labelTerms);
+
+    return {
+      clusters: kept.map((indices, k) => {
+        let sum = 0;
+        for (let a = 0; a < indices.length; a++) {
+          for (let b = a + 1; b < indices.length; b++) sum += pairwise[indices[a] * n + indices[b]];
+        }
+        return {
+          ids: indices.map(i => documents[i].id),
+          terms: labels[k],
+          cohesion: sum / (indices.length * (indices.length - 1) / 2)
+        };
+      }),
+      unclustered: rest.map(i => documents[i].id)
+    };
+  }
+
+  /**
+   * Knowledge threads: topics that come back across browsing sessions, possibly days apart.
+   * Sessions are linked by term similarity (TF-IDF over their pages) or by reading the same pages.
+   * @param {Object} options - { sessions: [{ id, startTime, endTime, pages: [{ url, title, description }] }], threshold, minSessions, labelTerms }
+   * @returns {Object[]} - [{ sessionIds, terms, startTime, endTime, activeMs, days }], most recently active first
+   */
+  static threads(options) {
+    const { sessions = [], threshold = 0.25, minSessions = 2, labelTerms = 3 } = options || {};
+    const n = sessions.length;
+    if (n < minSessions) return [];
+
+    // One document per session: the merged terms of its pages
+    const analyzed = sessions.map(session => {
+      const tf = {};
+      const forms = {};
+      (session.pages || []).forEach(page => {
+        const a = TopicClustering.analyze(page);
+        Object.entries(a.tf).forEach(([term, weight]) => { tf[term] = (tf[term] || 0) + weight; });
+        Object.entries(a.forms).forEach(([term, counts]) => {
+          forms[term] = forms[term] || {};
+          Object.entries(counts).forEach(([word, count]) => { forms[term][word] = (forms[term][word] || 0) + count; });
+        });
+      });
+      return { tf, forms };
+    });
+    const vectors = TopicClustering.tfidfVectors(analyzed);
+    const titles = sessions.map(session => new Set((session.pages || [])
+      .map(page => String(page.title || '').toLowerCase().replace(/\s+/g, ' ').trim())
+      .filter(title => title.length > 0)));
+
+    const similarity = new Float32Array(n * n);
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const shared = [...titles[i]].filter(title => titles[j].has(title)).length;
+        const titleSimilarity = shared > 0 ? shared / (titles[i].size + titles[j].size - shared) : 0;
+        const s = Math.max(TopicClustering.dot(vectors[i], vectors[j]), titleSimilarity);
+        similarity[i * n + j] = s;
+        similarity[j * n + i] = s;
+      }
+    }
+
+    const groups = TopicClustering.agglomerate(similarity, n, threshold);
+    const kept = groups.filter(indices => indices.length >= minSessions);
+    const rest = groups.filter(indices => indices.length < minSessions).flat();
+    const labels = TopicClustering.labels(rest.length > 0 ? [...kept, rest] : kept, analyzed, labelTerms);
+
+    return kept.map((indices, k) => {
+      const members = indices.map(i => sessions[i]).sort((a, b) => a.startTime - b.startTime);
+      return {
+        sessionIds: members.map(session => session.id),
+        terms: labels[k],
+        startTime: members[0].startTime,
+        endTime: Math.max(...members.map(session => session.endTime)),
+        activeMs: members.reduce((sum, session) => sum + Math.max(0, session.endTime - session.startTime), 0),
+        days: new Set(members.map(session => new Date(session.startTime).toDateString())).size
+      };
+    })
+      .filter(thread => thread.terms.length > 0)
+      .sort((a, b) => b.endTime - a.endTime);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TopicClustering;
+} else if (typeof self !== 'undefined') {
+  self.TopicClustering = TopicClustering;
+}
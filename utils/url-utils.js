@@ -22,7 +22,7 @@ class URLUtils {
   }
 
   /**
-   * Check if a URL is valid
+   * Check if a URL is a valid web (http/https) URL
    * @param {string} url - The URL to validate
    * @returns {boolean} - True if valid, false otherwise
    */
@@ -32,8 +32,7 @@ class URLUtils {
         return false;
       }
       
-      new URL(url);
-      return true;
+      return ['http:', 'https:'].includes(new URL(url).protocol);
     } catch (error) {
       return false;
     }
@@ -393,6 +392,6 @@ class URLUtils {
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = URLUtils;
-} else {
-  window.URLUtils = URLUtils;
+} else if (typeof self !== 'undefined') {
+  self.URLUtils = URLUtils;
 }
@@ -0,0 +1,126 @@
+// Vector Search - BM25 keyword ranking and cosine-similarity ranking over history documents
+// Runs in the history worker; the same code is used on the main thread as a fallback
+// Requires TextUtils (utils/text-utils.js) to be loaded first
+
+class VectorSearch {
+  // Relative weight of each document field in BM25 term frequencies
+  static get FIELD_WEIGHTS() {
+    return { title: 3, summary: 2, url: 1, content: 1 };
+  }
+
+  /**
+   * Build the weighted term statistics for a document
+   * @param {Object} doc - { id, fields: { title, url, summary, content } }
+   * @returns {Object} - { tf: {term: weight}, length, fieldTerms: {field: Set} }
+   */
+  static analyzeDocument(doc) {
+    const tf = {};
+    const fieldTerms = {};
+    let length = 0;
+    const weights = VectorSearch.FIELD_WEIGHTS;
+
+    Object.keys(weights).forEach(field => {
+      const value = doc.fields && doc.fields[field];
+      if (!value) return;
+      const text = field === 'url' ? TextUtils.urlToText(value) : value;
+      const terms = TextUtils.terms(text);
+      fieldTerms[field] = new Set(terms);
+      terms.forEach(term => {
+        tf[term] = (tf[term] || 0) + weights[field];
+      });
+      length += terms.length * weights[field];
+    });
+
+    return { tf, length, fieldTerms };
+  }
+
+  /**
+   * Score documents with Okapi BM25 over weighted fields
+   * @param {string[]} queryTerms - Normalized query terms
+   * @param {Object[]} analyzed - Output of analyzeDocument per document
+   * @param {Object} params - { k1, b }
+   * @returns {number[]} - Score per document
+   */
+  static bm25(queryTerms, analyzed, params = {}) {
+    const { k1 = 1.2, b = 0.75 } = params;
+    const n = analyzed.length;
+    if (n === 0 || queryTerms.length === 0) return new Array(n).fill(0);
+
+    const avgLength = analyzed.reduce((sum, a) => sum + a.length, 0) / n || 1;
+    const uniqueTerms = [...new Set(queryTerms)];
+    const idf = {};
+    uniqueTerms.forEach(term => {
+      const df = analyzed.reduce((count, a) => count + (a.tf[term] ? 1 : 0), 0);
+      idf[term] = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+    });
+
+    return analyzed.map(a => {
+      let score = 0;
+      uniqueTerms.forEach(term => {
+        const f = a.tf[term];
+        if (!f) return;
+        score += idf[term] * (f * (k1 + 1)) / (f + k1 * (1 - b + b * (a.length / avgLength)));
+      });
+      return score;
+    });
+  }
+
+  /**
+   * Rank documents for a query, combining BM25 and (when vectors exist) cosine similarity
+   * @param {Object} options - { query, queryVector, documents, limit, semanticWeight, minSimilarity }
+   * @returns {Object[]} - Ranked matches with explanation data
+   */
+  static rank(options) {
+    const {
+      query = '',
+      queryVector = null,
+      documents = [],
+      limit = 20,
+      semanticWeight = 0.7,
+      minSimilarity = 0.45
+    } = options || {};
+
+    const queryTerms = TextUtils.terms(query);
+    const analyzed = documents.map(doc => VectorSearch.analyzeDocument(doc));
+    const bm25Scores = VectorSearch.bm25(queryTerms, analyzed);
+    const maxBm25 = Math.max(0, ...bm25Scores) || 1;
+    const useVectors = Array.isArray(queryVector) && queryVector.length > 0;
+
+    const results = [];
+    documents.forEach((doc, i) => {
+      const keyword = bm25Scores[i] / maxBm25;
+      const hasVector = useVectors && Array.isArray(doc.vector) && doc.vector.length === queryVector.length;
+      const similarity = hasVector ? TextUtils.cosineSimilarity(queryVector, doc.vector) : 0;
+
+      const semanticHit = hasVector && similarity >= minSimilarity;
+      if (keyword <= 0 && !semanticHit) return;
+
+      const score = hasVector
+        ? semanticWeight * Math.max(0, similarity) + (1 - semanticWeight) * keyword
+        : keyword;
+
+      const matchedTerms = [...new Set(queryTerms)].filter(term => analyzed[i].tf[term]);
+      const matchedFields = Object.keys(analyzed[i].fieldTerms)
+        .filter(field => matchedTerms.some(term => analyzed[i].fieldTerms[field].has(term)));
+
+      results.push({
+        id: doc.id,
+        score,
+        keywordScore: keyword,
+        similarity,
+        method: hasVector ? (keyword > 0 ? 'hybrid' : 'semantic') : 'keyword',
+        matchedTerms,
+        matchedFields
+      });
+    });
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VectorSearch;
+} else if (typeof self !== 'undefined') {
+  self.VectorSearch = VectorSearch;
+}
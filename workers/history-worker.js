@@ -1,5 +1,7 @@
 // History Worker - performs heavy history computations off the UI thread
 
+importScripts('../utils/text-utils.js', '../utils/vector-search.js', '../utils/topic-clustering.js');
+
 // Group items by day
 function groupByDay(historyData) {
   const grouped = {};
@@ -103,6 +105,21 @@ self.onmessage = (event) => {
         self.postMessage({ success: true, result });
         break;
       }
+      case 'rankDocuments': {
+        const result = VectorSearch.rank(payload || {});
+        self.postMessage({ success: true, result });
+        break;
+      }
+      case 'clusterTopics': {
+        const result = TopicClustering.cluster(payload || {});
+        self.postMessage({ success: true, result });
+        break;
+      }
+      case 'buildThreads': {
+        const result = TopicClustering.threads(payload || {});
+        self.postMessage({ success: true, result });
+        break;
+      }
       default:
         self.postMessage({ success: false, error: 'Unknown action' });
     }